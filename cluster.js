@@ -69,6 +69,9 @@ if (USE_CLUSTERING && cluster.isMaster) {
     console.log(`✅ Replacement worker ${newWorker.process.pid} started\n`);
   });
 
+  // Workers serving /metrics collect every worker's counters through the master
+  require('./src/utils/metrics').attachClusterMaster(cluster);
+
   // Handle messages from workers
   cluster.on('message', (worker, message) => {
     if (message.type === 'error') {
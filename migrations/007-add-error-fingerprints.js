@@ -0,0 +1,76 @@
+/**
+ * Error Fingerprint Migration
+ * Adds normalized message + fingerprint columns to ErrorQueries for
+ * similar-error lookup, and backfills existing rows.
+ */
+
+'use strict';
+
+const { normalizeErrorMessage, fingerprintError } = require('../src/utils/errorFingerprint');
+
+const BATCH_SIZE = 500;
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    console.log('🚀 Adding error fingerprint columns...');
+
+    try {
+      await queryInterface.addColumn('ErrorQueries', 'normalizedMessage', {
+        type: Sequelize.TEXT,
+        allowNull: true
+      });
+      await queryInterface.addColumn('ErrorQueries', 'fingerprint', {
+        type: Sequelize.STRING(40),
+        allowNull: true
+      });
+      console.log('✓ Added columns: ErrorQueries(normalizedMessage, fingerprint)');
+
+      await queryInterface.addIndex('ErrorQueries', ['userId', 'fingerprint'], {
+        name: 'idx_errorqueries_user_fingerprint'
+      });
+      console.log('✓ Added index: ErrorQueries(userId, fingerprint)');
+
+      // Backfill in batches so large tables don't load into memory at once
+      let backfilled = 0;
+      for (;;) {
+        const [rows] = await queryInterface.sequelize.query(
+          `SELECT "id", "errorMessage" FROM "ErrorQueries" WHERE "fingerprint" IS NULL LIMIT ${BATCH_SIZE}`
+        );
+        if (rows.length === 0) break;
+
+        for (const row of rows) {
+          await queryInterface.sequelize.query(
+            'UPDATE "ErrorQueries" SET "normalizedMessage" = :normalized, "fingerprint" = :fingerprint WHERE "id" = :id',
+            {
+              replacements: {
+                id: row.id,
+                normalized: normalizeErrorMessage(row.errorMessage),
+                fingerprint: fingerprintError(row.errorMessage)
+              }
+            }
+          );
+        }
+        backfilled += rows.length;
+      }
+      console.log(`✓ Backfilled ${backfilled} error fingerprints`);
+
+      console.log('\n✅ Error fingerprint migration complete!');
+    } catch (error) {
+      console.error('❌ Error adding fingerprint columns:', error);
+      throw error;
+    }
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    try {
+      await queryInterface.removeIndex('ErrorQueries', 'idx_errorqueries_user_fingerprint');
+      await queryInterface.removeColumn('ErrorQueries', 'fingerprint');
+      await queryInterface.removeColumn('ErrorQueries', 'normalizedMessage');
+
+      console.log('✅ Removed error fingerprint columns');
+    } catch (error) {
+      console.error('❌ Error removing fingerprint columns:', error);
+      throw error;
+    }
+  }
+};
@@ -0,0 +1,37 @@
+/**
+ * Error Stack Trace Migration
+ * Adds the parsed stack trace (frames, exception and cause chain) to
+ * ErrorQueries. Existing rows stay null; only new analyses store a trace.
+ */
+
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    console.log('🚀 Adding stack trace column...');
+
+    try {
+      await queryInterface.addColumn('ErrorQueries', 'stackTrace', {
+        type: Sequelize.JSONB,
+        allowNull: true
+      });
+      console.log('✓ Added column: ErrorQueries(stackTrace)');
+
+      console.log('\n✅ Stack trace migration complete!');
+    } catch (error) {
+      console.error('❌ Error adding stack trace column:', error);
+      throw error;
+    }
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    try {
+      await queryInterface.removeColumn('ErrorQueries', 'stackTrace');
+
+      console.log('✅ Removed stack trace column');
+    } catch (error) {
+      console.error('❌ Error removing stack trace column:', error);
+      throw error;
+    }
+  }
+};
@@ -0,0 +1,53 @@
+/**
+ * Log Upload Migration
+ * Links ErrorQueries extracted from the same uploaded log file
+ * (POST /api/errors/analyze-file) and records how often each error occurred.
+ */
+
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    console.log('🚀 Adding log upload columns...');
+
+    try {
+      await queryInterface.addColumn('ErrorQueries', 'uploadId', {
+        type: Sequelize.UUID,
+        allowNull: true
+      });
+      await queryInterface.addColumn('ErrorQueries', 'sourceFileName', {
+        type: Sequelize.STRING,
+        allowNull: true
+      });
+      await queryInterface.addColumn('ErrorQueries', 'occurrenceCount', {
+        type: Sequelize.INTEGER,
+        allowNull: true
+      });
+      console.log('✓ Added columns: ErrorQueries(uploadId, sourceFileName, occurrenceCount)');
+
+      await queryInterface.addIndex('ErrorQueries', ['uploadId'], {
+        name: 'idx_errorqueries_upload'
+      });
+      console.log('✓ Added index: ErrorQueries(uploadId)');
+
+      console.log('\n✅ Log upload migration complete!');
+    } catch (error) {
+      console.error('❌ Error adding log upload columns:', error);
+      throw error;
+    }
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    try {
+      await queryInterface.removeIndex('ErrorQueries', 'idx_errorqueries_upload');
+      await queryInterface.removeColumn('ErrorQueries', 'occurrenceCount');
+      await queryInterface.removeColumn('ErrorQueries', 'sourceFileName');
+      await queryInterface.removeColumn('ErrorQueries', 'uploadId');
+
+      console.log('✅ Removed log upload columns');
+    } catch (error) {
+      console.error('❌ Error removing log upload columns:', error);
+      throw error;
+    }
+  }
+};
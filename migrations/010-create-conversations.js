@@ -0,0 +1,134 @@
+/**
+ * Conversations Migration
+ * Durable storage for /api/conversation (previously in-memory per worker).
+ * Messages cascade with their conversation; conversations with their user.
+ */
+
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    console.log('🚀 Creating conversation tables...');
+
+    try {
+      await queryInterface.createTable('Conversations', {
+        id: {
+          type: Sequelize.UUID,
+          defaultValue: Sequelize.UUIDV4,
+          primaryKey: true
+        },
+        userId: {
+          type: Sequelize.UUID,
+          allowNull: false,
+          references: {
+            model: 'Users',
+            key: 'id'
+          },
+          onUpdate: 'CASCADE',
+          onDelete: 'CASCADE'
+        },
+        title: {
+          type: Sequelize.STRING(200),
+          allowNull: false,
+          defaultValue: 'New conversation'
+        },
+        pinned: {
+          type: Sequelize.BOOLEAN,
+          allowNull: false,
+          defaultValue: false
+        },
+        context: {
+          type: Sequelize.JSONB,
+          allowNull: false,
+          defaultValue: {}
+        },
+        messageCount: {
+          type: Sequelize.INTEGER,
+          allowNull: false,
+          defaultValue: 0
+        },
+        lastMessageAt: {
+          type: Sequelize.DATE,
+          allowNull: true
+        },
+        createdAt: {
+          type: Sequelize.DATE,
+          allowNull: false,
+          defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+        },
+        updatedAt: {
+          type: Sequelize.DATE,
+          allowNull: false,
+          defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+        }
+      });
+      console.log('✓ Created table: Conversations');
+
+      await queryInterface.createTable('ConversationMessages', {
+        id: {
+          type: Sequelize.UUID,
+          defaultValue: Sequelize.UUIDV4,
+          primaryKey: true
+        },
+        conversationId: {
+          type: Sequelize.UUID,
+          allowNull: false,
+          references: {
+            model: 'Conversations',
+            key: 'id'
+          },
+          onUpdate: 'CASCADE',
+          onDelete: 'CASCADE'
+        },
+        role: {
+          type: Sequelize.ENUM('user', 'assistant'),
+          allowNull: false
+        },
+        content: {
+          type: Sequelize.TEXT,
+          allowNull: false
+        },
+        type: {
+          type: Sequelize.STRING(20),
+          allowNull: true
+        },
+        metadata: {
+          type: Sequelize.JSONB,
+          allowNull: true
+        },
+        createdAt: {
+          type: Sequelize.DATE,
+          allowNull: false,
+          defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+        }
+      });
+      console.log('✓ Created table: ConversationMessages');
+
+      await queryInterface.addIndex('Conversations', ['userId', 'pinned', 'lastMessageAt'], {
+        name: 'idx_conversations_user_pinned_recent'
+      });
+      await queryInterface.addIndex('ConversationMessages', ['conversationId', 'createdAt'], {
+        name: 'idx_conversation_messages_conversation_created'
+      });
+      console.log('✓ Added conversation indexes');
+
+      console.log('\n✅ Conversation migration complete!');
+    } catch (error) {
+      console.error('❌ Error creating conversation tables:', error);
+      throw error;
+    }
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    try {
+      await queryInterface.dropTable('ConversationMessages');
+      await queryInterface.dropTable('Conversations');
+      await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_ConversationMessages_role";');
+
+      console.log('✅ Dropped conversation tables');
+    } catch (error) {
+      console.error('❌ Error dropping conversation tables:', error);
+      throw error;
+    }
+  }
+};
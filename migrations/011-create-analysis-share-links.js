@@ -0,0 +1,105 @@
+/**
+ * Analysis Share Links Migration
+ * Public, revocable permalinks to individual ErrorQueries
+ * (POST /api/errors/:id/share, GET /api/public/analyses/:token).
+ */
+
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    console.log('🚀 Creating analysis share links table...');
+
+    try {
+      await queryInterface.createTable('AnalysisShareLinks', {
+        id: {
+          type: Sequelize.UUID,
+          defaultValue: Sequelize.UUIDV4,
+          primaryKey: true
+        },
+        errorQueryId: {
+          type: Sequelize.UUID,
+          allowNull: false,
+          references: {
+            model: 'ErrorQueries',
+            key: 'id'
+          },
+          onUpdate: 'CASCADE',
+          onDelete: 'CASCADE'
+        },
+        userId: {
+          type: Sequelize.UUID,
+          allowNull: false,
+          references: {
+            model: 'Users',
+            key: 'id'
+          },
+          onUpdate: 'CASCADE',
+          onDelete: 'CASCADE'
+        },
+        token: {
+          type: Sequelize.STRING(64),
+          allowNull: false,
+          unique: true
+        },
+        redactCode: {
+          type: Sequelize.BOOLEAN,
+          allowNull: false,
+          defaultValue: false
+        },
+        expiresAt: {
+          type: Sequelize.DATE,
+          allowNull: true
+        },
+        revokedAt: {
+          type: Sequelize.DATE,
+          allowNull: true
+        },
+        viewCount: {
+          type: Sequelize.INTEGER,
+          allowNull: false,
+          defaultValue: 0
+        },
+        lastViewedAt: {
+          type: Sequelize.DATE,
+          allowNull: true
+        },
+        createdAt: {
+          type: Sequelize.DATE,
+          allowNull: false,
+          defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+        },
+        updatedAt: {
+          type: Sequelize.DATE,
+          allowNull: false,
+          defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+        }
+      });
+      console.log('✓ Created table: AnalysisShareLinks');
+
+      await queryInterface.addIndex('AnalysisShareLinks', ['userId', 'createdAt'], {
+        name: 'idx_share_links_user_created'
+      });
+      await queryInterface.addIndex('AnalysisShareLinks', ['errorQueryId'], {
+        name: 'idx_share_links_error_query'
+      });
+      console.log('✓ Added share link indexes');
+
+      console.log('\n✅ Share links migration complete!');
+    } catch (error) {
+      console.error('❌ Error creating share links table:', error);
+      throw error;
+    }
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    try {
+      await queryInterface.dropTable('AnalysisShareLinks');
+
+      console.log('✅ Dropped share links table');
+    } catch (error) {
+      console.error('❌ Error dropping share links table:', error);
+      throw error;
+    }
+  }
+};
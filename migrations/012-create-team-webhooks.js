@@ -0,0 +1,188 @@
+/**
+ * Team Webhooks Migration
+ * Outbound webhook endpoints registered by teams (/api/teams/:teamId/webhooks)
+ * and the log of every delivery attempt made to them.
+ */
+
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    console.log('🚀 Creating team webhook tables...');
+
+    try {
+      await queryInterface.createTable('team_webhooks', {
+        id: {
+          type: Sequelize.UUID,
+          defaultValue: Sequelize.UUIDV4,
+          primaryKey: true
+        },
+        team_id: {
+          type: Sequelize.INTEGER,
+          allowNull: false,
+          references: {
+            model: 'teams',
+            key: 'id'
+          },
+          onUpdate: 'CASCADE',
+          onDelete: 'CASCADE'
+        },
+        created_by: {
+          type: Sequelize.UUID,
+          allowNull: false,
+          references: {
+            model: 'users',
+            key: 'id'
+          }
+        },
+        url: {
+          type: Sequelize.STRING(2048),
+          allowNull: false
+        },
+        secret: {
+          type: Sequelize.STRING,
+          allowNull: false
+        },
+        events: {
+          type: Sequelize.JSON,
+          allowNull: false,
+          defaultValue: ['*']
+        },
+        description: {
+          type: Sequelize.STRING(200),
+          allowNull: true
+        },
+        is_active: {
+          type: Sequelize.BOOLEAN,
+          defaultValue: true
+        },
+        failure_count: {
+          type: Sequelize.INTEGER,
+          defaultValue: 0
+        },
+        disabled_reason: {
+          type: Sequelize.STRING,
+          allowNull: true
+        },
+        last_delivery_at: {
+          type: Sequelize.DATE,
+          allowNull: true
+        },
+        last_delivery_status: {
+          type: Sequelize.STRING(20),
+          allowNull: true
+        },
+        created_at: {
+          type: Sequelize.DATE,
+          allowNull: false,
+          defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+        },
+        updated_at: {
+          type: Sequelize.DATE,
+          allowNull: false,
+          defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+        }
+      });
+      console.log('✓ Created table: team_webhooks');
+
+      await queryInterface.createTable('webhook_deliveries', {
+        id: {
+          type: Sequelize.UUID,
+          defaultValue: Sequelize.UUIDV4,
+          primaryKey: true
+        },
+        webhook_id: {
+          type: Sequelize.UUID,
+          allowNull: false,
+          references: {
+            model: 'team_webhooks',
+            key: 'id'
+          },
+          onUpdate: 'CASCADE',
+          onDelete: 'CASCADE'
+        },
+        event: {
+          type: Sequelize.STRING(64),
+          allowNull: false
+        },
+        payload: {
+          type: Sequelize.JSONB,
+          allowNull: false
+        },
+        status: {
+          type: Sequelize.ENUM('pending', 'delivering', 'retrying', 'success', 'failed'),
+          allowNull: false,
+          defaultValue: 'pending'
+        },
+        attempts: {
+          type: Sequelize.INTEGER,
+          defaultValue: 0
+        },
+        response_status: {
+          type: Sequelize.INTEGER,
+          allowNull: true
+        },
+        response_body: {
+          type: Sequelize.TEXT,
+          allowNull: true
+        },
+        error: {
+          type: Sequelize.TEXT,
+          allowNull: true
+        },
+        duration_ms: {
+          type: Sequelize.INTEGER,
+          allowNull: true
+        },
+        next_attempt_at: {
+          type: Sequelize.DATE,
+          allowNull: true
+        },
+        delivered_at: {
+          type: Sequelize.DATE,
+          allowNull: true
+        },
+        created_at: {
+          type: Sequelize.DATE,
+          allowNull: false,
+          defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+        },
+        updated_at: {
+          type: Sequelize.DATE,
+          allowNull: false,
+          defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+        }
+      });
+      console.log('✓ Created table: webhook_deliveries');
+
+      await queryInterface.addIndex('team_webhooks', ['team_id'], {
+        name: 'idx_team_webhooks_team'
+      });
+      await queryInterface.addIndex('webhook_deliveries', ['webhook_id', 'created_at'], {
+        name: 'idx_webhook_deliveries_webhook_created'
+      });
+      await queryInterface.addIndex('webhook_deliveries', ['status', 'next_attempt_at'], {
+        name: 'idx_webhook_deliveries_retry'
+      });
+      console.log('✓ Added webhook indexes');
+
+      console.log('\n✅ Team webhooks migration complete!');
+    } catch (error) {
+      console.error('❌ Error creating team webhook tables:', error);
+      throw error;
+    }
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    try {
+      await queryInterface.dropTable('webhook_deliveries');
+      await queryInterface.dropTable('team_webhooks');
+      await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_webhook_deliveries_status";');
+
+      console.log('✅ Dropped team webhook tables');
+    } catch (error) {
+      console.error('❌ Error dropping team webhook tables:', error);
+      throw error;
+    }
+  }
+};
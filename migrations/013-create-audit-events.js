@@ -0,0 +1,123 @@
+/**
+ * Audit Events Migration
+ * Append-only log of admin and account actions. A trigger rejects UPDATE and
+ * DELETE so rows stay immutable even outside the application.
+ */
+
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    console.log('🚀 Creating audit events table...');
+
+    try {
+      await queryInterface.createTable('AuditEvents', {
+        id: {
+          type: Sequelize.UUID,
+          defaultValue: Sequelize.UUIDV4,
+          primaryKey: true
+        },
+        action: {
+          type: Sequelize.STRING(100),
+          allowNull: false
+        },
+        actorId: {
+          type: Sequelize.UUID,
+          allowNull: true
+        },
+        actorEmail: {
+          type: Sequelize.STRING,
+          allowNull: true
+        },
+        actorRole: {
+          type: Sequelize.STRING(20),
+          allowNull: true
+        },
+        targetType: {
+          type: Sequelize.STRING(50),
+          allowNull: true
+        },
+        targetId: {
+          type: Sequelize.STRING,
+          allowNull: true
+        },
+        targetLabel: {
+          type: Sequelize.STRING,
+          allowNull: true
+        },
+        teamId: {
+          type: Sequelize.INTEGER,
+          allowNull: true
+        },
+        ipAddress: {
+          type: Sequelize.STRING(64),
+          allowNull: true
+        },
+        userAgent: {
+          type: Sequelize.STRING(512),
+          allowNull: true
+        },
+        changes: {
+          type: Sequelize.JSONB,
+          allowNull: true
+        },
+        metadata: {
+          type: Sequelize.JSONB,
+          allowNull: true
+        },
+        createdAt: {
+          type: Sequelize.DATE,
+          allowNull: false,
+          defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+        }
+      });
+      console.log('✓ Created table: AuditEvents');
+
+      await queryInterface.addIndex('AuditEvents', ['actorId', 'createdAt'], {
+        name: 'idx_audit_events_actor_created'
+      });
+      await queryInterface.addIndex('AuditEvents', ['targetType', 'targetId', 'createdAt'], {
+        name: 'idx_audit_events_target_created'
+      });
+      await queryInterface.addIndex('AuditEvents', ['teamId', 'createdAt'], {
+        name: 'idx_audit_events_team_created'
+      });
+      await queryInterface.addIndex('AuditEvents', ['action'], {
+        name: 'idx_audit_events_action'
+      });
+      console.log('✓ Added audit event indexes');
+
+      await queryInterface.sequelize.query(`
+        CREATE OR REPLACE FUNCTION audit_events_immutable() RETURNS trigger AS $$
+        BEGIN
+          RAISE EXCEPTION 'Audit events are append-only';
+        END;
+        $$ LANGUAGE plpgsql;
+      `);
+      await queryInterface.sequelize.query(`
+        CREATE TRIGGER audit_events_no_update_delete
+        BEFORE UPDATE OR DELETE ON "AuditEvents"
+        FOR EACH ROW EXECUTE FUNCTION audit_events_immutable();
+      `);
+      console.log('✓ Added append-only trigger');
+
+      console.log('\n✅ Audit events migration complete!');
+    } catch (error) {
+      console.error('❌ Error creating audit events table:', error);
+      throw error;
+    }
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    try {
+      await queryInterface.sequelize.query('DROP TRIGGER IF EXISTS audit_events_no_update_delete ON "AuditEvents";');
+      await queryInterface.sequelize.query('DROP FUNCTION IF EXISTS audit_events_immutable();');
+      await queryInterface.dropTable('AuditEvents');
+
+      console.log('✅ Dropped audit events table');
+    } catch (error) {
+      console.error('❌ Error dropping audit events table:', error);
+      throw error;
+    }
+  }
+};
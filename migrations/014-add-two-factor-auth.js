@@ -0,0 +1,58 @@
+/**
+ * Two-Factor Authentication Migration
+ * Authenticator-app (TOTP) columns on users: encrypted secret, hashed recovery
+ * codes and the last accepted time step.
+ */
+
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    console.log('🚀 Adding two-factor authentication columns...');
+
+    try {
+      await queryInterface.addColumn('users', 'two_factor_enabled', {
+        type: Sequelize.BOOLEAN,
+        allowNull: false,
+        defaultValue: false
+      });
+      await queryInterface.addColumn('users', 'two_factor_secret', {
+        type: Sequelize.STRING,
+        allowNull: true
+      });
+      await queryInterface.addColumn('users', 'two_factor_recovery_codes', {
+        type: Sequelize.JSON,
+        allowNull: true
+      });
+      await queryInterface.addColumn('users', 'two_factor_last_used_step', {
+        type: Sequelize.BIGINT,
+        allowNull: true
+      });
+      await queryInterface.addColumn('users', 'two_factor_enabled_at', {
+        type: Sequelize.DATE,
+        allowNull: true
+      });
+      console.log('✓ Added columns: two_factor_enabled, two_factor_secret, two_factor_recovery_codes, two_factor_last_used_step, two_factor_enabled_at');
+
+      console.log('\n✅ Two-factor authentication migration complete!');
+    } catch (error) {
+      console.error('❌ Error adding two-factor authentication columns:', error);
+      throw error;
+    }
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    try {
+      await queryInterface.removeColumn('users', 'two_factor_enabled_at');
+      await queryInterface.removeColumn('users', 'two_factor_last_used_step');
+      await queryInterface.removeColumn('users', 'two_factor_recovery_codes');
+      await queryInterface.removeColumn('users', 'two_factor_secret');
+      await queryInterface.removeColumn('users', 'two_factor_enabled');
+
+      console.log('✅ Removed two-factor authentication columns');
+    } catch (error) {
+      console.error('❌ Error removing two-factor authentication columns:', error);
+      throw error;
+    }
+  }
+};
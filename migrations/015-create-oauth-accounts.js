@@ -0,0 +1,109 @@
+/**
+ * OAuth Accounts Migration
+ * GitHub/Google identities linked to users. Accounts created through OAuth
+ * have no password, so users.password becomes nullable.
+ */
+
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    console.log('🚀 Creating OAuth accounts table...');
+
+    try {
+      await queryInterface.createTable('oauth_accounts', {
+        id: {
+          type: Sequelize.UUID,
+          defaultValue: Sequelize.UUIDV4,
+          primaryKey: true
+        },
+        user_id: {
+          type: Sequelize.UUID,
+          allowNull: false,
+          references: {
+            model: 'users',
+            key: 'id'
+          },
+          onUpdate: 'CASCADE',
+          onDelete: 'CASCADE'
+        },
+        provider: {
+          type: Sequelize.STRING(20),
+          allowNull: false
+        },
+        provider_user_id: {
+          type: Sequelize.STRING,
+          allowNull: false
+        },
+        email: {
+          type: Sequelize.STRING,
+          allowNull: true
+        },
+        username: {
+          type: Sequelize.STRING,
+          allowNull: true
+        },
+        display_name: {
+          type: Sequelize.STRING,
+          allowNull: true
+        },
+        avatar_url: {
+          type: Sequelize.STRING(2048),
+          allowNull: true
+        },
+        last_login_at: {
+          type: Sequelize.DATE,
+          allowNull: true
+        },
+        created_at: {
+          type: Sequelize.DATE,
+          allowNull: false,
+          defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+        },
+        updated_at: {
+          type: Sequelize.DATE,
+          allowNull: false,
+          defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+        }
+      });
+      console.log('✓ Created table: oauth_accounts');
+
+      await queryInterface.addIndex('oauth_accounts', ['provider', 'provider_user_id'], {
+        unique: true,
+        name: 'idx_oauth_accounts_provider_identity'
+      });
+      await queryInterface.addIndex('oauth_accounts', ['user_id', 'provider'], {
+        unique: true,
+        name: 'idx_oauth_accounts_user_provider'
+      });
+      console.log('✓ Added OAuth account indexes');
+
+      await queryInterface.changeColumn('users', 'password', {
+        type: Sequelize.STRING,
+        allowNull: true
+      });
+      console.log('✓ users.password is now nullable');
+
+      console.log('\n✅ OAuth accounts migration complete!');
+    } catch (error) {
+      console.error('❌ Error creating OAuth accounts table:', error);
+      throw error;
+    }
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    try {
+      await queryInterface.dropTable('oauth_accounts');
+      // Fails if OAuth-only users exist - give them a password (or remove them) first
+      await queryInterface.changeColumn('users', 'password', {
+        type: Sequelize.STRING,
+        allowNull: false
+      });
+
+      console.log('✅ Dropped OAuth accounts table');
+    } catch (error) {
+      console.error('❌ Error dropping OAuth accounts table:', error);
+      throw error;
+    }
+  }
+};
@@ -0,0 +1,115 @@
+/**
+ * API Keys Migration
+ * Hashed personal and team-scoped API keys accepted by authMiddleware through
+ * the "Authorization: ApiKey <key>" scheme.
+ */
+
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    console.log('🚀 Creating API keys table...');
+
+    try {
+      await queryInterface.createTable('api_keys', {
+        id: {
+          type: Sequelize.UUID,
+          defaultValue: Sequelize.UUIDV4,
+          primaryKey: true
+        },
+        user_id: {
+          type: Sequelize.UUID,
+          allowNull: false,
+          references: {
+            model: 'users',
+            key: 'id'
+          },
+          onUpdate: 'CASCADE',
+          onDelete: 'CASCADE'
+        },
+        team_id: {
+          type: Sequelize.INTEGER,
+          allowNull: true,
+          references: {
+            model: 'teams',
+            key: 'id'
+          },
+          onUpdate: 'CASCADE',
+          onDelete: 'CASCADE'
+        },
+        name: {
+          type: Sequelize.STRING(100),
+          allowNull: false
+        },
+        key_prefix: {
+          type: Sequelize.STRING(16),
+          allowNull: false
+        },
+        key_hash: {
+          type: Sequelize.STRING(64),
+          allowNull: false
+        },
+        scopes: {
+          type: Sequelize.JSON,
+          allowNull: false,
+          defaultValue: []
+        },
+        expires_at: {
+          type: Sequelize.DATE,
+          allowNull: true
+        },
+        last_used_at: {
+          type: Sequelize.DATE,
+          allowNull: true
+        },
+        last_used_ip: {
+          type: Sequelize.STRING(64),
+          allowNull: true
+        },
+        revoked_at: {
+          type: Sequelize.DATE,
+          allowNull: true
+        },
+        created_at: {
+          type: Sequelize.DATE,
+          allowNull: false,
+          defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+        },
+        updated_at: {
+          type: Sequelize.DATE,
+          allowNull: false,
+          defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+        }
+      });
+      console.log('✓ Created table: api_keys');
+
+      await queryInterface.addIndex('api_keys', ['key_hash'], {
+        unique: true,
+        name: 'idx_api_keys_key_hash'
+      });
+      await queryInterface.addIndex('api_keys', ['user_id'], {
+        name: 'idx_api_keys_user'
+      });
+      await queryInterface.addIndex('api_keys', ['team_id'], {
+        name: 'idx_api_keys_team'
+      });
+      console.log('✓ Added API key indexes');
+
+      console.log('\n✅ API keys migration complete!');
+    } catch (error) {
+      console.error('❌ Error creating API keys table:', error);
+      throw error;
+    }
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    try {
+      await queryInterface.dropTable('api_keys');
+
+      console.log('✅ Dropped API keys table');
+    } catch (error) {
+      console.error('❌ Error dropping API keys table:', error);
+      throw error;
+    }
+  }
+};
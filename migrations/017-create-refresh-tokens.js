@@ -0,0 +1,96 @@
+/**
+ * Refresh Tokens Migration
+ * Server-side record of rotating refresh tokens, grouped into families (one
+ * per login) so reuse of a rotated token can revoke the whole family.
+ */
+
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    console.log('🚀 Creating refresh tokens table...');
+
+    try {
+      await queryInterface.createTable('refresh_tokens', {
+        id: {
+          type: Sequelize.UUID,
+          defaultValue: Sequelize.UUIDV4,
+          primaryKey: true
+        },
+        family_id: {
+          type: Sequelize.STRING(64),
+          allowNull: false
+        },
+        user_id: {
+          type: Sequelize.UUID,
+          allowNull: false,
+          references: {
+            model: 'users',
+            key: 'id'
+          },
+          onUpdate: 'CASCADE',
+          onDelete: 'CASCADE'
+        },
+        expires_at: {
+          type: Sequelize.DATE,
+          allowNull: false
+        },
+        rotated_at: {
+          type: Sequelize.DATE,
+          allowNull: true
+        },
+        replaced_by: {
+          type: Sequelize.UUID,
+          allowNull: true
+        },
+        revoked_at: {
+          type: Sequelize.DATE,
+          allowNull: true
+        },
+        revoked_reason: {
+          type: Sequelize.STRING(50),
+          allowNull: true
+        },
+        created_ip: {
+          type: Sequelize.STRING(64),
+          allowNull: true
+        },
+        created_at: {
+          type: Sequelize.DATE,
+          allowNull: false,
+          defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+        },
+        updated_at: {
+          type: Sequelize.DATE,
+          allowNull: false,
+          defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+        }
+      });
+      console.log('✓ Created table: refresh_tokens');
+
+      await queryInterface.addIndex('refresh_tokens', ['family_id'], {
+        name: 'idx_refresh_tokens_family'
+      });
+      await queryInterface.addIndex('refresh_tokens', ['user_id', 'expires_at'], {
+        name: 'idx_refresh_tokens_user_expires'
+      });
+      console.log('✓ Added refresh token indexes');
+
+      console.log('\n✅ Refresh tokens migration complete!');
+    } catch (error) {
+      console.error('❌ Error creating refresh tokens table:', error);
+      throw error;
+    }
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    try {
+      await queryInterface.dropTable('refresh_tokens');
+
+      console.log('✅ Dropped refresh tokens table');
+    } catch (error) {
+      console.error('❌ Error dropping refresh tokens table:', error);
+      throw error;
+    }
+  }
+};
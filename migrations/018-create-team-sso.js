@@ -0,0 +1,181 @@
+/**
+ * Team SSO Migration
+ * Per-team SAML 2.0 / OIDC identity provider settings and the email domains a
+ * team has proven it owns (DNS TXT verification).
+ */
+
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    console.log('🚀 Creating team SSO tables...');
+
+    try {
+      await queryInterface.createTable('team_sso_connections', {
+        id: {
+          type: Sequelize.UUID,
+          defaultValue: Sequelize.UUIDV4,
+          primaryKey: true
+        },
+        team_id: {
+          type: Sequelize.INTEGER,
+          allowNull: false,
+          unique: true,
+          references: {
+            model: 'teams',
+            key: 'id'
+          },
+          onUpdate: 'CASCADE',
+          onDelete: 'CASCADE'
+        },
+        protocol: {
+          type: Sequelize.STRING(10),
+          allowNull: false
+        },
+        enabled: {
+          type: Sequelize.BOOLEAN,
+          allowNull: false,
+          defaultValue: false
+        },
+        enforced: {
+          type: Sequelize.BOOLEAN,
+          allowNull: false,
+          defaultValue: false
+        },
+        jit_provisioning: {
+          type: Sequelize.BOOLEAN,
+          allowNull: false,
+          defaultValue: true
+        },
+        default_role: {
+          type: Sequelize.STRING(20),
+          allowNull: false,
+          defaultValue: 'member'
+        },
+        saml_entry_point: {
+          type: Sequelize.TEXT,
+          allowNull: true
+        },
+        saml_idp_issuer: {
+          type: Sequelize.STRING(512),
+          allowNull: true
+        },
+        saml_idp_cert: {
+          type: Sequelize.TEXT,
+          allowNull: true
+        },
+        oidc_issuer: {
+          type: Sequelize.STRING(512),
+          allowNull: true
+        },
+        oidc_client_id: {
+          type: Sequelize.STRING(255),
+          allowNull: true
+        },
+        oidc_client_secret: {
+          type: Sequelize.TEXT,
+          allowNull: true
+        },
+        created_by: {
+          type: Sequelize.UUID,
+          allowNull: true,
+          references: {
+            model: 'users',
+            key: 'id'
+          },
+          onUpdate: 'CASCADE',
+          onDelete: 'SET NULL'
+        },
+        last_login_at: {
+          type: Sequelize.DATE,
+          allowNull: true
+        },
+        created_at: {
+          type: Sequelize.DATE,
+          allowNull: false,
+          defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+        },
+        updated_at: {
+          type: Sequelize.DATE,
+          allowNull: false,
+          defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+        }
+      });
+      console.log('✓ Created table: team_sso_connections');
+
+      await queryInterface.createTable('team_sso_domains', {
+        id: {
+          type: Sequelize.UUID,
+          defaultValue: Sequelize.UUIDV4,
+          primaryKey: true
+        },
+        team_id: {
+          type: Sequelize.INTEGER,
+          allowNull: false,
+          references: {
+            model: 'teams',
+            key: 'id'
+          },
+          onUpdate: 'CASCADE',
+          onDelete: 'CASCADE'
+        },
+        domain: {
+          type: Sequelize.STRING(253),
+          allowNull: false
+        },
+        verification_token: {
+          type: Sequelize.STRING(64),
+          allowNull: false
+        },
+        verified_at: {
+          type: Sequelize.DATE,
+          allowNull: true
+        },
+        last_checked_at: {
+          type: Sequelize.DATE,
+          allowNull: true
+        },
+        created_at: {
+          type: Sequelize.DATE,
+          allowNull: false,
+          defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+        },
+        updated_at: {
+          type: Sequelize.DATE,
+          allowNull: false,
+          defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+        }
+      });
+      console.log('✓ Created table: team_sso_domains');
+
+      await queryInterface.addIndex('team_sso_domains', ['team_id', 'domain'], {
+        unique: true,
+        name: 'idx_team_sso_domains_team_domain'
+      });
+      // Several teams may start verifying a domain, but only one can own it
+      await queryInterface.addIndex('team_sso_domains', ['domain'], {
+        unique: true,
+        where: { verified_at: { [Sequelize.Op.ne]: null } },
+        name: 'idx_team_sso_domains_verified_domain'
+      });
+      console.log('✓ Added team SSO indexes');
+
+      console.log('\n✅ Team SSO migration complete!');
+    } catch (error) {
+      console.error('❌ Error creating team SSO tables:', error);
+      throw error;
+    }
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    try {
+      await queryInterface.dropTable('team_sso_domains');
+      await queryInterface.dropTable('team_sso_connections');
+
+      console.log('✅ Dropped team SSO tables');
+    } catch (error) {
+      console.error('❌ Error dropping team SSO tables:', error);
+      throw error;
+    }
+  }
+};
@@ -0,0 +1,43 @@
+/**
+ * SCIM Provisioning Migration
+ * Stores the identity provider's externalId on team memberships created or
+ * managed through the SCIM 2.0 endpoints.
+ */
+
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    console.log('🚀 Adding SCIM columns to team members...');
+
+    try {
+      await queryInterface.addColumn('team_members', 'scim_external_id', {
+        type: Sequelize.STRING(255),
+        allowNull: true
+      });
+      console.log('✓ Added column: scim_external_id');
+
+      await queryInterface.addIndex('team_members', ['team_id', 'scim_external_id'], {
+        name: 'idx_team_members_scim_external_id'
+      });
+      console.log('✓ Added SCIM index');
+
+      console.log('\n✅ SCIM provisioning migration complete!');
+    } catch (error) {
+      console.error('❌ Error adding SCIM columns:', error);
+      throw error;
+    }
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    try {
+      await queryInterface.removeIndex('team_members', 'idx_team_members_scim_external_id');
+      await queryInterface.removeColumn('team_members', 'scim_external_id');
+
+      console.log('✅ Removed SCIM columns from team members');
+    } catch (error) {
+      console.error('❌ Error removing SCIM columns:', error);
+      throw error;
+    }
+  }
+};
@@ -0,0 +1,144 @@
+/**
+ * Shared Error Comments Migration
+ * Threaded discussion on team shared errors: markdown bodies, @mentions,
+ * reactions and the edit history of each comment.
+ */
+
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    console.log('🚀 Creating shared error comments table...');
+
+    try {
+      await queryInterface.createTable('shared_error_comments', {
+        id: {
+          type: Sequelize.UUID,
+          defaultValue: Sequelize.UUIDV4,
+          primaryKey: true
+        },
+        shared_error_id: {
+          type: Sequelize.INTEGER,
+          allowNull: false,
+          references: {
+            model: 'shared_errors',
+            key: 'id'
+          },
+          onUpdate: 'CASCADE',
+          onDelete: 'CASCADE'
+        },
+        team_id: {
+          type: Sequelize.INTEGER,
+          allowNull: false,
+          references: {
+            model: 'teams',
+            key: 'id'
+          },
+          onUpdate: 'CASCADE',
+          onDelete: 'CASCADE'
+        },
+        author_id: {
+          type: Sequelize.UUID,
+          allowNull: true,
+          references: {
+            model: 'users',
+            key: 'id'
+          },
+          onUpdate: 'CASCADE',
+          onDelete: 'SET NULL'
+        },
+        parent_id: {
+          type: Sequelize.UUID,
+          allowNull: true,
+          references: {
+            model: 'shared_error_comments',
+            key: 'id'
+          },
+          onUpdate: 'CASCADE',
+          onDelete: 'CASCADE'
+        },
+        depth: {
+          type: Sequelize.INTEGER,
+          allowNull: false,
+          defaultValue: 0
+        },
+        body: {
+          type: Sequelize.TEXT,
+          allowNull: true
+        },
+        mentions: {
+          type: Sequelize.JSON,
+          allowNull: false,
+          defaultValue: []
+        },
+        reactions: {
+          type: Sequelize.JSON,
+          allowNull: false,
+          defaultValue: {}
+        },
+        edit_history: {
+          type: Sequelize.JSON,
+          allowNull: false,
+          defaultValue: []
+        },
+        edited_at: {
+          type: Sequelize.DATE,
+          allowNull: true
+        },
+        deleted_at: {
+          type: Sequelize.DATE,
+          allowNull: true
+        },
+        deleted_by: {
+          type: Sequelize.UUID,
+          allowNull: true,
+          references: {
+            model: 'users',
+            key: 'id'
+          },
+          onUpdate: 'CASCADE',
+          onDelete: 'SET NULL'
+        },
+        created_at: {
+          type: Sequelize.DATE,
+          allowNull: false,
+          defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+        },
+        updated_at: {
+          type: Sequelize.DATE,
+          allowNull: false,
+          defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+        }
+      });
+      console.log('✓ Created table: shared_error_comments');
+
+      await queryInterface.addIndex('shared_error_comments', ['shared_error_id', 'created_at'], {
+        name: 'idx_shared_error_comments_error_created'
+      });
+      await queryInterface.addIndex('shared_error_comments', ['parent_id'], {
+        name: 'idx_shared_error_comments_parent'
+      });
+      console.log('✓ Added shared error comment indexes');
+
+      // No comments could be stored before this table existed
+      await queryInterface.sequelize.query('UPDATE shared_errors SET discussion_count = 0');
+      console.log('✓ Reset shared error discussion counts');
+
+      console.log('\n✅ Shared error comments migration complete!');
+    } catch (error) {
+      console.error('❌ Error creating shared error comments table:', error);
+      throw error;
+    }
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    try {
+      await queryInterface.dropTable('shared_error_comments');
+
+      console.log('✅ Dropped shared error comments table');
+    } catch (error) {
+      console.error('❌ Error dropping shared error comments table:', error);
+      throw error;
+    }
+  }
+};
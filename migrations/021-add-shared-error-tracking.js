@@ -0,0 +1,121 @@
+/**
+ * Shared Error Tracking Migration
+ * Assignees, due dates, SLA deadlines and time-in-status tracking for team
+ * shared errors.
+ */
+
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    console.log('🚀 Adding assignment and SLA tracking to shared errors...');
+
+    try {
+      const columns = {
+        due_at: { type: Sequelize.DATE, allowNull: true },
+        sla_due_at: { type: Sequelize.DATE, allowNull: true },
+        resolved_at: { type: Sequelize.DATE, allowNull: true },
+        status_changed_at: { type: Sequelize.DATE, allowNull: true },
+        status_durations: { type: Sequelize.JSON, allowNull: false, defaultValue: {} },
+        reminded_at: { type: Sequelize.DATE, allowNull: true }
+      };
+
+      for (const [name, definition] of Object.entries(columns)) {
+        await queryInterface.addColumn('shared_errors', name, definition);
+        console.log(`✓ Added column: ${name}`);
+      }
+
+      // Best available history for existing rows: the last update is when the
+      // current status began, and resolved errors were resolved at that time
+      await queryInterface.sequelize.query('UPDATE shared_errors SET status_changed_at = COALESCE(updated_at, created_at)');
+      await queryInterface.sequelize.query("UPDATE shared_errors SET resolved_at = updated_at WHERE status = 'resolved'");
+      console.log('✓ Backfilled status timestamps');
+
+      await queryInterface.createTable('shared_error_assignees', {
+        id: {
+          type: Sequelize.UUID,
+          defaultValue: Sequelize.UUIDV4,
+          primaryKey: true
+        },
+        shared_error_id: {
+          type: Sequelize.INTEGER,
+          allowNull: false,
+          references: {
+            model: 'shared_errors',
+            key: 'id'
+          },
+          onUpdate: 'CASCADE',
+          onDelete: 'CASCADE'
+        },
+        user_id: {
+          type: Sequelize.UUID,
+          allowNull: false,
+          references: {
+            model: 'users',
+            key: 'id'
+          },
+          onUpdate: 'CASCADE',
+          onDelete: 'CASCADE'
+        },
+        assigned_by: {
+          type: Sequelize.UUID,
+          allowNull: true,
+          references: {
+            model: 'users',
+            key: 'id'
+          },
+          onUpdate: 'CASCADE',
+          onDelete: 'SET NULL'
+        },
+        created_at: {
+          type: Sequelize.DATE,
+          allowNull: false,
+          defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+        },
+        updated_at: {
+          type: Sequelize.DATE,
+          allowNull: false,
+          defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+        }
+      });
+      console.log('✓ Created table: shared_error_assignees');
+
+      await queryInterface.addIndex('shared_error_assignees', ['shared_error_id', 'user_id'], {
+        unique: true,
+        name: 'idx_shared_error_assignees_error_user'
+      });
+      await queryInterface.addIndex('shared_error_assignees', ['user_id'], {
+        name: 'idx_shared_error_assignees_user'
+      });
+      await queryInterface.addIndex('shared_errors', ['team_id', 'status', 'sla_due_at'], {
+        name: 'idx_shared_errors_team_status_sla'
+      });
+      await queryInterface.addIndex('shared_errors', ['team_id', 'status', 'due_at'], {
+        name: 'idx_shared_errors_team_status_due'
+      });
+      console.log('✓ Added shared error tracking indexes');
+
+      console.log('\n✅ Shared error tracking migration complete!');
+    } catch (error) {
+      console.error('❌ Error adding shared error tracking:', error);
+      throw error;
+    }
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    try {
+      await queryInterface.removeIndex('shared_errors', 'idx_shared_errors_team_status_due');
+      await queryInterface.removeIndex('shared_errors', 'idx_shared_errors_team_status_sla');
+      await queryInterface.dropTable('shared_error_assignees');
+
+      for (const name of ['reminded_at', 'status_durations', 'status_changed_at', 'resolved_at', 'sla_due_at', 'due_at']) {
+        await queryInterface.removeColumn('shared_errors', name);
+      }
+
+      console.log('✅ Removed shared error tracking');
+    } catch (error) {
+      console.error('❌ Error removing shared error tracking:', error);
+      throw error;
+    }
+  }
+};
@@ -0,0 +1,167 @@
+/**
+ * Shared Error Votes Migration
+ * Moves votes out of the shared_errors.votes JSON blob into one row per member
+ * and shared error, and adds the counters the ranking sorts use.
+ */
+
+'use strict';
+
+const { v4: uuidv4 } = require('uuid');
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    console.log('🚀 Creating shared error votes table...');
+
+    try {
+      await queryInterface.createTable('shared_error_votes', {
+        id: {
+          type: Sequelize.UUID,
+          defaultValue: Sequelize.UUIDV4,
+          primaryKey: true
+        },
+        shared_error_id: {
+          type: Sequelize.INTEGER,
+          allowNull: false,
+          references: {
+            model: 'shared_errors',
+            key: 'id'
+          },
+          onUpdate: 'CASCADE',
+          onDelete: 'CASCADE'
+        },
+        user_id: {
+          type: Sequelize.UUID,
+          allowNull: false,
+          references: {
+            model: 'users',
+            key: 'id'
+          },
+          onUpdate: 'CASCADE',
+          onDelete: 'CASCADE'
+        },
+        value: {
+          type: Sequelize.SMALLINT,
+          allowNull: true
+        },
+        hit_at: {
+          type: Sequelize.DATE,
+          allowNull: true
+        },
+        created_at: {
+          type: Sequelize.DATE,
+          allowNull: false,
+          defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+        },
+        updated_at: {
+          type: Sequelize.DATE,
+          allowNull: false,
+          defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+        }
+      });
+      console.log('✓ Created table: shared_error_votes');
+
+      // One row per member - concurrent votes can't be counted twice
+      await queryInterface.addIndex('shared_error_votes', ['shared_error_id', 'user_id'], {
+        unique: true,
+        name: 'idx_shared_error_votes_error_user'
+      });
+      await queryInterface.sequelize.query(
+        'ALTER TABLE shared_error_votes ADD CONSTRAINT chk_shared_error_votes_value CHECK (value IN (-1, 1))'
+      );
+      console.log('✓ Added vote constraints');
+
+      const counters = {
+        upvote_count: { type: Sequelize.INTEGER, allowNull: false, defaultValue: 0 },
+        downvote_count: { type: Sequelize.INTEGER, allowNull: false, defaultValue: 0 },
+        score: { type: Sequelize.INTEGER, allowNull: false, defaultValue: 0 },
+        hit_count: { type: Sequelize.INTEGER, allowNull: false, defaultValue: 0 },
+        last_hit_at: { type: Sequelize.DATE, allowNull: true }
+      };
+      for (const [name, definition] of Object.entries(counters)) {
+        await queryInterface.addColumn('shared_errors', name, definition);
+        console.log(`✓ Added column: ${name}`);
+      }
+
+      // Carry over whatever the old JSON blob held, skipping deleted accounts
+      const [rows] = await queryInterface.sequelize.query('SELECT id, votes FROM shared_errors');
+      const [users] = await queryInterface.sequelize.query('SELECT id FROM users');
+      const userIds = new Set(users.map(user => String(user.id)));
+      const votes = [];
+      for (const row of rows) {
+        const blob = (typeof row.votes === 'string' ? JSON.parse(row.votes) : row.votes) || {};
+        const down = new Set((blob.downvotes || []).map(String).filter(userId => userIds.has(userId)));
+        const up = new Set((blob.upvotes || []).map(String).filter(userId => userIds.has(userId) && !down.has(userId)));
+        for (const userId of up) votes.push({ shared_error_id: row.id, user_id: userId, value: 1 });
+        for (const userId of down) votes.push({ shared_error_id: row.id, user_id: userId, value: -1 });
+      }
+      if (votes.length > 0) {
+        const now = new Date();
+        await queryInterface.bulkInsert('shared_error_votes', votes.map(vote => ({
+          id: uuidv4(),
+          ...vote,
+          created_at: now,
+          updated_at: now
+        })));
+      }
+      console.log(`✓ Migrated ${votes.length} votes`);
+
+      await queryInterface.sequelize.query(`
+        UPDATE shared_errors SET
+          upvote_count = counts.up,
+          downvote_count = counts.down,
+          score = counts.up - counts.down
+        FROM (
+          SELECT shared_error_id,
+                 COUNT(*) FILTER (WHERE value = 1) AS up,
+                 COUNT(*) FILTER (WHERE value = -1) AS down
+          FROM shared_error_votes
+          GROUP BY shared_error_id
+        ) AS counts
+        WHERE shared_errors.id = counts.shared_error_id
+      `);
+
+      await queryInterface.removeColumn('shared_errors', 'votes');
+      console.log('✓ Removed column: votes');
+
+      await queryInterface.addIndex('shared_errors', ['team_id', 'score'], {
+        name: 'idx_shared_errors_team_score'
+      });
+      await queryInterface.addIndex('shared_errors', ['team_id', 'hit_count'], {
+        name: 'idx_shared_errors_team_hits'
+      });
+      console.log('✓ Added ranking indexes');
+
+      console.log('\n✅ Shared error votes migration complete!');
+    } catch (error) {
+      console.error('❌ Error creating shared error votes:', error);
+      throw error;
+    }
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    try {
+      await queryInterface.addColumn('shared_errors', 'votes', {
+        type: Sequelize.JSON,
+        defaultValue: { upvotes: [], downvotes: [] }
+      });
+      await queryInterface.sequelize.query(`
+        UPDATE shared_errors SET votes = json_build_object(
+          'upvotes', COALESCE((SELECT json_agg(user_id) FROM shared_error_votes v WHERE v.shared_error_id = shared_errors.id AND v.value = 1), '[]'::json),
+          'downvotes', COALESCE((SELECT json_agg(user_id) FROM shared_error_votes v WHERE v.shared_error_id = shared_errors.id AND v.value = -1), '[]'::json)
+        )
+      `);
+
+      await queryInterface.removeIndex('shared_errors', 'idx_shared_errors_team_hits');
+      await queryInterface.removeIndex('shared_errors', 'idx_shared_errors_team_score');
+      for (const name of ['last_hit_at', 'hit_count', 'score', 'downvote_count', 'upvote_count']) {
+        await queryInterface.removeColumn('shared_errors', name);
+      }
+      await queryInterface.dropTable('shared_error_votes');
+
+      console.log('✅ Restored shared_errors.votes and dropped shared_error_votes');
+    } catch (error) {
+      console.error('❌ Error reverting shared error votes:', error);
+      throw error;
+    }
+  }
+};
@@ -0,0 +1,155 @@
+/**
+ * Team Runbooks Migration
+ * Curated knowledge base entries, usually written when a shared error is
+ * resolved, with a generated tsvector column for full-text search.
+ */
+
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    console.log('🚀 Creating team runbooks table...');
+
+    try {
+      await queryInterface.createTable('team_runbooks', {
+        id: {
+          type: Sequelize.UUID,
+          defaultValue: Sequelize.UUIDV4,
+          primaryKey: true
+        },
+        team_id: {
+          type: Sequelize.INTEGER,
+          allowNull: false,
+          references: {
+            model: 'teams',
+            key: 'id'
+          },
+          onUpdate: 'CASCADE',
+          onDelete: 'CASCADE'
+        },
+        shared_error_id: {
+          type: Sequelize.INTEGER,
+          allowNull: true,
+          references: {
+            model: 'shared_errors',
+            key: 'id'
+          },
+          onUpdate: 'CASCADE',
+          onDelete: 'SET NULL'
+        },
+        error_query_id: {
+          type: Sequelize.UUID,
+          allowNull: true,
+          references: {
+            model: 'ErrorQueries',
+            key: 'id'
+          },
+          onUpdate: 'CASCADE',
+          onDelete: 'SET NULL'
+        },
+        title: {
+          type: Sequelize.STRING(200),
+          allowNull: false
+        },
+        symptoms: {
+          type: Sequelize.TEXT,
+          allowNull: false
+        },
+        root_cause: {
+          type: Sequelize.TEXT,
+          allowNull: true
+        },
+        fix_steps: {
+          type: Sequelize.JSON,
+          allowNull: false,
+          defaultValue: []
+        },
+        tags: {
+          type: Sequelize.JSON,
+          allowNull: false,
+          defaultValue: []
+        },
+        created_by: {
+          type: Sequelize.UUID,
+          allowNull: true,
+          references: {
+            model: 'users',
+            key: 'id'
+          },
+          onUpdate: 'CASCADE',
+          onDelete: 'SET NULL'
+        },
+        updated_by: {
+          type: Sequelize.UUID,
+          allowNull: true,
+          references: {
+            model: 'users',
+            key: 'id'
+          },
+          onUpdate: 'CASCADE',
+          onDelete: 'SET NULL'
+        },
+        citation_count: {
+          type: Sequelize.INTEGER,
+          allowNull: false,
+          defaultValue: 0
+        },
+        last_cited_at: {
+          type: Sequelize.DATE,
+          allowNull: true
+        },
+        created_at: {
+          type: Sequelize.DATE,
+          allowNull: false,
+          defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+        },
+        updated_at: {
+          type: Sequelize.DATE,
+          allowNull: false,
+          defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+        }
+      });
+      console.log('✓ Created table: team_runbooks');
+
+      // Title weighs most, then symptoms/root cause/tags, then the fix steps.
+      // Postgres keeps it in sync on every write, so the model never sets it.
+      await queryInterface.sequelize.query(`
+        ALTER TABLE team_runbooks ADD COLUMN search_vector tsvector GENERATED ALWAYS AS (
+          setweight(to_tsvector('english', coalesce(title, '')), 'A') ||
+          setweight(to_tsvector('english', coalesce(symptoms, '') || ' ' || coalesce(root_cause, '')), 'B') ||
+          setweight(to_tsvector('english', coalesce(tags::text, '')), 'B') ||
+          setweight(to_tsvector('english', coalesce(fix_steps::text, '')), 'C')
+        ) STORED
+      `);
+      await queryInterface.sequelize.query(
+        'CREATE INDEX idx_team_runbooks_search ON team_runbooks USING GIN (search_vector)'
+      );
+      console.log('✓ Added full-text search column and index');
+
+      await queryInterface.addIndex('team_runbooks', ['team_id', 'updated_at'], {
+        name: 'idx_team_runbooks_team_updated'
+      });
+      // One runbook per shared error
+      await queryInterface.addIndex('team_runbooks', ['shared_error_id'], {
+        unique: true,
+        name: 'idx_team_runbooks_shared_error'
+      });
+      console.log('✓ Added runbook indexes');
+
+      console.log('\n✅ Team runbooks migration complete!');
+    } catch (error) {
+      console.error('❌ Error creating team runbooks:', error);
+      throw error;
+    }
+  },
+
+  down: async (queryInterface) => {
+    try {
+      await queryInterface.dropTable('team_runbooks');
+      console.log('✅ Dropped team_runbooks');
+    } catch (error) {
+      console.error('❌ Error dropping team runbooks:', error);
+      throw error;
+    }
+  }
+};
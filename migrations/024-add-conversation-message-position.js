@@ -0,0 +1,75 @@
+/**
+ * Conversation Message Position Migration
+ * A user message and its reply are saved together and share a createdAt, so
+ * messages get an explicit position within their conversation to order by.
+ */
+
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    console.log('🚀 Adding message positions to conversations...');
+
+    try {
+      await queryInterface.addColumn('ConversationMessages', 'position', {
+        type: Sequelize.INTEGER,
+        allowNull: true
+      });
+      console.log('✓ Added column: position');
+
+      // Existing pairs were saved user message first; on equal timestamps the
+      // role puts the question ahead of its answer
+      await queryInterface.sequelize.query(`
+        UPDATE "ConversationMessages" AS m
+        SET position = ordered.position
+        FROM (
+          SELECT id, ROW_NUMBER() OVER (
+            PARTITION BY "conversationId"
+            ORDER BY "createdAt", CASE role WHEN 'user' THEN 0 ELSE 1 END, id
+          ) - 1 AS position
+          FROM "ConversationMessages"
+        ) AS ordered
+        WHERE m.id = ordered.id
+      `);
+      console.log('✓ Backfilled message positions');
+
+      await queryInterface.changeColumn('ConversationMessages', 'position', {
+        type: Sequelize.INTEGER,
+        allowNull: false
+      });
+
+      // Keep messageCount in step with the positions handed out next
+      await queryInterface.sequelize.query(`
+        UPDATE "Conversations" AS c
+        SET "messageCount" = (SELECT COUNT(*) FROM "ConversationMessages" m WHERE m."conversationId" = c.id)
+      `);
+
+      await queryInterface.removeIndex('ConversationMessages', 'idx_conversation_messages_conversation_created');
+      await queryInterface.addIndex('ConversationMessages', ['conversationId', 'position'], {
+        unique: true,
+        name: 'idx_conversation_messages_conversation_position'
+      });
+      console.log('✓ Replaced conversation message index');
+
+      console.log('\n✅ Conversation message position migration complete!');
+    } catch (error) {
+      console.error('❌ Error adding conversation message positions:', error);
+      throw error;
+    }
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    try {
+      await queryInterface.removeIndex('ConversationMessages', 'idx_conversation_messages_conversation_position');
+      await queryInterface.addIndex('ConversationMessages', ['conversationId', 'createdAt'], {
+        name: 'idx_conversation_messages_conversation_created'
+      });
+      await queryInterface.removeColumn('ConversationMessages', 'position');
+
+      console.log('✅ Removed conversation message positions');
+    } catch (error) {
+      console.error('❌ Error removing conversation message positions:', error);
+      throw error;
+    }
+  }
+};
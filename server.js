@@ -10,6 +10,7 @@ const logger = require('./src/utils/logger');
 const { connectRedis } = require('./src/utils/redisClient');
 const { sessionMiddleware } = require('./src/middleware/session');
 const { rateLimiters } = require('./src/middleware/rateLimiter');
+const metrics = require('./src/utils/metrics');
 
 // ============================================================================
 // CRASH PREVENTION - Handle uncaught errors to prevent server crashes
@@ -77,6 +78,9 @@ app.use(cors({
   allowedHeaders: ['Content-Type', 'Authorization', 'X-CSRF-Token']
 }));
 
+// Request count/latency per route for /metrics
+app.use(metrics.httpMetricsMiddleware);
+
 // Logging - different format for production
 if (process.env.NODE_ENV === 'production') {
   app.use(morgan('combined')); // Apache combined format for production
@@ -144,6 +148,9 @@ const supportRoutes = require('./src/routes/support');
 const teamRoutes = require('./src/routes/teams');
 const webhookRoutes = require('./src/routes/webhooks'); // Dodo Payments webhooks
 const adminRoutes = require('./src/routes/admin'); // Admin operations
+const oauthRoutes = require('./src/routes/oauth'); // GitHub/Google sign-in
+const ssoRoutes = require('./src/routes/sso'); // Team SAML/OIDC single sign-on
+const scimRoutes = require('./src/routes/scim'); // SCIM 2.0 provisioning for team IdPs
 
 // Health check - Multiple endpoints for Railway compatibility
 app.get('/health', (req, res) => {
@@ -186,6 +193,9 @@ app.get('/api/stats', async (req, res) => {
 
   // Mount API routes
   app.use('/api/public/demo', detectSpam, publicDemoRoutes); // Public demo - with spam detection
+  app.use('/api/public/analyses', require('./src/routes/publicAnalyses')); // Shared analysis permalinks - no auth
+  app.use('/api/auth/oauth', oauthRoutes); // GitHub/Google sign-in and account linking
+  app.use('/api/auth/sso', ssoRoutes); // Team SSO sign-in, SAML metadata and ACS
   app.use('/api/auth', authRoutes);
   app.use('/api/auth', authEnhancedRoutes); // Enhanced auth with tracking
   app.use('/api/errors', errorRoutes);
@@ -197,6 +207,7 @@ app.get('/api/stats', async (req, res) => {
   app.use('/api/support', detectSpam, supportRoutes); // Feedback, Contact, Help Center, Newsletter - with spam detection
   app.use('/api/teams', teamRoutes); // Team management - requires TEAM subscription
   app.use('/api/admin', adminRoutes); // Admin operations - requires admin role
+  app.use('/scim/v2', scimRoutes); // SCIM Users/Groups - team API key with scim:provision scope
   
   // TODO: Temporarily disabled for short-term - will enable in future
   // app.use('/api/content', require('./src/routes/content')); // Privacy, Terms, About, Community
@@ -331,9 +342,26 @@ const start = async () => {
       logger.info(`Server running on port ${port} in ${process.env.NODE_ENV || 'development'} mode`);
     });
 
+    // Retry failed team webhook deliveries in the background
+    const webhookService = require('./src/services/webhookService');
+    webhookService.startRetryWorker();
+
+    // Remind assignees about shared errors past their due date or SLA
+    const sharedErrorTracking = require('./src/services/sharedErrorTrackingService');
+    sharedErrorTracking.startReminderWorker();
+
+    // Team activity over WebSockets (/ws), fanned out across workers through Redis
+    const realtimeGateway = require('./src/services/realtimeGateway');
+    realtimeGateway.attach(server, {
+      isOriginAllowed: (origin) => isOriginAllowed(origin, Array.isArray(corsOrigin) ? corsOrigin : [corsOrigin])
+    });
+
     // Graceful shutdown
     const gracefulShutdown = async (signal) => {
       console.log(`\n⚠️  ${signal} received. Starting graceful shutdown...`);
+      webhookService.stopRetryWorker();
+      sharedErrorTracking.stopReminderWorker();
+      await realtimeGateway.close();
       
       server.close(async () => {
         console.log('🔌 HTTP server closed');
@@ -0,0 +1,672 @@
+const net = require('net');
+const { Op } = require('sequelize');
+const sequelize = require('../config/database');
+const User = require('../models/User');
+const Subscription = require('../models/Subscription');
+const ErrorQuery = require('../models/ErrorQuery');
+const { getUserSessions } = require('../middleware/session');
+const refreshTokenService = require('../services/refreshTokenService');
+const { unlockAccount: unlockLockedAccount, getLockoutStats } = require('../middleware/accountLock');
+const ipThrottle = require('../middleware/ipThrottle');
+const { getCacheStats, invalidateUser, invalidateSubscription } = require('../utils/cache');
+const aiService = require('../services/aiService');
+const auditLog = require('../services/auditLogService');
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+const ADMIN_CONFIG = {
+  PAGE_SIZE: 25,
+  MAX_PAGE_SIZE: 100,
+  COMP_PLAN_TIERS: ['pro', 'team'],
+  COMP_PLAN_MAX_DAYS: 365,
+  MAX_BAN_SECONDS: ipThrottle.CONFIG.PERMANENT_BAN_DURATION,
+  TIMELINE_USAGE_DAYS: 90
+};
+
+const USER_LIST_ATTRIBUTES = [
+  'id', 'email', 'username', 'role', 'isActive', 'subscriptionTier', 'subscriptionStatus',
+  'subscriptionEndDate', 'isEmailVerified', 'lastLoginAt', 'createdAt'
+];
+
+const USER_SORT_FIELDS = ['createdAt', 'lastLoginAt', 'email', 'subscriptionEndDate'];
+
+// Fields captured before/after plan changes for the audit diff
+const PLAN_FIELDS = ['subscriptionTier', 'subscriptionStatus', 'subscriptionStartDate', 'subscriptionEndDate'];
+
+function userTarget(user) {
+  return { type: 'user', id: user.id, label: user.email };
+}
+
+async function findUser(userId, options = {}) {
+  if (!UUID_PATTERN.test(userId)) return null;
+  return User.findByPk(userId, options);
+}
+
+function parseDate(value) {
+  if (!value) return null;
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? undefined : date;
+}
+
+// ============================================================================
+// USERS
+// ============================================================================
+
+/**
+ * Search and filter users
+ * GET /api/admin/users?search=&tier=&status=&role=&isActive=&createdFrom=&createdTo=&sort=&order=&page=&limit=
+ */
+exports.searchUsers = async (req, res) => {
+  try {
+    const { search, tier, status, role, isActive, createdFrom, createdTo, sort = 'createdAt', order = 'desc' } = req.query;
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(parseInt(req.query.limit, 10) || ADMIN_CONFIG.PAGE_SIZE, ADMIN_CONFIG.MAX_PAGE_SIZE);
+
+    const where = {};
+    if (search) {
+      const term = `%${String(search).trim()}%`;
+      where[Op.or] = [
+        { email: { [Op.iLike]: term } },
+        { username: { [Op.iLike]: term } }
+      ];
+      if (UUID_PATTERN.test(search)) where[Op.or].push({ id: search });
+    }
+    if (tier) where.subscriptionTier = tier;
+    if (status) where.subscriptionStatus = status;
+    if (role) where.role = role;
+    if (isActive !== undefined) where.isActive = isActive === 'true';
+
+    const from = parseDate(createdFrom);
+    const to = parseDate(createdTo);
+    if (from === undefined || to === undefined) {
+      return res.status(400).json({ error: 'createdFrom and createdTo must be valid dates' });
+    }
+    if (from || to) {
+      where.createdAt = {};
+      if (from) where.createdAt[Op.gte] = from;
+      if (to) where.createdAt[Op.lte] = to;
+    }
+
+    const sortField = USER_SORT_FIELDS.includes(sort) ? sort : 'createdAt';
+    const sortOrder = String(order).toLowerCase() === 'asc' ? 'ASC' : 'DESC';
+
+    const { rows, count } = await User.findAndCountAll({
+      where,
+      attributes: USER_LIST_ATTRIBUTES,
+      order: [[sortField, sortOrder]],
+      limit,
+      offset: (page - 1) * limit
+    });
+
+    res.json({
+      users: rows,
+      pagination: {
+        page,
+        limit,
+        total: count,
+        totalPages: Math.ceil(count / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Admin user search error:', error);
+    res.status(500).json({ error: 'Failed to fetch users' });
+  }
+};
+
+/**
+ * User detail with subscription, lockout state and active sessions
+ * GET /api/admin/users/:userId
+ */
+exports.getUser = async (req, res) => {
+  try {
+    const user = await findUser(req.params.userId, {
+      attributes: [...USER_LIST_ATTRIBUTES, 'subscriptionStartDate', 'trialEndsAt', 'deletedAt', 'deletionReason', 'phoneNumber', 'isPhoneVerified']
+    });
+
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const [subscription, lockout, sessions, analysisCount] = await Promise.all([
+      Subscription.findOne({ where: { userId: user.id }, order: [['updatedAt', 'DESC']] }),
+      getLockoutStats(user.email).catch(() => null),
+      getUserSessions(user.id),
+      ErrorQuery.count({ where: { userId: user.id } })
+    ]);
+
+    res.json({
+      user,
+      subscription,
+      lockout,
+      activeSessions: sessions.length,
+      analysisCount
+    });
+  } catch (error) {
+    console.error('Admin get user error:', error);
+    res.status(500).json({ error: 'Failed to fetch user' });
+  }
+};
+
+/**
+ * Subscription, payment and usage timeline for a user, newest first
+ * GET /api/admin/users/:userId/timeline
+ */
+exports.getUserTimeline = async (req, res) => {
+  try {
+    const user = await findUser(req.params.userId);
+
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const usageSince = new Date(Date.now() - ADMIN_CONFIG.TIMELINE_USAGE_DAYS * 24 * 60 * 60 * 1000);
+
+    const [subscriptions, audit, usage] = await Promise.all([
+      Subscription.findAll({ where: { userId: user.id }, order: [['createdAt', 'ASC']] }),
+      auditLog.listEvents({ targetType: 'user', targetId: user.id }, { limit: auditLog.AUDIT_CONFIG.MAX_LIST_LIMIT }),
+      ErrorQuery.findAll({
+        where: { userId: user.id, createdAt: { [Op.gte]: usageSince } },
+        attributes: [
+          [sequelize.fn('DATE_TRUNC', 'day', sequelize.col('createdAt')), 'day'],
+          [sequelize.fn('COUNT', sequelize.col('id')), 'analyses']
+        ],
+        group: [sequelize.fn('DATE_TRUNC', 'day', sequelize.col('createdAt'))],
+        order: [[sequelize.fn('DATE_TRUNC', 'day', sequelize.col('createdAt')), 'DESC']],
+        raw: true
+      })
+    ]);
+
+    const events = [{ type: 'account.created', at: user.createdAt }];
+    if (user.lastLoginAt) events.push({ type: 'account.last_login', at: user.lastLoginAt });
+    if (user.trialEndsAt) events.push({ type: 'trial.ends', at: user.trialEndsAt });
+
+    for (const subscription of subscriptions) {
+      const details = {
+        subscriptionId: subscription.id,
+        tier: subscription.tier,
+        status: subscription.status,
+        paymentMethod: subscription.paymentMethod
+      };
+      events.push({ type: 'subscription.started', at: subscription.startDate || subscription.createdAt, details });
+      if (subscription.lastPaymentDate) {
+        events.push({ type: 'payment.received', at: subscription.lastPaymentDate, details });
+      }
+      if (subscription.endDate) {
+        const ended = new Date(subscription.endDate) <= new Date();
+        events.push({ type: ended ? 'subscription.ended' : 'subscription.renews_or_ends', at: subscription.endDate, details });
+      }
+    }
+
+    for (const event of audit.events) {
+      events.push({
+        type: event.action,
+        at: event.createdAt,
+        details: { actor: event.actorEmail, changes: event.changes, metadata: event.metadata }
+      });
+    }
+
+    events.sort((a, b) => new Date(b.at) - new Date(a.at));
+
+    res.json({
+      user: { id: user.id, email: user.email, subscriptionTier: user.subscriptionTier, subscriptionStatus: user.subscriptionStatus },
+      events,
+      usage: usage.map(row => ({ day: row.day, analyses: parseInt(row.analyses, 10) }))
+    });
+  } catch (error) {
+    console.error('Admin user timeline error:', error);
+    res.status(500).json({ error: 'Failed to fetch user timeline' });
+  }
+};
+
+/**
+ * Grant a complimentary plan that lapses on its own at expiresAt
+ * POST /api/admin/users/:userId/comp-plan { tier, expiresAt | durationDays, reason }
+ */
+exports.grantComplimentaryPlan = async (req, res) => {
+  try {
+    const { tier, expiresAt, durationDays, reason } = req.body;
+
+    if (!ADMIN_CONFIG.COMP_PLAN_TIERS.includes(tier)) {
+      return res.status(400).json({ error: `tier must be one of: ${ADMIN_CONFIG.COMP_PLAN_TIERS.join(', ')}` });
+    }
+    if (!reason || typeof reason !== 'string' || !reason.trim()) {
+      return res.status(400).json({ error: 'A reason is required' });
+    }
+
+    const now = new Date();
+    let endDate;
+    if (expiresAt) {
+      endDate = parseDate(expiresAt);
+    } else {
+      const days = parseInt(durationDays, 10);
+      endDate = days > 0 ? new Date(now.getTime() + days * 24 * 60 * 60 * 1000) : undefined;
+    }
+
+    const maxEndDate = new Date(now.getTime() + ADMIN_CONFIG.COMP_PLAN_MAX_DAYS * 24 * 60 * 60 * 1000);
+    if (!endDate || endDate <= now || endDate > maxEndDate) {
+      return res.status(400).json({ error: `Provide expiresAt or durationDays within the next ${ADMIN_CONFIG.COMP_PLAN_MAX_DAYS} days` });
+    }
+
+    const user = await findUser(req.params.userId);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const before = auditLog.pick(user, PLAN_FIELDS);
+
+    await sequelize.transaction(async (transaction) => {
+      await user.update({
+        subscriptionTier: tier,
+        subscriptionStatus: 'active',
+        subscriptionStartDate: now,
+        subscriptionEndDate: endDate
+      }, { transaction });
+
+      const subscription = await Subscription.findOne({
+        where: { userId: user.id },
+        order: [['updatedAt', 'DESC']],
+        transaction
+      });
+
+      // Complimentary plans don't renew - they end at endDate like a cancelled paid plan
+      const values = {
+        tier,
+        status: 'active',
+        startDate: now,
+        endDate,
+        paymentMethod: 'complimentary',
+        cancelAtPeriodEnd: true
+      };
+
+      if (subscription) {
+        await subscription.update(values, { transaction });
+      } else {
+        await Subscription.create({ userId: user.id, ...values }, { transaction });
+      }
+    });
+
+    await Promise.all([invalidateUser(user.id), invalidateSubscription(user.id)]);
+
+    await auditLog.recordEvent({
+      action: 'admin.user.comp_plan_granted',
+      req,
+      target: userTarget(user),
+      before,
+      after: auditLog.pick(user, PLAN_FIELDS),
+      metadata: { reason: reason.trim() }
+    });
+
+    console.log(`🎁 Complimentary ${tier} plan granted to ${user.email} until ${endDate.toISOString()} by ${req.user.email}`);
+
+    res.json({
+      success: true,
+      message: `Complimentary ${tier} plan granted until ${endDate.toISOString()}`,
+      user: auditLog.pick(user, ['id', 'email', ...PLAN_FIELDS])
+    });
+  } catch (error) {
+    console.error('Grant complimentary plan error:', error);
+    res.status(500).json({ error: 'Failed to grant complimentary plan' });
+  }
+};
+
+/**
+ * Upgrade a user to Pro for a year by email
+ * POST /api/admin/upgrade-user { email }
+ */
+exports.upgradeUser = async (req, res) => {
+  try {
+    const { email } = req.body;
+
+    if (!email) {
+      return res.status(400).json({ error: 'Email is required' });
+    }
+
+    const user = await User.findOne({ where: { email } });
+
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const before = auditLog.pick(user, PLAN_FIELDS);
+
+    // Update user subscription
+    await user.update({
+      subscriptionTier: 'pro',
+      subscriptionStatus: 'active',
+      subscriptionEndDate: new Date(Date.now() + 365 * 24 * 60 * 60 * 1000)
+    });
+
+    // Create or update subscription record
+    const [subscription, created] = await Subscription.findOrCreate({
+      where: { userId: user.id },
+      defaults: {
+        userId: user.id,
+        tier: 'pro',
+        status: 'active',
+        stripeCustomerId: `admin_upgrade_${user.id}`,
+        stripeSubscriptionId: `admin_sub_${user.id}_${Date.now()}`,
+        currentPeriodStart: new Date(),
+        currentPeriodEnd: new Date(Date.now() + 365 * 24 * 60 * 60 * 1000),
+        cancelAtPeriodEnd: false
+      }
+    });
+
+    if (!created) {
+      await subscription.update({
+        tier: 'pro',
+        status: 'active',
+        currentPeriodStart: new Date(),
+        currentPeriodEnd: new Date(Date.now() + 365 * 24 * 60 * 60 * 1000),
+        cancelAtPeriodEnd: false
+      });
+    }
+
+    await auditLog.recordEvent({
+      action: 'admin.user.upgraded',
+      req,
+      target: userTarget(user),
+      before,
+      after: auditLog.pick(user, PLAN_FIELDS)
+    });
+
+    res.json({
+      success: true,
+      message: 'User upgraded to Pro',
+      user: {
+        id: user.id,
+        email: user.email,
+        username: user.username,
+        subscriptionTier: user.subscriptionTier,
+        subscriptionStatus: user.subscriptionStatus,
+        subscriptionEndDate: user.subscriptionEndDate
+      }
+    });
+
+  } catch (error) {
+    console.error('Error upgrading user:', error);
+    res.status(500).json({ error: 'Failed to upgrade user' });
+  }
+};
+
+/**
+ * Sign a user out of every session
+ * POST /api/admin/users/:userId/force-logout
+ */
+exports.forceLogout = async (req, res) => {
+  try {
+    const user = await findUser(req.params.userId);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const sessionsRevoked = await refreshTokenService.revokeUserFamilies(user.id, { reason: 'admin_force_logout' });
+
+    await auditLog.recordEvent({
+      action: 'admin.user.force_logout',
+      req,
+      target: userTarget(user),
+      metadata: { sessionsRevoked, reason: req.body?.reason || null }
+    });
+
+    res.json({ success: true, sessionsRevoked });
+  } catch (error) {
+    console.error('Force logout error:', error);
+    res.status(500).json({ error: 'Failed to force logout' });
+  }
+};
+
+/**
+ * Clear a login lockout. Lockouts are keyed by whatever the user typed,
+ * so both the email and the username are cleared.
+ * POST /api/admin/users/:userId/unlock
+ */
+exports.unlockAccount = async (req, res) => {
+  try {
+    const user = await findUser(req.params.userId);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const before = await getLockoutStats(user.email).catch(() => null);
+
+    const identifiers = [user.email, user.username].filter(Boolean);
+    await Promise.all(identifiers.map(identifier => unlockLockedAccount(identifier)));
+
+    await auditLog.recordEvent({
+      action: 'admin.user.unlocked',
+      req,
+      target: userTarget(user),
+      metadata: {
+        identifiers,
+        wasLocked: before ? before.locked : null,
+        failedAttempts: before ? before.currentAttempts : null
+      }
+    });
+
+    res.json({ success: true, message: 'Account unlocked' });
+  } catch (error) {
+    console.error('Unlock account error:', error);
+    res.status(500).json({ error: 'Failed to unlock account' });
+  }
+};
+
+// ============================================================================
+// IP CONTROLS
+// ============================================================================
+
+function ipTarget(ip) {
+  return { type: 'ip', id: ip, label: ip };
+}
+
+function invalidIp(req, res) {
+  if (net.isIP(req.params.ip)) return false;
+  res.status(400).json({ error: 'Invalid IP address' });
+  return true;
+}
+
+/**
+ * Ban and whitelist state for an IP
+ * GET /api/admin/ips/:ip
+ */
+exports.getIpStatus = async (req, res) => {
+  try {
+    if (invalidIp(req, res)) return;
+    const { ip } = req.params;
+
+    const [ban, whitelisted] = await Promise.all([
+      ipThrottle.isBanned(ip),
+      ipThrottle.isWhitelisted(ip)
+    ]);
+
+    res.json({ ip, ...ban, whitelisted });
+  } catch (error) {
+    console.error('Get IP status error:', error);
+    res.status(500).json({ error: 'Failed to fetch IP status' });
+  }
+};
+
+/**
+ * POST /api/admin/ips/:ip/ban { reason, durationSeconds }
+ */
+exports.banIp = async (req, res) => {
+  try {
+    if (invalidIp(req, res)) return;
+    const { ip } = req.params;
+    const { reason } = req.body;
+    const duration = parseInt(req.body.durationSeconds, 10) || ipThrottle.CONFIG.EXTENDED_BAN_DURATION;
+
+    if (!reason || typeof reason !== 'string' || !reason.trim()) {
+      return res.status(400).json({ error: 'A reason is required' });
+    }
+    if (duration <= 0 || duration > ADMIN_CONFIG.MAX_BAN_SECONDS) {
+      return res.status(400).json({ error: `durationSeconds must be between 1 and ${ADMIN_CONFIG.MAX_BAN_SECONDS}` });
+    }
+
+    const banInfo = await ipThrottle.banIP(ip, `Admin: ${reason.trim()}`, duration);
+
+    await auditLog.recordEvent({
+      action: 'admin.ip.banned',
+      req,
+      target: ipTarget(ip),
+      metadata: { reason: reason.trim(), durationSeconds: duration, expiresAt: new Date(banInfo.expiresAt).toISOString() }
+    });
+
+    res.json({ success: true, ban: banInfo });
+  } catch (error) {
+    console.error('Ban IP error:', error);
+    res.status(500).json({ error: 'Failed to ban IP' });
+  }
+};
+
+/**
+ * DELETE /api/admin/ips/:ip/ban
+ */
+exports.unbanIp = async (req, res) => {
+  try {
+    if (invalidIp(req, res)) return;
+    const { ip } = req.params;
+
+    const before = await ipThrottle.isBanned(ip);
+    await ipThrottle.unbanIP(ip);
+
+    await auditLog.recordEvent({
+      action: 'admin.ip.unbanned',
+      req,
+      target: ipTarget(ip),
+      metadata: { wasBanned: before.banned, previousReason: before.reason || null }
+    });
+
+    res.json({ success: true, message: 'IP unbanned' });
+  } catch (error) {
+    console.error('Unban IP error:', error);
+    res.status(500).json({ error: 'Failed to unban IP' });
+  }
+};
+
+/**
+ * POST /api/admin/ips/:ip/whitelist { durationSeconds?, reason }
+ * Omitting durationSeconds whitelists permanently.
+ */
+exports.whitelistIp = async (req, res) => {
+  try {
+    if (invalidIp(req, res)) return;
+    const { ip } = req.params;
+    const { reason } = req.body;
+    const duration = parseInt(req.body.durationSeconds, 10) || 0;
+
+    if (!reason || typeof reason !== 'string' || !reason.trim()) {
+      return res.status(400).json({ error: 'A reason is required' });
+    }
+    if (duration < 0) {
+      return res.status(400).json({ error: 'durationSeconds must be positive' });
+    }
+
+    await ipThrottle.whitelistIP(ip, duration);
+
+    await auditLog.recordEvent({
+      action: 'admin.ip.whitelisted',
+      req,
+      target: ipTarget(ip),
+      metadata: { reason: reason.trim(), durationSeconds: duration || null }
+    });
+
+    res.json({ success: true, message: duration ? `IP whitelisted for ${duration}s` : 'IP whitelisted permanently' });
+  } catch (error) {
+    console.error('Whitelist IP error:', error);
+    res.status(500).json({ error: 'Failed to whitelist IP' });
+  }
+};
+
+/**
+ * DELETE /api/admin/ips/:ip/whitelist
+ */
+exports.unwhitelistIp = async (req, res) => {
+  try {
+    if (invalidIp(req, res)) return;
+    const { ip } = req.params;
+
+    await ipThrottle.unwhitelistIP(ip);
+
+    await auditLog.recordEvent({
+      action: 'admin.ip.unwhitelisted',
+      req,
+      target: ipTarget(ip)
+    });
+
+    res.json({ success: true, message: 'IP removed from whitelist' });
+  } catch (error) {
+    console.error('Unwhitelist IP error:', error);
+    res.status(500).json({ error: 'Failed to remove IP from whitelist' });
+  }
+};
+
+// ============================================================================
+// CACHE
+// ============================================================================
+
+/**
+ * Cache statistics, including AI analysis hit/miss counters
+ * GET /api/admin/cache/stats
+ */
+exports.getCacheStats = async (req, res) => {
+  try {
+    const stats = await getCacheStats();
+    res.json({ success: true, stats });
+  } catch (error) {
+    console.error('Error fetching cache stats:', error);
+    res.status(500).json({ error: 'Failed to fetch cache stats' });
+  }
+};
+
+/**
+ * Invalidate cached AI analyses by language and/or category
+ * POST /api/admin/cache/analyses/invalidate
+ */
+exports.invalidateAnalysisCache = async (req, res) => {
+  try {
+    const { language, category } = req.body;
+    const result = await aiService.clearCache({ language, category });
+
+    await auditLog.recordEvent({
+      action: 'admin.cache.analyses_invalidated',
+      req,
+      target: { type: 'cache', id: 'analyses' },
+      metadata: { language: language || null, category: category || null, ...result }
+    });
+
+    res.json({ success: true, ...result });
+  } catch (error) {
+    console.error('Error invalidating analysis cache:', error);
+    res.status(500).json({ error: 'Failed to invalidate analysis cache' });
+  }
+};
+
+// ============================================================================
+// AUDIT LOG
+// ============================================================================
+
+/**
+ * GET /api/admin/audit-log?action=&actionPrefix=&actorId=&targetType=&targetId=&teamId=&from=&to=&limit=&offset=
+ */
+exports.listAuditLog = async (req, res) => {
+  try {
+    const { action, actionPrefix, actorId, targetType, targetId, teamId, from, to, limit, offset } = req.query;
+
+    if (parseDate(from) === undefined || parseDate(to) === undefined) {
+      return res.status(400).json({ error: 'from and to must be valid dates' });
+    }
+    if (actorId && !UUID_PATTERN.test(actorId)) {
+      return res.status(400).json({ error: 'actorId must be a UUID' });
+    }
+
+    const result = await auditLog.listEvents(
+      { action, actionPrefix, actorId, targetType, targetId, teamId: parseInt(teamId, 10) || null, from, to },
+      { limit, offset }
+    );
+
+    res.json(result);
+  } catch (error) {
+    console.error('List audit log error:', error);
+    res.status(500).json({ error: 'Failed to fetch audit log' });
+  }
+};
@@ -0,0 +1,170 @@
+const Team = require('../models/Team');
+const apiKeyService = require('../services/apiKeyService');
+const auditLog = require('../services/auditLogService');
+const { ValidationError } = require('../utils/errors');
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// Team keys act as the owner and count against their plan, so only the owner manages them
+async function findOwnedTeam(teamId, userId) {
+  if (!/^\d+$/.test(String(teamId))) return null;
+  return Team.findOne({ where: { id: teamId, owner_id: userId, is_active: true } });
+}
+
+function deniedResponse(res) {
+  return res.status(403).json({
+    error: 'Access denied',
+    message: 'Only the team owner can manage team API keys'
+  });
+}
+
+function auditKeyEvent(req, action, apiKey) {
+  return auditLog.recordEvent({
+    action,
+    req,
+    target: { type: 'api_key', id: apiKey.id, label: `${apiKey.name} (${apiKey.key_prefix}…)` },
+    teamId: apiKey.team_id,
+    metadata: { scopes: apiKey.scopes, expiresAt: apiKey.expires_at }
+  });
+}
+
+async function createAndRespond(req, res, options) {
+  const { apiKey, key } = await apiKeyService.createKey(req.user.id, req.body, options);
+  await auditKeyEvent(req, 'api_key.created', apiKey);
+
+  res.status(201).json({
+    apiKey: apiKeyService.toApiKeyResponse(apiKey),
+    key,
+    message: 'Copy this key now - it will not be shown again'
+  });
+}
+
+/**
+ * List personal API keys (?includeRevoked=true for revoked keys too)
+ */
+exports.listKeys = async (req, res) => {
+  try {
+    const keys = await apiKeyService.listKeys({
+      userId: req.user.id,
+      includeRevoked: req.query.includeRevoked === 'true'
+    });
+
+    res.json({
+      apiKeys: keys.map(apiKeyService.toApiKeyResponse),
+      availableScopes: apiKeyService.availableScopes()
+    });
+  } catch (error) {
+    console.error('List API keys error:', error);
+    res.status(500).json({ error: 'Failed to fetch API keys' });
+  }
+};
+
+/**
+ * Create a personal API key
+ * Body: { name, scopes: ['errors:analyze', ...], expiresInDays }
+ */
+exports.createKey = async (req, res) => {
+  try {
+    await createAndRespond(req, res, {});
+  } catch (error) {
+    if (error instanceof ValidationError) {
+      return res.status(400).json({ error: error.message, details: error.errors });
+    }
+    console.error('Create API key error:', error);
+    res.status(500).json({ error: 'Failed to create API key' });
+  }
+};
+
+/**
+ * Revoke a personal API key
+ */
+exports.revokeKey = async (req, res) => {
+  try {
+    const apiKey = UUID_PATTERN.test(req.params.keyId)
+      ? await apiKeyService.revokeKey(req.params.keyId, { userId: req.user.id })
+      : null;
+
+    if (!apiKey) {
+      return res.status(404).json({ error: 'API key not found' });
+    }
+
+    await auditKeyEvent(req, 'api_key.revoked', apiKey);
+    res.json({ success: true, message: 'API key revoked' });
+  } catch (error) {
+    console.error('Revoke API key error:', error);
+    res.status(500).json({ error: 'Failed to revoke API key' });
+  }
+};
+
+/**
+ * List a team's API keys (owner only)
+ */
+exports.listTeamKeys = async (req, res) => {
+  try {
+    const { teamId } = req.params;
+
+    if (!await findOwnedTeam(teamId, req.user.id)) {
+      return deniedResponse(res);
+    }
+
+    const keys = await apiKeyService.listKeys({
+      teamId,
+      includeRevoked: req.query.includeRevoked === 'true'
+    });
+
+    res.json({
+      apiKeys: keys.map(apiKeyService.toApiKeyResponse),
+      availableScopes: apiKeyService.availableScopes(teamId)
+    });
+  } catch (error) {
+    console.error('List team API keys error:', error);
+    res.status(500).json({ error: 'Failed to fetch team API keys' });
+  }
+};
+
+/**
+ * Create a team-scoped API key (owner only)
+ * Body: { name, scopes, expiresInDays }
+ */
+exports.createTeamKey = async (req, res) => {
+  try {
+    const team = await findOwnedTeam(req.params.teamId, req.user.id);
+    if (!team) {
+      return deniedResponse(res);
+    }
+
+    await createAndRespond(req, res, { teamId: team.id });
+  } catch (error) {
+    if (error instanceof ValidationError) {
+      return res.status(400).json({ error: error.message, details: error.errors });
+    }
+    console.error('Create team API key error:', error);
+    res.status(500).json({ error: 'Failed to create team API key' });
+  }
+};
+
+/**
+ * Revoke a team API key (owner only)
+ */
+exports.revokeTeamKey = async (req, res) => {
+  try {
+    const team = await findOwnedTeam(req.params.teamId, req.user.id);
+    if (!team) {
+      return deniedResponse(res);
+    }
+
+    const apiKey = UUID_PATTERN.test(req.params.keyId)
+      ? await apiKeyService.revokeKey(req.params.keyId, { teamId: team.id })
+      : null;
+
+    if (!apiKey) {
+      return res.status(404).json({ error: 'API key not found' });
+    }
+
+    await auditKeyEvent(req, 'api_key.revoked', apiKey);
+    res.json({ success: true, message: 'API key revoked' });
+  } catch (error) {
+    console.error('Revoke team API key error:', error);
+    res.status(500).json({ error: 'Failed to revoke team API key' });
+  }
+};
@@ -2,7 +2,12 @@
 const authService = require('../services/authService');
 const emailService = require('../utils/emailService');
 const logger = require('../utils/logger');
+const metrics = require('../utils/metrics');
 const { trackFailedAttempt, resetFailedAttempts } = require('../middleware/accountLock');
+const { startSession } = require('../middleware/session');
+const refreshTokenService = require('../services/refreshTokenService');
+const ssoService = require('../services/ssoService');
+const { AuthenticationError } = require('../utils/errors');
 
 // Simple registration without OTP
 exports.register = async (req, res) => {
@@ -41,8 +46,9 @@ exports.register = async (req, res) => {
         });
 
         // Generate tokens
-        const accessToken = authService.generateAccessToken(user);
-        const refreshToken = authService.generateRefreshToken(user);
+        const sessionId = await startSession(user, req);
+        const accessToken = authService.generateAccessToken(user, sessionId);
+        const refreshToken = await authService.generateRefreshToken(user, sessionId, { ipAddress: req.ip });
 
         // Set cookies
         res.cookie('accessToken', accessToken, {
@@ -60,6 +66,7 @@ exports.register = async (req, res) => {
         });
 
         logger.info('User registered successfully', { userId: user.id, email: user.email });
+        metrics.increment('user_signups_total', { method: 'password' });
 
         res.status(201).json({
             success: true,
@@ -95,6 +102,17 @@ exports.login = async (req, res) => {
             });
         }
 
+        // Addresses on a domain whose team enforces SSO must sign in through the team's IdP
+        const enforcedSso = await ssoService.getEnforcedSso(email);
+        if (enforcedSso) {
+            return res.status(403).json({
+                success: false,
+                code: 'SSO_REQUIRED',
+                error: `${enforcedSso.teamName} requires signing in with single sign-on`,
+                sso: enforcedSso
+            });
+        }
+
         // Find user
         const user = await User.findOne({ where: { email } });
         if (!user) {
@@ -148,6 +166,16 @@ exports.login = async (req, res) => {
             });
         }
 
+        // Users with an authenticator app finish at POST /api/auth/login/verify-2fa
+        if (user.twoFactorEnabled) {
+            return res.json({
+                success: true,
+                requiresTwoFactor: true,
+                twoFactorToken: authService.generateTwoFactorChallengeToken(user),
+                methods: ['totp', 'recovery_code']
+            });
+        }
+
         // Successful login - reset failed attempts
         await resetFailedAttempts(email);
 
@@ -180,8 +208,9 @@ exports.login = async (req, res) => {
         await user.update({ lastLoginAt: new Date() });
 
         // Generate tokens
-        const accessToken = authService.generateAccessToken(user);
-        const refreshToken = authService.generateRefreshToken(user);
+        const sessionId = await startSession(user, req);
+        const accessToken = authService.generateAccessToken(user, sessionId);
+        const refreshToken = await authService.generateRefreshToken(user, sessionId, { ipAddress: req.ip });
 
         // Set cookies
         res.cookie('accessToken', accessToken, {
@@ -389,39 +418,50 @@ exports.resetPassword = async (req, res) => {
     }
 };
 
-// Refresh token
+// Refresh token - rotates the refresh token; reusing an old one revokes the whole family
 exports.refreshToken = async (req, res) => {
     try {
         const refreshToken = req.cookies.refreshToken || req.body.refreshToken;
         if (!refreshToken) {
             return res.status(401).json({ success: false, error: 'Refresh token required' });
         }
-        authService.verifyRefreshToken(refreshToken, async (err, decoded) => {
-            if (err) {
-                return res.status(403).json({ success: false, error: 'Invalid or expired refresh token' });
-            }
-            const user = await User.findByPk(decoded.userId);
-            if (!user || !user.isActive) {
-                return res.status(403).json({ success: false, error: 'User not found or inactive' });
-            }
-            const accessToken = authService.generateAccessToken(user);
-            res.cookie('accessToken', accessToken, {
-                httpOnly: true,
-                secure: process.env.NODE_ENV === 'production',
-                sameSite: 'strict',
-                maxAge: 60 * 60 * 1000
-            });
-            res.json({ success: true, accessToken });
+
+        const rotated = await refreshTokenService.rotateToken(refreshToken, req);
+        const accessToken = authService.generateAccessToken(rotated.user, rotated.familyId);
+
+        res.cookie('accessToken', accessToken, {
+            httpOnly: true,
+            secure: process.env.NODE_ENV === 'production',
+            sameSite: 'strict',
+            maxAge: 60 * 60 * 1000
+        });
+        res.cookie('refreshToken', rotated.refreshToken, {
+            httpOnly: true,
+            secure: process.env.NODE_ENV === 'production',
+            sameSite: 'strict',
+            maxAge: 7 * 24 * 60 * 60 * 1000
         });
+        res.json({ success: true, accessToken, refreshToken: rotated.refreshToken });
     } catch (error) {
+        if (error instanceof AuthenticationError) {
+            res.clearCookie('accessToken');
+            res.clearCookie('refreshToken');
+            return res.status(403).json({ success: false, error: error.message, code: error.code });
+        }
         logger.error('Refresh token error:', error);
         res.status(500).json({ success: false, error: 'Server error' });
     }
 };
 
-// Logout
-exports.logout = (req, res) => {
+// Logout - revokes the refresh token family and its session, then clears cookies.
+// Works with an expired access token as long as the refresh token is present.
+exports.logout = async (req, res) => {
     try {
+        const refreshToken = req.cookies.refreshToken || req.body.refreshToken;
+        const revoked = refreshToken ? await refreshTokenService.revokeByToken(refreshToken) : false;
+        if (!revoked && req.sessionId) {
+            await refreshTokenService.revokeFamily(req.sessionId, 'logout', req.user.id);
+        }
         res.clearCookie('accessToken');
         res.clearCookie('refreshToken');
         logger.info('User logged out', { userId: req.user?.id });
@@ -0,0 +1,264 @@
+const TeamMember = require('../models/TeamMember');
+const commentService = require('../services/commentService');
+const notificationService = require('../services/notificationService');
+const webhookService = require('../services/webhookService');
+const teamEvents = require('../services/teamEventBus');
+const auditLog = require('../services/auditLogService');
+const { ValidationError, AuthorizationError, NotFoundError } = require('../utils/errors');
+
+// Active membership plus the shared error being discussed
+async function findDiscussion(req) {
+  const { teamId, errorId } = req.params;
+  if (!/^\d+$/.test(String(teamId))) return {};
+
+  const membership = await TeamMember.findOne({
+    where: { team_id: teamId, user_id: req.user.id, status: 'active' }
+  });
+  if (!membership) return {};
+
+  return { membership, sharedError: await commentService.findSharedError(teamId, errorId) };
+}
+
+function deniedResponse(res) {
+  return res.status(403).json({
+    error: 'Access denied',
+    message: 'You must be a team member to join the discussion'
+  });
+}
+
+// Live feed payload for a new or edited comment (no viewer, so "reacted" is never set)
+function commentEvent(sharedError, comment) {
+  return {
+    shared_error_id: sharedError.id,
+    title: sharedError.title,
+    comment: commentService.toCommentResponse(comment, null)
+  };
+}
+
+function respondWithError(res, error, fallbackMessage) {
+  if (error instanceof ValidationError) {
+    return res.status(400).json({ error: error.message, code: error.code, details: error.errors });
+  }
+  if (error instanceof AuthorizationError) {
+    return res.status(403).json({ error: 'Access denied', message: error.message, code: error.code });
+  }
+  if (error instanceof NotFoundError) {
+    return res.status(404).json({ error: 'Comment not found' });
+  }
+  console.error(`${fallbackMessage}:`, error);
+  res.status(500).json({ error: fallbackMessage });
+}
+
+/**
+ * GET /api/teams/:teamId/errors/:errorId/comments
+ * The whole discussion as a tree of comments with nested replies
+ */
+exports.listComments = async (req, res) => {
+  try {
+    const { membership, sharedError } = await findDiscussion(req);
+    if (!membership) {
+      return deniedResponse(res);
+    }
+    if (!sharedError) {
+      return res.status(404).json({ error: 'Shared error not found' });
+    }
+
+    const thread = await commentService.listThread(sharedError, req.user.id);
+    res.json({
+      ...thread,
+      reactions: commentService.COMMENT_CONFIG.REACTIONS
+    });
+  } catch (error) {
+    console.error('List comments error:', error);
+    res.status(500).json({ error: 'Failed to fetch comments' });
+  }
+};
+
+/**
+ * POST /api/teams/:teamId/errors/:errorId/comments
+ * Body: { body: markdown, parentId? } - @username mentions notify those members
+ */
+exports.createComment = async (req, res) => {
+  try {
+    const { membership, sharedError } = await findDiscussion(req);
+    if (!membership) {
+      return deniedResponse(res);
+    }
+    if (!sharedError) {
+      return res.status(404).json({ error: 'Shared error not found' });
+    }
+
+    const result = await commentService.createComment(sharedError, req.user, req.body);
+    const { comment, mentioned, previousStatus } = result;
+
+    if (result.sharedError.status !== previousStatus) {
+      const statusChange = {
+        shared_error_id: sharedError.id,
+        error_query_id: sharedError.error_query_id,
+        title: sharedError.title,
+        previous_status: previousStatus,
+        status: result.sharedError.status,
+        changed_by: req.user.id
+      };
+      webhookService.emitTeamEvent(sharedError.team_id, 'shared_error.status_changed', statusChange);
+      teamEvents.publishTeamEvent(sharedError.team_id, 'shared_error.status_changed', statusChange, req.user);
+    }
+    teamEvents.publishTeamEvent(sharedError.team_id, 'comment.created', commentEvent(sharedError, comment), req.user);
+    notificationService.sendCommentMentionNotification(req.user, mentioned, sharedError.team_id, sharedError, comment);
+
+    res.status(201).json({
+      comment: commentService.toCommentResponse(comment, req.user.id),
+      discussionCount: result.sharedError.discussion_count,
+      status: result.sharedError.status
+    });
+  } catch (error) {
+    respondWithError(res, error, 'Failed to post comment');
+  }
+};
+
+/**
+ * PUT /api/teams/:teamId/errors/:errorId/comments/:commentId
+ * Body: { body } - author only; the previous body goes into the edit history
+ */
+exports.updateComment = async (req, res) => {
+  try {
+    const { membership, sharedError } = await findDiscussion(req);
+    if (!membership) {
+      return deniedResponse(res);
+    }
+    if (!sharedError) {
+      return res.status(404).json({ error: 'Shared error not found' });
+    }
+
+    const existing = await commentService.findComment(sharedError, req.params.commentId);
+    if (!existing) {
+      return res.status(404).json({ error: 'Comment not found' });
+    }
+
+    const { comment, newlyMentioned } = await commentService.editComment(existing, req.user, req.body);
+    comment.author = { id: req.user.id, username: req.user.username };
+
+    notificationService.sendCommentMentionNotification(req.user, newlyMentioned, sharedError.team_id, sharedError, comment);
+    teamEvents.publishTeamEvent(sharedError.team_id, 'comment.updated', commentEvent(sharedError, comment), req.user);
+
+    res.json({ comment: commentService.toCommentResponse(comment, req.user.id) });
+  } catch (error) {
+    respondWithError(res, error, 'Failed to update comment');
+  }
+};
+
+/**
+ * DELETE /api/teams/:teamId/errors/:errorId/comments/:commentId
+ * Authors delete their own comments; team owners and admins moderate any
+ */
+exports.deleteComment = async (req, res) => {
+  try {
+    const { membership, sharedError } = await findDiscussion(req);
+    if (!membership) {
+      return deniedResponse(res);
+    }
+    if (!sharedError) {
+      return res.status(404).json({ error: 'Shared error not found' });
+    }
+
+    const existing = await commentService.findComment(sharedError, req.params.commentId);
+    if (!existing) {
+      return res.status(404).json({ error: 'Comment not found' });
+    }
+
+    const { comment, moderated, before } = await commentService.deleteComment(sharedError, existing, membership);
+
+    if (moderated) {
+      await auditLog.recordEvent({
+        action: 'team.comment.moderated',
+        req,
+        target: { type: 'shared_error_comment', id: comment.id, label: sharedError.title },
+        teamId: sharedError.team_id,
+        before: auditLog.pick(before, ['body']),
+        metadata: { sharedErrorId: sharedError.id, authorId: before.author_id }
+      });
+    }
+
+    teamEvents.publishTeamEvent(sharedError.team_id, 'comment.deleted', {
+      shared_error_id: sharedError.id,
+      comment_id: comment.id,
+      moderated
+    }, req.user);
+
+    res.json({
+      success: true,
+      commentId: comment.id,
+      moderated
+    });
+  } catch (error) {
+    respondWithError(res, error, 'Failed to delete comment');
+  }
+};
+
+/**
+ * GET /api/teams/:teamId/errors/:errorId/comments/:commentId/history
+ * Current body and earlier revisions, newest first
+ */
+exports.getCommentHistory = async (req, res) => {
+  try {
+    const { membership, sharedError } = await findDiscussion(req);
+    if (!membership) {
+      return deniedResponse(res);
+    }
+    if (!sharedError) {
+      return res.status(404).json({ error: 'Shared error not found' });
+    }
+
+    const comment = await commentService.findComment(sharedError, req.params.commentId);
+    if (!comment) {
+      return res.status(404).json({ error: 'Comment not found' });
+    }
+
+    res.json(await commentService.getEditHistory(comment));
+  } catch (error) {
+    respondWithError(res, error, 'Failed to fetch comment history');
+  }
+};
+
+async function setReaction(req, res, active) {
+  const { membership, sharedError } = await findDiscussion(req);
+  if (!membership) {
+    return deniedResponse(res);
+  }
+  if (!sharedError) {
+    return res.status(404).json({ error: 'Shared error not found' });
+  }
+
+  const existing = await commentService.findComment(sharedError, req.params.commentId);
+  if (!existing) {
+    return res.status(404).json({ error: 'Comment not found' });
+  }
+
+  const comment = await commentService.setReaction(existing, req.user.id, req.params.reaction, active);
+  res.json({
+    commentId: comment.id,
+    reactions: commentService.toCommentResponse(comment, req.user.id).reactions
+  });
+}
+
+/**
+ * PUT /api/teams/:teamId/errors/:errorId/comments/:commentId/reactions/:reaction
+ */
+exports.addReaction = async (req, res) => {
+  try {
+    await setReaction(req, res, true);
+  } catch (error) {
+    respondWithError(res, error, 'Failed to add reaction');
+  }
+};
+
+/**
+ * DELETE /api/teams/:teamId/errors/:errorId/comments/:commentId/reactions/:reaction
+ */
+exports.removeReaction = async (req, res) => {
+  try {
+    await setReaction(req, res, false);
+  } catch (error) {
+    respondWithError(res, error, 'Failed to remove reaction');
+  }
+};
@@ -3,8 +3,122 @@ const User = require('../models/User');
 const authService = require('../services/authService');
 const aiService = require('../services/aiService');
 const featureGating = require('../middleware/featureGating');
+const errorSimilarity = require('../services/errorSimilarityService');
+const webhookService = require('../services/webhookService');
+const { extractErrorBlocks, languageFromStackTrace } = require('../utils/logErrorExtractor');
+const crypto = require('crypto');
 const { Op } = require('sequelize');
 
+// Shape a saved analysis into the tier-specific API response
+function buildAnalysisResponse(req, errorQuery, errorMessage, filteredAnalysis, subscriptionTier) {
+  const response = {
+    id: errorQuery.id,
+    errorMessage: errorMessage,
+    explanation: filteredAnalysis.explanation,
+    solution: filteredAnalysis.solution,
+    category: filteredAnalysis.category,
+    provider: filteredAnalysis.provider,
+    confidence: Math.round(filteredAnalysis.confidence * 100) || 85,
+    createdAt: errorQuery.createdAt,
+    tier: subscriptionTier
+  };
+
+  // Structured stack trace (frames marked app vs library) for all tiers
+  if (filteredAnalysis.stackTrace) {
+    response.stackTrace = filteredAnalysis.stackTrace;
+  }
+
+  // Add sources for all tiers (Free tier gets 2, Pro/Team may get more)
+  if (filteredAnalysis.sources && Array.isArray(filteredAnalysis.sources)) {
+    response.sources = filteredAnalysis.sources;
+  }
+
+  // Add premium fields for Pro/Team users
+  if (subscriptionTier === 'pro' || subscriptionTier === 'team') {
+    response.codeExample = filteredAnalysis.codeExample;
+    response.preventionTips = filteredAnalysis.preventionTips;
+    response.tags = filteredAnalysis.tags;
+    response.domainKnowledge = filteredAnalysis.domainKnowledge;
+    response.complexity = filteredAnalysis.complexity;
+    
+    if (filteredAnalysis.urlContext) {
+      response.urlContext = filteredAnalysis.urlContext;
+    }
+  }
+
+  // Add Team-specific fields
+  if (subscriptionTier === 'team') {
+    response.relatedErrors = filteredAnalysis.relatedErrors;
+    response.debugging = filteredAnalysis.debugging;
+    response.alternatives = filteredAnalysis.alternatives;
+    response.resources = filteredAnalysis.resources;
+  }
+
+  // Answered from a team runbook entry instead of an AI provider
+  if (filteredAnalysis.runbook) {
+    response.runbook = filteredAnalysis.runbook;
+  }
+
+  // Add upgrade prompt for free users
+  if (filteredAnalysis.upgradePrompt) {
+    response.upgradePrompt = filteredAnalysis.upgradePrompt;
+  }
+
+  // Add usage info if available from middleware
+  if (req.dailyUsage) {
+    response.usage = req.dailyUsage;
+  }
+
+  // Add warning if approaching limit
+  if (req.usageWarning) {
+    response.usageWarning = req.usageWarning;
+  }
+
+  return response;
+}
+
+// Best earlier match for "you solved something like this before" (never fails the analysis)
+async function findPastSolution(userId, errorMessage, subscriptionTier) {
+  try {
+    const lookups = [errorSimilarity.findSimilarForUser(userId, errorMessage, { limit: 1 })];
+    if (subscriptionTier === 'team') {
+      lookups.push(errorSimilarity.findSimilarForTeams(userId, errorMessage, { limit: 1 }));
+    }
+
+    const [best] = (await Promise.all(lookups))
+      .flat()
+      .filter(match => match.similarity >= errorSimilarity.SIMILARITY_CONFIG.STRONG_MATCH)
+      .sort((a, b) => b.similarity - a.similarity);
+
+    if (!best) return null;
+
+    return {
+      ...best,
+      message: best.source === 'team'
+        ? `Your team looked at something like this ${best.solvedAgo}`
+        : `You solved something like this ${best.solvedAgo}`
+    };
+  } catch (error) {
+    console.error('Similar error lookup failed:', error);
+    return null;
+  }
+}
+
+// Team webhooks only fire for team-tier analyses (fire-and-forget)
+function notifyAnalysisCompleted(userId, errorQuery, subscriptionTier) {
+  if (subscriptionTier !== 'team') return;
+
+  webhookService.emitUserEvent(userId, 'analysis.completed', {
+    analysis_id: errorQuery.id,
+    user_id: userId,
+    error_message: errorQuery.errorMessage.substring(0, 500),
+    category: errorQuery.errorCategory,
+    provider: errorQuery.aiProvider,
+    upload_id: errorQuery.uploadId || null,
+    created_at: errorQuery.createdAt
+  });
+}
+
 // Analyze error with AI
 exports.analyzeError = async (req, res) => {
   try {
@@ -22,10 +136,13 @@ exports.analyzeError = async (req, res) => {
     }
 
     // Get user's subscription tier from middleware
-    const subscriptionTier = req.userTier || 'free';
+    const subscriptionTier = req.userTier || req.subscriptionTier || 'free';
 
     // Call AI service to analyze the error
     const startTime = Date.now();
+
+    // Look up earlier similar analyses while the AI call runs (before this one is saved)
+    const pastSolutionLookup = findPastSolution(userId, errorMessage, subscriptionTier);
     
     try {
       const analysis = await aiService.analyzeError({
@@ -36,7 +153,8 @@ exports.analyzeError = async (req, res) => {
         language: language || 'javascript',
         errorType: errorType || 'runtime',
         subscriptionTier,
-        conversationHistory: conversationHistory || [] // Pass conversation context to AI
+        conversationHistory: conversationHistory || [], // Pass conversation context to AI
+        runbookUserId: userId
       });
 
       const responseTime = Date.now() - startTime;
@@ -54,61 +172,16 @@ exports.analyzeError = async (req, res) => {
         aiProvider: analysis.provider || 'openai',
         userSubscriptionTier: subscriptionTier,
         responseTime,
-        tags: analysis.tags || []
+        tags: analysis.tags || [],
+        stackTrace: analysis.stackTrace || null
       });
+      notifyAnalysisCompleted(userId, errorQuery, subscriptionTier);
 
-      // Prepare response with tier-specific data
-      const response = {
-        id: errorQuery.id,
-        errorMessage: errorMessage,
-        explanation: filteredAnalysis.explanation,
-        solution: filteredAnalysis.solution,
-        category: filteredAnalysis.category,
-        provider: filteredAnalysis.provider,
-        confidence: Math.round(filteredAnalysis.confidence * 100) || 85,
-        createdAt: errorQuery.createdAt,
-        tier: subscriptionTier
-      };
-
-      // Add sources for all tiers (Free tier gets 2, Pro/Team may get more)
-      if (filteredAnalysis.sources && Array.isArray(filteredAnalysis.sources)) {
-        response.sources = filteredAnalysis.sources;
-      }
-
-      // Add premium fields for Pro/Team users
-      if (subscriptionTier === 'pro' || subscriptionTier === 'team') {
-        response.codeExample = filteredAnalysis.codeExample;
-        response.preventionTips = filteredAnalysis.preventionTips;
-        response.tags = filteredAnalysis.tags;
-        response.domainKnowledge = filteredAnalysis.domainKnowledge;
-        response.complexity = filteredAnalysis.complexity;
-        
-        if (filteredAnalysis.urlContext) {
-          response.urlContext = filteredAnalysis.urlContext;
-        }
-      }
-
-      // Add Team-specific fields
-      if (subscriptionTier === 'team') {
-        response.relatedErrors = filteredAnalysis.relatedErrors;
-        response.debugging = filteredAnalysis.debugging;
-        response.alternatives = filteredAnalysis.alternatives;
-        response.resources = filteredAnalysis.resources;
-      }
-
-      // Add upgrade prompt for free users
-      if (filteredAnalysis.upgradePrompt) {
-        response.upgradePrompt = filteredAnalysis.upgradePrompt;
-      }
-
-      // Add usage info if available from middleware
-      if (req.dailyUsage) {
-        response.usage = req.dailyUsage;
-      }
+      const response = buildAnalysisResponse(req, errorQuery, errorMessage, filteredAnalysis, subscriptionTier);
 
-      // Add warning if approaching limit
-      if (req.usageWarning) {
-        response.usageWarning = req.usageWarning;
+      const pastSolution = await pastSolutionLookup;
+      if (pastSolution) {
+        response.similarPastAnalysis = pastSolution;
       }
 
       res.json(response);
@@ -156,6 +229,325 @@ exports.analyzeError = async (req, res) => {
   }
 };
 
+// Analyze error with AI, streaming fields over Server-Sent Events
+exports.analyzeErrorStream = async (req, res) => {
+  const { errorMessage, language, errorType, codeSnippet, fileName, lineNumber, conversationHistory } = req.body;
+  const userId = req.user.id;
+
+  if (!errorMessage) {
+    return res.status(400).json({ error: 'Error message is required' });
+  }
+
+  let clientClosed = false;
+  let heartbeat = null;
+
+  const sendEvent = (event, data) => {
+    if (clientClosed || res.writableEnded) return;
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+
+  try {
+    const user = await User.findByPk(userId);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const subscriptionTier = req.userTier || req.subscriptionTier || 'free';
+
+    // Only stream fields the tier is allowed to see
+    const visibleFields = featureGating.filterResponseByTier({
+      explanation: true,
+      solution: true,
+      codeExample: true,
+      preventionTips: true
+    }, subscriptionTier);
+
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache, no-transform',
+      'Connection': 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders?.();
+
+    req.on('close', () => {
+      clientClosed = true;
+      clearInterval(heartbeat);
+    });
+
+    // Keep proxies from closing an idle connection while the model is thinking
+    heartbeat = setInterval(() => {
+      if (!clientClosed && !res.writableEnded) res.write(': ping\n\n');
+    }, 15000);
+
+    sendEvent('start', { tier: subscriptionTier });
+
+    const startTime = Date.now();
+
+    const pastSolutionLookup = findPastSolution(userId, errorMessage, subscriptionTier);
+
+    const analysis = await aiService.analyzeErrorStream({
+      errorMessage,
+      codeSnippet,
+      fileName,
+      lineNumber,
+      language: language || 'javascript',
+      errorType: errorType || 'runtime',
+      subscriptionTier,
+      conversationHistory: conversationHistory || [],
+      userId
+    }, (event, payload) => {
+      if (event === 'tip') {
+        if (visibleFields.preventionTips) sendEvent('tip', payload);
+        return;
+      }
+      if (event === 'reset' || visibleFields[event]) {
+        sendEvent(event, payload);
+      }
+    });
+
+    const responseTime = Date.now() - startTime;
+
+    const filteredAnalysis = featureGating.filterResponseByTier(analysis, subscriptionTier);
+
+    // Saved even if the client went away - the query was still answered
+    const errorQuery = await ErrorQuery.create({
+      userId,
+      errorMessage,
+      explanation: analysis.explanation,
+      solution: analysis.solution,
+      errorCategory: analysis.category || 'general',
+      aiProvider: analysis.provider || 'openai',
+      userSubscriptionTier: subscriptionTier,
+      responseTime,
+      tags: analysis.tags || [],
+      stackTrace: analysis.stackTrace || null
+    });
+    notifyAnalysisCompleted(userId, errorQuery, subscriptionTier);
+
+    const response = buildAnalysisResponse(req, errorQuery, errorMessage, filteredAnalysis, subscriptionTier);
+    if (req.queriesRemaining !== undefined) {
+      response.queriesRemaining = req.queriesRemaining;
+    }
+
+    const pastSolution = await pastSolutionLookup;
+    if (pastSolution) {
+      response.similarPastAnalysis = pastSolution;
+    }
+
+    sendEvent('done', response);
+  } catch (error) {
+    console.error('Streaming error analysis failed:', error);
+    if (!res.headersSent) {
+      return res.status(500).json({ error: 'Failed to analyze error' });
+    }
+    sendEvent('error', { error: 'Failed to analyze error' });
+  } finally {
+    clearInterval(heartbeat);
+    if (res.headersSent && !res.writableEnded) {
+      res.end();
+    }
+  }
+};
+
+// Providers aiService reports when no analysis was produced
+const UNAVAILABLE_PROVIDERS = ['none', 'error'];
+
+// Distinct errors analyzed per uploaded file (also bounded by remaining monthly queries)
+const FILE_ANALYSIS_LIMITS = {
+  free: 3,
+  pro: 10,
+  team: 25
+};
+
+// Analyze an uploaded log file - one analysis per distinct error block
+exports.analyzeFile = async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const { language, framework } = req.body;
+
+    if (!req.fileContent) {
+      return res.status(400).json({ error: 'A log file is required (multipart field "file")' });
+    }
+
+    const subscriptionTier = req.userTier || req.subscriptionTier || 'free';
+
+    const { totalBlocks, errors } = extractErrorBlocks(req.fileContent);
+    if (errors.length === 0) {
+      return res.status(400).json({ error: 'No errors or stack traces found in the uploaded file' });
+    }
+
+    // Each extracted error counts as one query; checkQueryLimit already reserved one
+    const queryAllowance = req.queriesRemaining !== undefined ? req.queriesRemaining + 1 : Infinity;
+    const fileLimit = FILE_ANALYSIS_LIMITS[subscriptionTier] || FILE_ANALYSIS_LIMITS.free;
+    const analyzeCount = Math.min(errors.length, fileLimit, queryAllowance);
+    const blocks = errors.slice(0, analyzeCount);
+
+    const requests = blocks.map(block => ({
+      errorMessage: block.errorMessage,
+      language: language || languageFromStackTrace(block.stackTrace) || undefined,
+      framework,
+      fileName: req.fileName
+    }));
+
+    const startTime = Date.now();
+    let results;
+
+    if (subscriptionTier === 'team') {
+      results = await aiService.analyzeBatchErrors(requests, 'team');
+    } else {
+      // One at a time - free/pro users are limited to 1-3 concurrent AI requests
+      results = [];
+      for (const [index, request] of requests.entries()) {
+        try {
+          const data = await aiService.analyzeError({ ...request, subscriptionTier, userId });
+          results.push({ index, status: 'fulfilled', data });
+        } catch (error) {
+          results.push({ index, status: 'rejected', error: error.message });
+        }
+      }
+    }
+
+    const responseTime = Math.round((Date.now() - startTime) / Math.max(results.length, 1));
+    const uploadId = crypto.randomUUID();
+    const report = [];
+
+    for (const result of results) {
+      const block = blocks[result.index];
+      const entry = {
+        errorMessage: block.errorMessage,
+        occurrences: block.occurrences,
+        lines: block.lines,
+        firstSeen: block.firstSeen,
+        lastSeen: block.lastSeen,
+        stackTrace: block.stackTrace
+      };
+
+      if (result.status !== 'fulfilled') {
+        console.error('File analysis failed for error block:', result.error);
+        report.push({ ...entry, status: 'failed', error: 'Unable to analyze this error at the moment' });
+        continue;
+      }
+
+      const analysis = result.data;
+
+      // "Temporarily unavailable" placeholders aren't saved, so they don't count as queries
+      if (UNAVAILABLE_PROVIDERS.includes(analysis.provider)) {
+        report.push({ ...entry, status: 'failed', error: 'Unable to analyze this error at the moment' });
+        continue;
+      }
+
+      const filteredAnalysis = featureGating.filterResponseByTier(analysis, subscriptionTier);
+
+      const errorQuery = await ErrorQuery.create({
+        userId,
+        errorMessage: block.errorMessage,
+        explanation: analysis.explanation,
+        solution: analysis.solution,
+        errorCategory: analysis.category || 'general',
+        aiProvider: analysis.provider || 'openai',
+        userSubscriptionTier: subscriptionTier,
+        responseTime,
+        tags: analysis.tags || [],
+        stackTrace: analysis.stackTrace || block.stackTrace,
+        uploadId,
+        sourceFileName: req.fileName,
+        occurrenceCount: block.occurrences
+      });
+      notifyAnalysisCompleted(userId, errorQuery, subscriptionTier);
+
+      report.push({
+        ...entry,
+        status: 'analyzed',
+        analysis: buildAnalysisResponse(req, errorQuery, block.errorMessage, filteredAnalysis, subscriptionTier)
+      });
+    }
+
+    const skipped = errors.slice(analyzeCount).map(block => ({
+      errorMessage: block.errorMessage,
+      occurrences: block.occurrences,
+      lines: block.lines,
+      firstSeen: block.firstSeen,
+      lastSeen: block.lastSeen,
+      stackTrace: block.stackTrace,
+      status: 'skipped',
+      reason: queryAllowance < fileLimit ? 'query_limit' : 'file_limit'
+    }));
+
+    const analyzed = report.filter(entry => entry.status === 'analyzed').length;
+
+    const response = {
+      uploadId,
+      fileName: req.fileName,
+      fileSize: req.fileSize,
+      tier: subscriptionTier,
+      summary: {
+        errorBlocks: totalBlocks,
+        distinctErrors: errors.length,
+        analyzed,
+        failed: report.length - analyzed,
+        skipped: skipped.length
+      },
+      errors: [...report, ...skipped]
+    };
+
+    if (req.queriesRemaining !== undefined) {
+      response.queriesRemaining = Math.max(0, queryAllowance - analyzed);
+    }
+
+    if (skipped.length > 0 && subscriptionTier === 'free') {
+      response.upgradePrompt = {
+        message: `${skipped.length} more distinct error${skipped.length > 1 ? 's were' : ' was'} found in this file. Upgrade to Pro to analyze more errors per upload.`,
+        tier: 'pro',
+        upgradeUrl: '/pricing'
+      };
+    }
+
+    res.json(response);
+
+  } catch (error) {
+    console.error('File analysis failed:', error);
+    res.status(500).json({ error: 'Failed to analyze file' });
+  }
+};
+
+// Get the saved analyses from one uploaded log file
+exports.getFileAnalysis = async (req, res) => {
+  try {
+    const { uploadId } = req.params;
+    const userId = req.user.id;
+
+    if (!/^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(uploadId)) {
+      return res.status(404).json({ error: 'File analysis not found' });
+    }
+
+    const errorQueries = await ErrorQuery.findAll({
+      where: { uploadId, userId },
+      attributes: [
+        'id', 'errorMessage', 'explanation', 'solution',
+        'errorCategory', 'aiProvider', 'tags', 'stackTrace',
+        'sourceFileName', 'occurrenceCount', 'createdAt'
+      ],
+      order: [['occurrenceCount', 'DESC'], ['createdAt', 'ASC']]
+    });
+
+    if (errorQueries.length === 0) {
+      return res.status(404).json({ error: 'File analysis not found' });
+    }
+
+    res.json({
+      uploadId,
+      fileName: errorQueries[0].sourceFileName,
+      totalOccurrences: errorQueries.reduce((sum, query) => sum + (query.occurrenceCount || 1), 0),
+      errors: errorQueries
+    });
+
+  } catch (error) {
+    console.error('Failed to fetch file analysis:', error);
+    res.status(500).json({ error: 'Failed to fetch file analysis' });
+  }
+};
+
 // Get user's error history with advanced search and filtering
 exports.getHistory = async (req, res) => {
   try {
@@ -313,7 +705,7 @@ exports.getErrorQuery = async (req, res) => {
       attributes: [
         'id', 'errorMessage', 'explanation', 'solution', 
         'errorCategory', 'aiProvider', 'responseTime', 
-        'tags', 'createdAt', 'updatedAt'
+        'tags', 'stackTrace', 'createdAt', 'updatedAt'
       ]
     });
 
@@ -329,6 +721,49 @@ exports.getErrorQuery = async (req, res) => {
   }
 };
 
+// Get past analyses similar to a specific error query
+exports.getSimilarErrors = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const userId = req.user.id;
+    const limit = Math.min(parseInt(req.query.limit) || 5, 20);
+
+    const errorQuery = await ErrorQuery.findOne({
+      where: { id, userId },
+      attributes: ['id', 'errorMessage', 'fingerprint']
+    });
+
+    if (!errorQuery) {
+      return res.status(404).json({ error: 'Error query not found' });
+    }
+
+    const similar = await errorSimilarity.findSimilarForUser(userId, errorQuery.errorMessage, {
+      excludeId: errorQuery.id,
+      limit
+    });
+
+    const response = {
+      id: errorQuery.id,
+      fingerprint: errorQuery.fingerprint,
+      similar
+    };
+
+    // Team tier also searches the user's teams' shared errors
+    if (req.subscriptionTier === 'team') {
+      response.teamMatches = await errorSimilarity.findSimilarForTeams(userId, errorQuery.errorMessage, {
+        excludeErrorQueryId: errorQuery.id,
+        limit
+      });
+    }
+
+    res.json(response);
+
+  } catch (error) {
+    console.error('Failed to find similar errors:', error);
+    res.status(500).json({ error: 'Failed to find similar errors' });
+  }
+};
+
 // Delete error query
 exports.deleteErrorQuery = async (req, res) => {
   try {
@@ -0,0 +1,257 @@
+const User = require('../models/User');
+const authService = require('../services/authService');
+const oauthService = require('../services/oauthService');
+const ssoService = require('../services/ssoService');
+const auditLog = require('../services/auditLogService');
+const { startSession } = require('../middleware/session');
+const { ValidationError } = require('../utils/errors');
+
+const frontendUrl = () => process.env.FRONTEND_URL || 'http://localhost:3000';
+
+// Send the browser back to the SPA with the outcome in the query string
+function redirectToFrontend(res, path, params) {
+  const query = new URLSearchParams(params).toString();
+  res.redirect(`${frontendUrl()}${path}${query ? `?${query}` : ''}`);
+}
+
+function respondWithError(res, error, fallbackMessage) {
+  if (error instanceof ValidationError) {
+    return res.status(400).json({ error: error.message, code: error.code });
+  }
+  if (error.statusCode === 503) {
+    return res.status(503).json({ error: error.message });
+  }
+  res.status(500).json({ error: fallbackMessage });
+}
+
+function auditOAuthEvent(req, action, user, metadata) {
+  return auditLog.recordEvent({
+    action,
+    req,
+    actor: user,
+    target: { type: 'user', id: user.id, label: user.email },
+    metadata
+  });
+}
+
+/**
+ * GET /api/auth/oauth/providers
+ * Sign-in providers that are configured on this deployment
+ */
+exports.listProviders = (req, res) => {
+  res.json({ providers: oauthService.listEnabledProviders() });
+};
+
+/**
+ * GET /api/auth/oauth/:provider?redirect=/dashboard
+ * Start sign-in: redirects to the provider's consent screen
+ */
+exports.startLogin = async (req, res) => {
+  try {
+    const authorizationUrl = await oauthService.createAuthorizationUrl(req.params.provider, {
+      mode: 'login',
+      redirectPath: req.query.redirect
+    });
+    res.redirect(authorizationUrl);
+  } catch (error) {
+    console.error('OAuth start error:', error);
+    const code = error instanceof ValidationError ? error.code : 'OAUTH_UNAVAILABLE';
+    redirectToFrontend(res, '/login', { error: code });
+  }
+};
+
+/**
+ * POST /api/auth/oauth/:provider/link
+ * Start linking a provider to the signed-in account. The SPA navigates to the
+ * returned URL; the callback sends the browser back to the security settings.
+ */
+exports.startLink = async (req, res) => {
+  try {
+    const authorizationUrl = await oauthService.createAuthorizationUrl(req.params.provider, {
+      mode: 'link',
+      userId: req.user.id
+    });
+    res.json({ authorizationUrl });
+  } catch (error) {
+    console.error('OAuth link start error:', error);
+    respondWithError(res, error, 'Failed to start account linking');
+  }
+};
+
+/**
+ * GET /api/auth/oauth/:provider/callback
+ * Provider redirect target for both sign-in and linking
+ */
+exports.callback = async (req, res) => {
+  const { provider } = req.params;
+  let mode = 'login';
+
+  try {
+    if (req.query.error) {
+      // The user cancelled on the consent screen; still consume the state
+      const cancelled = await oauthService.consumeState(provider, req.query.state).catch(() => null);
+      mode = cancelled ? cancelled.mode : mode;
+      throw new ValidationError('Sign-in was cancelled', [], 'OAUTH_CANCELLED');
+    }
+
+    const state = await oauthService.consumeState(provider, req.query.state);
+    mode = state.mode;
+
+    if (!req.query.code) {
+      throw new ValidationError('Missing authorization code', [], 'OAUTH_EXCHANGE_FAILED');
+    }
+
+    const profile = await oauthService.fetchProfile(provider, req.query.code, state.codeVerifier);
+
+    if (state.mode === 'link') {
+      const { user } = await oauthService.linkAccount(state.userId, provider, profile);
+      await auditOAuthEvent(req, 'auth.oauth.linked', user, { provider, providerUsername: profile.username });
+      return redirectToFrontend(res, '/settings/security', { linked: provider });
+    }
+
+    const { user, created, linked } = await oauthService.resolveLoginUser(provider, profile);
+    if (created) {
+      await auditOAuthEvent(req, 'auth.oauth.signup', user, { provider });
+    } else if (linked) {
+      await auditOAuthEvent(req, 'auth.oauth.linked', user, { provider, providerUsername: profile.username, via: 'verified_email' });
+    }
+
+    const code = await oauthService.createLoginCode(user.id, provider);
+    const params = { code };
+    if (state.redirectPath) params.redirect = state.redirectPath;
+    redirectToFrontend(res, '/oauth/callback', params);
+  } catch (error) {
+    if (!(error instanceof ValidationError)) {
+      console.error('OAuth callback error:', error);
+    }
+    const code = error instanceof ValidationError ? error.code : 'OAUTH_FAILED';
+    redirectToFrontend(res, mode === 'link' ? '/settings/security' : '/login', { error: code, provider });
+  }
+};
+
+/**
+ * POST /api/auth/oauth/exchange
+ * Trade the one-time code from the callback redirect for access/refresh tokens.
+ * Team SSO logins (/api/auth/sso) finish here too.
+ * Users with two-factor authentication get a challenge for /api/auth/login/verify-2fa instead.
+ */
+exports.exchange = async (req, res) => {
+  try {
+    const login = await oauthService.consumeLoginCode(req.body.code);
+    if (!login) {
+      return res.status(401).json({ error: 'Sign-in code is invalid or expired. Please try again.' });
+    }
+
+    const user = await User.findByPk(login.userId);
+    if (!user) {
+      return res.status(401).json({ error: 'Sign-in code is invalid or expired. Please try again.' });
+    }
+    if (!user.isActive) {
+      return res.status(403).json({ success: false, error: 'Account is inactive. Please contact support.' });
+    }
+
+    // Social sign-in would bypass a team's enforced SSO just like a password
+    const method = login.method || `oauth_${login.provider}`;
+    const enforcedSso = method.startsWith('sso_') ? null : await ssoService.getEnforcedSso(user.email);
+    if (enforcedSso) {
+      return res.status(403).json({
+        success: false,
+        code: 'SSO_REQUIRED',
+        error: `${enforcedSso.teamName} requires signing in with single sign-on`,
+        sso: enforcedSso
+      });
+    }
+
+    if (user.twoFactorEnabled) {
+      return res.json({
+        success: true,
+        requiresTwoFactor: true,
+        email: user.email,
+        twoFactorToken: authService.generateTwoFactorChallengeToken(user),
+        methods: ['totp', 'recovery_code']
+      });
+    }
+
+    await user.update({ lastLoginAt: new Date() });
+    await auditOAuthEvent(req, 'auth.login.succeeded', user, { method });
+
+    const sessionId = await startSession(user, req);
+    const accessToken = authService.generateAccessToken(user, sessionId);
+    const refreshToken = await authService.generateRefreshToken(user, sessionId, { ipAddress: req.ip });
+
+    res.cookie('accessToken', accessToken, {
+      httpOnly: true,
+      secure: process.env.NODE_ENV === 'production',
+      sameSite: 'strict',
+      maxAge: 60 * 60 * 1000 // 1 hour
+    });
+
+    res.cookie('refreshToken', refreshToken, {
+      httpOnly: true,
+      secure: process.env.NODE_ENV === 'production',
+      sameSite: 'strict',
+      maxAge: 7 * 24 * 60 * 60 * 1000 // 7 days
+    });
+
+    res.json({
+      success: true,
+      message: 'Login successful',
+      user: {
+        id: user.id,
+        email: user.email,
+        username: user.username,
+        isEmailVerified: user.isEmailVerified,
+        hasPassword: !!user.password
+      },
+      accessToken,
+      refreshToken
+    });
+  } catch (error) {
+    console.error('OAuth exchange error:', error);
+    respondWithError(res, error, 'Failed to complete sign-in');
+  }
+};
+
+/**
+ * GET /api/auth/oauth/accounts
+ * Providers linked to the signed-in account
+ */
+exports.listAccounts = async (req, res) => {
+  try {
+    const user = await User.findByPk(req.user.id, { attributes: ['id', 'password'] });
+    const accounts = await oauthService.listLinkedAccounts(req.user.id);
+
+    res.json({
+      accounts,
+      hasPassword: !!(user && user.password),
+      availableProviders: oauthService.listEnabledProviders()
+    });
+  } catch (error) {
+    console.error('List OAuth accounts error:', error);
+    res.status(500).json({ error: 'Failed to fetch linked accounts' });
+  }
+};
+
+/**
+ * DELETE /api/auth/oauth/:provider
+ * Unlink a provider from the signed-in account
+ */
+exports.unlink = async (req, res) => {
+  try {
+    const user = await User.findByPk(req.user.id);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const account = await oauthService.unlinkAccount(user, req.params.provider);
+    await auditOAuthEvent(req, 'auth.oauth.unlinked', user, {
+      provider: account.provider,
+      providerUsername: account.username
+    });
+
+    res.json({ success: true, message: `${oauthService.PROVIDERS[account.provider].name} unlinked` });
+  } catch (error) {
+    console.error('Unlink OAuth account error:', error);
+    respondWithError(res, error, 'Failed to unlink account');
+  }
+};
@@ -0,0 +1,170 @@
+const TeamMember = require('../models/TeamMember');
+const runbookService = require('../services/runbookService');
+const auditLog = require('../services/auditLogService');
+const { ValidationError, AlreadyExistsError } = require('../utils/errors');
+
+// Every active member reads the runbook; members who manage errors write it
+async function findMembership(req) {
+  const { teamId } = req.params;
+  if (!/^\d+$/.test(String(teamId))) return null;
+
+  return TeamMember.findOne({
+    where: { team_id: teamId, user_id: req.user.id, status: 'active' }
+  });
+}
+
+function deniedResponse(res, message = 'You must be a team member to view the runbook') {
+  return res.status(403).json({ error: 'Access denied', message });
+}
+
+function canEdit(membership) {
+  return !!(membership && membership.permissions && membership.permissions.can_manage_errors);
+}
+
+function respondWithError(res, error, fallbackMessage) {
+  if (error instanceof ValidationError) {
+    return res.status(400).json({ error: error.message, code: error.code, details: error.errors });
+  }
+  if (error instanceof AlreadyExistsError) {
+    return res.status(409).json({ error: error.message, code: error.code });
+  }
+  console.error(`${fallbackMessage}:`, error);
+  res.status(500).json({ error: fallbackMessage });
+}
+
+/**
+ * GET /api/teams/:teamId/runbooks
+ * Query: q (full-text, web search syntax), tag, page, limit
+ */
+exports.listRunbooks = async (req, res) => {
+  try {
+    const membership = await findMembership(req);
+    if (!membership) {
+      return deniedResponse(res);
+    }
+
+    const { q, tag, page, limit } = req.query;
+    const result = await runbookService.searchRunbooks(req.params.teamId, { q, tag, page, limit });
+
+    res.json({
+      runbooks: result.runbooks,
+      pagination: {
+        page: result.page,
+        limit: result.limit,
+        total: result.total,
+        totalPages: Math.ceil(result.total / result.limit)
+      }
+    });
+  } catch (error) {
+    console.error('List runbooks error:', error);
+    res.status(500).json({ error: 'Failed to fetch runbooks' });
+  }
+};
+
+/**
+ * GET /api/teams/:teamId/runbooks/:runbookId
+ * The entry with its linked analysis
+ */
+exports.getRunbook = async (req, res) => {
+  try {
+    const membership = await findMembership(req);
+    if (!membership) {
+      return deniedResponse(res);
+    }
+
+    const runbook = await runbookService.findRunbook(req.params.teamId, req.params.runbookId);
+    if (!runbook) {
+      return res.status(404).json({ error: 'Runbook not found' });
+    }
+
+    res.json({ runbook: runbookService.toRunbookResponse(runbook) });
+  } catch (error) {
+    console.error('Get runbook error:', error);
+    res.status(500).json({ error: 'Failed to fetch runbook' });
+  }
+};
+
+/**
+ * POST /api/teams/:teamId/runbooks
+ * Body: { title, symptoms, rootCause?, fixSteps?, tags?, errorQueryId? }
+ * or { sharedErrorId, ...overrides } to write one up from a resolved shared error
+ */
+exports.createRunbook = async (req, res) => {
+  try {
+    const membership = await findMembership(req);
+    if (!canEdit(membership)) {
+      return deniedResponse(res, 'You do not have permission to edit the runbook');
+    }
+
+    const created = await runbookService.createRunbook(Number(req.params.teamId), req.user, req.body);
+    const runbook = await runbookService.findRunbook(req.params.teamId, created.id);
+
+    res.status(201).json({
+      message: 'Runbook created successfully',
+      runbook: runbookService.toRunbookResponse(runbook)
+    });
+  } catch (error) {
+    respondWithError(res, error, 'Failed to create runbook');
+  }
+};
+
+/**
+ * PUT /api/teams/:teamId/runbooks/:runbookId
+ * Body: any of the create fields
+ */
+exports.updateRunbook = async (req, res) => {
+  try {
+    const membership = await findMembership(req);
+    if (!canEdit(membership)) {
+      return deniedResponse(res, 'You do not have permission to edit the runbook');
+    }
+
+    const existing = await runbookService.findRunbook(req.params.teamId, req.params.runbookId);
+    if (!existing) {
+      return res.status(404).json({ error: 'Runbook not found' });
+    }
+
+    await runbookService.updateRunbook(existing, req.user, req.body);
+    const runbook = await runbookService.findRunbook(req.params.teamId, existing.id);
+
+    res.json({
+      message: 'Runbook updated successfully',
+      runbook: runbookService.toRunbookResponse(runbook)
+    });
+  } catch (error) {
+    respondWithError(res, error, 'Failed to update runbook');
+  }
+};
+
+/**
+ * DELETE /api/teams/:teamId/runbooks/:runbookId
+ */
+exports.deleteRunbook = async (req, res) => {
+  try {
+    const membership = await findMembership(req);
+    if (!canEdit(membership)) {
+      return deniedResponse(res, 'You do not have permission to edit the runbook');
+    }
+
+    const runbook = await runbookService.findRunbook(req.params.teamId, req.params.runbookId);
+    if (!runbook) {
+      return res.status(404).json({ error: 'Runbook not found' });
+    }
+
+    await runbook.destroy();
+
+    await auditLog.recordEvent({
+      action: 'team.runbook.deleted',
+      req,
+      target: { type: 'team_runbook', id: runbook.id, label: runbook.title },
+      teamId: runbook.team_id,
+      before: auditLog.pick(runbook, ['title', 'shared_error_id', 'created_by']),
+      metadata: { citationCount: runbook.citation_count }
+    });
+
+    res.json({ success: true, runbookId: runbook.id });
+  } catch (error) {
+    console.error('Delete runbook error:', error);
+    res.status(500).json({ error: 'Failed to delete runbook' });
+  }
+};
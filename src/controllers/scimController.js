@@ -0,0 +1,170 @@
+const scimService = require('../services/scimService');
+
+// Every SCIM response, including errors, uses the SCIM media type
+function send(res, status, body) {
+  res.status(status).type('application/scim+json').send(JSON.stringify(body));
+}
+
+function sendError(res, error, label) {
+  const { status, body } = scimService.toScimError(error);
+  if (status >= 500) {
+    console.error(`${label} error:`, error);
+  }
+  send(res, status, body);
+}
+
+function context(req) {
+  return { team: req.scimTeam, req };
+}
+
+/**
+ * GET /scim/v2/ServiceProviderConfig
+ */
+exports.getServiceProviderConfig = (req, res) => {
+  send(res, 200, scimService.serviceProviderConfig());
+};
+
+/**
+ * GET /scim/v2/ResourceTypes
+ */
+exports.getResourceTypes = (req, res) => {
+  send(res, 200, scimService.resourceTypes());
+};
+
+/**
+ * GET /scim/v2/Users?filter=userName eq "jane@example.com"&startIndex=1&count=100
+ */
+exports.listUsers = async (req, res) => {
+  try {
+    send(res, 200, await scimService.listUsers(context(req), req.query));
+  } catch (error) {
+    sendError(res, error, 'SCIM list users');
+  }
+};
+
+/**
+ * GET /scim/v2/Users/:id
+ */
+exports.getUser = async (req, res) => {
+  try {
+    send(res, 200, await scimService.getUser(context(req), req.params.id));
+  } catch (error) {
+    sendError(res, error, 'SCIM get user');
+  }
+};
+
+/**
+ * POST /scim/v2/Users
+ */
+exports.createUser = async (req, res) => {
+  try {
+    const user = await scimService.createUser(context(req), req.body);
+    res.location(user.meta.location);
+    send(res, 201, user);
+  } catch (error) {
+    sendError(res, error, 'SCIM create user');
+  }
+};
+
+/**
+ * PUT /scim/v2/Users/:id
+ */
+exports.replaceUser = async (req, res) => {
+  try {
+    send(res, 200, await scimService.replaceUser(context(req), req.params.id, req.body));
+  } catch (error) {
+    sendError(res, error, 'SCIM replace user');
+  }
+};
+
+/**
+ * PATCH /scim/v2/Users/:id
+ */
+exports.patchUser = async (req, res) => {
+  try {
+    send(res, 200, await scimService.patchUser(context(req), req.params.id, req.body));
+  } catch (error) {
+    sendError(res, error, 'SCIM patch user');
+  }
+};
+
+/**
+ * DELETE /scim/v2/Users/:id
+ */
+exports.deleteUser = async (req, res) => {
+  try {
+    await scimService.deleteUser(context(req), req.params.id);
+    res.status(204).end();
+  } catch (error) {
+    sendError(res, error, 'SCIM delete user');
+  }
+};
+
+/**
+ * GET /scim/v2/Groups
+ */
+exports.listGroups = async (req, res) => {
+  try {
+    send(res, 200, await scimService.listGroups(context(req), req.query));
+  } catch (error) {
+    sendError(res, error, 'SCIM list groups');
+  }
+};
+
+/**
+ * GET /scim/v2/Groups/:id
+ */
+exports.getGroup = async (req, res) => {
+  try {
+    send(res, 200, await scimService.getGroup(context(req), req.params.id, req.query));
+  } catch (error) {
+    sendError(res, error, 'SCIM get group');
+  }
+};
+
+/**
+ * POST /scim/v2/Groups
+ */
+exports.createGroup = async (req, res) => {
+  try {
+    const group = await scimService.createGroup(context(req), req.body);
+    res.location(group.meta.location);
+    send(res, 201, group);
+  } catch (error) {
+    sendError(res, error, 'SCIM create group');
+  }
+};
+
+/**
+ * PUT /scim/v2/Groups/:id
+ */
+exports.replaceGroup = async (req, res) => {
+  try {
+    send(res, 200, await scimService.replaceGroup(context(req), req.params.id, req.body));
+  } catch (error) {
+    sendError(res, error, 'SCIM replace group');
+  }
+};
+
+/**
+ * PATCH /scim/v2/Groups/:id
+ */
+exports.patchGroup = async (req, res) => {
+  try {
+    send(res, 200, await scimService.patchGroup(context(req), req.params.id, req.body));
+  } catch (error) {
+    sendError(res, error, 'SCIM patch group');
+  }
+};
+
+/**
+ * DELETE /scim/v2/Groups/:id
+ */
+exports.deleteGroup = async (req, res) => {
+  try {
+    await scimService.deleteGroup(context(req), req.params.id);
+    res.status(204).end();
+  } catch (error) {
+    sendError(res, error, 'SCIM delete group');
+  }
+};
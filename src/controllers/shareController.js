@@ -0,0 +1,91 @@
+const shareLinkService = require('../services/shareLinkService');
+const { ValidationError } = require('../utils/errors');
+
+// Create a public share link for an analysis
+exports.createShareLink = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const userId = req.user.id;
+    const { expiresAt, expiresInDays, redactCode } = req.body;
+
+    const link = await shareLinkService.createShareLink(id, userId, {
+      expiresAt,
+      expiresInDays,
+      redactCode: redactCode === true || redactCode === 'true'
+    });
+
+    if (!link) {
+      return res.status(404).json({ error: 'Error query not found' });
+    }
+
+    res.status(201).json(link);
+
+  } catch (error) {
+    if (error instanceof ValidationError) {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('Failed to create share link:', error);
+    res.status(500).json({ error: 'Failed to create share link' });
+  }
+};
+
+// List the user's share links (active only unless ?includeInactive=true)
+exports.listShareLinks = async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const { errorQueryId, includeInactive } = req.query;
+
+    const links = await shareLinkService.listShareLinks(userId, {
+      errorQueryId,
+      includeInactive: includeInactive === 'true'
+    });
+
+    res.json({ links, count: links.length });
+
+  } catch (error) {
+    console.error('Failed to fetch share links:', error);
+    res.status(500).json({ error: 'Failed to fetch share links' });
+  }
+};
+
+// Revoke a share link - the public URL stops working immediately
+exports.revokeShareLink = async (req, res) => {
+  try {
+    const { shareId } = req.params;
+    const userId = req.user.id;
+
+    const link = await shareLinkService.revokeShareLink(shareId, userId);
+    if (!link) {
+      return res.status(404).json({ error: 'Share link not found' });
+    }
+
+    res.json({ message: 'Share link revoked', link });
+
+  } catch (error) {
+    console.error('Failed to revoke share link:', error);
+    res.status(500).json({ error: 'Failed to revoke share link' });
+  }
+};
+
+// Public read-only analysis (no auth)
+exports.getPublicAnalysis = async (req, res) => {
+  try {
+    const { token } = req.params;
+
+    const analysis = await shareLinkService.viewSharedAnalysis(token);
+
+    // Revocation must take effect immediately, and shared pages shouldn't be indexed
+    res.set('Cache-Control', 'no-store');
+    res.set('X-Robots-Tag', 'noindex, nofollow');
+
+    if (!analysis) {
+      return res.status(404).json({ error: 'This link has expired, been revoked, or does not exist' });
+    }
+
+    res.json({ analysis });
+
+  } catch (error) {
+    console.error('Failed to fetch shared analysis:', error);
+    res.status(500).json({ error: 'Failed to fetch shared analysis' });
+  }
+};
@@ -0,0 +1,334 @@
+const Team = require('../models/Team');
+const ssoService = require('../services/ssoService');
+const oauthService = require('../services/oauthService');
+const auditLog = require('../services/auditLogService');
+const { ValidationError } = require('../utils/errors');
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// Fields compared in the audit diff - never the client secret or certificate body
+const AUDITED_FIELDS = ['protocol', 'enabled', 'enforced', 'jit_provisioning', 'default_role', 'saml_entry_point', 'saml_idp_issuer', 'oidc_issuer', 'oidc_client_id'];
+
+const frontendUrl = () => process.env.FRONTEND_URL || 'http://localhost:3000';
+
+function redirectToFrontend(res, path, params) {
+  const query = new URLSearchParams(params).toString();
+  res.redirect(`${frontendUrl()}${path}${query ? `?${query}` : ''}`);
+}
+
+// SSO decides who can sign in to the whole team, so only the owner configures it
+async function findOwnedTeam(teamId, userId) {
+  if (!/^\d+$/.test(String(teamId))) return null;
+  return Team.findOne({ where: { id: teamId, owner_id: userId, is_active: true } });
+}
+
+function deniedResponse(res) {
+  return res.status(403).json({
+    error: 'Access denied',
+    message: 'Only the team owner can manage single sign-on'
+  });
+}
+
+function respondWithError(res, error, fallbackMessage) {
+  if (error instanceof ValidationError) {
+    return res.status(400).json({ error: error.message, code: error.code, details: error.errors });
+  }
+  if (error.statusCode === 503) {
+    return res.status(503).json({ error: error.message });
+  }
+  res.status(500).json({ error: fallbackMessage });
+}
+
+function auditDomainEvent(req, action, domain) {
+  return auditLog.recordEvent({
+    action,
+    req,
+    target: { type: 'sso_domain', id: domain.id, label: domain.domain },
+    teamId: domain.team_id
+  });
+}
+
+async function ssoSettingsResponse(teamId) {
+  const [connection, domains] = await Promise.all([
+    ssoService.getConnection(teamId),
+    ssoService.listDomains(teamId)
+  ]);
+
+  return {
+    connection: ssoService.toConnectionResponse(connection),
+    domains: domains.map(ssoService.toDomainResponse),
+    serviceProvider: ssoService.serviceProviderUrls(teamId)
+  };
+}
+
+/**
+ * GET /api/teams/:teamId/sso
+ * Identity provider settings, claimed domains and the URLs to register with the IdP
+ */
+exports.getSettings = async (req, res) => {
+  try {
+    const team = await findOwnedTeam(req.params.teamId, req.user.id);
+    if (!team) {
+      return deniedResponse(res);
+    }
+
+    res.json(await ssoSettingsResponse(team.id));
+  } catch (error) {
+    console.error('Get SSO settings error:', error);
+    res.status(500).json({ error: 'Failed to fetch SSO settings' });
+  }
+};
+
+/**
+ * PUT /api/teams/:teamId/sso
+ * Body: { protocol, enabled, enforced, jitProvisioning, defaultRole,
+ *         saml: { entryPoint, idpIssuer, idpCert }, oidc: { issuer, clientId, clientSecret } }
+ */
+exports.updateSettings = async (req, res) => {
+  try {
+    const team = await findOwnedTeam(req.params.teamId, req.user.id);
+    if (!team) {
+      return deniedResponse(res);
+    }
+
+    const { connection, before } = await ssoService.saveConnection(team.id, req.user.id, req.body);
+
+    await auditLog.recordEvent({
+      action: before ? 'team.sso.updated' : 'team.sso.created',
+      req,
+      target: { type: 'team', id: team.id, label: team.name },
+      teamId: team.id,
+      before: auditLog.pick(before, AUDITED_FIELDS),
+      after: auditLog.pick(connection, AUDITED_FIELDS),
+      metadata: {
+        clientSecretChanged: !!(req.body.oidc && req.body.oidc.clientSecret),
+        certificateChanged: !!(req.body.saml && req.body.saml.idpCert !== undefined)
+      }
+    });
+
+    res.json(await ssoSettingsResponse(team.id));
+  } catch (error) {
+    console.error('Update SSO settings error:', error);
+    respondWithError(res, error, 'Failed to update SSO settings');
+  }
+};
+
+/**
+ * DELETE /api/teams/:teamId/sso
+ * Remove the identity provider; claimed domains stay verified
+ */
+exports.deleteSettings = async (req, res) => {
+  try {
+    const team = await findOwnedTeam(req.params.teamId, req.user.id);
+    if (!team) {
+      return deniedResponse(res);
+    }
+
+    const connection = await ssoService.deleteConnection(team.id);
+    if (!connection) {
+      return res.status(404).json({ error: 'SSO is not configured for this team' });
+    }
+
+    await auditLog.recordEvent({
+      action: 'team.sso.deleted',
+      req,
+      target: { type: 'team', id: team.id, label: team.name },
+      teamId: team.id,
+      before: auditLog.pick(connection, AUDITED_FIELDS)
+    });
+
+    res.json({ success: true, message: 'Single sign-on removed' });
+  } catch (error) {
+    console.error('Delete SSO settings error:', error);
+    res.status(500).json({ error: 'Failed to remove SSO settings' });
+  }
+};
+
+/**
+ * POST /api/teams/:teamId/sso/domains
+ * Body: { domain } - responds with the TXT record to publish
+ */
+exports.addDomain = async (req, res) => {
+  try {
+    const team = await findOwnedTeam(req.params.teamId, req.user.id);
+    if (!team) {
+      return deniedResponse(res);
+    }
+
+    const domain = await ssoService.addDomain(team.id, req.body.domain);
+    await auditDomainEvent(req, 'team.sso.domain_added', domain);
+
+    res.status(201).json({ domain: ssoService.toDomainResponse(domain) });
+  } catch (error) {
+    console.error('Add SSO domain error:', error);
+    respondWithError(res, error, 'Failed to add domain');
+  }
+};
+
+/**
+ * POST /api/teams/:teamId/sso/domains/:domainId/verify
+ * Look up the TXT record and mark the domain verified
+ */
+exports.verifyDomain = async (req, res) => {
+  try {
+    const team = await findOwnedTeam(req.params.teamId, req.user.id);
+    if (!team) {
+      return deniedResponse(res);
+    }
+
+    const domain = UUID_PATTERN.test(req.params.domainId)
+      ? await ssoService.verifyDomain(team.id, req.params.domainId)
+      : null;
+    if (!domain) {
+      return res.status(404).json({ error: 'Domain not found' });
+    }
+
+    await auditDomainEvent(req, 'team.sso.domain_verified', domain);
+    res.json({ domain: ssoService.toDomainResponse(domain) });
+  } catch (error) {
+    console.error('Verify SSO domain error:', error);
+    respondWithError(res, error, 'Failed to verify domain');
+  }
+};
+
+/**
+ * DELETE /api/teams/:teamId/sso/domains/:domainId
+ */
+exports.removeDomain = async (req, res) => {
+  try {
+    const team = await findOwnedTeam(req.params.teamId, req.user.id);
+    if (!team) {
+      return deniedResponse(res);
+    }
+
+    const result = UUID_PATTERN.test(req.params.domainId)
+      ? await ssoService.removeDomain(team.id, req.params.domainId)
+      : null;
+    if (!result) {
+      return res.status(404).json({ error: 'Domain not found' });
+    }
+
+    await auditDomainEvent(req, 'team.sso.domain_removed', result.domain);
+    res.json({
+      success: true,
+      enforcementDisabled: result.enforcementDisabled,
+      message: result.enforcementDisabled
+        ? 'Domain removed. SSO is no longer enforced because no verified domain is left.'
+        : 'Domain removed'
+    });
+  } catch (error) {
+    console.error('Remove SSO domain error:', error);
+    res.status(500).json({ error: 'Failed to remove domain' });
+  }
+};
+
+// ============================================================================
+// SIGN-IN (public)
+// ============================================================================
+
+/**
+ * POST /api/auth/sso/discover
+ * Body: { email } - whether the address signs in through a team's IdP
+ */
+exports.discover = async (req, res) => {
+  try {
+    const sso = await ssoService.discoverForEmail(req.body.email);
+    res.json(sso ? { sso: true, ...sso } : { sso: false });
+  } catch (error) {
+    console.error('SSO discovery error:', error);
+    res.status(500).json({ error: 'Failed to look up single sign-on' });
+  }
+};
+
+/**
+ * GET /api/auth/sso/:teamId/login?redirect=/dashboard
+ * Redirects to the team's identity provider
+ */
+exports.startLogin = async (req, res) => {
+  try {
+    const loginUrl = await ssoService.createLoginUrl(req.params.teamId, { redirectPath: req.query.redirect });
+    res.redirect(loginUrl);
+  } catch (error) {
+    console.error('SSO start error:', error);
+    const code = error instanceof ValidationError ? error.code : 'SSO_UNAVAILABLE';
+    redirectToFrontend(res, '/login', { error: code });
+  }
+};
+
+/**
+ * GET /api/auth/sso/:teamId/saml/metadata
+ * Service provider metadata to upload to the IdP
+ */
+exports.samlMetadata = async (req, res) => {
+  try {
+    const metadata = await ssoService.getServiceProviderMetadata(req.params.teamId);
+    if (!metadata) {
+      return res.status(404).json({ error: 'SAML is not configured for this team' });
+    }
+
+    res.type('application/samlmetadata+xml').send(metadata);
+  } catch (error) {
+    console.error('SAML metadata error:', error);
+    res.status(500).json({ error: 'Failed to generate SAML metadata' });
+  }
+};
+
+// Both protocols end the same way: audit, then hand the SPA a one-time login code
+async function finishLogin(req, res, result) {
+  const { user, created, provisioned, membership, connection } = result;
+  const teamId = connection.team_id;
+  const target = { type: 'user', id: user.id, label: user.email };
+
+  if (created) {
+    await auditLog.recordEvent({ action: 'auth.sso.signup', req, actor: user, target, teamId, metadata: { protocol: connection.protocol } });
+  }
+  if (provisioned) {
+    await auditLog.recordEvent({
+      action: 'team.sso.member_provisioned',
+      req,
+      actor: user,
+      target,
+      teamId,
+      metadata: { role: membership.role }
+    });
+  }
+
+  const code = await oauthService.createLoginCode(user.id, 'sso', `sso_${connection.protocol}`);
+  const params = { code };
+  if (result.redirectPath) params.redirect = result.redirectPath;
+  redirectToFrontend(res, '/oauth/callback', params);
+}
+
+function failLogin(res, error, label) {
+  if (!(error instanceof ValidationError)) {
+    console.error(`${label} error:`, error);
+  }
+  const code = error instanceof ValidationError ? error.code : 'SSO_FAILED';
+  redirectToFrontend(res, '/login', { error: code });
+}
+
+/**
+ * POST /api/auth/sso/:teamId/saml/acs
+ * Assertion consumer service - the IdP posts the SAML response here
+ */
+exports.samlAcs = async (req, res) => {
+  try {
+    const result = await ssoService.completeSamlLogin(req.params.teamId, req.body);
+    await finishLogin(req, res, result);
+  } catch (error) {
+    failLogin(res, error, 'SAML ACS');
+  }
+};
+
+/**
+ * GET /api/auth/sso/:teamId/oidc/callback
+ * OIDC redirect target
+ */
+exports.oidcCallback = async (req, res) => {
+  try {
+    const result = await ssoService.completeOidcLogin(req.params.teamId, req.query);
+    await finishLogin(req, res, result);
+  } catch (error) {
+    failLogin(res, error, 'OIDC callback');
+  }
+};
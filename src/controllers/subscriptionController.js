@@ -2,6 +2,7 @@ const User = require('../models/User');
 const Subscription = require('../models/Subscription');
 const logger = require('../utils/logger');
 const subscriptionService = require('../services/subscriptionService');
+const metrics = require('../utils/metrics');
 
 // Subscription tier configuration - matches pricing page exactly
 const SUBSCRIPTION_TIERS = {
@@ -525,6 +526,14 @@ exports.getUsage = async (req, res) => {
   }
 };
 
+function recordWebhook(req, outcome) {
+  metrics.increment('webhooks_received_total', {
+    source: 'dodo',
+    event: req.body?.event || req.body?.type || 'unknown',
+    outcome
+  });
+}
+
 // Handle Dodo payment webhooks
 exports.handleWebhook = async (req, res) => {
   try {
@@ -537,6 +546,7 @@ exports.handleWebhook = async (req, res) => {
     // Check if already processed (idempotency protection)
     const alreadyProcessed = await subscriptionService.isWebhookProcessed(webhookId);
     if (alreadyProcessed) {
+      recordWebhook(req, 'duplicate');
       logger.info('⚠️  Webhook already processed (idempotent):', webhookId);
       return res.status(200).json({ 
         message: 'Webhook already processed',
@@ -547,6 +557,7 @@ exports.handleWebhook = async (req, res) => {
     // Dodo sends signature header (case-insensitive). Express lowercases header keys.
     const signature = req.headers['dodo-signature'] || req.headers['x-dodo-signature'];
     if (!signature) {
+      recordWebhook(req, 'missing_signature');
       return res.status(400).json({ error: 'Missing webhook signature' });
     }
 
@@ -557,6 +568,7 @@ exports.handleWebhook = async (req, res) => {
     
     // Verify webhook signature
     if (!paymentService.verifyWebhookSignature(rawBody, signature)) {
+      recordWebhook(req, 'invalid_signature');
       return res.status(400).json({ error: 'Invalid webhook signature' });
     }
 
@@ -571,6 +583,7 @@ exports.handleWebhook = async (req, res) => {
     const result = await paymentService.processWebhookEvent(req.body);
 
     if (result.success) {
+      recordWebhook(req, 'processed');
       logger.info('✅ Webhook processed successfully:', webhookId);
       return res.status(200).json({ 
         message: 'Webhook processed successfully',
@@ -578,10 +591,12 @@ exports.handleWebhook = async (req, res) => {
       });
     }
     
+    recordWebhook(req, 'failed');
     logger.error('❌ Webhook processing error:', result.error);
     return res.status(500).json({ error: result.error || 'Processing error' });
 
   } catch (error) {
+    recordWebhook(req, 'error');
     logger.error('Webhook processing failed:', error);
     return res.status(500).json({ error: 'Webhook processing failed' });
   }
@@ -1095,7 +1110,8 @@ exports.upgradeSubscription = async (req, res) => {
       user,
       currentTier,
       targetTier,
-      paymentMethod
+      paymentMethod,
+      { req }
     );
     
     logger.info(`Subscription upgraded successfully`, {
@@ -1144,7 +1160,8 @@ exports.downgradeSubscription = async (req, res) => {
       currentTier,
       targetTier,
       immediate,
-      reason
+      reason,
+      { req }
     );
     
     logger.info(`Subscription downgrade ${immediate ? 'completed' : 'scheduled'}`, {
@@ -1,11 +1,22 @@
 const Team = require('../models/Team');
 const TeamMember = require('../models/TeamMember');
 const SharedError = require('../models/SharedError');
+const SharedErrorVote = require('../models/SharedErrorVote');
 const User = require('../models/User');
 const Subscription = require('../models/Subscription');
+const webhookService = require('../services/webhookService');
+const teamEvents = require('../services/teamEventBus');
+const notificationService = require('../services/notificationService');
+const chatNotifications = require('../services/chatNotificationService');
+const auditLog = require('../services/auditLogService');
+const twoFactorService = require('../services/twoFactorService');
+const tracking = require('../services/sharedErrorTrackingService');
+const voteService = require('../services/voteService');
+const runbookService = require('../services/runbookService');
 const sequelize = require('../config/database');
 const { Op } = require('sequelize');
 const { v4: uuidv4 } = require('uuid');
+const { ValidationError, AlreadyExistsError } = require('../utils/errors');
 
 /**
  * Create a new team (Team subscription required)
@@ -120,6 +131,7 @@ exports.getUserTeams = async (req, res) => {
 
     const teamsWithCounts = teams.map(team => ({
       ...team.toJSON(),
+      settings: chatNotifications.maskChatWebhooks(team.settings),
       member_count: team.all_members.length,
       role: team.members[0]?.role,
       status: team.members[0]?.status
@@ -250,6 +262,14 @@ exports.acceptInvitation = async (req, res) => {
       joined_at: new Date()
     });
 
+    const joined = {
+      user_id: userId,
+      role: invitation.role,
+      joined_at: invitation.joined_at
+    };
+    webhookService.emitTeamEvent(teamId, 'member.joined', joined);
+    teamEvents.publishTeamEvent(teamId, 'member.joined', { ...joined, username: req.user.username }, req.user);
+
     res.json({
       message: 'Successfully joined the team',
       team_id: teamId,
@@ -261,13 +281,27 @@ exports.acceptInvitation = async (req, res) => {
   }
 };
 
+// Assigning yourself doesn't need an email
+async function notifyNewAssignees(assignedBy, teamId, sharedError, userIds) {
+  const recipientIds = userIds.filter(id => id !== assignedBy.id);
+  if (recipientIds.length === 0) return;
+
+  try {
+    const recipients = await User.findAll({ where: { id: recipientIds }, attributes: ['id', 'email', 'username'] });
+    await notificationService.sendAssignmentNotification(assignedBy, recipients, teamId, sharedError);
+  } catch (error) {
+    console.error('Failed to notify assignees:', error);
+  }
+}
+
 /**
  * Share error with team
+ * Body: { errorQueryId, title, description, category, priority, assigneeIds?, dueAt? }
  */
 exports.shareError = async (req, res) => {
   try {
     const { teamId } = req.params;
-    const { errorQueryId, title, description, category, priority = 'medium' } = req.body;
+    const { errorQueryId, title, description, category, priority = 'medium', assigneeIds } = req.body;
     const userId = req.user.id;
 
     // Check if user is team member
@@ -282,6 +316,11 @@ exports.shareError = async (req, res) => {
       });
     }
 
+    const dueAt = tracking.parseDueAt(req.body.dueAt);
+    const assignees = assigneeIds !== undefined ? await tracking.validateAssignees(teamId, assigneeIds) : [];
+    const team = await Team.findByPk(teamId, { attributes: ['id', 'settings'] });
+    const now = new Date();
+
     const sharedError = await SharedError.create({
       team_id: teamId,
       shared_by: userId,
@@ -289,14 +328,40 @@ exports.shareError = async (req, res) => {
       title,
       description,
       category,
-      priority
+      priority,
+      due_at: dueAt || null,
+      sla_due_at: tracking.slaDueAt(team, priority, now),
+      status_changed_at: now
     });
 
+    if (assignees.length > 0) {
+      const { added } = await tracking.setAssignees(sharedError, assignees, userId);
+      notifyNewAssignees(req.user, teamId, sharedError, added);
+    }
+
+    const created = {
+      shared_error_id: sharedError.id,
+      error_query_id: sharedError.error_query_id,
+      title: sharedError.title,
+      category: sharedError.category,
+      priority: sharedError.priority,
+      status: sharedError.status,
+      shared_by: userId
+    };
+    webhookService.emitTeamEvent(teamId, 'shared_error.created', created);
+    teamEvents.publishTeamEvent(teamId, 'shared_error.created', created, req.user);
+    notificationService.sendSharedErrorNotification(req.user, teamId, sharedError.title, sharedError);
+
+    await sharedError.reload({ include: [tracking.assigneeInclude()] });
+
     res.status(201).json({
       message: 'Error shared with team successfully',
-      shared_error: sharedError
+      shared_error: tracking.toTrackedResponse(sharedError)
     });
   } catch (error) {
+    if (error instanceof ValidationError) {
+      return res.status(400).json({ error: error.message, details: error.errors });
+    }
     console.error('Share error error:', error);
     res.status(500).json({ error: 'Failed to share error' });
   }
@@ -304,12 +369,14 @@ exports.shareError = async (req, res) => {
 
 /**
  * Get team shared errors
+ * Query: page, limit, status, category, assignee (me | none | user id), overdue=true,
+ *        sort (newest | top | trending | most_hit)
  */
 exports.getTeamErrors = async (req, res) => {
   try {
     const { teamId } = req.params;
     const userId = req.user.id;
-    const { page = 1, limit = 20, status, category } = req.query;
+    const { page = 1, limit = 20, status, category, assignee, overdue, sort } = req.query;
 
     // Check if user is team member
     const membership = await TeamMember.findOne({
@@ -323,10 +390,26 @@ exports.getTeamErrors = async (req, res) => {
       });
     }
 
+    const order = voteService.sortOrder(sort);
+    if (!order) {
+      return res.status(400).json({ error: `sort must be one of: ${voteService.VOTE_CONFIG.SORT_MODES.join(', ')}` });
+    }
+
     const whereClause = { team_id: teamId };
     if (status) whereClause.status = status;
     if (category) whereClause.category = category;
 
+    const conditions = [];
+    if (assignee) {
+      const assigneeCondition = tracking.assigneeCondition(assignee === 'me' ? userId : assignee);
+      if (!assigneeCondition) {
+        return res.status(400).json({ error: 'assignee must be "me", "none" or a user id' });
+      }
+      conditions.push(assigneeCondition);
+    }
+    if (overdue === 'true') conditions.push(tracking.overdueCondition());
+    if (conditions.length > 0) whereClause[Op.and] = conditions;
+
     const { count, rows: sharedErrors } = await SharedError.findAndCountAll({
       where: whereClause,
       include: [
@@ -334,15 +417,28 @@ exports.getTeamErrors = async (req, res) => {
           model: User,
           as: 'sharedBy',
           attributes: ['id', 'username']
+        },
+        tracking.assigneeInclude(),
+        {
+          model: SharedErrorVote,
+          as: 'viewerVote',
+          where: { user_id: userId },
+          required: false,
+          attributes: ['value', 'hit_at']
         }
       ],
-      order: [['created_at', 'DESC']],
+      distinct: true,
+      order,
       limit: parseInt(limit),
       offset: (parseInt(page) - 1) * parseInt(limit)
     });
 
+    const now = new Date();
     res.json({
-      shared_errors: sharedErrors,
+      shared_errors: sharedErrors.map(sharedError => {
+        const { viewerVote, ...fields } = tracking.toTrackedResponse(sharedError, now);
+        return { ...fields, ...voteService.viewerVoteFields(viewerVote) };
+      }),
       pagination: {
         page: parseInt(page),
         limit: parseInt(limit),
@@ -391,19 +487,23 @@ exports.startVideoChat = async (req, res) => {
     const sessionId = `${membership.team.video_room_id}-${Date.now()}`;
     const startTime = new Date();
     const endTime = new Date(startTime.getTime() + 30 * 60 * 1000); // 30 minutes from now
+    const session = {
+      id: sessionId,
+      room_id: membership.team.video_room_id,
+      started_by: req.user.username,
+      started_at: startTime.toISOString(),
+      expires_at: endTime.toISOString(),
+      duration_limit_minutes: 30,
+      join_url: `${process.env.FRONTEND_URL}/team/${teamId}/video/${sessionId}`,
+      unlimited_participants: true
+    };
+
+    // Members online get the invitation right away
+    teamEvents.publishTeamEvent(teamId, 'video.started', session, req.user);
     
     res.json({
       message: 'Video chat session created',
-      session: {
-        id: sessionId,
-        room_id: membership.team.video_room_id,
-        started_by: req.user.username,
-        started_at: startTime.toISOString(),
-        expires_at: endTime.toISOString(),
-        duration_limit_minutes: 30,
-        join_url: `${process.env.FRONTEND_URL}/team/${teamId}/video/${sessionId}`,
-        unlimited_participants: true
-      }
+      session
     });
   } catch (error) {
     console.error('Start video chat error:', error);
@@ -431,6 +531,8 @@ exports.endVideoChat = async (req, res) => {
       });
     }
 
+    teamEvents.publishTeamEvent(teamId, 'video.ended', { ended_by: req.user.username }, req.user);
+
     res.json({
       message: 'Video chat session ended',
       teamId
@@ -481,6 +583,7 @@ exports.getTeamDetails = async (req, res) => {
     res.json({
       team: {
         ...team.toJSON(),
+        settings: chatNotifications.maskChatWebhooks(team.settings),
         member_count: team.all_members.length,
         user_role: membership.role,
         user_permissions: membership.permissions
@@ -523,16 +626,94 @@ exports.updateTeam = async (req, res) => {
       return res.status(404).json({ error: 'Team not found' });
     }
 
+    // Settings read back from GET carry the masked webhook URLs - those and
+    // the stored values themselves are not changes
+    const settingsUpdate = settings && chatNotifications.omitUnchangedChatWebhooks(settings, team.settings);
+
+    if (settingsUpdate && chatNotifications.hasChatSettings(settingsUpdate)) {
+      // Channel webhooks are credentials - only the owner may change them
+      if (membership.role !== 'owner') {
+        return res.status(403).json({
+          error: 'Access denied',
+          message: 'Only the team owner can configure Slack or Teams notifications'
+        });
+      }
+
+      const validationError = chatNotifications.validateChatSettings(settingsUpdate);
+      if (validationError) {
+        return res.status(400).json({ error: validationError });
+      }
+    }
+
+    const slaChanged = tracking.hasSlaSettings(settings);
+    if (slaChanged) {
+      const slaError = tracking.validateSlaSettings(settings);
+      if (slaError) {
+        return res.status(400).json({ error: slaError });
+      }
+    }
+    const previousSlaTargets = tracking.slaTargets(team);
+
+    const twoFactorSetting = twoFactorService.TWO_FACTOR_CONFIG.TEAM_SETTING;
+    const previouslyRequired = twoFactorService.teamRequiresTwoFactor(team);
+    const requireTwoFactorChanged = settings && settings[twoFactorSetting] !== undefined &&
+      !!settings[twoFactorSetting] !== previouslyRequired;
+
+    if (requireTwoFactorChanged) {
+      if (membership.role !== 'owner') {
+        return res.status(403).json({
+          error: 'Access denied',
+          message: 'Only the team owner can change the two-factor requirement'
+        });
+      }
+
+      // The owner has to meet the policy before imposing it on everyone else
+      const owner = await User.findByPk(userId, { attributes: ['id', 'twoFactorEnabled'] });
+      if (settings[twoFactorSetting] && !owner.twoFactorEnabled) {
+        return res.status(400).json({
+          error: 'Enable two-factor authentication on your own account before requiring it for the team'
+        });
+      }
+    }
+
     const updateData = {};
     if (name) updateData.name = name;
     if (description) updateData.description = description;
-    if (settings) updateData.settings = { ...team.settings, ...settings };
+    if (settingsUpdate) updateData.settings = { ...team.settings, ...settingsUpdate };
+    if (requireTwoFactorChanged) updateData.settings[twoFactorSetting] = !!settings[twoFactorSetting];
 
     await team.update(updateData);
 
+    if (slaChanged) {
+      const rescheduled = await tracking.applySlaTargets(team);
+      await auditLog.recordEvent({
+        action: 'team.settings.sla_changed',
+        req,
+        target: { type: 'team', id: team.id, label: team.name },
+        teamId: team.id,
+        before: previousSlaTargets,
+        after: tracking.slaTargets(team),
+        metadata: { rescheduled }
+      });
+    }
+
+    if (requireTwoFactorChanged) {
+      await auditLog.recordEvent({
+        action: 'team.settings.require_2fa_changed',
+        req,
+        target: { type: 'team', id: team.id, label: team.name },
+        teamId: team.id,
+        before: { [twoFactorSetting]: previouslyRequired },
+        after: { [twoFactorSetting]: !!settings[twoFactorSetting] }
+      });
+    }
+
     res.json({
       message: 'Team updated successfully',
-      team: team.toJSON()
+      team: {
+        ...team.toJSON(),
+        settings: chatNotifications.maskChatWebhooks(team.settings)
+      }
     });
   } catch (error) {
     console.error('Update team error:', error);
@@ -666,8 +847,18 @@ exports.updateMemberRole = async (req, res) => {
     if (role) updateData.role = role;
     if (permissions) updateData.permissions = { ...targetMembership.permissions, ...permissions };
 
+    const before = auditLog.pick(targetMembership, ['role', 'permissions']);
     await targetMembership.update(updateData);
 
+    await auditLog.recordEvent({
+      action: 'team.member.role_changed',
+      req,
+      target: { type: 'user', id: targetUserId },
+      teamId: parseInt(teamId, 10),
+      before,
+      after: auditLog.pick(targetMembership, ['role', 'permissions'])
+    });
+
     res.json({
       message: 'Member role updated successfully',
       member: targetMembership.toJSON()
@@ -721,6 +912,15 @@ exports.removeTeamMember = async (req, res) => {
 
     await targetMembership.destroy();
 
+    const removed = {
+      user_id: targetUserId,
+      role: targetMembership.role,
+      removed_by: userId,
+      left_voluntarily: userId === targetUserId
+    };
+    webhookService.emitTeamEvent(teamId, 'member.removed', removed);
+    teamEvents.publishTeamEvent(teamId, 'member.removed', removed, req.user);
+
     res.json({
       message: userId === targetUserId ? 'Left team successfully' : 'Member removed successfully',
       userId: targetUserId
@@ -733,12 +933,15 @@ exports.removeTeamMember = async (req, res) => {
 
 /**
  * Update shared error
+ * Body: { title, description, category, priority, status, assigneeIds?, dueAt?, runbook? }
+ * assigneeIds replaces the assignees; dueAt: null clears the due date;
+ * runbook (with status 'resolved') also writes the fix up in the team runbook
  */
 exports.updateSharedError = async (req, res) => {
   try {
     const { teamId, errorId } = req.params;
     const userId = req.user.id;
-    const { title, description, category, priority, status } = req.body;
+    const { title, description, category, priority, status, assigneeIds } = req.body;
 
     // Check if user is team member
     const membership = await TeamMember.findOne({
@@ -760,25 +963,176 @@ exports.updateSharedError = async (req, res) => {
       return res.status(404).json({ error: 'Shared error not found' });
     }
 
+    const dueAt = tracking.parseDueAt(req.body.dueAt);
+    const assignees = assigneeIds !== undefined ? await tracking.validateAssignees(teamId, assigneeIds) : null;
+
     const updateData = {};
     if (title) updateData.title = title;
     if (description) updateData.description = description;
     if (category) updateData.category = category;
     if (priority) updateData.priority = priority;
-    if (status) updateData.status = status;
+    if (status) Object.assign(updateData, tracking.statusTransition(sharedError, status));
+
+    // A new priority means a new SLA deadline, measured from when the error was shared
+    if (priority && priority !== sharedError.priority) {
+      const team = await Team.findByPk(teamId, { attributes: ['id', 'settings'] });
+      updateData.sla_due_at = tracking.slaDueAt(team, priority, sharedError.created_at);
+      updateData.reminded_at = null;
+    }
+    if (dueAt !== undefined) {
+      updateData.due_at = dueAt;
+      updateData.reminded_at = null;
+    }
+
+    // Resolving can write the fix up as a runbook entry: runbook is true (draft
+    // it from the analysis) or an object overriding the drafted fields. The
+    // whole entry is built and checked before anything is saved.
+    const runbookInput = req.body.runbook === true ? {} : req.body.runbook || null;
+    let runbookFields = null;
+    if (runbookInput) {
+      if (status !== 'resolved' || typeof runbookInput !== 'object') {
+        throw new ValidationError(
+          'Runbook entries are written when resolving',
+          [{ field: 'runbook', message: 'Send status "resolved" with runbook: true or the runbook fields' }],
+          'INVALID_RUNBOOK'
+        );
+      }
+      runbookFields = await runbookService.prepareWriteUp(
+        { ...sharedError.get({ plain: true }), ...updateData },
+        req.user,
+        runbookInput
+      );
+    }
+
+    const previousStatus = sharedError.status;
+    const previousPriority = sharedError.priority;
+    const runbook = await sequelize.transaction(async (transaction) => {
+      await sharedError.update(updateData, { transaction });
+      return runbookFields ? runbookService.saveWriteUp(runbookFields, { transaction }) : null;
+    });
+
+    if (assignees) {
+      const { added } = await tracking.setAssignees(sharedError, assignees, userId);
+      notifyNewAssignees(req.user, teamId, sharedError, added);
+    }
+
+    notificationService.sendSharedErrorUpdateNotification(req.user, teamId, sharedError, {
+      status: previousStatus,
+      priority: previousPriority
+    });
 
-    await sharedError.update(updateData);
+    if (status && status !== previousStatus) {
+      const statusChange = {
+        shared_error_id: sharedError.id,
+        error_query_id: sharedError.error_query_id,
+        title: sharedError.title,
+        previous_status: previousStatus,
+        status: sharedError.status,
+        changed_by: userId
+      };
+      webhookService.emitTeamEvent(teamId, 'shared_error.status_changed', statusChange);
+      teamEvents.publishTeamEvent(teamId, 'shared_error.status_changed', statusChange, req.user);
+    }
+
+    await sharedError.reload({ include: [tracking.assigneeInclude()] });
 
     res.json({
       message: 'Shared error updated successfully',
-      shared_error: sharedError.toJSON()
+      shared_error: tracking.toTrackedResponse(sharedError),
+      ...(runbook && { runbook: runbookService.toRunbookResponse(runbook) })
     });
   } catch (error) {
+    if (error instanceof ValidationError) {
+      return res.status(400).json({ error: error.message, details: error.errors });
+    }
+    if (error instanceof AlreadyExistsError) {
+      return res.status(409).json({ error: error.message, code: error.code });
+    }
     console.error('Update shared error error:', error);
     res.status(500).json({ error: 'Failed to update shared error' });
   }
 };
 
+// Voting is open to every active member, whatever their error permissions
+async function findVotableError(req) {
+  const { teamId, errorId } = req.params;
+
+  const membership = await TeamMember.findOne({
+    where: { team_id: teamId, user_id: req.user.id, status: 'active' }
+  });
+  if (!membership) return { membership: null };
+
+  const sharedError = /^\d+$/.test(String(errorId))
+    ? await SharedError.findOne({ where: { id: errorId, team_id: teamId } })
+    : null;
+  return { membership, sharedError };
+}
+
+/**
+ * Vote on a shared error
+ * Body: { type: 'up' | 'down' | 'hit' } - one vote per member; 'hit' means "me too"
+ */
+exports.voteSharedError = async (req, res) => {
+  try {
+    const { membership, sharedError } = await findVotableError(req);
+
+    if (!membership) {
+      return res.status(403).json({
+        error: 'Access denied',
+        message: 'You must be a team member to vote on shared errors'
+      });
+    }
+    if (!sharedError) {
+      return res.status(404).json({ error: 'Shared error not found' });
+    }
+
+    const result = await voteService.castVote(sharedError, req.user.id, req.body.type);
+
+    res.json({
+      shared_error_id: sharedError.id,
+      votes: voteService.toVoteSummary(result.sharedError, result.vote)
+    });
+  } catch (error) {
+    if (error instanceof ValidationError) {
+      return res.status(400).json({ error: error.message, details: error.errors });
+    }
+    console.error('Vote shared error error:', error);
+    res.status(500).json({ error: 'Failed to record vote' });
+  }
+};
+
+/**
+ * Remove your vote (?type=vote, the default) or your "me too" (?type=hit)
+ */
+exports.removeSharedErrorVote = async (req, res) => {
+  try {
+    const { membership, sharedError } = await findVotableError(req);
+
+    if (!membership) {
+      return res.status(403).json({
+        error: 'Access denied',
+        message: 'You must be a team member to vote on shared errors'
+      });
+    }
+    if (!sharedError) {
+      return res.status(404).json({ error: 'Shared error not found' });
+    }
+
+    const result = await voteService.removeVote(sharedError, req.user.id, req.query.type);
+
+    res.json({
+      shared_error_id: sharedError.id,
+      votes: voteService.toVoteSummary(result.sharedError, result.vote)
+    });
+  } catch (error) {
+    if (error instanceof ValidationError) {
+      return res.status(400).json({ error: error.message, details: error.errors });
+    }
+    console.error('Remove shared error vote error:', error);
+    res.status(500).json({ error: 'Failed to remove vote' });
+  }
+};
+
 /**
  * Delete shared error
  */
@@ -850,7 +1204,7 @@ exports.getTeamDashboard = async (req, res) => {
     }
 
     // Get team stats
-    const [memberCount, sharedErrorCount, recentErrors] = await Promise.all([
+    const [memberCount, sharedErrorCount, recentErrors, onlineMemberIds] = await Promise.all([
       TeamMember.count({ where: { team_id: teamId, status: 'active' } }),
       SharedError.count({ where: { team_id: teamId } }),
       SharedError.findAll({
@@ -862,7 +1216,8 @@ exports.getTeamDashboard = async (req, res) => {
         }],
         order: [['created_at', 'DESC']],
         limit: 10
-      })
+      }),
+      teamEvents.onlineUserIds(teamId)
     ]);
 
     res.json({
@@ -871,6 +1226,9 @@ exports.getTeamDashboard = async (req, res) => {
         member_count: memberCount,
         shared_errors_count: sharedErrorCount,
         recent_errors: recentErrors,
+        online_member_ids: onlineMemberIds,
+        // Live updates: connect a WebSocket here instead of polling this endpoint
+        realtime_path: '/ws',
         user_role: membership.role,
         user_permissions: membership.permissions
       }
@@ -905,7 +1263,7 @@ exports.getTeamAnalytics = async (req, res) => {
     const thirtyDaysAgo = new Date();
     thirtyDaysAgo.setDate(thirtyDaysAgo.getDate() - 30);
 
-    const [errorsByCategory, errorsByPriority, dailyActivity] = await Promise.all([
+    const [errorsByCategory, errorsByPriority, dailyActivity, trackingFigures] = await Promise.all([
       SharedError.findAll({
         where: { 
           team_id: teamId,
@@ -939,7 +1297,8 @@ exports.getTeamAnalytics = async (req, res) => {
         ],
         group: [sequelize.fn('DATE', sequelize.col('created_at'))],
         order: [[sequelize.fn('DATE', sequelize.col('created_at')), 'ASC']]
-      })
+      }),
+      tracking.trackingAnalytics(teamId, thirtyDaysAgo)
     ]);
 
     res.json({
@@ -948,7 +1307,8 @@ exports.getTeamAnalytics = async (req, res) => {
         period: '30_days',
         errors_by_category: errorsByCategory,
         errors_by_priority: errorsByPriority,
-        daily_activity: dailyActivity
+        daily_activity: dailyActivity,
+        ...trackingFigures
       }
     });
   } catch (error) {
@@ -0,0 +1,276 @@
+const TeamMember = require('../models/TeamMember');
+const TeamWebhook = require('../models/TeamWebhook');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const webhookService = require('../services/webhookService');
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// Webhooks are managed by team owners and admins only
+async function findManagerMembership(teamId, userId) {
+  return TeamMember.findOne({
+    where: {
+      team_id: teamId,
+      user_id: userId,
+      status: 'active',
+      role: ['owner', 'admin']
+    }
+  });
+}
+
+async function findTeamWebhook(teamId, webhookId) {
+  if (!UUID_PATTERN.test(webhookId)) return null;
+  return TeamWebhook.findOne({ where: { id: webhookId, team_id: teamId } });
+}
+
+function maskSecret(secret) {
+  return secret ? `${secret.substring(0, 10)}…${secret.slice(-4)}` : null;
+}
+
+// Secrets are only returned in full when created or rotated
+function toWebhookResponse(webhook, { includeSecret = false } = {}) {
+  const data = webhook.toJSON();
+  data.secret = includeSecret ? webhook.secret : maskSecret(webhook.secret);
+  return data;
+}
+
+function deniedResponse(res) {
+  return res.status(403).json({
+    error: 'Access denied',
+    message: 'Only team owners and admins can manage webhooks'
+  });
+}
+
+/**
+ * List team webhooks
+ */
+exports.listWebhooks = async (req, res) => {
+  try {
+    const { teamId } = req.params;
+
+    if (!await findManagerMembership(teamId, req.user.id)) {
+      return deniedResponse(res);
+    }
+
+    const webhooks = await TeamWebhook.findAll({
+      where: { team_id: teamId },
+      order: [['created_at', 'ASC']]
+    });
+
+    res.json({
+      webhooks: webhooks.map(webhook => toWebhookResponse(webhook)),
+      available_events: webhookService.WEBHOOK_EVENTS
+    });
+  } catch (error) {
+    console.error('List webhooks error:', error);
+    res.status(500).json({ error: 'Failed to fetch webhooks' });
+  }
+};
+
+/**
+ * Register a webhook endpoint
+ */
+exports.createWebhook = async (req, res) => {
+  try {
+    const { teamId } = req.params;
+    const userId = req.user.id;
+    const { url, secret, events = ['*'], description } = req.body;
+
+    if (!await findManagerMembership(teamId, userId)) {
+      return deniedResponse(res);
+    }
+
+    if (!url) {
+      return res.status(400).json({ error: 'url is required' });
+    }
+
+    const validationError = webhookService.validateWebhookUrl(url) || webhookService.validateEvents(events);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    if (secret !== undefined && (typeof secret !== 'string' || secret.length < 16)) {
+      return res.status(400).json({ error: 'secret must be at least 16 characters' });
+    }
+
+    const existing = await TeamWebhook.count({ where: { team_id: teamId } });
+    if (existing >= webhookService.WEBHOOK_CONFIG.MAX_WEBHOOKS_PER_TEAM) {
+      return res.status(400).json({
+        error: 'Webhook limit reached',
+        message: `A team can have at most ${webhookService.WEBHOOK_CONFIG.MAX_WEBHOOKS_PER_TEAM} webhooks`
+      });
+    }
+
+    const webhook = await TeamWebhook.create({
+      team_id: teamId,
+      created_by: userId,
+      url,
+      secret: secret || webhookService.generateSecret(),
+      events,
+      description
+    });
+
+    res.status(201).json({
+      message: 'Webhook created successfully',
+      webhook: toWebhookResponse(webhook, { includeSecret: true })
+    });
+  } catch (error) {
+    console.error('Create webhook error:', error);
+    res.status(500).json({ error: 'Failed to create webhook' });
+  }
+};
+
+/**
+ * Update a webhook (url, events, description, active flag, secret rotation)
+ */
+exports.updateWebhook = async (req, res) => {
+  try {
+    const { teamId, webhookId } = req.params;
+    const { url, events, description, isActive, rotateSecret } = req.body;
+
+    if (!await findManagerMembership(teamId, req.user.id)) {
+      return deniedResponse(res);
+    }
+
+    const webhook = await findTeamWebhook(teamId, webhookId);
+    if (!webhook) {
+      return res.status(404).json({ error: 'Webhook not found' });
+    }
+
+    const validationError = (url !== undefined && webhookService.validateWebhookUrl(url)) ||
+      (events !== undefined && webhookService.validateEvents(events));
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const updateData = {};
+    if (url !== undefined) updateData.url = url;
+    if (events !== undefined) updateData.events = events;
+    if (description !== undefined) updateData.description = description;
+    if (isActive !== undefined) {
+      updateData.is_active = !!isActive;
+      // Re-enabling starts the failure count over
+      if (isActive) {
+        updateData.failure_count = 0;
+        updateData.disabled_reason = null;
+      }
+    }
+    if (rotateSecret) updateData.secret = webhookService.generateSecret();
+
+    await webhook.update(updateData);
+
+    res.json({
+      message: 'Webhook updated successfully',
+      webhook: toWebhookResponse(webhook, { includeSecret: !!rotateSecret })
+    });
+  } catch (error) {
+    console.error('Update webhook error:', error);
+    res.status(500).json({ error: 'Failed to update webhook' });
+  }
+};
+
+/**
+ * Delete a webhook and its delivery log
+ */
+exports.deleteWebhook = async (req, res) => {
+  try {
+    const { teamId, webhookId } = req.params;
+
+    if (!await findManagerMembership(teamId, req.user.id)) {
+      return deniedResponse(res);
+    }
+
+    const webhook = await findTeamWebhook(teamId, webhookId);
+    if (!webhook) {
+      return res.status(404).json({ error: 'Webhook not found' });
+    }
+
+    await WebhookDelivery.destroy({ where: { webhook_id: webhook.id } });
+    await webhook.destroy();
+
+    res.json({ message: 'Webhook deleted successfully' });
+  } catch (error) {
+    console.error('Delete webhook error:', error);
+    res.status(500).json({ error: 'Failed to delete webhook' });
+  }
+};
+
+/**
+ * Send a test event and return the delivery result
+ */
+exports.sendTestEvent = async (req, res) => {
+  try {
+    const { teamId, webhookId } = req.params;
+
+    if (!await findManagerMembership(teamId, req.user.id)) {
+      return deniedResponse(res);
+    }
+
+    const webhook = await findTeamWebhook(teamId, webhookId);
+    if (!webhook) {
+      return res.status(404).json({ error: 'Webhook not found' });
+    }
+
+    const delivery = await webhookService.sendTestEvent(webhook, req.user.id);
+
+    res.json({
+      success: delivery.status === 'success',
+      delivery: delivery.toJSON()
+    });
+  } catch (error) {
+    console.error('Send test webhook error:', error);
+    res.status(500).json({ error: 'Failed to send test event' });
+  }
+};
+
+/**
+ * Delivery log for a webhook (newest first)
+ */
+exports.listDeliveries = async (req, res) => {
+  try {
+    const { teamId, webhookId } = req.params;
+    const { page = 1, limit = 20, status, event } = req.query;
+
+    if (!await findManagerMembership(teamId, req.user.id)) {
+      return deniedResponse(res);
+    }
+
+    const webhook = await findTeamWebhook(teamId, webhookId);
+    if (!webhook) {
+      return res.status(404).json({ error: 'Webhook not found' });
+    }
+
+    if (status && !webhookService.DELIVERY_STATUSES.includes(status)) {
+      return res.status(400).json({
+        error: 'Invalid status',
+        message: `status must be one of: ${webhookService.DELIVERY_STATUSES.join(', ')}`
+      });
+    }
+
+    const pageSize = Math.min(parseInt(limit, 10) || 20, 100);
+    const currentPage = Math.max(parseInt(page, 10) || 1, 1);
+
+    const whereClause = { webhook_id: webhook.id };
+    if (status) whereClause.status = status;
+    if (event) whereClause.event = event;
+
+    const { count, rows: deliveries } = await WebhookDelivery.findAndCountAll({
+      where: whereClause,
+      order: [['created_at', 'DESC']],
+      limit: pageSize,
+      offset: (currentPage - 1) * pageSize
+    });
+
+    res.json({
+      deliveries,
+      pagination: {
+        page: currentPage,
+        limit: pageSize,
+        total: count,
+        pages: Math.ceil(count / pageSize)
+      }
+    });
+  } catch (error) {
+    console.error('List webhook deliveries error:', error);
+    res.status(500).json({ error: 'Failed to fetch webhook deliveries' });
+  }
+};
@@ -1,6 +1,12 @@
 const User = require('../models/User');
 const ErrorQuery = require('../models/ErrorQuery');
+const TeamMember = require('../models/TeamMember');
 const authService = require('../services/authService');
+const conversationStore = require('../services/conversationStore');
+const auditLog = require('../services/auditLogService');
+const { getUserSessions } = require('../middleware/session');
+const refreshTokenService = require('../services/refreshTokenService');
+const { formatLocation } = require('../utils/deviceInfo');
 
 // Get user profile
 exports.getProfile = async (req, res) => {
@@ -96,7 +102,7 @@ exports.updateProfile = async (req, res) => {
 exports.changePassword = async (req, res) => {
   try {
     const userId = req.user.id;
-    const { currentPassword, newPassword } = req.body;
+    const { currentPassword, newPassword, signOutEverywhere = false } = req.body;
 
     if (!currentPassword || !newPassword) {
       return res.status(400).json({ error: 'Current password and new password are required' });
@@ -112,6 +118,10 @@ exports.changePassword = async (req, res) => {
       return res.status(404).json({ error: 'User not found' });
     }
 
+    if (!user.password) {
+      return res.status(400).json({ error: 'This account signs in with GitHub or Google. Use "forgot password" to set a password.' });
+    }
+
     // Verify current password
     const isValidPassword = await authService.comparePassword(currentPassword, user.password);
     if (!isValidPassword) {
@@ -122,7 +132,19 @@ exports.changePassword = async (req, res) => {
     const hashedNewPassword = await authService.hashPassword(newPassword);
     await User.update({ password: hashedNewPassword }, { where: { id: userId } });
 
-    res.json({ message: 'Password changed successfully' });
+    // Optionally sign out every other session; this one stays signed in
+    const sessionsRevoked = signOutEverywhere === true
+      ? await refreshTokenService.revokeUserFamilies(userId, { exceptFamilyId: req.sessionId, reason: 'password_changed' })
+      : 0;
+
+    await auditLog.recordEvent({
+      action: 'auth.password.changed',
+      req,
+      target: { type: 'user', id: user.id, label: user.email },
+      metadata: { signOutEverywhere: signOutEverywhere === true, sessionsRevoked }
+    });
+
+    res.json({ message: 'Password changed successfully', sessionsRevoked });
 
   } catch (error) {
     console.error('Failed to change password:', error);
@@ -154,6 +176,7 @@ exports.deleteAccount = async (req, res) => {
 
     // Delete user's error queries first (due to foreign key constraint)
     await ErrorQuery.destroy({ where: { userId } });
+    await conversationStore.deleteUserConversations(userId);
     
     // Delete user account
     await User.destroy({ where: { id: userId } });
@@ -236,3 +259,151 @@ exports.getDashboard = async (req, res) => {
     res.status(500).json({ error: 'Failed to fetch dashboard data' });
   }
 };
+
+// Audit log: the caller's own account events, or a whole team's events for its owner.
+// ?format=csv|json downloads every matching event instead of a page.
+exports.getAuditLog = async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const { teamId, action, from, to, limit, offset, format } = req.query;
+
+    if ([from, to].some(value => value && isNaN(new Date(value).getTime()))) {
+      return res.status(400).json({ error: 'from and to must be valid dates' });
+    }
+    if (teamId && !/^\d+$/.test(teamId)) {
+      return res.status(400).json({ error: 'teamId must be a number' });
+    }
+    if (format && !['csv', 'json'].includes(format)) {
+      return res.status(400).json({ error: 'format must be csv or json' });
+    }
+
+    const filters = { action, from, to };
+
+    if (teamId) {
+      const ownership = await TeamMember.findOne({
+        where: { team_id: teamId, user_id: userId, status: 'active', role: 'owner' }
+      });
+
+      if (!ownership) {
+        return res.status(403).json({
+          error: 'Access denied',
+          message: 'Only the team owner can view the team audit log'
+        });
+      }
+      filters.teamId = parseInt(teamId, 10);
+    } else {
+      filters.involvingUserId = userId;
+    }
+
+    if (!format) {
+      return res.json(await auditLog.listEvents(filters, { limit, offset }));
+    }
+
+    const { events, truncated } = await auditLog.exportEvents(filters);
+    const filename = `errorwise-audit-log-${teamId ? `team-${teamId}` : 'account'}-${Date.now()}`;
+
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}.${format}"`);
+    if (truncated) {
+      res.setHeader('X-Export-Truncated', 'true');
+    }
+
+    if (format === 'csv') {
+      res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+      return res.send(auditLog.toCSV(events));
+    }
+
+    res.json({
+      export: {
+        format,
+        exportedAt: new Date().toISOString(),
+        count: events.length,
+        truncated,
+        data: events
+      }
+    });
+  } catch (error) {
+    console.error('Failed to fetch audit log:', error);
+    res.status(500).json({ error: 'Failed to fetch audit log' });
+  }
+};
+
+function toSessionResponse(session, currentSessionId) {
+  return {
+    id: session.token,
+    current: session.token === currentSessionId,
+    device: {
+      browser: session.browserVersion ? `${session.browser} ${session.browserVersion}` : session.browser || 'Unknown browser',
+      os: session.os || 'Unknown OS',
+      type: session.deviceType || 'unknown'
+    },
+    ipAddress: session.ipAddress || null,
+    location: formatLocation(session.location),
+    createdAt: session.createdAt ? new Date(session.createdAt) : null,
+    lastSeenAt: session.lastActivity ? new Date(session.lastActivity) : null
+  };
+}
+
+// List active sessions (devices signed in to the account), most recent first
+exports.getSessions = async (req, res) => {
+  try {
+    const sessions = await getUserSessions(req.user.id);
+
+    res.json({
+      sessions: sessions
+        .map(session => toSessionResponse(session, req.sessionId))
+        .sort((a, b) => (b.lastSeenAt || 0) - (a.lastSeenAt || 0))
+    });
+  } catch (error) {
+    console.error('Failed to fetch sessions:', error);
+    res.status(500).json({ error: 'Failed to fetch sessions' });
+  }
+};
+
+// Sign out one session
+exports.revokeSession = async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+    const sessions = await getUserSessions(req.user.id);
+    const session = sessions.find(candidate => candidate.token === sessionId);
+
+    if (!session) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+
+    await refreshTokenService.revokeFamily(sessionId, 'session_revoked', req.user.id);
+
+    await auditLog.recordEvent({
+      action: 'auth.session.revoked',
+      req,
+      target: { type: 'user', id: req.user.id, label: req.user.email },
+      metadata: { browser: session.browser, os: session.os, ipAddress: session.ipAddress, current: sessionId === req.sessionId }
+    });
+
+    res.json({ success: true, message: 'Session signed out' });
+  } catch (error) {
+    console.error('Failed to revoke session:', error);
+    res.status(500).json({ error: 'Failed to revoke session' });
+  }
+};
+
+// Sign out every session except the current one
+exports.revokeOtherSessions = async (req, res) => {
+  try {
+    const sessionsRevoked = await refreshTokenService.revokeUserFamilies(req.user.id, {
+      exceptFamilyId: req.sessionId,
+      reason: 'session_revoked'
+    });
+
+    await auditLog.recordEvent({
+      action: 'auth.session.revoked_others',
+      req,
+      target: { type: 'user', id: req.user.id, label: req.user.email },
+      metadata: { sessionsRevoked }
+    });
+
+    res.json({ success: true, sessionsRevoked });
+  } catch (error) {
+    console.error('Failed to revoke sessions:', error);
+    res.status(500).json({ error: 'Failed to revoke sessions' });
+  }
+};
@@ -4,6 +4,7 @@
  */
 
 const redisService = require('../services/redisService');
+const metrics = require('../utils/metrics');
 
 // Helper to get Redis client safely
 const getRedisClient = () => {
@@ -220,6 +221,9 @@ async function unlockAccount(identifier) {
  */
 async function getLockoutStats(identifier) {
   try {
+    const redis = getRedisClient();
+    if (!redis) return null; // Redis not available - no lockout data
+
     const keys = getKeys(identifier);
     
     const [attempts, lockoutData, lockoutCount] = await Promise.all([
@@ -264,6 +268,7 @@ const accountLockoutMiddleware = async (req, res, next) => {
     const { locked, lockoutInfo } = await isAccountLocked(identifier);
     
     if (locked) {
+      metrics.increment('rate_limit_rejections_total', { limiter: 'accountLock', reason: lockoutInfo.permanent ? 'permanent_lock' : 'locked' });
       const remainingMinutes = Math.ceil((lockoutInfo.expiresAt - Date.now()) / 1000 / 60);
       
       console.warn(`🔒 Locked account login attempt: ${identifier} | Remaining: ${remainingMinutes} min`);
@@ -2,6 +2,8 @@ const jwt = require('jsonwebtoken');
 const User = require('../models/User');
 const { AppError } = require('./errorHandler');
 const logger = require('../utils/logger');
+const apiKeyService = require('../services/apiKeyService');
+const { touchSession } = require('./session');
 
 
 const authenticateToken = (req, res, next) => {
@@ -21,11 +23,117 @@ const authenticateToken = (req, res, next) => {
     });
 };
 
+// "Authorization: ApiKey <key>" - CI pipelines and scripts
+const authenticateApiKey = async (req, res, next, rawKey) => {
+  const result = await apiKeyService.authenticate(rawKey);
+
+  if (!result) {
+    logger.warn('❌ Invalid API key', { path: req.path, ip: req.ip });
+    return res.status(401).json({ 
+      success: false,
+      error: 'Invalid, expired or revoked API key.',
+      code: 'INVALID_API_KEY'
+    });
+  }
+
+  const { apiKey, user } = result;
+
+  if (!user.isActive) {
+    return res.status(401).json({ 
+      success: false,
+      error: 'Account has been deactivated. Please contact support.' 
+    });
+  }
+
+  const access = apiKeyService.checkAccess(apiKey, req.method, req.originalUrl.split('?')[0]);
+  if (!access.allowed) {
+    return res.status(403).json({ 
+      success: false,
+      error: access.reason,
+      code: 'API_KEY_FORBIDDEN',
+      requiredScope: access.scope || null
+    });
+  }
+
+  await apiKeyService.recordUse(apiKey, req.ip);
+
+  // Requests act as the key's owner, so usage counts against their plan
+  req.user = {
+    id: user.id,
+    email: user.email,
+    username: user.username,
+    role: user.role || 'user',
+    subscriptionStatus: user.subscriptionStatus || 'free'
+  };
+  req.apiKey = {
+    id: apiKey.id,
+    name: apiKey.name,
+    scopes: apiKey.scopes,
+    teamId: apiKey.team_id
+  };
+
+  logger.info('API key authenticated', {
+    userId: user.id,
+    apiKeyId: apiKey.id,
+    scope: access.scope,
+    ip: req.ip
+  });
+
+  next();
+};
+
+/**
+ * Resolve a JWT access token to its user - shared by authMiddleware and the
+ * WebSocket gateway. Invalid and expired tokens throw the jsonwebtoken errors.
+ * @param {string} token
+ * @param {string} ipAddress
+ * @returns {Promise<{user: object, sessionId: string|null, expiresAt: number|null}|{error: string, code?: string}>}
+ */
+const resolveAccessToken = async (token, ipAddress) => {
+  const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+  // Check if user still exists
+  const user = await User.findByPk(decoded.userId, {
+    attributes: ['id', 'email', 'username', 'isActive', 'role', 'subscriptionStatus']
+  });
+
+  if (!user) {
+    return { error: 'User no longer exists. Please log in again.' };
+  }
+
+  // Check if user account is active
+  if (!user.isActive) {
+    return { error: 'Account has been deactivated. Please contact support.' };
+  }
+
+  // Tokens issued at login carry their session id; revoked sessions stop working at once
+  if (decoded.sid && !(await touchSession(decoded.sid, ipAddress))) {
+    return { error: 'Session has been signed out. Please log in again.', code: 'SESSION_REVOKED' };
+  }
+
+  return {
+    user: {
+      id: user.id,
+      email: user.email,
+      username: user.username,
+      role: user.role || 'user',
+      subscriptionStatus: user.subscriptionStatus || 'free'
+    },
+    sessionId: decoded.sid || null,
+    expiresAt: decoded.exp ? decoded.exp * 1000 : null
+  };
+};
+
 // Main authentication middleware
 const authMiddleware = async (req, res, next) => {
   try {
     // Try to get token from Authorization header first (Bearer token)
     const authHeader = req.headers['authorization'];
+
+    if (authHeader && /^ApiKey\s/i.test(authHeader)) {
+      return await authenticateApiKey(req, res, next, authHeader.replace(/^ApiKey\s+/i, '').trim());
+    }
+
     let token = authHeader && authHeader.split(' ')[1];
 
     // Debug logging
@@ -58,37 +166,21 @@ const authMiddleware = async (req, res, next) => {
       });
     }
 
-    // Verify the token
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    
-    // Check if user still exists
-    const user = await User.findByPk(decoded.userId, {
-      attributes: ['id', 'email', 'username', 'isActive', 'role', 'subscriptionStatus']
-    });
-
-    if (!user) {
-      return res.status(401).json({ 
-        success: false,
-        error: 'User no longer exists. Please log in again.' 
-      });
-    }
+    // Verify the token, the user and their session
+    const result = await resolveAccessToken(token, req.ip);
 
-    // Check if user account is active
-    if (!user.isActive) {
+    if (result.error) {
       return res.status(401).json({ 
         success: false,
-        error: 'Account has been deactivated. Please contact support.' 
+        error: result.error,
+        ...(result.code && { code: result.code })
       });
     }
 
     // Attach user to request object
-    req.user = {
-      id: user.id,
-      email: user.email,
-      username: user.username,
-      role: user.role || 'user',
-      subscriptionStatus: user.subscriptionStatus || 'free'
-    };
+    const { user } = result;
+    req.user = user;
+    req.sessionId = result.sessionId;
 
     // Log successful authentication
     logger.info('User authenticated successfully', {
@@ -146,7 +238,9 @@ const optionalAuth = async (req, res, next) => {
           attributes: ['id', 'email', 'username', 'isActive', 'role', 'subscriptionStatus']
         });
 
-        if (user && user.isActive) {
+        const sessionActive = !decoded.sid || await touchSession(decoded.sid, req.ip);
+
+        if (user && user.isActive && sessionActive) {
           req.user = {
             id: user.id,
             email: user.email,
@@ -154,6 +248,7 @@ const optionalAuth = async (req, res, next) => {
             role: user.role || 'user',
             subscriptionStatus: user.subscriptionStatus || 'free'
           };
+          req.sessionId = decoded.sid || null;
         }
       } catch (error) {
         // Silently fail for optional auth
@@ -278,6 +373,7 @@ module.exports = {
   requireAdmin,
   requirePremium,
   requireTeamAccess,
-  authenticateToken
+  authenticateToken,
+  resolveAccessToken
 };  
 
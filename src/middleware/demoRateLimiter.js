@@ -1,4 +1,5 @@
 const crypto = require('crypto');
+const metrics = require('../utils/metrics');
 
 /**
  * Enhanced Demo Rate Limiter with Browser Fingerprinting
@@ -243,6 +244,11 @@ function demoRateLimiter(req, res, next) {
   const limitCheck = checkDemoLimit(req);
 
   if (!limitCheck.allowed) {
+    metrics.increment('rate_limit_rejections_total', {
+      limiter: 'demoRateLimiter',
+      reason: limitCheck.reason === 'rate_limit_too_fast' ? 'too_fast' : 'daily_limit'
+    });
+
     if (limitCheck.reason === 'rate_limit_too_fast') {
       return res.status(429).json({
         error: 'Too many requests',
@@ -87,6 +87,29 @@ const uploadSingle = (fieldName = 'file') => {
   ];
 };
 
+// Bytes sampled when sniffing for binary content
+const BINARY_SNIFF_BYTES = 8192;
+// Share of control bytes above which a file counts as binary
+const BINARY_CONTROL_RATIO = 0.1;
+
+/**
+ * Binary files contain NUL bytes or a lot of control characters. Tab, line
+ * breaks, form feed and ESC (ANSI colours in logs) are normal in text.
+ * @param {Buffer} buffer
+ */
+const looksBinary = (buffer) => {
+  const sample = buffer.subarray(0, BINARY_SNIFF_BYTES);
+  if (sample.length === 0) return false;
+
+  let controlBytes = 0;
+  for (const byte of sample) {
+    if (byte === 0x00) return true;
+    const allowed = (byte >= 0x09 && byte <= 0x0D) || byte === 0x1B;
+    if ((byte < 0x20 && !allowed) || byte === 0x7F) controlBytes++;
+  }
+  return controlBytes / sample.length > BINARY_CONTROL_RATIO;
+};
+
 // Process uploaded file content
 const processFileContent = (req, res, next) => {
   if (req.file) {
@@ -107,9 +130,8 @@ const processFileContent = (req, res, next) => {
         });
       }
       
-      // Check for binary content (simple check)
-      const isBinary = /[\x00-\x08\x0E-\x1F\x7F-\xFF]/.test(fileContent);
-      if (isBinary) {
+      // Check for binary content on the raw bytes (accented text is fine)
+      if (looksBinary(req.file.buffer)) {
         return res.status(400).json({
           error: 'Binary files are not supported. Please upload text files only.'
         });
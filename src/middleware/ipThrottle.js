@@ -5,6 +5,7 @@
  */
 
 const redis = require('../config/redis');
+const metrics = require('../utils/metrics');
 
 /**
  * Configuration
@@ -203,6 +204,7 @@ function ipThrottleMiddleware(options = {}) {
       // Check if banned
       const banStatus = await isBanned(ip);
       if (banStatus.banned) {
+        metrics.increment('rate_limit_rejections_total', { limiter: 'ipThrottle', reason: 'banned' });
         const remainingTime = Math.ceil((banStatus.expiresAt - Date.now()) / 1000 / 60); // minutes
         
         return res.status(403).json({
@@ -221,6 +223,8 @@ function ipThrottleMiddleware(options = {}) {
       if (hourlyCount > maxPerHour) {
         console.warn(`⚠️  IP exceeded hourly limit: ${ip} | Count: ${hourlyCount}/${maxPerHour}`);
         
+        metrics.increment('rate_limit_rejections_total', { limiter: 'ipThrottle', reason: 'hourly_limit' });
+
         // Temporary ban
         await banIP(ip, 'Exceeded hourly rate limit', CONFIG.TEMP_BAN_DURATION);
         
@@ -236,6 +240,8 @@ function ipThrottleMiddleware(options = {}) {
       if (dailyCount > maxPerDay) {
         console.warn(`⚠️  IP exceeded daily limit: ${ip} | Count: ${dailyCount}/${maxPerDay}`);
         
+        metrics.increment('rate_limit_rejections_total', { limiter: 'ipThrottle', reason: 'daily_limit' });
+
         // Extended ban
         await banIP(ip, 'Exceeded daily rate limit', CONFIG.EXTENDED_BAN_DURATION);
         
@@ -318,12 +324,28 @@ async function unbanIP(ip) {
   }
 }
 
+/**
+ * Remove an IP address from the whitelist
+ */
+async function unwhitelistIP(ip) {
+  try {
+    const keys = getKeys(ip);
+    await redis.del(keys.whitelist);
+    
+    console.log(`✅ IP removed from whitelist: ${ip}`);
+  } catch (error) {
+    console.error('❌ IP unwhitelist error:', error);
+    throw error;
+  }
+}
+
 module.exports = {
   ipThrottleMiddleware,
   trackFailedAttempt,
   banIP,
   unbanIP,
   whitelistIP,
+  unwhitelistIP,
   isWhitelisted,
   isBanned,
   getClientIP,
@@ -1,5 +1,6 @@
 const { redis } = require('../utils/redisClient');
 const logger = require('../utils/logger');
+const metrics = require('../utils/metrics');
 
 /**
  * Rate limiter middleware using Redis
@@ -57,6 +58,10 @@ function createRateLimiter(options = {}) {
         res.setHeader('Retry-After', retryAfter);
         
         logger.warn(`Rate limit exceeded for ${key}`);
+        metrics.increment('rate_limit_rejections_total', {
+          limiter: 'rateLimiter',
+          reason: keyPrefix.replace(/^ratelimit:/, '').replace(/:$/, '') || 'default'
+        });
         return handler(req, res);
       }
 
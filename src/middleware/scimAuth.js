@@ -0,0 +1,62 @@
+/**
+ * SCIM Authentication Middleware
+ * Accepts "Authorization: Bearer <key>" on /scim/v2, where the key is a team
+ * API key with the scim:provision scope. The key's team is the only team the
+ * request can read or change; audit events are attributed to the team owner.
+ */
+
+const Team = require('../models/Team');
+const apiKeyService = require('../services/apiKeyService');
+const { scimError } = require('../services/scimService');
+const logger = require('../utils/logger');
+
+const SCIM_SCOPE = 'scim:provision';
+
+function sendError(res, status, detail) {
+  return res.status(status).type('application/scim+json').json(scimError(status, detail));
+}
+
+const authenticateScim = async (req, res, next) => {
+  try {
+    const authHeader = req.headers['authorization'] || '';
+    const result = /^Bearer\s/i.test(authHeader)
+      ? await apiKeyService.authenticate(authHeader.replace(/^Bearer\s+/i, '').trim())
+      : null;
+
+    if (!result || !result.apiKey.team_id || !(result.apiKey.scopes || []).includes(SCIM_SCOPE)) {
+      logger.warn('❌ Invalid SCIM token', { path: req.path, ip: req.ip });
+      return sendError(res, 401, 'Invalid, expired or revoked SCIM token');
+    }
+
+    const { apiKey, user } = result;
+    if (!user.isActive || user.subscriptionTier !== 'team') {
+      return sendError(res, 403, 'SCIM provisioning requires an active Team plan');
+    }
+
+    await apiKeyService.recordUse(apiKey, req.ip);
+
+    req.user = {
+      id: user.id,
+      email: user.email,
+      username: user.username,
+      role: user.role || 'user',
+      subscriptionStatus: user.subscriptionStatus || 'free'
+    };
+    req.apiKey = {
+      id: apiKey.id,
+      name: apiKey.name,
+      scopes: apiKey.scopes,
+      teamId: apiKey.team_id
+    };
+    req.scimTeam = await Team.findByPk(apiKey.team_id);
+
+    next();
+  } catch (error) {
+    console.error('SCIM authentication error:', error);
+    sendError(res, 500, 'Authentication failed');
+  }
+};
+
+module.exports = {
+  authenticateScim
+};
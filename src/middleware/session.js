@@ -1,11 +1,16 @@
-const { redis } = require('../utils/redisClient');
+const crypto = require('crypto');
+const { redis, redisClient } = require('../utils/redisClient');
 const jwt = require('jsonwebtoken');
 const logger = require('../utils/logger');
+const { describeClient, deviceFingerprint, formatLocation } = require('../utils/deviceInfo');
 
 // Session configuration
 const SESSION_PREFIX = 'session:';
 const USER_SESSIONS_PREFIX = 'user_sessions:';
 const SESSION_EXPIRY = 7 * 24 * 60 * 60; // 7 days in seconds
+const KNOWN_DEVICES_PREFIX = 'user_devices:';
+const KNOWN_DEVICE_EXPIRY = 180 * 24 * 60 * 60; // Forget devices unused for 180 days
+const LAST_SEEN_RESOLUTION = 60 * 1000; // Refresh lastActivity at most once a minute
 
 /**
  * Create a new session for a user
@@ -135,13 +140,20 @@ async function getUserSessions(userId) {
       return [];
     }
     
-    // Get full session data for each token
+    // Get full session data for each token (read-only, so listing doesn't bump lastActivity)
     const sessionPromises = Object.keys(sessions).map(async (token) => {
-      const sessionData = await getSession(token);
+      const sessionData = await redis.get(`${SESSION_PREFIX}${token}`);
       return sessionData ? { ...sessionData, token } : null;
     });
     
     const sessionList = await Promise.all(sessionPromises);
+    
+    // Drop index entries whose session has expired
+    const expired = Object.keys(sessions).filter((token, i) => sessionList[i] === null);
+    if (expired.length > 0) {
+      await redis.hDel(userSessionsKey, expired);
+    }
+    
     return sessionList.filter(session => session !== null);
   } catch (error) {
     logger.error('Error getting user sessions:', error);
@@ -149,6 +161,137 @@ async function getUserSessions(userId) {
   }
 }
 
+/**
+ * Delete every session of a user except one (usually the caller's)
+ * @param {string} userId 
+ * @param {string|null} keepSessionId 
+ * @returns {Promise<number>} Number of sessions deleted
+ */
+async function deleteOtherUserSessions(userId, keepSessionId) {
+  try {
+    const userSessionsKey = `${USER_SESSIONS_PREFIX}${userId}`;
+    const sessions = await redis.hGetAll(userSessionsKey);
+    const tokens = Object.keys(sessions || {}).filter(token => token !== keepSessionId);
+    
+    if (tokens.length === 0) {
+      return 0;
+    }
+    
+    const deleted = await redis.del(tokens.map(token => `${SESSION_PREFIX}${token}`));
+    await redis.hDel(userSessionsKey, tokens);
+    
+    logger.info(`Deleted ${deleted} other sessions for user ${userId}`);
+    return deleted;
+  } catch (error) {
+    logger.error('Error deleting other user sessions:', error);
+    return 0;
+  }
+}
+
+/**
+ * Remember the device a user signed in from
+ * @param {string} userId 
+ * @param {object} device - From describeClient
+ * @returns {Promise<boolean>} True when the user has signed in before but never from this device
+ */
+async function rememberDevice(userId, device) {
+  const knownDevicesKey = `${KNOWN_DEVICES_PREFIX}${userId}`;
+  const fingerprint = deviceFingerprint(device);
+  const known = await redis.hGetAll(knownDevicesKey) || {};
+  
+  await redis.hSet(knownDevicesKey, fingerprint, Date.now().toString());
+  await redis.expire(knownDevicesKey, KNOWN_DEVICE_EXPIRY);
+  
+  // The very first device (sign-up, or first login since tracking began) is not "new"
+  return Object.keys(known).length > 0 && !known[fingerprint];
+}
+
+/**
+ * Start a session for a successful login. The returned id goes into the
+ * access and refresh tokens (`sid`) so the session can be revoked.
+ * Signing in from a device the user hasn't used before sends an alert email.
+ * @param {object} user - User instance
+ * @param {object} req - Express request
+ * @returns {Promise<string>} Session id
+ */
+async function startSession(user, req) {
+  const sessionId = crypto.randomBytes(24).toString('base64url');
+  const device = describeClient(req);
+  
+  await createSession(user.id, {
+    email: user.email,
+    username: user.username,
+    ...device
+  }, sessionId);
+  
+  try {
+    if (await rememberDevice(user.id, device)) {
+      // Lazy require: the email service pulls in mail transport setup
+      const emailService = require('../services/emailService');
+      emailService.sendNewDeviceLogin(user.email, user.username, {
+        browser: device.browser,
+        os: device.os,
+        ipAddress: device.ipAddress,
+        location: formatLocation(device.location),
+        time: new Date()
+      }).catch(error => logger.error('Error sending new device email:', error));
+    }
+  } catch (error) {
+    logger.error('Error checking known devices:', error);
+  }
+  
+  return sessionId;
+}
+
+/**
+ * Check that a token's session hasn't been revoked and record activity.
+ * Fails open while Redis is unavailable so an outage doesn't log everyone out.
+ * @param {string} sessionId 
+ * @param {string} ipAddress 
+ * @returns {Promise<boolean>}
+ */
+async function touchSession(sessionId, ipAddress) {
+  if (!redisClient.isOpen) {
+    return true;
+  }
+  
+  try {
+    const sessionKey = `${SESSION_PREFIX}${sessionId}`;
+    const sessionData = await redis.get(sessionKey);
+    
+    if (!sessionData) {
+      return false;
+    }
+    
+    if (Date.now() - (sessionData.lastActivity || 0) > LAST_SEEN_RESOLUTION || sessionData.ipAddress !== ipAddress) {
+      sessionData.lastActivity = Date.now();
+      sessionData.ipAddress = ipAddress || sessionData.ipAddress;
+      // Keep the expiry - it only moves when the refresh token rotates (extendSession)
+      await redisClient.set(sessionKey, JSON.stringify(sessionData), { KEEPTTL: true });
+    }
+    
+    return true;
+  } catch (error) {
+    logger.error('Error checking session:', error);
+    return true;
+  }
+}
+
+/**
+ * Push back a session's expiry when its refresh token rotates
+ * @param {string} sessionId 
+ * @param {string} userId 
+ * @param {number} seconds 
+ */
+async function extendSession(sessionId, userId, seconds = SESSION_EXPIRY) {
+  try {
+    await redis.expire(`${SESSION_PREFIX}${sessionId}`, seconds);
+    await redis.expire(`${USER_SESSIONS_PREFIX}${userId}`, seconds);
+  } catch (error) {
+    logger.error('Error extending session:', error);
+  }
+}
+
 /**
  * Session middleware - validates and loads session from Redis
  */
@@ -214,7 +357,11 @@ module.exports = {
   getSession,
   deleteSession,
   deleteAllUserSessions,
+  deleteOtherUserSessions,
   getUserSessions,
+  startSession,
+  touchSession,
+  extendSession,
   sessionMiddleware,
   requireSession,
   SESSION_EXPIRY
@@ -0,0 +1,52 @@
+/**
+ * Team 2FA Policy Middleware
+ * Blocks access to a team's resources for users without two-factor
+ * authentication when the team owner has turned on settings.require_2fa.
+ * Members can still remove themselves from the team.
+ */
+
+const Team = require('../models/Team');
+const User = require('../models/User');
+const { teamRequiresTwoFactor } = require('../services/twoFactorService');
+
+/**
+ * Mount on '/:teamId' in the teams router
+ */
+const requireTeamTwoFactor = async (req, res, next) => {
+  try {
+    const { teamId } = req.params;
+
+    // Malformed ids are left for the controllers to reject
+    if (!/^\d+$/.test(String(teamId))) {
+      return next();
+    }
+
+    // Leaving the team is always allowed
+    if (req.method === 'DELETE' && req.path === `/members/${req.user.id}`) {
+      return next();
+    }
+
+    const team = await Team.findByPk(teamId, { attributes: ['id', 'settings'] });
+    if (!teamRequiresTwoFactor(team)) {
+      return next();
+    }
+
+    const user = await User.findByPk(req.user.id, { attributes: ['id', 'twoFactorEnabled'] });
+    if (user && user.twoFactorEnabled) {
+      return next();
+    }
+
+    return res.status(403).json({
+      error: 'Two-factor authentication required',
+      code: 'TWO_FACTOR_REQUIRED',
+      message: 'This team requires two-factor authentication. Enable it in your account security settings to continue.'
+    });
+  } catch (error) {
+    console.error('Team 2FA policy check error:', error);
+    res.status(500).json({ error: 'Failed to check team security policy' });
+  }
+};
+
+module.exports = {
+  requireTeamTwoFactor
+};
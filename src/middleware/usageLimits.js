@@ -166,6 +166,11 @@ const addUsageInfo = (req, res, next) => {
         unlimited: req.hasUnlimitedQueries || false
       };
 
+      // Requests made with an API key are charged to the key owner's plan
+      if (req.apiKey) {
+        data.usage.apiKey = { id: req.apiKey.id, name: req.apiKey.name };
+      }
+
       // Add detailed usage for free tier
       if (req.dailyUsage) {
         data.usage.daily = req.dailyUsage;
@@ -286,6 +291,11 @@ const getUserUsageStats = async (req, res) => {
       response.usage.daily.resetTime = tomorrow.toISOString();
     }
 
+    // API key requests act as the key owner and are already part of the counts
+    // above; break them down per key so CI usage is visible
+    const apiKeyService = require('../services/apiKeyService');
+    response.usage.apiKeys = await apiKeyService.getDailyUsage(userId);
+
     res.json(response);
 
   } catch (error) {
@@ -0,0 +1,80 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+// Append-only: rows are never updated or deleted, and actor/target ids are
+// plain columns (no foreign keys) so events outlive the users they mention
+const AuditEvent = sequelize.define('AuditEvent', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  // Dotted event name, e.g. 'admin.user.force_logout'
+  action: {
+    type: DataTypes.STRING(100),
+    allowNull: false
+  },
+  actorId: {
+    type: DataTypes.UUID,
+    allowNull: true
+  },
+  actorEmail: {
+    type: DataTypes.STRING,
+    allowNull: true
+  },
+  actorRole: {
+    type: DataTypes.STRING(20),
+    allowNull: true
+  },
+  // 'user', 'ip', 'subscription', 'cache', ...
+  targetType: {
+    type: DataTypes.STRING(50),
+    allowNull: true
+  },
+  targetId: {
+    type: DataTypes.STRING,
+    allowNull: true
+  },
+  targetLabel: {
+    type: DataTypes.STRING,
+    allowNull: true
+  },
+  teamId: {
+    type: DataTypes.INTEGER,
+    allowNull: true
+  },
+  ipAddress: {
+    type: DataTypes.STRING(64),
+    allowNull: true
+  },
+  userAgent: {
+    type: DataTypes.STRING(512),
+    allowNull: true
+  },
+  // { before: {...}, after: {...} } - changed fields only
+  changes: {
+    type: DataTypes.JSONB,
+    allowNull: true
+  },
+  metadata: {
+    type: DataTypes.JSONB,
+    allowNull: true
+  }
+}, {
+  timestamps: true,
+  updatedAt: false,
+  indexes: [
+    { fields: ['actorId', 'createdAt'] },
+    { fields: ['targetType', 'targetId', 'createdAt'] },
+    { fields: ['teamId', 'createdAt'] },
+    { fields: ['action'] }
+  ],
+  hooks: {
+    beforeUpdate: () => { throw new Error('Audit events are append-only'); },
+    beforeBulkUpdate: () => { throw new Error('Audit events are append-only'); },
+    beforeDestroy: () => { throw new Error('Audit events are append-only'); },
+    beforeBulkDestroy: () => { throw new Error('Audit events are append-only'); }
+  }
+});
+
+module.exports = AuditEvent;
@@ -0,0 +1,50 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+const ConversationMessage = sequelize.define('ConversationMessage', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  conversationId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'Conversations',
+      key: 'id'
+    },
+    onDelete: 'CASCADE'
+  },
+  role: {
+    type: DataTypes.ENUM('user', 'assistant'),
+    allowNull: false
+  },
+  content: {
+    type: DataTypes.TEXT,
+    allowNull: false
+  },
+  // Assistant reply kind: 'answer', 'follow_up' or 'error'
+  type: {
+    type: DataTypes.STRING(20),
+    allowNull: true
+  },
+  // Follow-up questions, web sources, model used
+  metadata: {
+    type: DataTypes.JSONB,
+    allowNull: true
+  },
+  // Order within the conversation; a question and its reply share a createdAt
+  position: {
+    type: DataTypes.INTEGER,
+    allowNull: false
+  }
+}, {
+  indexes: [
+    { unique: true, fields: ['conversationId', 'position'] }
+  ],
+  timestamps: true,
+  updatedAt: false
+});
+
+module.exports = ConversationMessage;
@@ -1,5 +1,6 @@
 const { DataTypes } = require('sequelize');
 const sequelize = require('../config/database');
+const { normalizeErrorMessage, fingerprintError } = require('../utils/errorFingerprint');
 
 const ErrorQuery = sequelize.define('ErrorQuery', {
   id: {
@@ -50,13 +51,51 @@ const ErrorQuery = sequelize.define('ErrorQuery', {
     type: DataTypes.JSONB,
     allowNull: true,
     defaultValue: []
+  },
+  // Normalized error text and headline hash, used for similar-error lookup
+  normalizedMessage: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  fingerprint: {
+    type: DataTypes.STRING(40),
+    allowNull: true
+  },
+  // Parsed stack trace: { format, exception, causes, rootCause, frames, appFrames }
+  stackTrace: {
+    type: DataTypes.JSONB,
+    allowNull: true
+  },
+  // Set when the error was extracted from an uploaded log file; rows from
+  // the same upload share an uploadId
+  uploadId: {
+    type: DataTypes.UUID,
+    allowNull: true
+  },
+  sourceFileName: {
+    type: DataTypes.STRING,
+    allowNull: true
+  },
+  occurrenceCount: {
+    type: DataTypes.INTEGER,
+    allowNull: true
   }
 }, {
   indexes: [
     { fields: ['userId', 'createdAt'] },
-    { fields: ['errorCategory'] }
+    { fields: ['errorCategory'] },
+    { fields: ['userId', 'fingerprint'] },
+    { fields: ['uploadId'] }
   ],
-  timestamps: true
+  timestamps: true,
+  hooks: {
+    beforeSave: (errorQuery) => {
+      if (errorQuery.changed('errorMessage') || !errorQuery.fingerprint) {
+        errorQuery.normalizedMessage = normalizeErrorMessage(errorQuery.errorMessage);
+        errorQuery.fingerprint = fingerprintError(errorQuery.errorMessage);
+      }
+    }
+  }
 });
 
 module.exports = ErrorQuery;
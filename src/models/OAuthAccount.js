@@ -0,0 +1,68 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+// A GitHub or Google identity linked to a user; one per provider per user
+const OAuthAccount = sequelize.define('OAuthAccount', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  user_id: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'users',
+      key: 'id'
+    },
+    onDelete: 'CASCADE'
+  },
+  provider: {
+    type: DataTypes.STRING(20),
+    allowNull: false
+  },
+  // Stable account id at the provider (GitHub numeric id, Google "sub")
+  provider_user_id: {
+    type: DataTypes.STRING,
+    allowNull: false
+  },
+  email: {
+    type: DataTypes.STRING,
+    allowNull: true
+  },
+  username: {
+    type: DataTypes.STRING,
+    allowNull: true
+  },
+  display_name: {
+    type: DataTypes.STRING,
+    allowNull: true
+  },
+  avatar_url: {
+    type: DataTypes.STRING(2048),
+    allowNull: true
+  },
+  last_login_at: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  created_at: {
+    type: DataTypes.DATE,
+    defaultValue: DataTypes.NOW
+  },
+  updated_at: {
+    type: DataTypes.DATE,
+    defaultValue: DataTypes.NOW
+  }
+}, {
+  tableName: 'oauth_accounts',
+  timestamps: true,
+  createdAt: 'created_at',
+  updatedAt: 'updated_at',
+  indexes: [
+    { unique: true, fields: ['provider', 'provider_user_id'] },
+    { unique: true, fields: ['user_id', 'provider'] }
+  ]
+});
+
+module.exports = OAuthAccount;
@@ -0,0 +1,71 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+// One issued refresh token. Tokens from the same login share a family_id
+// (the session id); each refresh rotates to a new row in the family.
+const RefreshToken = sequelize.define('RefreshToken', {
+  // Also the token's `jti` claim
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  family_id: {
+    type: DataTypes.STRING(64),
+    allowNull: false
+  },
+  user_id: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'users',
+      key: 'id'
+    },
+    onDelete: 'CASCADE'
+  },
+  expires_at: {
+    type: DataTypes.DATE,
+    allowNull: false
+  },
+  // Set when the token is exchanged; presenting it again is a reuse
+  rotated_at: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  replaced_by: {
+    type: DataTypes.UUID,
+    allowNull: true
+  },
+  revoked_at: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  // logout, reuse_detected, session_revoked, ...
+  revoked_reason: {
+    type: DataTypes.STRING(50),
+    allowNull: true
+  },
+  created_ip: {
+    type: DataTypes.STRING(64),
+    allowNull: true
+  },
+  created_at: {
+    type: DataTypes.DATE,
+    defaultValue: DataTypes.NOW
+  },
+  updated_at: {
+    type: DataTypes.DATE,
+    defaultValue: DataTypes.NOW
+  }
+}, {
+  tableName: 'refresh_tokens',
+  timestamps: true,
+  createdAt: 'created_at',
+  updatedAt: 'updated_at',
+  indexes: [
+    { fields: ['family_id'] },
+    { fields: ['user_id', 'expires_at'] }
+  ]
+});
+
+module.exports = RefreshToken;
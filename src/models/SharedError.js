@@ -62,12 +62,56 @@ const SharedError = sequelize.define('SharedError', {
     type: DataTypes.INTEGER,
     defaultValue: 0
   },
-  votes: {
+  // Counters kept in step with shared_error_votes, for ranking
+  upvote_count: {
+    type: DataTypes.INTEGER,
+    defaultValue: 0
+  },
+  downvote_count: {
+    type: DataTypes.INTEGER,
+    defaultValue: 0
+  },
+  score: {
+    type: DataTypes.INTEGER,
+    defaultValue: 0
+  },
+  // Members who reported hitting the error themselves
+  hit_count: {
+    type: DataTypes.INTEGER,
+    defaultValue: 0
+  },
+  last_hit_at: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  // Deadline set by a teammate
+  due_at: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  // created_at plus the team's SLA target for the priority (Team.settings.sla_targets)
+  sla_due_at: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  resolved_at: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  // When the current status began
+  status_changed_at: {
+    type: DataTypes.DATE,
+    defaultValue: DataTypes.NOW
+  },
+  // Seconds spent in each earlier status: { open: 3600, discussing: 7200 }
+  status_durations: {
     type: DataTypes.JSON,
-    defaultValue: {
-      upvotes: [],
-      downvotes: []
-    }
+    defaultValue: {}
+  },
+  // Last overdue reminder
+  reminded_at: {
+    type: DataTypes.DATE,
+    allowNull: true
   },
   created_at: {
     type: DataTypes.DATE,
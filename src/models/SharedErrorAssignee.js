@@ -0,0 +1,56 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+// A team member responsible for a shared error (a shared error can have several)
+const SharedErrorAssignee = sequelize.define('SharedErrorAssignee', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  shared_error_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'shared_errors',
+      key: 'id'
+    },
+    onDelete: 'CASCADE'
+  },
+  user_id: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'users',
+      key: 'id'
+    },
+    onDelete: 'CASCADE'
+  },
+  assigned_by: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  created_at: {
+    type: DataTypes.DATE,
+    defaultValue: DataTypes.NOW
+  },
+  updated_at: {
+    type: DataTypes.DATE,
+    defaultValue: DataTypes.NOW
+  }
+}, {
+  tableName: 'shared_error_assignees',
+  timestamps: true,
+  createdAt: 'created_at',
+  updatedAt: 'updated_at',
+  indexes: [
+    { unique: true, fields: ['shared_error_id', 'user_id'] },
+    { fields: ['user_id'] }
+  ]
+});
+
+module.exports = SharedErrorAssignee;
@@ -0,0 +1,109 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+// A comment in a shared error's discussion. Replies point at their parent;
+// deleted comments keep their place in the thread with the body cleared.
+const SharedErrorComment = sequelize.define('SharedErrorComment', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  shared_error_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'shared_errors',
+      key: 'id'
+    },
+    onDelete: 'CASCADE'
+  },
+  team_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'teams',
+      key: 'id'
+    },
+    onDelete: 'CASCADE'
+  },
+  // Null once the author's account is deleted
+  author_id: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  parent_id: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'shared_error_comments',
+      key: 'id'
+    },
+    onDelete: 'CASCADE'
+  },
+  // 0 for top-level comments
+  depth: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  },
+  // Markdown; null after deletion
+  body: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  // User ids of the team members @mentioned in the current body
+  mentions: {
+    type: DataTypes.JSON,
+    defaultValue: []
+  },
+  // { "+1": [userId, ...], "eyes": [...] }
+  reactions: {
+    type: DataTypes.JSON,
+    defaultValue: {}
+  },
+  // Previous bodies, oldest first: [{ body, edited_at, edited_by }]
+  edit_history: {
+    type: DataTypes.JSON,
+    defaultValue: []
+  },
+  edited_at: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  deleted_at: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  deleted_by: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  created_at: {
+    type: DataTypes.DATE,
+    defaultValue: DataTypes.NOW
+  },
+  updated_at: {
+    type: DataTypes.DATE,
+    defaultValue: DataTypes.NOW
+  }
+}, {
+  tableName: 'shared_error_comments',
+  timestamps: true,
+  createdAt: 'created_at',
+  updatedAt: 'updated_at',
+  indexes: [
+    { fields: ['shared_error_id', 'created_at'] },
+    { fields: ['parent_id'] }
+  ]
+});
+
+module.exports = SharedErrorComment;
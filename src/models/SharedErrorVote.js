@@ -0,0 +1,61 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+// A member's vote on a shared error. One row per member and error (unique
+// index), holding both the up/down vote and the "me too, I hit this" mark.
+const SharedErrorVote = sequelize.define('SharedErrorVote', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  shared_error_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'shared_errors',
+      key: 'id'
+    },
+    onDelete: 'CASCADE'
+  },
+  user_id: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'users',
+      key: 'id'
+    },
+    onDelete: 'CASCADE'
+  },
+  // 1 = upvote, -1 = downvote, null = no vote
+  value: {
+    type: DataTypes.SMALLINT,
+    allowNull: true,
+    validate: {
+      isIn: [[1, -1]]
+    }
+  },
+  // Last time the member reported running into the error; null = no hit
+  hit_at: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  created_at: {
+    type: DataTypes.DATE,
+    defaultValue: DataTypes.NOW
+  },
+  updated_at: {
+    type: DataTypes.DATE,
+    defaultValue: DataTypes.NOW
+  }
+}, {
+  tableName: 'shared_error_votes',
+  timestamps: true,
+  createdAt: 'created_at',
+  updatedAt: 'updated_at',
+  indexes: [
+    { unique: true, fields: ['shared_error_id', 'user_id'] }
+  ]
+});
+
+module.exports = SharedErrorVote;
@@ -52,7 +52,8 @@ const Team = sequelize.define('Team', {
       enable_video_chat: true,
       enable_screen_sharing: true,
       video_session_duration_minutes: 30,
-      unlimited_participants: true
+      unlimited_participants: true,
+      require_2fa: false
     }
   },
   is_active: {
@@ -49,6 +49,11 @@ const TeamMember = sequelize.define('TeamMember', {
     type: DataTypes.DATE,
     allowNull: true
   },
+  // Identity provider's id for the user when provisioned over SCIM
+  scim_external_id: {
+    type: DataTypes.STRING(255),
+    allowNull: true
+  },
   permissions: {
     type: DataTypes.JSON,
     defaultValue: {
@@ -0,0 +1,115 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+// A curated knowledge base entry for a team, usually written when a shared
+// error is resolved. The search_vector column is generated by Postgres (see
+// migration 023) and deliberately left out of the model.
+const TeamRunbook = sequelize.define('TeamRunbook', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  team_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'teams',
+      key: 'id'
+    },
+    onDelete: 'CASCADE'
+  },
+  // The shared error it was written from; null for standalone entries
+  shared_error_id: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'shared_errors',
+      key: 'id'
+    },
+    onDelete: 'SET NULL'
+  },
+  // The analysis behind it, also used to match new errors against the entry
+  error_query_id: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'ErrorQueries',
+      key: 'id'
+    },
+    onDelete: 'SET NULL'
+  },
+  title: {
+    type: DataTypes.STRING(200),
+    allowNull: false,
+    validate: {
+      len: [5, 200]
+    }
+  },
+  symptoms: {
+    type: DataTypes.TEXT,
+    allowNull: false
+  },
+  root_cause: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  // Ordered list of step strings
+  fix_steps: {
+    type: DataTypes.JSON,
+    allowNull: false,
+    defaultValue: []
+  },
+  tags: {
+    type: DataTypes.JSON,
+    allowNull: false,
+    defaultValue: []
+  },
+  created_by: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    },
+    onDelete: 'SET NULL'
+  },
+  updated_by: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    },
+    onDelete: 'SET NULL'
+  },
+  // How often analyze answered from this entry instead of calling the AI
+  citation_count: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  },
+  last_cited_at: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  created_at: {
+    type: DataTypes.DATE,
+    defaultValue: DataTypes.NOW
+  },
+  updated_at: {
+    type: DataTypes.DATE,
+    defaultValue: DataTypes.NOW
+  }
+}, {
+  tableName: 'team_runbooks',
+  timestamps: true,
+  createdAt: 'created_at',
+  updatedAt: 'updated_at',
+  indexes: [
+    { fields: ['team_id', 'updated_at'] },
+    { unique: true, fields: ['shared_error_id'] }
+  ]
+});
+
+module.exports = TeamRunbook;
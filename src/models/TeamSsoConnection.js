@@ -0,0 +1,108 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+// A team's single sign-on identity provider (one per team, SAML 2.0 or OIDC)
+const TeamSsoConnection = sequelize.define('TeamSsoConnection', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  team_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    unique: true,
+    references: {
+      model: 'teams',
+      key: 'id'
+    },
+    onDelete: 'CASCADE'
+  },
+  protocol: {
+    type: DataTypes.STRING(10),
+    allowNull: false,
+    validate: {
+      isIn: [['saml', 'oidc']]
+    }
+  },
+  enabled: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: false
+  },
+  // Members on a verified domain must sign in through the IdP
+  enforced: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: false
+  },
+  // Add users on a verified domain to the team on their first SSO login
+  jit_provisioning: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: true
+  },
+  default_role: {
+    type: DataTypes.STRING(20),
+    allowNull: false,
+    defaultValue: 'member',
+    validate: {
+      isIn: [['member', 'admin']]
+    }
+  },
+  // IdP single sign-on URL (HTTP-Redirect binding)
+  saml_entry_point: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  // IdP entity ID; responses from any other issuer are rejected when set
+  saml_idp_issuer: {
+    type: DataTypes.STRING(512),
+    allowNull: true
+  },
+  // IdP signing certificate (PEM)
+  saml_idp_cert: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  oidc_issuer: {
+    type: DataTypes.STRING(512),
+    allowNull: true
+  },
+  oidc_client_id: {
+    type: DataTypes.STRING(255),
+    allowNull: true
+  },
+  // Needed in clear to authenticate to the IdP token endpoint
+  oidc_client_secret: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  created_by: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  last_login_at: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  created_at: {
+    type: DataTypes.DATE,
+    defaultValue: DataTypes.NOW
+  },
+  updated_at: {
+    type: DataTypes.DATE,
+    defaultValue: DataTypes.NOW
+  }
+}, {
+  tableName: 'team_sso_connections',
+  timestamps: true,
+  createdAt: 'created_at',
+  updatedAt: 'updated_at'
+});
+
+module.exports = TeamSsoConnection;
@@ -0,0 +1,56 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+// An email domain claimed by a team. It counts for SSO once verified_at is set,
+// i.e. after the team published the verification token in DNS.
+const TeamSsoDomain = sequelize.define('TeamSsoDomain', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  team_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'teams',
+      key: 'id'
+    },
+    onDelete: 'CASCADE'
+  },
+  // Lowercase, no trailing dot
+  domain: {
+    type: DataTypes.STRING(253),
+    allowNull: false
+  },
+  verification_token: {
+    type: DataTypes.STRING(64),
+    allowNull: false
+  },
+  verified_at: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  last_checked_at: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  created_at: {
+    type: DataTypes.DATE,
+    defaultValue: DataTypes.NOW
+  },
+  updated_at: {
+    type: DataTypes.DATE,
+    defaultValue: DataTypes.NOW
+  }
+}, {
+  tableName: 'team_sso_domains',
+  timestamps: true,
+  createdAt: 'created_at',
+  updatedAt: 'updated_at',
+  indexes: [
+    { unique: true, fields: ['team_id', 'domain'] }
+  ]
+});
+
+module.exports = TeamSsoDomain;
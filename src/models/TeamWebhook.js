@@ -0,0 +1,85 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+const TeamWebhook = sequelize.define('TeamWebhook', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  team_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'teams',
+      key: 'id'
+    },
+    onDelete: 'CASCADE'
+  },
+  created_by: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  url: {
+    type: DataTypes.STRING(2048),
+    allowNull: false
+  },
+  // Shared secret for the HMAC signature (needed in clear to sign deliveries)
+  secret: {
+    type: DataTypes.STRING,
+    allowNull: false
+  },
+  // Subscribed event names, or ['*'] for everything
+  events: {
+    type: DataTypes.JSON,
+    allowNull: false,
+    defaultValue: ['*']
+  },
+  description: {
+    type: DataTypes.STRING(200),
+    allowNull: true
+  },
+  is_active: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: true
+  },
+  // Consecutive deliveries that exhausted their retries
+  failure_count: {
+    type: DataTypes.INTEGER,
+    defaultValue: 0
+  },
+  disabled_reason: {
+    type: DataTypes.STRING,
+    allowNull: true
+  },
+  last_delivery_at: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  last_delivery_status: {
+    type: DataTypes.STRING(20),
+    allowNull: true
+  },
+  created_at: {
+    type: DataTypes.DATE,
+    defaultValue: DataTypes.NOW
+  },
+  updated_at: {
+    type: DataTypes.DATE,
+    defaultValue: DataTypes.NOW
+  }
+}, {
+  tableName: 'team_webhooks',
+  timestamps: true,
+  createdAt: 'created_at',
+  updatedAt: 'updated_at',
+  indexes: [
+    { fields: ['team_id'] }
+  ]
+});
+
+module.exports = TeamWebhook;
@@ -18,7 +18,7 @@ const User = sequelize.define('User', {
   },
   password: { 
     type: DataTypes.STRING, 
-    allowNull: false 
+    allowNull: true  // null for accounts created through GitHub/Google sign-in
   },
   resetPasswordToken: {
     type: DataTypes.STRING,
@@ -169,6 +169,32 @@ const User = sequelize.define('User', {
     allowNull: true,
     field: 'login_otp_expires'
   },
+  // Authenticator-app (TOTP) two-factor authentication
+  twoFactorEnabled: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: false,
+    field: 'two_factor_enabled'
+  },
+  twoFactorSecret: {
+    type: DataTypes.STRING,  // AES-GCM encrypted base32 secret (pending until enabled)
+    allowNull: true,
+    field: 'two_factor_secret'
+  },
+  twoFactorRecoveryCodes: {
+    type: DataTypes.JSON,  // SHA-256 hashes of unused recovery codes
+    allowNull: true,
+    field: 'two_factor_recovery_codes'
+  },
+  twoFactorLastUsedStep: {
+    type: DataTypes.BIGINT,  // Last accepted TOTP time step (replay protection)
+    allowNull: true,
+    field: 'two_factor_last_used_step'
+  },
+  twoFactorEnabledAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    field: 'two_factor_enabled_at'
+  },
   createdAt: {
     type: DataTypes.DATE,
     field: 'created_at'
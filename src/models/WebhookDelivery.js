@@ -0,0 +1,79 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+const WebhookDelivery = sequelize.define('WebhookDelivery', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  webhook_id: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'team_webhooks',
+      key: 'id'
+    },
+    onDelete: 'CASCADE'
+  },
+  event: {
+    type: DataTypes.STRING(64),
+    allowNull: false
+  },
+  payload: {
+    type: DataTypes.JSONB,
+    allowNull: false
+  },
+  status: {
+    type: DataTypes.ENUM('pending', 'delivering', 'retrying', 'success', 'failed'),
+    defaultValue: 'pending',
+    allowNull: false
+  },
+  attempts: {
+    type: DataTypes.INTEGER,
+    defaultValue: 0
+  },
+  response_status: {
+    type: DataTypes.INTEGER,
+    allowNull: true
+  },
+  response_body: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  error: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  duration_ms: {
+    type: DataTypes.INTEGER,
+    allowNull: true
+  },
+  next_attempt_at: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  delivered_at: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  created_at: {
+    type: DataTypes.DATE,
+    defaultValue: DataTypes.NOW
+  },
+  updated_at: {
+    type: DataTypes.DATE,
+    defaultValue: DataTypes.NOW
+  }
+}, {
+  tableName: 'webhook_deliveries',
+  timestamps: true,
+  createdAt: 'created_at',
+  updatedAt: 'updated_at',
+  indexes: [
+    { fields: ['webhook_id', 'created_at'] },
+    { fields: ['status', 'next_attempt_at'] }
+  ]
+});
+
+module.exports = WebhookDelivery;
@@ -4,7 +4,22 @@ const ErrorQuery = require('./ErrorQuery');
 const Subscription = require('./Subscription');
 const Team = require('./Team');
 const TeamMember = require('./TeamMember');
-// const SharedError = require('./SharedError');
+const Conversation = require('./Conversation');
+const ConversationMessage = require('./ConversationMessage');
+const AnalysisShareLink = require('./AnalysisShareLink');
+const TeamWebhook = require('./TeamWebhook');
+const WebhookDelivery = require('./WebhookDelivery');
+const AuditEvent = require('./AuditEvent');
+const OAuthAccount = require('./OAuthAccount');
+const ApiKey = require('./ApiKey');
+const RefreshToken = require('./RefreshToken');
+const TeamSsoConnection = require('./TeamSsoConnection');
+const TeamSsoDomain = require('./TeamSsoDomain');
+const SharedError = require('./SharedError');
+const SharedErrorComment = require('./SharedErrorComment');
+const SharedErrorAssignee = require('./SharedErrorAssignee');
+const SharedErrorVote = require('./SharedErrorVote');
+const TeamRunbook = require('./TeamRunbook');
 // const SubscriptionPlan = require('./SubscriptionPlan');
 // const Tenant = require('./Tenant');
 // const ErrorHistory = require('./ErrorHistory');
@@ -67,10 +82,232 @@ User.hasMany(TeamMember, {
   as: 'teamMemberships'
 });
 
+// Conversation associations (messages go with their conversation)
+User.hasMany(Conversation, {
+  foreignKey: 'userId',
+  as: 'conversations',
+  onDelete: 'CASCADE'
+});
+
+Conversation.belongsTo(User, {
+  foreignKey: 'userId',
+  as: 'user'
+});
+
+Conversation.hasMany(ConversationMessage, {
+  foreignKey: 'conversationId',
+  as: 'messages',
+  onDelete: 'CASCADE'
+});
+
+ConversationMessage.belongsTo(Conversation, {
+  foreignKey: 'conversationId',
+  as: 'conversation'
+});
+
+// Public share links (revoked/removed with the analysis they point to)
+ErrorQuery.hasMany(AnalysisShareLink, {
+  foreignKey: 'errorQueryId',
+  as: 'shareLinks',
+  onDelete: 'CASCADE'
+});
+
+AnalysisShareLink.belongsTo(ErrorQuery, {
+  foreignKey: 'errorQueryId',
+  as: 'errorQuery'
+});
+
+// Team webhooks and their delivery log
+Team.hasMany(TeamWebhook, {
+  foreignKey: 'team_id',
+  as: 'webhooks',
+  onDelete: 'CASCADE'
+});
+
+TeamWebhook.belongsTo(Team, {
+  foreignKey: 'team_id',
+  as: 'team'
+});
+
+TeamWebhook.hasMany(WebhookDelivery, {
+  foreignKey: 'webhook_id',
+  as: 'deliveries',
+  onDelete: 'CASCADE'
+});
+
+WebhookDelivery.belongsTo(TeamWebhook, {
+  foreignKey: 'webhook_id',
+  as: 'webhook'
+});
+
+// Linked GitHub/Google identities
+User.hasMany(OAuthAccount, {
+  foreignKey: 'user_id',
+  as: 'oauthAccounts',
+  onDelete: 'CASCADE'
+});
+
+OAuthAccount.belongsTo(User, {
+  foreignKey: 'user_id',
+  as: 'user'
+});
+
+// API keys for CI and scripts
+User.hasMany(ApiKey, {
+  foreignKey: 'user_id',
+  as: 'apiKeys',
+  onDelete: 'CASCADE'
+});
+
+ApiKey.belongsTo(User, {
+  foreignKey: 'user_id',
+  as: 'user'
+});
+
+Team.hasMany(ApiKey, {
+  foreignKey: 'team_id',
+  as: 'apiKeys',
+  onDelete: 'CASCADE'
+});
+
+ApiKey.belongsTo(Team, {
+  foreignKey: 'team_id',
+  as: 'team'
+});
+
+// Rotating refresh tokens
+User.hasMany(RefreshToken, {
+  foreignKey: 'user_id',
+  as: 'refreshTokens',
+  onDelete: 'CASCADE'
+});
+
+RefreshToken.belongsTo(User, {
+  foreignKey: 'user_id',
+  as: 'user'
+});
+
+// Team single sign-on
+Team.hasOne(TeamSsoConnection, {
+  foreignKey: 'team_id',
+  as: 'ssoConnection',
+  onDelete: 'CASCADE'
+});
+
+TeamSsoConnection.belongsTo(Team, {
+  foreignKey: 'team_id',
+  as: 'team'
+});
+
+Team.hasMany(TeamSsoDomain, {
+  foreignKey: 'team_id',
+  as: 'ssoDomains',
+  onDelete: 'CASCADE'
+});
+
+TeamSsoDomain.belongsTo(Team, {
+  foreignKey: 'team_id',
+  as: 'team'
+});
+
+// Shared errors and their discussion threads
+SharedError.belongsTo(User, {
+  foreignKey: 'shared_by',
+  as: 'sharedBy'
+});
+
+SharedError.hasMany(SharedErrorComment, {
+  foreignKey: 'shared_error_id',
+  as: 'comments',
+  onDelete: 'CASCADE'
+});
+
+SharedErrorComment.belongsTo(SharedError, {
+  foreignKey: 'shared_error_id',
+  as: 'sharedError'
+});
+
+SharedErrorComment.belongsTo(User, {
+  foreignKey: 'author_id',
+  as: 'author'
+});
+
+SharedError.belongsToMany(User, {
+  through: SharedErrorAssignee,
+  foreignKey: 'shared_error_id',
+  otherKey: 'user_id',
+  as: 'assignees'
+});
+
+SharedError.hasMany(SharedErrorVote, {
+  foreignKey: 'shared_error_id',
+  as: 'votes',
+  onDelete: 'CASCADE'
+});
+
+// The requesting member's own vote, included with a where on user_id
+SharedError.hasOne(SharedErrorVote, {
+  foreignKey: 'shared_error_id',
+  as: 'viewerVote'
+});
+
+SharedErrorVote.belongsTo(SharedError, {
+  foreignKey: 'shared_error_id',
+  as: 'sharedError'
+});
+
+// Team knowledge base
+Team.hasMany(TeamRunbook, {
+  foreignKey: 'team_id',
+  as: 'runbooks',
+  onDelete: 'CASCADE'
+});
+
+TeamRunbook.belongsTo(Team, {
+  foreignKey: 'team_id',
+  as: 'team'
+});
+
+SharedError.hasOne(TeamRunbook, {
+  foreignKey: 'shared_error_id',
+  as: 'runbook'
+});
+
+TeamRunbook.belongsTo(SharedError, {
+  foreignKey: 'shared_error_id',
+  as: 'sharedError'
+});
+
+TeamRunbook.belongsTo(ErrorQuery, {
+  foreignKey: 'error_query_id',
+  as: 'errorQuery'
+});
+
+TeamRunbook.belongsTo(User, {
+  foreignKey: 'created_by',
+  as: 'author'
+});
+
 module.exports = {
   User,
   ErrorQuery,
   Subscription,
   Team,
-  TeamMember
+  TeamMember,
+  Conversation,
+  ConversationMessage,
+  AnalysisShareLink,
+  TeamWebhook,
+  WebhookDelivery,
+  AuditEvent,
+  OAuthAccount,
+  ApiKey,
+  RefreshToken,
+  TeamSsoConnection,
+  TeamSsoDomain,
+  SharedError,
+  SharedErrorComment,
+  SharedErrorAssignee,
+  SharedErrorVote,
+  TeamRunbook
 };
\ No newline at end of file
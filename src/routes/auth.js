@@ -1,7 +1,7 @@
 const express = require('express');
 const router = express.Router();
 const authController = require('../controllers/authController');
-const { authMiddleware } = require('../middleware/auth');
+const { authMiddleware, optionalAuth } = require('../middleware/auth');
 const { accountLockoutMiddleware } = require('../middleware/accountLock');
 
 // Public routes
@@ -14,8 +14,10 @@ router.post('/forgot-password', authController.forgotPassword);
 router.post('/reset-password', authController.resetPassword);
 router.post('/refresh-token', authController.refreshToken);
 
+// Logout revokes the refresh token family, so it must work after the access token expired
+router.post('/logout', optionalAuth, authController.logout);
+
 // Protected routes (require authentication)
-router.post('/logout', authMiddleware, authController.logout);
 router.get('/profile', authMiddleware, authController.getProfile);
 
 module.exports = router;
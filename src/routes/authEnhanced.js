@@ -8,9 +8,101 @@ const userTrackingService = require('../services/userTrackingService');
 const emailService = require('../utils/emailService');
 const emailServiceConfirmation = require('../services/emailService');
 const { authMiddleware } = require('../middleware/auth');
-const { accountLockoutMiddleware, trackFailedAttempt, resetFailedAttempts } = require('../middleware/accountLock');
+const { accountLockoutMiddleware, trackFailedAttempt, resetFailedAttempts, isAccountLocked } = require('../middleware/accountLock');
+const { startSession } = require('../middleware/session');
+const refreshTokenService = require('../services/refreshTokenService');
+const auditLog = require('../services/auditLogService');
+const twoFactorService = require('../services/twoFactorService');
+const ssoService = require('../services/ssoService');
+const { ValidationError } = require('../utils/errors');
 const rateLimit = require('express-rate-limit');
 
+// Start a session, set auth cookies and send the login response once every step has passed
+async function completeLogin(req, res, user) {
+  const sessionId = await startSession(user, req);
+  const accessToken = authService.generateAccessToken(user, sessionId);
+  const refreshToken = await authService.generateRefreshToken(user, sessionId, { ipAddress: req.ip });
+  
+  // Set HTTP-only cookies for tokens
+  res.cookie('accessToken', accessToken, {
+    httpOnly: true,
+    secure: process.env.NODE_ENV === 'production',
+    sameSite: 'strict',
+    maxAge: 60 * 60 * 1000 // 1 hour
+  });
+  
+  res.cookie('refreshToken', refreshToken, {
+    httpOnly: true,
+    secure: process.env.NODE_ENV === 'production',
+    sameSite: 'strict',
+    maxAge: 7 * 24 * 60 * 60 * 1000 // 7 days
+  });
+  
+  res.json({
+    success: true,
+    message: 'Login successful',
+    user: {
+      id: user.id,
+      email: user.email,
+      username: user.username,
+      isEmailVerified: user.isEmailVerified,
+      isPhoneVerified: user.isPhoneVerified,
+      twoFactorEnabled: !!user.twoFactorEnabled
+    },
+    accessToken,
+    refreshToken
+  });
+}
+
+// Password logins are refused for addresses on a domain whose team enforces SSO
+async function rejectIfSsoEnforced(res, email) {
+  const enforcedSso = await ssoService.getEnforcedSso(email);
+  if (!enforcedSso) return false;
+
+  res.status(403).json({
+    success: false,
+    code: 'SSO_REQUIRED',
+    error: `${enforcedSso.teamName} requires signing in with single sign-on`,
+    sso: enforcedSso
+  });
+  return true;
+}
+
+// Wrong codes on the 2FA management endpoints count towards the login lockout,
+// so they can't be used to brute-force the second factor
+async function respondToTwoFactorError(res, user, error) {
+  if (error.code === 'INVALID_TWO_FACTOR_CODE') {
+    const attemptResult = await trackFailedAttempt(user.email);
+    if (attemptResult.locked) {
+      return res.status(423).json({ success: false, code: 'ACCOUNT_LOCKED', error: 'Too many invalid codes. Please try again later.' });
+    }
+    return res.status(400).json({ error: error.message, remainingAttempts: attemptResult.remainingAttempts });
+  }
+  if (error.code === 'TWO_FACTOR_REQUIRED_BY_TEAM') {
+    return res.status(403).json({ error: error.message, code: error.code });
+  }
+  return res.status(400).json({ error: error.message });
+}
+
+async function rejectIfLocked(res, user) {
+  const { locked } = await isAccountLocked(user.email);
+  if (locked) {
+    res.status(423).json({ success: false, code: 'ACCOUNT_LOCKED', error: 'Account temporarily locked due to too many failed attempts.' });
+  }
+  return locked;
+}
+
+// Audit an authentication event. Unknown emails are kept as the target label only.
+function auditAuthEvent(req, action, user, email, metadata = null) {
+  return auditLog.recordEvent({
+    action,
+    req,
+    actor: user || {},
+    target: user ? { type: 'user', id: user.id, label: user.email } : { type: 'user', label: email },
+    metadata
+  });
+}
+
 // Rate limiter DISABLED for development/testing
 const resendVerificationLimiter = rateLimit({
   windowMs: 15 * 60 * 1000,
@@ -48,8 +140,9 @@ router.post('/register/enhanced', async (req, res) => {
     // Generate tokens if not an abuser
     let accessToken, refreshToken;
     if (result.hasFreeTierAccess) {
-      accessToken = authService.generateAccessToken(result.user);
-      refreshToken = authService.generateRefreshToken(result.user);
+      const sessionId = await startSession(result.user, req);
+      accessToken = authService.generateAccessToken(result.user, sessionId);
+      refreshToken = await authService.generateRefreshToken(result.user, sessionId, { ipAddress: req.ip });
       
       // Set HTTP-only cookies for tokens
       res.cookie('accessToken', accessToken, {
@@ -286,7 +379,8 @@ router.delete('/account', authMiddleware, async (req, res) => {
     const result = await userTrackingService.deleteUserAccount(
       req.user.id,
       reason,
-      ipAddress
+      ipAddress,
+      { req }
     );
     
     res.json(result);
@@ -308,6 +402,8 @@ router.post('/login/enhanced', accountLockoutMiddleware, async (req, res) => {
     if (!email || !password) {
       return res.status(400).json({ error: 'Email and password required' });
     }
+
+    if (await rejectIfSsoEnforced(res, email)) return;
     
     // Find user (exclude soft-deleted)
     const user = await User.findOne({ where: { email } });
@@ -315,16 +411,22 @@ router.post('/login/enhanced', accountLockoutMiddleware, async (req, res) => {
     if (!user) {
       // Track failed attempt even for non-existent users
       await trackFailedAttempt(email);
+      await auditAuthEvent(req, 'auth.login.failed', null, email, { stage: 'password', reason: 'unknown_email' });
       return res.status(401).json({ error: 'Invalid credentials' });
     }
     
     // Verify password
     const bcrypt = require('bcryptjs');
-    const isValidPassword = await bcrypt.compare(password, user.password);
+    const isValidPassword = user.password ? await bcrypt.compare(password, user.password) : false;
     
     if (!isValidPassword) {
       // Track failed login attempt
       const attemptResult = await trackFailedAttempt(email);
+      await auditAuthEvent(req, 'auth.login.failed', user, email, {
+        stage: 'password',
+        reason: 'invalid_password',
+        locked: !!attemptResult.locked
+      });
       
       // If account got locked, send appropriate response
       if (attemptResult.locked) {
@@ -391,6 +493,17 @@ router.post('/login/enhanced', accountLockoutMiddleware, async (req, res) => {
       });
     }
     
+    // Authenticator app replaces the email code for users with 2FA
+    if (user.twoFactorEnabled) {
+      return res.json({
+        success: true,
+        requiresTwoFactor: true,
+        twoFactorToken: authService.generateTwoFactorChallengeToken(user),
+        methods: ['totp', 'recovery_code'],
+        message: 'Enter the code from your authenticator app'
+      });
+    }
+    
     // Generate and send login OTP
     const otp = Math.floor(100000 + Math.random() * 900000).toString(); // 6-digit OTP
     const otpHash = await bcrypt.hash(otp, 10);
@@ -538,12 +651,16 @@ router.post('/login/verify-otp', async (req, res) => {
       console.log('❌ Missing email or OTP');
       return res.status(400).json({ error: 'Email and OTP required' });
     }
+
+    // Enforcement may have been switched on after the code was sent
+    if (await rejectIfSsoEnforced(res, email)) return;
     
     // Find user
     const user = await User.findOne({ where: { email } });
     
     if (!user) {
       console.log('❌ User not found:', email);
+      await auditAuthEvent(req, 'auth.login.failed', null, email, { stage: 'otp', reason: 'unknown_email' });
       return res.status(401).json({ error: 'Invalid credentials' });
     }
     
@@ -592,6 +709,7 @@ router.post('/login/verify-otp', async (req, res) => {
     
     if (isExpired) {
       console.log('❌ OTP expired');
+      await auditAuthEvent(req, 'auth.login.failed', user, email, { stage: 'otp', reason: 'otp_expired' });
       return res.status(400).json({ error: 'OTP expired. Please login again.' });
     }
     
@@ -603,11 +721,23 @@ router.post('/login/verify-otp', async (req, res) => {
     
     if (!isValidOTP) {
       console.log('❌ Invalid OTP');
+      await auditAuthEvent(req, 'auth.login.failed', user, email, { stage: 'otp', reason: 'invalid_otp' });
       return res.status(401).json({ error: 'Invalid OTP' });
     }
     
     console.log('✅ OTP verified successfully!');
     
+    // 2FA turned on after this code was sent - the authenticator step still applies
+    if (user.twoFactorEnabled) {
+      await User.update({ loginOTP: null, loginOTPExpires: null }, { where: { id: user.id } });
+      return res.json({
+        success: true,
+        requiresTwoFactor: true,
+        twoFactorToken: authService.generateTwoFactorChallengeToken(user),
+        methods: ['totp', 'recovery_code']
+      });
+    }
+    
     // Successful login - reset failed attempts
     await resetFailedAttempts(email);
     
@@ -621,42 +751,210 @@ router.post('/login/verify-otp', async (req, res) => {
       { where: { id: user.id } }
     );
     
-    // Generate tokens
-    const accessToken = authService.generateAccessToken(user);
-    const refreshToken = authService.generateRefreshToken(user);
+    await auditAuthEvent(req, 'auth.login.succeeded', user, email, { method: 'password_otp' });
     
-    // Set HTTP-only cookies for tokens
-    res.cookie('accessToken', accessToken, {
-      httpOnly: true,
-      secure: process.env.NODE_ENV === 'production',
-      sameSite: 'strict',
-      maxAge: 60 * 60 * 1000 // 1 hour
+    await completeLogin(req, res, user);
+    
+  } catch (error) {
+    console.error('OTP verification error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /api/auth/login/verify-2fa
+ * Final login step for users with two-factor authentication.
+ * Body: { email, twoFactorToken, code } or { email, twoFactorToken, recoveryCode }
+ * Failed codes count towards the same account lockout as failed passwords.
+ */
+router.post('/login/verify-2fa', accountLockoutMiddleware, async (req, res) => {
+  try {
+    const { email, twoFactorToken, code, recoveryCode } = req.body;
+    
+    if (!email || !twoFactorToken || (!code && !recoveryCode)) {
+      return res.status(400).json({ error: 'Email, twoFactorToken and a code or recovery code are required' });
+    }
+    
+    let userId;
+    try {
+      userId = authService.verifyTwoFactorChallengeToken(twoFactorToken);
+    } catch (tokenError) {
+      return res.status(401).json({ error: 'Two-factor session expired. Please login again.' });
+    }
+    
+    const user = await User.findByPk(userId);
+    if (!user || user.email !== email || !user.twoFactorEnabled) {
+      return res.status(401).json({ error: 'Two-factor session expired. Please login again.' });
+    }
+    
+    const result = await twoFactorService.verifySecondFactor(user, { code, recoveryCode });
+    
+    if (!result) {
+      const attemptResult = await trackFailedAttempt(email);
+      await auditAuthEvent(req, 'auth.login.failed', user, email, {
+        stage: 'two_factor',
+        reason: recoveryCode ? 'invalid_recovery_code' : 'invalid_totp',
+        locked: !!attemptResult.locked
+      });
+      
+      if (attemptResult.locked) {
+        const remainingMinutes = Math.ceil((attemptResult.lockoutInfo.expiresAt - Date.now()) / 1000 / 60);
+        
+        return res.status(423).json({
+          success: false,
+          code: 'ACCOUNT_LOCKED',
+          error: `Account locked due to too many failed login attempts. Please try again in ${remainingMinutes} minutes.`,
+          lockoutInfo: {
+            expiresAt: attemptResult.lockoutInfo.expiresAt,
+            remainingMinutes
+          }
+        });
+      }
+      
+      return res.status(401).json({
+        error: 'Invalid authentication code',
+        remainingAttempts: attemptResult.remainingAttempts
+      });
+    }
+    
+    await resetFailedAttempts(email);
+    await user.update({ lastLoginAt: new Date() });
+    
+    await auditAuthEvent(req, 'auth.login.succeeded', user, email, {
+      method: result.method === 'totp' ? 'password_totp' : 'password_recovery_code',
+      remainingRecoveryCodes: result.remainingRecoveryCodes
     });
     
-    res.cookie('refreshToken', refreshToken, {
-      httpOnly: true,
-      secure: process.env.NODE_ENV === 'production',
-      sameSite: 'strict',
-      maxAge: 7 * 24 * 60 * 60 * 1000 // 7 days
+    await completeLogin(req, res, user);
+    
+  } catch (error) {
+    console.error('Two-factor verification error:', error);
+    res.status(500).json({ error: 'Two-factor verification failed' });
+  }
+});
+
+/**
+ * GET /api/auth/2fa/status
+ */
+router.get('/2fa/status', authMiddleware, async (req, res) => {
+  try {
+    const user = await User.findByPk(req.user.id);
+    const requiredByTeams = await twoFactorService.getTeamsRequiringTwoFactor(user.id);
+    
+    res.json({
+      ...twoFactorService.getStatus(user),
+      requiredByTeams: requiredByTeams.map(team => ({ id: team.id, name: team.name }))
     });
+  } catch (error) {
+    console.error('Two-factor status error:', error);
+    res.status(500).json({ error: 'Failed to fetch two-factor status' });
+  }
+});
+
+/**
+ * POST /api/auth/2fa/setup
+ * Start enrollment: returns the secret and otpauth:// URI for the QR code
+ */
+router.post('/2fa/setup', authMiddleware, async (req, res) => {
+  try {
+    const user = await User.findByPk(req.user.id);
+    const { secret, otpauthUri } = await twoFactorService.startEnrollment(user);
     
     res.json({
       success: true,
-      message: 'Login successful',
-      user: {
-        id: user.id,
-        email: user.email,
-        username: user.username,
-        isEmailVerified: user.isEmailVerified,
-        isPhoneVerified: user.isPhoneVerified
-      },
-      accessToken,
-      refreshToken
+      secret,
+      otpauthUri,
+      message: 'Scan the QR code with your authenticator app, then confirm with a code'
+    });
+  } catch (error) {
+    if (error instanceof ValidationError) {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('Two-factor setup error:', error);
+    res.status(500).json({ error: 'Failed to start two-factor setup' });
+  }
+});
+
+/**
+ * POST /api/auth/2fa/enable { code }
+ * Confirm enrollment; returns the recovery codes (shown once)
+ */
+router.post('/2fa/enable', authMiddleware, async (req, res) => {
+  try {
+    const user = await User.findByPk(req.user.id);
+    if (await rejectIfLocked(res, user)) return;
+    
+    let recoveryCodes;
+    try {
+      recoveryCodes = await twoFactorService.enableTwoFactor(user, req.body.code);
+    } catch (error) {
+      if (error instanceof ValidationError) return respondToTwoFactorError(res, user, error);
+      throw error;
+    }
+    
+    await auditAuthEvent(req, 'auth.2fa.enabled', user, user.email);
+    
+    res.json({
+      success: true,
+      message: 'Two-factor authentication enabled',
+      recoveryCodes
+    });
+  } catch (error) {
+    console.error('Two-factor enable error:', error);
+    res.status(500).json({ error: 'Failed to enable two-factor authentication' });
+  }
+});
+
+/**
+ * POST /api/auth/2fa/disable { code } or { recoveryCode }
+ */
+router.post('/2fa/disable', authMiddleware, async (req, res) => {
+  try {
+    const user = await User.findByPk(req.user.id);
+    const { code, recoveryCode } = req.body;
+    if (await rejectIfLocked(res, user)) return;
+    
+    try {
+      await twoFactorService.disableTwoFactor(user, { code, recoveryCode });
+    } catch (error) {
+      if (error instanceof ValidationError) return respondToTwoFactorError(res, user, error);
+      throw error;
+    }
+    
+    await auditAuthEvent(req, 'auth.2fa.disabled', user, user.email, {
+      method: recoveryCode ? 'recovery_code' : 'totp'
     });
     
+    res.json({ success: true, message: 'Two-factor authentication disabled' });
   } catch (error) {
-    console.error('OTP verification error:', error);
-    res.status(500).json({ error: error.message });
+    console.error('Two-factor disable error:', error);
+    res.status(500).json({ error: 'Failed to disable two-factor authentication' });
+  }
+});
+
+/**
+ * POST /api/auth/2fa/recovery-codes { code }
+ * Replace every recovery code; returns the new set (shown once)
+ */
+router.post('/2fa/recovery-codes', authMiddleware, async (req, res) => {
+  try {
+    const user = await User.findByPk(req.user.id);
+    if (await rejectIfLocked(res, user)) return;
+    
+    let recoveryCodes;
+    try {
+      recoveryCodes = await twoFactorService.regenerateRecoveryCodes(user, req.body.code);
+    } catch (error) {
+      if (error instanceof ValidationError) return respondToTwoFactorError(res, user, error);
+      throw error;
+    }
+    
+    await auditAuthEvent(req, 'auth.2fa.recovery_codes_regenerated', user, user.email);
+    
+    res.json({ success: true, recoveryCodes });
+  } catch (error) {
+    console.error('Recovery code regeneration error:', error);
+    res.status(500).json({ error: 'Failed to regenerate recovery codes' });
   }
 });
 
@@ -731,6 +1029,10 @@ router.post('/forgot-password', async (req, res) => {
     console.log(`🔐 Generated reset token for ${user.email}:`, resetToken);
     console.log(`⏰ Token expires at:`, resetTokenExpires.toISOString());
     
+    await auditAuthEvent(req, 'auth.password_reset.requested', user, email, {
+      expiresAt: resetTokenExpires.toISOString()
+    });
+    
     // Send reset email using utils emailService
     const utilsEmailService = require('../utils/emailService');
     
@@ -826,6 +1128,8 @@ router.post('/reset-password', async (req, res) => {
       // Don't fail the request if email fails - password is already reset
     }
     
+    await auditAuthEvent(req, 'auth.password_reset.completed', user, user.email);
+    
     console.log(`✅ Password reset successfully for ${user.email}`);
     
     res.json({
@@ -842,10 +1146,16 @@ router.post('/reset-password', async (req, res) => {
 
 /**
  * POST /api/auth/logout
- * Logout user and clear cookies
+ * Logout user: revoke the refresh token family and clear cookies
  */
-router.post('/logout', (req, res) => {
+router.post('/logout', async (req, res) => {
   try {
+    // Revoke the refresh token family and its session
+    const refreshToken = req.cookies.refreshToken || req.body.refreshToken;
+    if (refreshToken) {
+      await refreshTokenService.revokeByToken(refreshToken);
+    }
+    
     // Clear cookies
     res.clearCookie('accessToken', {
       httpOnly: true,
@@ -3,6 +3,7 @@ const router = express.Router();
 const { authMiddleware } = require('../middleware/auth');
 const { checkQueryLimit, addSubscriptionInfo } = require('../middleware/subscriptionMiddleware');
 const conversationalAI = require('../services/conversationalAI');
+const conversationStore = require('../services/conversationStore');
 const User = require('../models/User');
 
 // All conversational routes require authentication
@@ -69,12 +70,12 @@ router.get('/history/:conversationId', async (req, res) => {
   try {
     const { conversationId } = req.params;
 
-    const history = conversationalAI.getConversationHistory(conversationId);
+    const history = await conversationalAI.getConversationHistory(conversationId);
 
     if (!history) {
       return res.status(404).json({
         error: 'Conversation not found',
-        message: 'This conversation may have expired or does not exist.'
+        message: 'This conversation does not exist or has been deleted.'
       });
     }
 
@@ -90,9 +91,12 @@ router.get('/history/:conversationId', async (req, res) => {
       success: true,
       conversation: {
         id: history.id,
+        title: history.title,
+        pinned: history.pinned,
         messages: history.messages,
         context: history.context,
-        createdAt: history.createdAt
+        createdAt: history.createdAt,
+        lastMessageAt: history.lastMessageAt
       }
     });
 
@@ -106,28 +110,159 @@ router.get('/history/:conversationId', async (req, res) => {
   }
 });
 
+/**
+ * GET /api/conversation
+ * List the user's conversations (pinned first, then most recent)
+ * Query: limit, offset, pinned=true|false, search (title)
+ */
+router.get('/', async (req, res) => {
+  try {
+    const { limit, offset, pinned, search } = req.query;
+
+    const result = await conversationStore.listConversations(req.user.id, {
+      limit,
+      offset,
+      pinned: pinned === undefined ? undefined : pinned === 'true',
+      search
+    });
+
+    res.json({
+      success: true,
+      ...result
+    });
+
+  } catch (error) {
+    console.error('List conversations error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to list conversations',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * PATCH /api/conversation/:conversationId
+ * Rename and/or pin a conversation
+ * Body: { title?, pinned? }
+ */
+router.patch('/:conversationId', async (req, res) => {
+  try {
+    const { conversationId } = req.params;
+    const { title, pinned } = req.body;
+
+    if (title === undefined && pinned === undefined) {
+      return res.status(400).json({
+        error: 'Nothing to update',
+        message: 'Provide a title and/or pinned.'
+      });
+    }
+
+    if (title !== undefined && (typeof title !== 'string' || title.trim().length === 0 || title.trim().length > 200)) {
+      return res.status(400).json({
+        error: 'Invalid title',
+        message: 'Title must be between 1 and 200 characters.'
+      });
+    }
+
+    if (pinned !== undefined && typeof pinned !== 'boolean') {
+      return res.status(400).json({
+        error: 'Invalid pinned value',
+        message: 'pinned must be true or false.'
+      });
+    }
+
+    const conversation = await conversationStore.updateConversation(conversationId, req.user.id, {
+      title: title !== undefined ? title.trim() : undefined,
+      pinned
+    });
+
+    if (!conversation) {
+      return res.status(404).json({
+        error: 'Conversation not found',
+        message: 'This conversation does not exist or has been deleted.'
+      });
+    }
+
+    res.json({
+      success: true,
+      conversation
+    });
+
+  } catch (error) {
+    console.error('Update conversation error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update conversation',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/conversation/:conversationId/resume
+ * Load a past conversation back into the active context.
+ * Continue it by sending its conversationId to /ask.
+ */
+router.post('/:conversationId/resume', async (req, res) => {
+  try {
+    const { conversationId } = req.params;
+
+    const conversation = await conversationStore.loadContext(conversationId, req.user.id);
+
+    if (!conversation) {
+      return res.status(404).json({
+        error: 'Conversation not found',
+        message: 'This conversation does not exist or has been deleted.'
+      });
+    }
+
+    const tier = req.subscriptionTier || 'free';
+    const config = conversationalAI.AI_CONFIG[tier] || conversationalAI.AI_CONFIG.free;
+
+    res.json({
+      success: true,
+      conversation: {
+        id: conversation.id,
+        title: conversation.title,
+        context: conversation.context,
+        recentMessages: conversation.messages,
+        createdAt: conversation.createdAt
+      },
+      followUpQuestions: config.features.followUpQuestions
+    });
+
+  } catch (error) {
+    console.error('Resume conversation error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to resume conversation',
+      details: error.message
+    });
+  }
+});
+
 /**
  * DELETE /api/conversation/:conversationId
- * Clear conversation context
+ * Delete a conversation and all of its messages
  */
 router.delete('/:conversationId', async (req, res) => {
   try {
     const { conversationId } = req.params;
 
-    const history = conversationalAI.getConversationHistory(conversationId);
+    // Scoped to the user - someone else's conversation is simply not found
+    const deleted = await conversationalAI.clearConversation(conversationId, req.user.id);
 
-    if (history && history.userId !== req.user.id) {
-      return res.status(403).json({
-        error: 'Unauthorized',
-        message: 'You cannot delete this conversation.'
+    if (!deleted) {
+      return res.status(404).json({
+        error: 'Conversation not found',
+        message: 'This conversation does not exist or has been deleted.'
       });
     }
 
-    conversationalAI.clearConversation(conversationId);
-
     res.json({
       success: true,
-      message: 'Conversation cleared successfully'
+      message: 'Conversation deleted successfully'
     });
 
   } catch (error) {
@@ -1,9 +1,11 @@
 const express = require('express');
 const router = express.Router();
 const errorController = require('../controllers/errorController');
+const shareController = require('../controllers/shareController');
 const { authMiddleware } = require('../middleware/auth');
 const { checkUsageLimits, addUsageInfo, getUserUsageStats } = require('../middleware/usageLimits');
 const { checkQueryLimit, addSubscriptionInfo, requireFeature } = require('../middleware/subscriptionMiddleware');
+const { uploadSingle, processFileContent } = require('../middleware/fileUpload');
 
 // All error routes require authentication
 router.use(authMiddleware);
@@ -15,6 +17,15 @@ router.get('/usage', getUserUsageStats);
 // POST /api/errors/analyze - Analyze an error with AI (with subscription limits)
 router.post('/analyze', checkQueryLimit, addUsageInfo, errorController.analyzeError);
 
+// POST /api/errors/analyze/stream - Same as /analyze, streamed as Server-Sent Events
+router.post('/analyze/stream', checkQueryLimit, errorController.analyzeErrorStream);
+
+// POST /api/errors/analyze-file - Analyze each distinct error in an uploaded log file (multipart field "file")
+router.post('/analyze-file', checkQueryLimit, uploadSingle('file'), processFileContent, addUsageInfo, errorController.analyzeFile);
+
+// GET /api/errors/files/:uploadId - Saved analyses from an uploaded log file
+router.get('/files/:uploadId', errorController.getFileAnalysis);
+
 // GET /api/errors/history - Get user's error query history
 router.get('/history', errorController.getHistory);
 
@@ -30,6 +41,18 @@ router.get('/search', errorController.searchErrors);
 // GET /api/errors/export - Export error history (Pro/Team only)
 router.get('/export', requireFeature('exportHistory'), errorController.exportHistory);
 
+// GET /api/errors/shares - List the user's active public share links (?errorQueryId=, ?includeInactive=true)
+router.get('/shares', shareController.listShareLinks);
+
+// DELETE /api/errors/shares/:shareId - Revoke a public share link
+router.delete('/shares/:shareId', shareController.revokeShareLink);
+
+// POST /api/errors/:id/share - Create a public read-only link ({ expiresInDays | expiresAt, redactCode })
+router.post('/:id/share', shareController.createShareLink);
+
+// GET /api/errors/:id/similar - Past analyses similar to this one (plus team shared errors for Team tier)
+router.get('/:id/similar', errorController.getSimilarErrors);
+
 // GET /api/errors/:id - Get specific error query details
 router.get('/:id', errorController.getErrorQuery);
 
@@ -7,6 +7,8 @@ const express = require('express');
 const router = express.Router();
 const db = require('../config/database');
 const redis = require('../config/redis');
+const crypto = require('crypto');
+const metrics = require('../utils/metrics');
 
 /**
  * Basic health check
@@ -89,6 +91,24 @@ router.get('/health/detailed', async (req, res) => {
     };
   }
   
+  // AI providers (reported only - an upstream LLM outage shouldn't fail the instance)
+  try {
+    const aiService = require('../services/aiService');
+    const aiHealth = await aiService.getServiceHealth();
+    health.services.ai = {
+      status: aiHealth.status,
+      providers: aiHealth.providers,
+      cache: aiHealth.cache,
+      timestamp: aiHealth.timestamp
+    };
+  } catch (error) {
+    health.services.ai = {
+      status: 'error',
+      error: error.message,
+      timestamp: new Date().toISOString()
+    };
+  }
+
   // System metrics
   health.system = {
     memory: {
@@ -150,6 +170,32 @@ router.get('/health/ready', async (req, res) => {
   }
 });
 
+/**
+ * Prometheus metrics, aggregated across cluster workers
+ * GET /metrics
+ * Requires "Authorization: Bearer $METRICS_TOKEN" when METRICS_TOKEN is set.
+ */
+router.get('/metrics', async (req, res) => {
+  const token = process.env.METRICS_TOKEN;
+  if (token) {
+    const provided = Buffer.from((req.headers.authorization || '').replace(/^Bearer\s+/i, ''));
+    const expected = Buffer.from(token);
+    if (provided.length !== expected.length || !crypto.timingSafeEqual(provided, expected)) {
+      return res.status(401).json({ error: 'Unauthorized' });
+    }
+  }
+
+  try {
+    const body = await metrics.collectMetrics();
+    res.set('Content-Type', 'text/plain; version=0.0.4; charset=utf-8');
+    res.set('Cache-Control', 'no-store');
+    res.send(body);
+  } catch (error) {
+    console.error('Metrics collection error:', error);
+    res.status(500).send('# metrics collection failed\n');
+  }
+});
+
 /**
  * Simple ping endpoint
  * GET /ping
@@ -0,0 +1,19 @@
+const express = require('express');
+const router = express.Router();
+const { authMiddleware } = require('../middleware/auth');
+const oauthController = require('../controllers/oauthController');
+
+// Public sign-in flow
+router.get('/providers', oauthController.listProviders);
+router.post('/exchange', oauthController.exchange);
+
+// Linked providers on the signed-in account
+router.get('/accounts', authMiddleware, oauthController.listAccounts);
+router.post('/:provider/link', authMiddleware, oauthController.startLink);
+router.delete('/:provider', authMiddleware, oauthController.unlink);
+
+// Provider redirects
+router.get('/:provider/callback', oauthController.callback);
+router.get('/:provider', oauthController.startLogin);
+
+module.exports = router;
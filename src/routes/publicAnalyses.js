@@ -0,0 +1,17 @@
+const express = require('express');
+const router = express.Router();
+const shareController = require('../controllers/shareController');
+const { createRateLimiter } = require('../middleware/rateLimiter');
+
+// No authentication - access is granted by the unguessable token.
+// Rate limited per IP to make token guessing pointless.
+const publicShareLimiter = createRateLimiter({
+  windowMs: 60 * 1000,
+  max: 60,
+  keyPrefix: 'ratelimit:public-share:'
+});
+
+// GET /api/public/analyses/:token - Read-only shared analysis (counts a view)
+router.get('/:token', publicShareLimiter, shareController.getPublicAnalysis);
+
+module.exports = router;
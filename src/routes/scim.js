@@ -0,0 +1,32 @@
+const express = require('express');
+const router = express.Router();
+const scimController = require('../controllers/scimController');
+const { authenticateScim } = require('../middleware/scimAuth');
+
+// IdPs send application/scim+json, which the app-wide JSON parser skips
+router.use(express.json({ type: ['application/json', 'application/scim+json'], limit: '1mb' }));
+
+// Team API key with the scim:provision scope
+router.use(authenticateScim);
+
+// Discovery
+router.get('/ServiceProviderConfig', scimController.getServiceProviderConfig);
+router.get('/ResourceTypes', scimController.getResourceTypes);
+
+// Users - team memberships
+router.get('/Users', scimController.listUsers);
+router.post('/Users', scimController.createUser);
+router.get('/Users/:id', scimController.getUser);
+router.put('/Users/:id', scimController.replaceUser);
+router.patch('/Users/:id', scimController.patchUser);
+router.delete('/Users/:id', scimController.deleteUser);
+
+// Groups - one per team role
+router.get('/Groups', scimController.listGroups);
+router.post('/Groups', scimController.createGroup);
+router.get('/Groups/:id', scimController.getGroup);
+router.put('/Groups/:id', scimController.replaceGroup);
+router.patch('/Groups/:id', scimController.patchGroup);
+router.delete('/Groups/:id', scimController.deleteGroup);
+
+module.exports = router;
@@ -0,0 +1,16 @@
+const express = require('express');
+const router = express.Router();
+const ssoController = require('../controllers/ssoController');
+
+// Team single sign-on (settings live under /api/teams/:teamId/sso)
+router.post('/discover', ssoController.discover);
+router.get('/:teamId/login', ssoController.startLogin);
+
+// SAML 2.0 service provider
+router.get('/:teamId/saml/metadata', ssoController.samlMetadata);
+router.post('/:teamId/saml/acs', ssoController.samlAcs);
+
+// OpenID Connect relying party
+router.get('/:teamId/oidc/callback', ssoController.oidcCallback);
+
+module.exports = router;
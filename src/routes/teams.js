@@ -1,8 +1,14 @@
 const express = require('express');
 const router = express.Router();
 const teamController = require('../controllers/teamController');
+const teamWebhookController = require('../controllers/teamWebhookController');
+const apiKeyController = require('../controllers/apiKeyController');
+const ssoController = require('../controllers/ssoController');
+const commentController = require('../controllers/commentController');
+const runbookController = require('../controllers/runbookController');
 const { authMiddleware } = require('../middleware/auth');
 const { requireTier } = require('../middleware/subscriptionMiddleware');
+const { requireTeamTwoFactor } = require('../middleware/teamTwoFactor');
 // const { validateTeamCreation, validateInvitation, validateErrorSharing } = require('../middleware/validation');
 
 // Apply authentication middleware to all team routes
@@ -11,6 +17,9 @@ router.use(authMiddleware);
 // Team features require Team subscription tier
 router.use(requireTier('team'));
 
+// Teams can require every member to use two-factor authentication
+router.use('/:teamId', requireTeamTwoFactor);
+
 // Team management routes
 router.post('/', teamController.createTeam);
 router.get('/', teamController.getUserTeams);
@@ -30,11 +39,50 @@ router.post('/:teamId/errors', teamController.shareError);
 router.get('/:teamId/errors', teamController.getTeamErrors);
 router.put('/:teamId/errors/:errorId', teamController.updateSharedError);
 router.delete('/:teamId/errors/:errorId', teamController.deleteSharedError);
+router.post('/:teamId/errors/:errorId/vote', teamController.voteSharedError);
+router.delete('/:teamId/errors/:errorId/vote', teamController.removeSharedErrorVote);
+
+// Shared error discussion (authors edit; authors, owners and admins delete)
+router.get('/:teamId/errors/:errorId/comments', commentController.listComments);
+router.post('/:teamId/errors/:errorId/comments', commentController.createComment);
+router.put('/:teamId/errors/:errorId/comments/:commentId', commentController.updateComment);
+router.delete('/:teamId/errors/:errorId/comments/:commentId', commentController.deleteComment);
+router.get('/:teamId/errors/:errorId/comments/:commentId/history', commentController.getCommentHistory);
+router.put('/:teamId/errors/:errorId/comments/:commentId/reactions/:reaction', commentController.addReaction);
+router.delete('/:teamId/errors/:errorId/comments/:commentId/reactions/:reaction', commentController.removeReaction);
+
+// Team knowledge base (members read; members who manage errors write)
+router.get('/:teamId/runbooks', runbookController.listRunbooks);
+router.post('/:teamId/runbooks', runbookController.createRunbook);
+router.get('/:teamId/runbooks/:runbookId', runbookController.getRunbook);
+router.put('/:teamId/runbooks/:runbookId', runbookController.updateRunbook);
+router.delete('/:teamId/runbooks/:runbookId', runbookController.deleteRunbook);
 
 // Team dashboard and analytics
 router.get('/:teamId/dashboard', teamController.getTeamDashboard);
 router.get('/:teamId/analytics', teamController.getTeamAnalytics);
 
+// Outbound webhooks (owners/admins)
+router.get('/:teamId/webhooks', teamWebhookController.listWebhooks);
+router.post('/:teamId/webhooks', teamWebhookController.createWebhook);
+router.put('/:teamId/webhooks/:webhookId', teamWebhookController.updateWebhook);
+router.delete('/:teamId/webhooks/:webhookId', teamWebhookController.deleteWebhook);
+router.post('/:teamId/webhooks/:webhookId/test', teamWebhookController.sendTestEvent);
+router.get('/:teamId/webhooks/:webhookId/deliveries', teamWebhookController.listDeliveries);
+
+// Team-scoped API keys (owner only)
+router.get('/:teamId/api-keys', apiKeyController.listTeamKeys);
+router.post('/:teamId/api-keys', apiKeyController.createTeamKey);
+router.delete('/:teamId/api-keys/:keyId', apiKeyController.revokeTeamKey);
+
+// Single sign-on and domain verification (owner only)
+router.get('/:teamId/sso', ssoController.getSettings);
+router.put('/:teamId/sso', ssoController.updateSettings);
+router.delete('/:teamId/sso', ssoController.deleteSettings);
+router.post('/:teamId/sso/domains', ssoController.addDomain);
+router.post('/:teamId/sso/domains/:domainId/verify', ssoController.verifyDomain);
+router.delete('/:teamId/sso/domains/:domainId', ssoController.removeDomain);
+
 // Video chat routes
 router.post('/:teamId/video/start', teamController.startVideoChat);
 router.post('/:teamId/video/end', teamController.endVideoChat);
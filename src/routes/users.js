@@ -1,6 +1,7 @@
 const express = require('express');
 const router = express.Router();
 const userController = require('../controllers/userController');
+const apiKeyController = require('../controllers/apiKeyController');
 const { authMiddleware } = require('../middleware/auth');
 
 // All user routes require authentication
@@ -12,13 +13,26 @@ router.get('/profile', userController.getProfile);
 // Update user profile
 router.put('/profile', userController.updateProfile);
 
-// Change password
+// Change password ({ signOutEverywhere: true } signs out every other session)
 router.put('/password', userController.changePassword);
 
+// Active sessions and devices
+router.get('/sessions', userController.getSessions);
+router.post('/sessions/revoke-others', userController.revokeOtherSessions);
+router.delete('/sessions/:sessionId', userController.revokeSession);
+
 // Delete account
 router.delete('/account', userController.deleteAccount);
 
 // Get dashboard data
 router.get('/dashboard', userController.getDashboard);
 
+// Audit log of account (or owned team) events, exportable as CSV/JSON
+router.get('/audit-log', userController.getAuditLog);
+
+// Personal API keys for CI and scripts (Authorization: ApiKey <key>)
+router.get('/api-keys', apiKeyController.listKeys);
+router.post('/api-keys', apiKeyController.createKey);
+router.delete('/api-keys/:keyId', apiKeyController.revokeKey);
+
 module.exports = router;
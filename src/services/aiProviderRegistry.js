@@ -0,0 +1,295 @@
+/**
+ * AI Provider Registry
+ * Single interface over all LLM providers (OpenAI, Gemini, Anthropic,
+ * local OpenAI-compatible endpoints, mock) with per-provider health tracking.
+ *
+ * Each provider tracks a rolling window of recent calls. A provider whose
+ * error rate or consecutive failures cross the thresholds is "tripped" and
+ * routed around until its cooldown passes, after which one trial request is
+ * let through (half-open) to decide whether it has recovered.
+ */
+
+const metrics = require('../utils/metrics');
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+const HEALTH_CONFIG = {
+  WINDOW_SIZE: 20,               // Recent calls kept per provider
+  MIN_SAMPLES: 5,                // Calls needed before error rate is trusted
+  ERROR_RATE_THRESHOLD: 0.5,     // Trip when half of recent calls fail
+  CONSECUTIVE_FAILURES: 3,       // ...or after this many failures in a row
+  COOLDOWN_MS: 60000,            // How long a tripped provider is skipped
+};
+
+const providers = new Map();
+
+// ============================================================================
+// REGISTRATION
+// ============================================================================
+
+/**
+ * Register a provider
+ * @param {string} name - Provider key used in TIER_CONFIG (e.g. 'anthropic')
+ * @param {Object} provider
+ * @param {Function} provider.isConfigured - Returns true when the client/API key is available
+ * @param {Function} provider.analyze - async (request) => structured analysis
+ * @param {Function} [provider.stream] - async (request) => structured analysis, calling request.onText(delta)
+ * @param {string} [provider.label] - Human readable name for logs/health
+ */
+function registerProvider(name, provider) {
+  if (typeof provider.analyze !== 'function') {
+    throw new Error(`Provider "${name}" must implement analyze()`);
+  }
+
+  providers.set(name, {
+    name,
+    label: provider.label || name,
+    isConfigured: provider.isConfigured || (() => true),
+    analyze: provider.analyze,
+    stream: provider.stream || null,
+    stats: createStats(),
+  });
+}
+
+function createStats() {
+  return {
+    window: [],                  // [{ ok, latencyMs }]
+    totalRequests: 0,
+    totalFailures: 0,
+    consecutiveFailures: 0,
+    trippedAt: null,
+    halfOpenInFlight: false,
+    lastError: null,
+    lastErrorAt: null,
+    lastSuccessAt: null,
+  };
+}
+
+function getProvider(name) {
+  return providers.get(name) || null;
+}
+
+function isConfigured(name) {
+  const provider = providers.get(name);
+  if (!provider) return false;
+
+  try {
+    return !!provider.isConfigured();
+  } catch (error) {
+    return false;
+  }
+}
+
+// ============================================================================
+// HEALTH TRACKING
+// ============================================================================
+
+function getErrorRate(stats) {
+  if (stats.window.length === 0) return 0;
+  const failures = stats.window.filter(call => !call.ok).length;
+  return failures / stats.window.length;
+}
+
+function getCircuitState(stats) {
+  if (!stats.trippedAt) return 'closed';
+  return Date.now() - stats.trippedAt >= HEALTH_CONFIG.COOLDOWN_MS ? 'half-open' : 'open';
+}
+
+function recordOutcome(name, ok, latencyMs, error) {
+  const provider = providers.get(name);
+  if (!provider) return;
+
+  const stats = provider.stats;
+  stats.window.push({ ok, latencyMs });
+  if (stats.window.length > HEALTH_CONFIG.WINDOW_SIZE) {
+    stats.window.shift();
+  }
+  stats.totalRequests++;
+  stats.halfOpenInFlight = false;
+
+  if (ok) {
+    stats.consecutiveFailures = 0;
+    stats.lastSuccessAt = new Date().toISOString();
+
+    if (stats.trippedAt) {
+      console.log(`✅ AI provider recovered: ${name}`);
+      stats.trippedAt = null;
+      stats.window = [{ ok, latencyMs }];
+    }
+    return;
+  }
+
+  stats.totalFailures++;
+  stats.consecutiveFailures++;
+  stats.lastError = error?.message || String(error);
+  stats.lastErrorAt = new Date().toISOString();
+
+  const errorRate = getErrorRate(stats);
+  const shouldTrip =
+    stats.consecutiveFailures >= HEALTH_CONFIG.CONSECUTIVE_FAILURES ||
+    (stats.window.length >= HEALTH_CONFIG.MIN_SAMPLES && errorRate >= HEALTH_CONFIG.ERROR_RATE_THRESHOLD);
+
+  // A failed half-open trial re-trips for another full cooldown
+  if (shouldTrip || stats.trippedAt) {
+    if (!stats.trippedAt || getCircuitState(stats) === 'half-open') {
+      console.warn(`🚫 AI provider tripped: ${name} | error rate ${(errorRate * 100).toFixed(0)}% | ${stats.consecutiveFailures} consecutive failures`);
+    }
+    stats.trippedAt = Date.now();
+  }
+}
+
+/**
+ * Whether a provider should receive traffic right now
+ */
+function isAvailable(name) {
+  const provider = providers.get(name);
+  if (!provider || !isConfigured(name)) return false;
+
+  const state = getCircuitState(provider.stats);
+  if (state === 'closed') return true;
+  if (state === 'half-open') return !provider.stats.halfOpenInFlight;
+  return false;
+}
+
+/**
+ * Order a tier's provider chain so healthy providers are tried first.
+ * Unconfigured providers are dropped; tripped ones are kept at the end so
+ * a request still has somewhere to go when everything is failing.
+ * @param {Array<{provider: string}>} chain
+ */
+function orderByHealth(chain) {
+  const configured = chain.filter(entry => isConfigured(entry.provider));
+  const healthy = configured.filter(entry => isAvailable(entry.provider));
+  const tripped = configured.filter(entry => !isAvailable(entry.provider));
+  return [...healthy, ...tripped];
+}
+
+/**
+ * Run a provider call, recording latency and outcome
+ * @param {string} name - Provider key
+ * @param {'analyze'|'stream'} method - Streaming falls back to analyze for providers without stream()
+ * @param {Object} request - Passed through to the provider
+ * @param {Function} [wrap] - Optional wrapper for the call promise (e.g. timeout)
+ */
+async function execute(name, method, request, wrap = (promise) => promise) {
+  const provider = providers.get(name);
+  if (!provider) {
+    throw new Error(`Unknown AI provider: ${name}`);
+  }
+
+  if (getCircuitState(provider.stats) === 'half-open') {
+    provider.stats.halfOpenInFlight = true;
+  }
+
+  const fn = method === 'stream' && provider.stream ? provider.stream : provider.analyze;
+  const startTime = Date.now();
+  const labels = { provider: name, model: request.model || 'default' };
+
+  try {
+    const result = await wrap(fn(request));
+    recordOutcome(name, true, Date.now() - startTime);
+    recordCallMetrics(labels, 'success', Date.now() - startTime, result && result.usage);
+    return result;
+  } catch (error) {
+    recordOutcome(name, false, Date.now() - startTime, error);
+    recordCallMetrics(labels, /timeout/i.test(error?.message || '') ? 'timeout' : 'error', Date.now() - startTime);
+    throw error;
+  }
+}
+
+function recordCallMetrics(labels, outcome, latencyMs, usage) {
+  metrics.increment('ai_requests_total', { ...labels, outcome });
+  metrics.observe('ai_request_duration_seconds', labels, latencyMs / 1000);
+  if (usage) {
+    metrics.increment('ai_tokens_total', { ...labels, direction: 'input' }, usage.inputTokens);
+    metrics.increment('ai_tokens_total', { ...labels, direction: 'output' }, usage.outputTokens);
+  }
+}
+
+// ============================================================================
+// REPORTING
+// ============================================================================
+
+function percentile(values, p) {
+  if (values.length === 0) return 0;
+  const sorted = [...values].sort((a, b) => a - b);
+  const index = Math.min(sorted.length - 1, Math.ceil((p / 100) * sorted.length) - 1);
+  return sorted[Math.max(0, index)];
+}
+
+/**
+ * Per-provider health snapshot
+ */
+function getProviderHealth() {
+  const health = {};
+
+  for (const [name, provider] of providers) {
+    const stats = provider.stats;
+    const configured = isConfigured(name);
+    const circuit = getCircuitState(stats);
+    const errorRate = getErrorRate(stats);
+    const latencies = stats.window.filter(call => call.ok).map(call => call.latencyMs);
+
+    let status;
+    if (!configured) status = 'unconfigured';
+    else if (circuit !== 'closed') status = 'down';
+    else if (errorRate > 0) status = 'degraded';
+    else status = 'healthy';
+
+    health[name] = {
+      label: provider.label,
+      status,
+      configured,
+      circuit,
+      streaming: !!provider.stream,
+      errorRate: Number(errorRate.toFixed(3)),
+      recentRequests: stats.window.length,
+      totalRequests: stats.totalRequests,
+      totalFailures: stats.totalFailures,
+      consecutiveFailures: stats.consecutiveFailures,
+      latencyMs: {
+        avg: latencies.length ? Math.round(latencies.reduce((sum, ms) => sum + ms, 0) / latencies.length) : 0,
+        p95: percentile(latencies, 95),
+      },
+      lastError: stats.lastError,
+      lastErrorAt: stats.lastErrorAt,
+      lastSuccessAt: stats.lastSuccessAt,
+      retryAt: stats.trippedAt ? new Date(stats.trippedAt + HEALTH_CONFIG.COOLDOWN_MS).toISOString() : null,
+    };
+  }
+
+  return health;
+}
+
+// Exported as errorwise_ai_provider_up on /metrics
+metrics.registerCollector(({ setGauge }) => {
+  for (const name of providers.keys()) {
+    if (name === 'mock' || !isConfigured(name)) continue;
+    setGauge('ai_provider_up', { provider: name }, getCircuitState(providers.get(name).stats) === 'open' ? 0 : 1);
+  }
+});
+
+/**
+ * Clear health history (all providers, or one)
+ */
+function resetHealth(name) {
+  for (const [key, provider] of providers) {
+    if (!name || key === name) {
+      provider.stats = createStats();
+    }
+  }
+}
+
+module.exports = {
+  registerProvider,
+  getProvider,
+  isConfigured,
+  isAvailable,
+  orderByHealth,
+  execute,
+  getProviderHealth,
+  resetHealth,
+  HEALTH_CONFIG,
+};
@@ -3,6 +3,11 @@ const OpenAI = require('openai');
 const { GoogleGenerativeAI } = require('@google/generative-ai');
 const Anthropic = require('@anthropic-ai/sdk');
 const axios = require('axios');
+const crypto = require('crypto');
+const analysisCache = require('../utils/cache');
+const providerRegistry = require('./aiProviderRegistry');
+const runbookService = require('./runbookService');
+const stackTraceParser = require('../utils/stackTraceParser');
 
 // ============================================================================
 // CONFIGURATION & CONSTANTS
@@ -12,29 +17,28 @@ const CONFIG = {
   MAX_RETRIES: 50,
   RETRY_DELAY_MS: 1000,
   REQUEST_TIMEOUT_MS: 30000,
-  CACHE_TTL_MS: 1800000, // 30 minutes
   MAX_PROMPT_LENGTH: 8000,
   MAX_URL_SCRAPE_TIMEOUT: 10000,
   MAX_URLS_TO_PROCESS: 2,
   MAX_SCRAPED_CONTENT_LENGTH: 3000,
 };
 
-// Simple in-memory cache (consider Redis for production)
-const responseCache = new Map();
-
 // Log API key status on startup
 console.log('\n🔑 AI Service Configuration:');
 console.log(`   FREE tier: Google Gemini ${process.env.GEMINI_API_KEY ? '✅' : '❌ MISSING!'}`);
 console.log(`   PRO tier: Claude Haiku ${process.env.ANTHROPIC_API_KEY ? '✅' : '❌ MISSING!'}`);
 console.log(`   TEAM tier: Claude Sonnet ${process.env.ANTHROPIC_API_KEY ? '✅' : '❌ MISSING!'}`);
+console.log(`   Failover: OpenAI ${process.env.OPENAI_API_KEY ? '✅' : '➖'} | Local LLM ${process.env.LOCAL_LLM_BASE_URL ? '✅' : '➖'}`);
 console.log(`   URL Scraping: ✅ Enabled (Pro/Team)`);
-console.log(`   Cache TTL: ${CONFIG.CACHE_TTL_MS / 1000}s`);
+console.log(`   Cache TTL: free ${analysisCache.DEFAULT_TTL.ANALYSIS.free}s | pro ${analysisCache.DEFAULT_TTL.ANALYSIS.pro}s | team ${analysisCache.DEFAULT_TTL.ANALYSIS.team}s (shared via Redis)`);
 console.log(`   Max Retries: ${CONFIG.MAX_RETRIES}`);
 console.log(`   Request Timeout: ${CONFIG.REQUEST_TIMEOUT_MS / 1000}s\n`);
 
 // Initialize AI clients
 let genAI; // Google Gemini (for FREE tier)
 let anthropic; // Anthropic Claude (for PRO/TEAM tiers)
+let openai; // OpenAI
+let localLLM; // Local OpenAI-compatible endpoint (Ollama, vLLM)
 
 // Initialize Gemini
 try {
@@ -64,31 +68,77 @@ try {
   console.error('❌ Failed to initialize Anthropic client:', error.message);
 }
 
+// Initialize OpenAI (optional failover provider)
+try {
+  if (process.env.OPENAI_API_KEY) {
+    openai = new OpenAI({
+      apiKey: process.env.OPENAI_API_KEY,
+      timeout: CONFIG.REQUEST_TIMEOUT_MS,
+      maxRetries: 2,
+    });
+    console.log('✅ OpenAI client initialized successfully (failover)');
+  }
+} catch (error) {
+  console.error('❌ Failed to initialize OpenAI client:', error.message);
+}
+
+// Initialize local OpenAI-compatible endpoint, e.g. http://localhost:11434/v1 for Ollama
+try {
+  if (process.env.LOCAL_LLM_BASE_URL) {
+    localLLM = new OpenAI({
+      baseURL: process.env.LOCAL_LLM_BASE_URL,
+      apiKey: process.env.LOCAL_LLM_API_KEY || 'local',
+      timeout: CONFIG.REQUEST_TIMEOUT_MS,
+      maxRetries: 0,
+    });
+    console.log(`✅ Local LLM client initialized (${process.env.LOCAL_LLM_BASE_URL})`);
+  }
+} catch (error) {
+  console.error('❌ Failed to initialize local LLM client:', error.message);
+}
+
 // ============================================================================
 // TIER CONFIGURATION
 // ============================================================================
 
+const LOCAL_LLM_MODEL = process.env.LOCAL_LLM_MODEL || 'llama3.1';
+
+// Ordered provider chains. The registry skips unconfigured providers and
+// moves failing ones to the back, so order here is preference, not a guarantee.
 const TIER_CONFIG = {
   free: {
-    primary: { 
-      provider: 'anthropic',  // FREE tier uses Claude Haiku 3 (fastest & cheapest)
-      model: 'claude-3-haiku-20240307',  // 0.33x cost - perfect for free tier
-      maxTokens: 1000,
-      temperature: 0.5,
-    },
-    // FUTURE: Gemini alternative (uncomment when API key available)
-    // primary: { 
-    //   provider: 'gemini',
-    //   model: 'gemini-2.0-flash-exp',  // Free tier model
-    //   maxTokens: 1000,
-    //   temperature: 0.5,
-    // },
-    fallback: { 
-      provider: 'anthropic',
-      model: 'claude-3-5-haiku-20241022',  // Newer Haiku if primary fails
-      maxTokens: 1000,
-      temperature: 0.5,
-    },
+    providers: [
+      { 
+        provider: 'anthropic',  // FREE tier uses Claude Haiku 3 (fastest & cheapest)
+        model: 'claude-3-haiku-20240307',  // 0.33x cost - perfect for free tier
+        maxTokens: 1000,
+        temperature: 0.5,
+      },
+      { 
+        provider: 'gemini',
+        model: 'gemini-2.0-flash-exp',  // Free tier model
+        maxTokens: 1000,
+        temperature: 0.5,
+      },
+      { 
+        provider: 'anthropic',
+        model: 'claude-3-5-haiku-20241022',  // Newer Haiku if primary fails
+        maxTokens: 1000,
+        temperature: 0.5,
+      },
+      { 
+        provider: 'openai',
+        model: 'gpt-4o-mini',
+        maxTokens: 1000,
+        temperature: 0.5,
+      },
+      { 
+        provider: 'local',
+        model: LOCAL_LLM_MODEL,
+        maxTokens: 1000,
+        temperature: 0.5,
+      },
+    ],
     features: {
       batchAnalysis: false,
       urlScraping: false,
@@ -96,25 +146,38 @@ const TIER_CONFIG = {
     },
   },
   pro: {
-    primary: { 
-      provider: 'anthropic',  // PRO tier uses Claude Haiku 3.5 (upgraded)
-      model: 'claude-3-5-haiku-20241022',  // Latest Haiku - 1x cost, faster responses
-      maxTokens: 2000,
-      temperature: 0.4,
-    },
-    // FUTURE: Gemini Pro alternative (uncomment when API key available)
-    // primary: { 
-    //   provider: 'gemini',
-    //   model: 'gemini-1.5-pro',  // Gemini Pro for advanced analysis
-    //   maxTokens: 2000,
-    //   temperature: 0.4,
-    // },
-    fallback: { 
-      provider: 'anthropic',
-      model: 'claude-3-haiku-20240307',  // Fallback to older Haiku
-      maxTokens: 2000,
-      temperature: 0.4,
-    },
+    providers: [
+      { 
+        provider: 'anthropic',  // PRO tier uses Claude Haiku 3.5 (upgraded)
+        model: 'claude-3-5-haiku-20241022',  // Latest Haiku - 1x cost, faster responses
+        maxTokens: 2000,
+        temperature: 0.4,
+      },
+      { 
+        provider: 'openai',
+        model: 'gpt-4o-mini',
+        maxTokens: 2000,
+        temperature: 0.4,
+      },
+      { 
+        provider: 'gemini',
+        model: 'gemini-1.5-pro',  // Gemini Pro for advanced analysis
+        maxTokens: 2000,
+        temperature: 0.4,
+      },
+      { 
+        provider: 'anthropic',
+        model: 'claude-3-haiku-20240307',  // Fallback to older Haiku
+        maxTokens: 2000,
+        temperature: 0.4,
+      },
+      { 
+        provider: 'local',
+        model: LOCAL_LLM_MODEL,
+        maxTokens: 2000,
+        temperature: 0.4,
+      },
+    ],
     features: {
       batchAnalysis: false,
       urlScraping: true,
@@ -122,25 +185,38 @@ const TIER_CONFIG = {
     },
   },
   team: {
-    primary: { 
-      provider: 'anthropic',  // TEAM tier uses Claude Sonnet 4 (BEST quality)
-      model: 'claude-sonnet-4-20250514',  // Latest 2025 model - most advanced
-      maxTokens: 4000,
-      temperature: 0.3,
-    },
-    // FUTURE: Gemini Pro alternative (uncomment when API key available)
-    // primary: { 
-    //   provider: 'gemini',
-    //   model: 'gemini-1.5-pro',  // Gemini Pro for team tier
-    //   maxTokens: 4000,
-    //   temperature: 0.3,
-    // },
-    fallback: { 
-      provider: 'anthropic',
-      model: 'claude-3-5-haiku-20241022',  // Fallback to Haiku 3.5
-      maxTokens: 4000,
-      temperature: 0.3,
-    },
+    providers: [
+      { 
+        provider: 'anthropic',  // TEAM tier uses Claude Sonnet 4 (BEST quality)
+        model: 'claude-sonnet-4-20250514',  // Latest 2025 model - most advanced
+        maxTokens: 4000,
+        temperature: 0.3,
+      },
+      { 
+        provider: 'openai',
+        model: 'gpt-4o',
+        maxTokens: 4000,
+        temperature: 0.3,
+      },
+      { 
+        provider: 'gemini',
+        model: 'gemini-1.5-pro',  // Gemini Pro for team tier
+        maxTokens: 4000,
+        temperature: 0.3,
+      },
+      { 
+        provider: 'anthropic',
+        model: 'claude-3-5-haiku-20241022',  // Fallback to Haiku 3.5
+        maxTokens: 4000,
+        temperature: 0.3,
+      },
+      { 
+        provider: 'local',
+        model: LOCAL_LLM_MODEL,
+        maxTokens: 4000,
+        temperature: 0.3,
+      },
+    ],
     features: {
       batchAnalysis: true,
       urlScraping: true,
@@ -255,40 +331,29 @@ function validateAIResponse(response) {
  */
 function generateCacheKey(errorMessage, language, errorType, subscriptionTier) {
   const key = `${subscriptionTier}:${language}:${errorType}:${errorMessage}`;
-  return Buffer.from(key).toString('base64').substring(0, 64);
+  return crypto.createHash('sha256').update(key).digest('hex');
 }
 
 /**
- * Get cached response if available and not expired
+ * Get cached response if available (shared Redis cache, in-memory fallback)
  */
-function getCachedResponse(cacheKey) {
-  const cached = responseCache.get(cacheKey);
+async function getCachedResponse(cacheKey) {
+  const cached = await analysisCache.getCachedAnalysis(cacheKey);
   if (!cached) return null;
   
-  const isExpired = Date.now() - cached.timestamp > CONFIG.CACHE_TTL_MS;
-  if (isExpired) {
-    responseCache.delete(cacheKey);
-    return null;
-  }
-  
   console.log(`💾 Cache HIT: ${cacheKey.substring(0, 16)}...`);
-  return cached.response;
+  return cached;
 }
 
 /**
- * Cache a response
+ * Cache a response with the tier's TTL, tagged for language/category invalidation
  */
-function cacheResponse(cacheKey, response) {
-  responseCache.set(cacheKey, {
-    response,
-    timestamp: Date.now(),
+async function cacheResponse(cacheKey, response, subscriptionTier) {
+  await analysisCache.cacheAnalysis(cacheKey, response, {
+    tier: subscriptionTier,
+    language: response.language,
+    category: response.category,
   });
-  
-  // Cleanup old entries if cache is too large
-  if (responseCache.size > 1000) {
-    const oldestKey = responseCache.keys().next().value;
-    responseCache.delete(oldestKey);
-  }
 }
 
 /**
@@ -347,28 +412,6 @@ function truncateText(text, maxLength = 3000) {
   return text.substring(0, maxLength) + '...';
 }
 
-/**
- * Clean cache (remove expired entries)
- */
-function cleanCache() {
-  const now = Date.now();
-  let cleaned = 0;
-  
-  for (const [key, value] of responseCache.entries()) {
-    if (now - value.timestamp > CONFIG.CACHE_TTL_MS) {
-      responseCache.delete(key);
-      cleaned++;
-    }
-  }
-  
-  if (cleaned > 0) {
-    console.log(`🧹 Cleaned ${cleaned} expired cache entries`);
-  }
-}
-
-// Run cache cleanup every 10 minutes
-setInterval(cleanCache, 600000);
-
 // ============================================================================
 // MOCK RESPONSES
 // ============================================================================
@@ -667,11 +710,26 @@ ${errorType ? `Type: ${errorType}` : ''}
   }
 
   // Add stack trace if available
-  if (codeContext.stackTrace && codeContext.stackTrace.length > 0) {
-    prompt += `\n📊 **STACK TRACE:**\n`;
-    codeContext.stackTrace.slice(0, 3).forEach((frame, idx) => {
-      prompt += `${idx + 1}. ${frame.function} at ${frame.file}:${frame.line}:${frame.column}\n`;
+  if (codeContext.stackTrace && codeContext.stackTrace.frames.length > 0) {
+    const trace = codeContext.stackTrace;
+    prompt += `\n📊 **STACK TRACE (${trace.format}):**\n`;
+    if (trace.exception?.type) {
+      prompt += `Exception: ${trace.exception.type}${trace.exception.message ? `: ${trace.exception.message}` : ''}\n`;
+    }
+    trace.causes.forEach(cause => {
+      prompt += `Caused by: ${cause.type || 'Error'}${cause.message ? `: ${cause.message}` : ''}\n`;
     });
+
+    // Application frames are where the fix belongs; library frames only add noise
+    const focusFrames = stackTraceParser.getFocusFrames(trace);
+    prompt += trace.appFrames.length > 0 ? `Application frames:\n` : `Top frames (no application code found):\n`;
+    focusFrames.forEach((frame, idx) => {
+      const location = frame.file ? ` at ${frame.file}${frame.line ? `:${frame.line}` : ''}${frame.column ? `:${frame.column}` : ''}` : '';
+      prompt += `${idx + 1}. ${frame.function}${location}\n`;
+    });
+    if (trace.appFrames.length > 0) {
+      prompt += `Focus the fix on the application frames above, not on library/framework internals.\n`;
+    }
   }
   
   // Add URL context if available (scraped documentation/resources)
@@ -1095,30 +1153,63 @@ function categorizeError(errorMessage) {
   return mockResponses.default;
 }
 
-// Enhanced function to extract stack trace information
+// Extract structured stack trace (JS, Python, Java/Kotlin, Go, Rust, .NET, Ruby)
 function parseStackTrace(errorMessage) {
-  const lines = errorMessage.split('\n');
-  const stackFrames = [];
-  
-  for (const line of lines) {
-    // Match common stack trace patterns
-    const match = line.match(/at\s+(.+?)\s+\((.+?):(\d+):(\d+)\)/);
-    if (match) {
-      stackFrames.push({
-        function: match[1],
-        file: match[2],
-        line: parseInt(match[3]),
-        column: parseInt(match[4])
-      });
+  return stackTraceParser.parseStackTrace(errorMessage);
+}
+
+// Helper function to call OpenAI or any OpenAI-compatible endpoint (Ollama, vLLM)
+async function callOpenAI(client, providerName, prompt, systemMessage, model, maxTokens, detectedLanguage, detectedErrorType, stackTrace, conversationHistory = [], temperature = 0.3) {
+  if (!client) {
+    throw new Error(`${providerName} client not initialized`);
+  }
+  
+  const response = await client.chat.completions.create({
+    model,
+    messages: buildOpenAIMessages(prompt, systemMessage, conversationHistory),
+    max_tokens: maxTokens,
+    temperature,
+    response_format: { type: "json_object" }
+  });
+  
+  return formatOpenAIResponse(response.choices[0]?.message?.content, response.usage, providerName, model, detectedLanguage, detectedErrorType, stackTrace);
+}
+
+/**
+ * Stream from an OpenAI-compatible endpoint, forwarding raw text deltas to onText
+ */
+async function streamOpenAI(client, providerName, prompt, systemMessage, model, maxTokens, detectedLanguage, detectedErrorType, stackTrace, conversationHistory = [], temperature = 0.3, onText = () => {}) {
+  if (!client) {
+    throw new Error(`${providerName} client not initialized`);
+  }
+  
+  console.log(`🔵 Streaming ${providerName}: ${model} (max_tokens: ${maxTokens})`);
+  
+  const stream = await client.chat.completions.create({
+    model,
+    messages: buildOpenAIMessages(prompt, systemMessage, conversationHistory),
+    max_tokens: maxTokens,
+    temperature,
+    response_format: { type: "json_object" },
+    stream: true
+  });
+  
+  let content = '';
+  for await (const chunk of stream) {
+    const delta = chunk.choices?.[0]?.delta?.content || '';
+    if (delta) {
+      content += delta;
+      onText(delta);
     }
   }
   
-  return stackFrames.length > 0 ? stackFrames : null;
+  return formatOpenAIResponse(content, null, providerName, model, detectedLanguage, detectedErrorType, stackTrace);
 }
 
-// Helper function to call OpenAI
-async function callOpenAI(prompt, systemMessage, model, maxTokens, detectedLanguage, detectedErrorType, stackTrace, conversationHistory = []) {
-  // Build messages array with conversation history
+/**
+ * Build OpenAI chat messages array with conversation history
+ */
+function buildOpenAIMessages(prompt, systemMessage, conversationHistory = []) {
   const messages = [
     { role: 'system', content: systemMessage }
   ];
@@ -1136,20 +1227,20 @@ async function callOpenAI(prompt, systemMessage, model, maxTokens, detectedLangu
   }
   
   // Add current prompt
-  messages.push({ role: 'user', content: prompt });
-  
-  const response = await openai.chat.completions.create({
-    model,
-    messages,
-    max_tokens: maxTokens,
-    temperature: 0.3,
-    response_format: { type: "json_object" }
-  });
+  messages.push({ role: 'user', content: truncateText(prompt, CONFIG.MAX_PROMPT_LENGTH) });
   
-  const content = response.choices[0].message.content;
-  if (!content) throw new Error('Empty OpenAI response');
+  return messages;
+}
+
+/**
+ * Parse OpenAI-compatible completion text into the structured analysis shape
+ */
+function formatOpenAIResponse(content, usage, providerName, model, detectedLanguage, detectedErrorType, stackTrace) {
+  if (!content) throw new Error(`Empty ${providerName} response`);
   
-  const parsed = JSON.parse(content);
+  // Local models don't always honour response_format, so strip markdown fences too
+  const cleanText = content.replace(/```json\n?/g, '').replace(/```\n?/g, '').trim();
+  const parsed = JSON.parse(cleanText);
   return {
     explanation: parsed.explanation || 'Unable to analyze this error.',
     solution: parsed.solution || 'Please review the code and error message.',
@@ -1164,12 +1255,16 @@ async function callOpenAI(prompt, systemMessage, model, maxTokens, detectedLangu
     debugging: parsed.debugging || [],
     alternatives: parsed.alternatives || [],
     resources: parsed.resources || [],
-    provider: 'openai',
+    provider: providerName,
     model,
     language: detectedLanguage,
     errorType: detectedErrorType,
     stackTrace,
-    timestamp: new Date().toISOString()
+    timestamp: new Date().toISOString(),
+    usage: {
+      inputTokens: usage?.prompt_tokens || 0,
+      outputTokens: usage?.completion_tokens || 0,
+    },
   };
 }
 
@@ -1178,51 +1273,11 @@ async function callGemini(prompt, model, detectedLanguage, detectedErrorType, st
   try {
     console.log(`🔵 Calling Gemini API with model: ${model}`);
     
-    // Build conversation context for Gemini
-    let enhancedPrompt = prompt;
-    if (conversationHistory && conversationHistory.length > 0) {
-      const context = conversationHistory.map((msg, idx) => 
-        `Previous Query ${idx + 1}: ${msg.query}\nPrevious Response: ${msg.explanation}\n`
-      ).join('\n');
-      enhancedPrompt = `${context}\n\nCurrent Query: ${prompt}`;
-    }
-    
     const geminiModel = genAI.getGenerativeModel({ model });
-    const result = await geminiModel.generateContent(enhancedPrompt);
+    const result = await geminiModel.generateContent(buildGeminiPrompt(prompt, conversationHistory));
     const response = await result.response;
-    const text = response.text();
     
-    if (!text) {
-      console.error('❌ Gemini returned empty response');
-      throw new Error('Empty Gemini response');
-    }
-    
-    console.log('✅ Gemini response received, parsing JSON...');
-    let cleanText = text.replace(/```json\n?/g, '').replace(/```\n?/g, '').trim();
-    const parsed = JSON.parse(cleanText);
-    console.log('✅ Gemini JSON parsed successfully');
-    
-    return {
-      explanation: parsed.explanation || 'Unable to analyze this error.',
-      solution: parsed.solution || 'Please review the code and error message.',
-      codeExample: parsed.codeExample || '',
-      category: parsed.category || detectedErrorType,
-      tags: parsed.tags || [detectedLanguage, detectedErrorType],
-      confidence: parsed.confidence || 0.7,
-      domainKnowledge: parsed.domainKnowledge || '',
-      preventionTips: parsed.preventionTips || [],
-      complexity: parsed.complexity || '',
-      relatedErrors: parsed.relatedErrors || [],
-      debugging: parsed.debugging || [],
-      alternatives: parsed.alternatives || [],
-      resources: parsed.resources || [],
-      provider: 'gemini',
-      model,
-      language: detectedLanguage,
-      errorType: detectedErrorType,
-      stackTrace,
-      timestamp: new Date().toISOString()
-    };
+    return formatGeminiResponse(response.text(), model, detectedLanguage, detectedErrorType, stackTrace);
   } catch (error) {
     console.error('❌ Gemini API Error:', error.message);
     console.error('❌ Error details:', error);
@@ -1230,6 +1285,57 @@ async function callGemini(prompt, model, detectedLanguage, detectedErrorType, st
   }
 }
 
+/**
+ * Build conversation context for Gemini (single prompt, no message roles)
+ */
+function buildGeminiPrompt(prompt, conversationHistory = []) {
+  if (!conversationHistory || conversationHistory.length === 0) {
+    return prompt;
+  }
+  
+  const context = conversationHistory.map((msg, idx) => 
+    `Previous Query ${idx + 1}: ${msg.query}\nPrevious Response: ${msg.explanation}\n`
+  ).join('\n');
+  return `${context}\n\nCurrent Query: ${prompt}`;
+}
+
+/**
+ * Parse complete Gemini text into the structured analysis shape
+ */
+function formatGeminiResponse(text, model, detectedLanguage, detectedErrorType, stackTrace) {
+  if (!text) {
+    console.error('❌ Gemini returned empty response');
+    throw new Error('Empty Gemini response');
+  }
+  
+  console.log('✅ Gemini response received, parsing JSON...');
+  let cleanText = text.replace(/```json\n?/g, '').replace(/```\n?/g, '').trim();
+  const parsed = JSON.parse(cleanText);
+  console.log('✅ Gemini JSON parsed successfully');
+  
+  return {
+    explanation: parsed.explanation || 'Unable to analyze this error.',
+    solution: parsed.solution || 'Please review the code and error message.',
+    codeExample: parsed.codeExample || '',
+    category: parsed.category || detectedErrorType,
+    tags: parsed.tags || [detectedLanguage, detectedErrorType],
+    confidence: parsed.confidence || 0.7,
+    domainKnowledge: parsed.domainKnowledge || '',
+    preventionTips: parsed.preventionTips || [],
+    complexity: parsed.complexity || '',
+    relatedErrors: parsed.relatedErrors || [],
+    debugging: parsed.debugging || [],
+    alternatives: parsed.alternatives || [],
+    resources: parsed.resources || [],
+    provider: 'gemini',
+    model,
+    language: detectedLanguage,
+    errorType: detectedErrorType,
+    stackTrace,
+    timestamp: new Date().toISOString()
+  };
+}
+
 // ============================================================================
 // ANTHROPIC CLAUDE API CALLER
 // ============================================================================
@@ -1244,7 +1350,26 @@ async function callAnthropic(prompt, systemMessage, model, maxTokens, detectedLa
   
   console.log(`🔵 Calling Anthropic Claude: ${model} (max_tokens: ${maxTokens})`);
   
-  // Build messages array with conversation history
+  const messages = buildAnthropicMessages(prompt, conversationHistory);
+  
+  // Call API with retry logic
+  const response = await retryWithBackoff(async () => {
+    return await anthropic.messages.create({
+      model,
+      max_tokens: maxTokens,
+      temperature,
+      system: systemMessage,
+      messages,
+    });
+  });
+  
+  return formatAnthropicResponse(response, model, detectedLanguage, detectedErrorType, stackTrace);
+}
+
+/**
+ * Build Anthropic messages array with conversation history
+ */
+function buildAnthropicMessages(prompt, conversationHistory = []) {
   const messages = [];
   
   // Add conversation history if provided (limit to last 5 for context)
@@ -1266,17 +1391,13 @@ async function callAnthropic(prompt, systemMessage, model, maxTokens, detectedLa
   // Add current prompt
   messages.push({ role: 'user', content: truncateText(prompt, CONFIG.MAX_PROMPT_LENGTH) });
   
-  // Call API with retry logic
-  const response = await retryWithBackoff(async () => {
-    return await anthropic.messages.create({
-      model,
-      max_tokens: maxTokens,
-      temperature,
-      system: systemMessage,
-      messages,
-    });
-  });
-  
+  return messages;
+}
+
+/**
+ * Parse a complete Anthropic message into the structured analysis shape
+ */
+function formatAnthropicResponse(response, model, detectedLanguage, detectedErrorType, stackTrace) {
   // Extract and validate response
   const content = response.content?.[0]?.text;
   if (!content) {
@@ -1360,6 +1481,235 @@ function getMockResponse(errorMessage, detectedLanguage, detectedErrorType, stac
   };
 }
 
+// ============================================================================
+// STREAMING SUPPORT
+// ============================================================================
+
+// Fields surfaced progressively while the model is still generating
+const STREAMED_STRING_FIELDS = ['explanation', 'solution', 'codeExample'];
+const JSON_ESCAPES = { '"': '"', '\\': '\\', '/': '/', b: '\b', f: '\f', n: '\n', r: '\r', t: '\t' };
+
+/**
+ * Read a JSON string body starting just after its opening quote.
+ * Stops early (complete: false) when the buffer ends mid-string or mid-escape.
+ */
+function readPartialJSONString(text, start) {
+  let value = '';
+  let i = start;
+  
+  while (i < text.length) {
+    const ch = text[i];
+    
+    if (ch === '"') {
+      return { value, complete: true, end: i + 1 };
+    }
+    
+    if (ch === '\\') {
+      if (i + 1 >= text.length) break;
+      const next = text[i + 1];
+      
+      if (next === 'u') {
+        if (i + 6 > text.length) break;
+        value += String.fromCharCode(parseInt(text.substr(i + 2, 4), 16));
+        i += 6;
+        continue;
+      }
+      
+      value += JSON_ESCAPES[next] !== undefined ? JSON_ESCAPES[next] : next;
+      i += 2;
+      continue;
+    }
+    
+    value += ch;
+    i++;
+  }
+  
+  return { value, complete: false, end: i };
+}
+
+/**
+ * Incrementally extract analysis fields from a streaming JSON response.
+ * Calls onEvent('explanation' | 'solution' | 'codeExample', { delta }) as text
+ * arrives and onEvent('tip', { index, text }) for each completed prevention tip.
+ */
+function createStreamingFieldParser(onEvent) {
+  let buffer = '';
+  let closed = false;
+  let emittedAnything = false;
+  const emittedLength = {};
+  let tipsEmitted = 0;
+  
+  const emit = (event, payload) => {
+    if (closed) return;
+    emittedAnything = true;
+    onEvent(event, payload);
+  };
+  
+  const scanStringField = (field) => {
+    const match = new RegExp(`"${field}"\\s*:\\s*"`).exec(buffer);
+    if (!match) return;
+    
+    const { value } = readPartialJSONString(buffer, match.index + match[0].length);
+    const already = emittedLength[field] || 0;
+    if (value.length > already) {
+      emit(field, { delta: value.substring(already) });
+      emittedLength[field] = value.length;
+    }
+  };
+  
+  const scanTips = () => {
+    const match = /"preventionTips"\s*:\s*\[/.exec(buffer);
+    if (!match) return;
+    
+    let i = match.index + match[0].length;
+    let index = 0;
+    while (i < buffer.length) {
+      const ch = buffer[i];
+      if (ch === ']') return;
+      if (ch !== '"') {
+        i++;
+        continue;
+      }
+      
+      const { value, complete, end } = readPartialJSONString(buffer, i + 1);
+      if (!complete) return;
+      if (index >= tipsEmitted) {
+        emit('tip', { index, text: value });
+        tipsEmitted = index + 1;
+      }
+      index++;
+      i = end;
+    }
+  };
+  
+  return {
+    push(chunk) {
+      if (closed || !chunk) return;
+      buffer += chunk;
+      STREAMED_STRING_FIELDS.forEach(scanStringField);
+      scanTips();
+    },
+    
+    /**
+     * Emit whatever the final parsed result contains that was not streamed yet
+     * (cached/mock responses, or models that wrapped their JSON unexpectedly)
+     */
+    flush(result) {
+      if (closed || !result) return;
+      STREAMED_STRING_FIELDS.forEach(field => {
+        const value = typeof result[field] === 'string' ? result[field] : '';
+        const already = emittedLength[field] || 0;
+        if (value.length > already) {
+          emit(field, { delta: value.substring(already) });
+          emittedLength[field] = value.length;
+        }
+      });
+      
+      const tips = Array.isArray(result.preventionTips) ? result.preventionTips : [];
+      for (let index = tipsEmitted; index < tips.length; index++) {
+        emit('tip', { index, text: tips[index] });
+      }
+      tipsEmitted = Math.max(tipsEmitted, tips.length);
+    },
+    
+    close() {
+      closed = true;
+    },
+    
+    hasEmitted() {
+      return emittedAnything;
+    }
+  };
+}
+
+/**
+ * Stream Anthropic Claude response, forwarding raw text deltas to onText
+ */
+async function streamAnthropic(prompt, systemMessage, model, maxTokens, detectedLanguage, detectedErrorType, stackTrace, conversationHistory = [], temperature = 0.3, onText = () => {}) {
+  if (!anthropic) {
+    throw new Error('Anthropic client not initialized. Check ANTHROPIC_API_KEY.');
+  }
+  
+  console.log(`🔵 Streaming Anthropic Claude: ${model} (max_tokens: ${maxTokens})`);
+  
+  const stream = anthropic.messages.stream({
+    model,
+    max_tokens: maxTokens,
+    temperature,
+    system: systemMessage,
+    messages: buildAnthropicMessages(prompt, conversationHistory),
+  });
+  
+  stream.on('text', onText);
+  
+  const response = await stream.finalMessage();
+  return formatAnthropicResponse(response, model, detectedLanguage, detectedErrorType, stackTrace);
+}
+
+/**
+ * Stream Gemini response, forwarding raw text deltas to onText
+ */
+async function streamGemini(prompt, model, detectedLanguage, detectedErrorType, stackTrace, conversationHistory = [], onText = () => {}) {
+  if (!genAI) {
+    throw new Error('Gemini client not initialized. Check GEMINI_API_KEY.');
+  }
+  
+  console.log(`🔵 Streaming Gemini API with model: ${model}`);
+  
+  const geminiModel = genAI.getGenerativeModel({ model });
+  const result = await geminiModel.generateContentStream(buildGeminiPrompt(prompt, conversationHistory));
+  
+  let text = '';
+  for await (const chunk of result.stream) {
+    const delta = chunk.text();
+    text += delta;
+    onText(delta);
+  }
+  
+  return formatGeminiResponse(text, model, detectedLanguage, detectedErrorType, stackTrace);
+}
+
+// ============================================================================
+// PROVIDER REGISTRY
+// ============================================================================
+
+// Every provider takes the same request object:
+// { prompt, systemMessage, model, maxTokens, temperature, language, errorType,
+//   stackTrace, conversationHistory, errorMessage, onText }
+
+providerRegistry.registerProvider('anthropic', {
+  label: 'Anthropic Claude',
+  isConfigured: () => !!anthropic,
+  analyze: (req) => callAnthropic(req.prompt, req.systemMessage, req.model, req.maxTokens, req.language, req.errorType, req.stackTrace, req.conversationHistory, req.temperature),
+  stream: (req) => streamAnthropic(req.prompt, req.systemMessage, req.model, req.maxTokens, req.language, req.errorType, req.stackTrace, req.conversationHistory, req.temperature, req.onText),
+});
+
+providerRegistry.registerProvider('gemini', {
+  label: 'Google Gemini',
+  isConfigured: () => !!genAI,
+  analyze: (req) => callGemini(req.prompt, req.model, req.language, req.errorType, req.stackTrace, req.conversationHistory),
+  stream: (req) => streamGemini(req.prompt, req.model, req.language, req.errorType, req.stackTrace, req.conversationHistory, req.onText),
+});
+
+providerRegistry.registerProvider('openai', {
+  label: 'OpenAI',
+  isConfigured: () => !!openai,
+  analyze: (req) => callOpenAI(openai, 'openai', req.prompt, req.systemMessage, req.model, req.maxTokens, req.language, req.errorType, req.stackTrace, req.conversationHistory, req.temperature),
+  stream: (req) => streamOpenAI(openai, 'openai', req.prompt, req.systemMessage, req.model, req.maxTokens, req.language, req.errorType, req.stackTrace, req.conversationHistory, req.temperature, req.onText),
+});
+
+providerRegistry.registerProvider('local', {
+  label: 'Local LLM (OpenAI-compatible)',
+  isConfigured: () => !!localLLM,
+  analyze: (req) => callOpenAI(localLLM, 'local', req.prompt, req.systemMessage, req.model, req.maxTokens, req.language, req.errorType, req.stackTrace, req.conversationHistory, req.temperature),
+  stream: (req) => streamOpenAI(localLLM, 'local', req.prompt, req.systemMessage, req.model, req.maxTokens, req.language, req.errorType, req.stackTrace, req.conversationHistory, req.temperature, req.onText),
+});
+
+providerRegistry.registerProvider('mock', {
+  label: 'Mock responses',
+  analyze: async (req) => getMockResponse(req.errorMessage, req.language, req.errorType, req.stackTrace),
+});
+
 // ============================================================================
 // URL SCRAPING AND SUMMARIZATION
 // ============================================================================
@@ -1548,80 +1898,8 @@ async function processURLs(errorMessage, codeSnippet) {
 // MAIN ERROR ANALYSIS FUNCTION
 // ============================================================================
 
-/**
- * Analyze error with AI providers, caching, and fallback handling
- */
-async function analyzeError({ 
-  errorMessage, 
-  codeSnippet, 
-  fileName, 
-  lineNumber, 
-  language, 
-  errorType, 
-  subscriptionTier = 'free', 
-  framework, 
-  dependencies, 
-  conversationHistory = [],
-  userId = null
-}) {
-  // Rate limit check and cleanup tracking
-  let cleanupRateLimit = () => {};
-  
-  try {
-    // 1. Input validation and sanitization (prevents injection attacks)
-    const sanitizedMessage = validateAndSanitizeInput(errorMessage);
-    const validTier = ['free', 'pro', 'team'].includes(subscriptionTier) ? subscriptionTier : 'free';
-    
-    // 2. User rate limiting (prevents abuse)
-    cleanupRateLimit = checkUserRateLimit(userId, validTier);
-    
-    // Auto-detect language and error type if not provided
-    const detectedLanguage = language || detectLanguage(sanitizedMessage, codeSnippet);
-    const detectedErrorType = errorType || detectErrorType(sanitizedMessage);
-    
-    console.log(`\n📊 Analyzing error: ${detectedErrorType} (${detectedLanguage}) [${validTier} tier]`);
-    
-    // Check cache first (skip for team tier with conversation history)
-    const cacheKey = generateCacheKey(sanitizedMessage, detectedLanguage, detectedErrorType, validTier);
-    const cachedResponse = conversationHistory.length === 0 ? getCachedResponse(cacheKey) : null;
-    
-    if (cachedResponse) {
-      return { ...cachedResponse, cached: true };
-    }
-    
-    // Parse stack trace if available
-    const stackTrace = parseStackTrace(sanitizedMessage);
-    
-    // Get tier config and features
-    const tierConfig = TIER_CONFIG[validTier];
-    const features = tierConfig.features;
-    
-    // Process URLs in error message (only if enabled for tier)
-    let urlContext = [];
-    if (features.urlScraping) {
-      try {
-        console.log('🔗 URL scraping enabled for this tier...');
-        urlContext = await processURLs(sanitizedMessage, codeSnippet);
-      } catch (urlError) {
-        console.warn('⚠️  URL processing failed:', urlError.message);
-      }
-    }
-  
-    // Prepare enhanced code context
-    const codeContext = {
-      codeSnippet,
-      fileName,
-      lineNumber,
-      framework,
-      dependencies,
-      stackTrace,
-      urlContext
-    };
-    
-    const prompt = createPrompt(sanitizedMessage, detectedLanguage, detectedErrorType, validTier, codeContext);
-
-    // Enhanced system message with natural, clear English and Indian cultural context
-    const systemMessage = `You are an expert AI assistant who helps developers and learners understand and solve programming issues. You also have deep knowledge of Indian languages, culture, cuisine, and global updates relevant to India.
+// Enhanced system message with natural, clear English and Indian cultural context
+const ANALYSIS_SYSTEM_MESSAGE = `You are an expert AI assistant who helps developers and learners understand and solve programming issues. You also have deep knowledge of Indian languages, culture, cuisine, and global updates relevant to India.
 
 **YOUR STRENGTHS:**
 - Deep knowledge of programming languages, frameworks, and tools
@@ -1683,12 +1961,237 @@ async function analyzeError({
 
 Remember: Your goal is to help users understand their issues and learn from them, not just provide quick fixes. Write clearly, explain thoroughly, and be genuinely helpful. When dealing with Indian languages, culture, or cuisine, ensure authenticity and respect for regional diversity.`;
 
-    // Build provider chain based on tier
-    const providers = [];
-    if (tierConfig.primary) providers.push(tierConfig.primary);
-    if (tierConfig.secondary) providers.push(tierConfig.secondary);
-    if (tierConfig.tertiary) providers.push(tierConfig.tertiary);
-    if (tierConfig.fallback) providers.push(tierConfig.fallback);
+/**
+ * Shared preparation for analyzeError and analyzeErrorStream: detection,
+ * cache lookup, stack trace parsing, URL context and prompt construction
+ */
+async function buildAnalysisContext({
+  sanitizedMessage,
+  validTier,
+  codeSnippet,
+  fileName,
+  lineNumber,
+  language,
+  errorType,
+  framework,
+  dependencies,
+  conversationHistory = []
+}) {
+  // Auto-detect language and error type if not provided
+  const detectedLanguage = language || detectLanguage(sanitizedMessage, codeSnippet);
+  const detectedErrorType = errorType || detectErrorType(sanitizedMessage);
+  
+  console.log(`\n📊 Analyzing error: ${detectedErrorType} (${detectedLanguage}) [${validTier} tier]`);
+  
+  // Check cache first (skip for team tier with conversation history)
+  const cacheKey = generateCacheKey(sanitizedMessage, detectedLanguage, detectedErrorType, validTier);
+  const cachedResponse = conversationHistory.length === 0 ? await getCachedResponse(cacheKey) : null;
+  
+  if (cachedResponse) {
+    return { detectedLanguage, detectedErrorType, cacheKey, cachedResponse };
+  }
+  
+  // Parse stack trace if available
+  const stackTrace = parseStackTrace(sanitizedMessage);
+  
+  // Get tier config and features
+  const tierConfig = TIER_CONFIG[validTier];
+  const features = tierConfig.features;
+  
+  // Process URLs in error message (only if enabled for tier)
+  let urlContext = [];
+  if (features.urlScraping) {
+    try {
+      console.log('🔗 URL scraping enabled for this tier...');
+      urlContext = await processURLs(sanitizedMessage, codeSnippet);
+    } catch (urlError) {
+      console.warn('⚠️  URL processing failed:', urlError.message);
+    }
+  }
+
+  // Prepare enhanced code context
+  const codeContext = {
+    codeSnippet,
+    fileName,
+    lineNumber,
+    framework,
+    dependencies,
+    stackTrace,
+    urlContext
+  };
+  
+  const prompt = createPrompt(sanitizedMessage, detectedLanguage, detectedErrorType, validTier, codeContext);
+  
+  // Provider chain for the tier, healthy providers first
+  const providers = providerRegistry.orderByHealth(tierConfig.providers);
+  if (providers.length === 0) {
+    console.warn('⚠️  No AI providers configured - using mock responses');
+    providers.push({ provider: 'mock' });
+  }
+  
+  return {
+    detectedLanguage,
+    detectedErrorType,
+    cacheKey,
+    cachedResponse: null,
+    stackTrace,
+    features,
+    prompt,
+    providers
+  };
+}
+
+/**
+ * Answer from a matching entry in the user's team runbooks, if there is one.
+ * Team tier only, and not for follow-up questions in a conversation; a failed
+ * lookup falls through to the AI providers.
+ */
+async function findRunbookAnswer({ sanitizedMessage, validTier, userId, codeSnippet, language, errorType, conversationHistory = [] }) {
+  if (validTier !== 'team' || !userId || conversationHistory.length > 0) return null;
+
+  try {
+    const match = await runbookService.findMatchingRunbook(userId, sanitizedMessage);
+    if (!match) return null;
+
+    console.log(`📘 Answered from team runbook ${match.runbook.id} (similarity ${match.similarity})`);
+    runbookService.recordCitation(match.runbook);
+
+    return runbookService.toAnalysisResponse(match, {
+      language: language || detectLanguage(sanitizedMessage, codeSnippet),
+      errorType: errorType || detectErrorType(sanitizedMessage),
+      stackTrace: parseStackTrace(sanitizedMessage)
+    });
+  } catch (error) {
+    console.warn('⚠️  Runbook lookup failed:', error.message);
+    return null;
+  }
+}
+
+/**
+ * Response returned when every provider in the chain has failed
+ */
+function buildUnavailableResponse(context, error) {
+  return {
+    explanation: 'AI analysis temporarily unavailable. Please try again in a moment.',
+    solution: 'If the issue persists, contact support with this error ID.',
+    codeExample: '',
+    category: context.detectedErrorType,
+    tags: [context.detectedLanguage, context.detectedErrorType],
+    confidence: 0.3,
+    provider: 'none',
+    language: context.detectedLanguage,
+    errorType: context.detectedErrorType,
+    stackTrace: context.stackTrace,
+    timestamp: new Date().toISOString(),
+    errorId: context.cacheKey.substring(0, 8),
+    note: 'Service temporarily unavailable.',
+    error: error?.message
+  };
+}
+
+/**
+ * Response returned when analysis fails before reaching any provider
+ */
+function buildUnexpectedErrorResponse(error) {
+  return {
+    explanation: 'An unexpected error occurred while analyzing your request.',
+    solution: 'Please try again. If the problem persists, contact support.',
+    codeExample: '',
+    category: 'runtime',
+    tags: ['error', 'system'],
+    confidence: 0.2,
+    provider: 'error',
+    language: 'unknown',
+    errorType: 'unknown',
+    timestamp: new Date().toISOString(),
+    error: error?.message
+  };
+}
+
+/**
+ * Build the common provider request for one entry of the tier's chain
+ */
+function buildProviderRequest(context, config, sanitizedMessage, conversationHistory, onText = () => {}) {
+  return {
+    prompt: context.prompt,
+    systemMessage: ANALYSIS_SYSTEM_MESSAGE,
+    model: config.model,
+    maxTokens: config.maxTokens,
+    temperature: config.temperature,
+    language: context.detectedLanguage,
+    errorType: context.detectedErrorType,
+    stackTrace: context.stackTrace,
+    conversationHistory,
+    errorMessage: sanitizedMessage,
+    onText
+  };
+}
+
+/**
+ * Timeout + response validation, so malformed output counts against the provider's health
+ */
+async function withValidatedTimeout(promise) {
+  const result = await withTimeout(promise, CONFIG.REQUEST_TIMEOUT_MS);
+  if (result && !result.error) {
+    validateAIResponse(result);
+  }
+  return result;
+}
+
+/**
+ * Analyze error with AI providers, caching, and fallback handling
+ */
+async function analyzeError({ 
+  errorMessage, 
+  codeSnippet, 
+  fileName, 
+  lineNumber, 
+  language, 
+  errorType, 
+  subscriptionTier = 'free', 
+  framework, 
+  dependencies, 
+  conversationHistory = [],
+  userId = null,
+  runbookUserId = userId  // Runbook lookup only, without the per-user rate limit userId turns on
+}) {
+  // Rate limit check and cleanup tracking
+  let cleanupRateLimit = () => {};
+  
+  try {
+    // 1. Input validation and sanitization (prevents injection attacks)
+    const sanitizedMessage = validateAndSanitizeInput(errorMessage);
+    const validTier = ['free', 'pro', 'team'].includes(subscriptionTier) ? subscriptionTier : 'free';
+    
+    // 2. User rate limiting (prevents abuse)
+    cleanupRateLimit = checkUserRateLimit(userId, validTier);
+    
+    // 3. The team's own runbook comes before the cache and the AI providers
+    const runbookAnswer = await findRunbookAnswer({
+      sanitizedMessage, validTier, userId: runbookUserId, codeSnippet, language, errorType, conversationHistory
+    });
+    if (runbookAnswer) {
+      return runbookAnswer;
+    }
+    
+    const context = await buildAnalysisContext({
+      sanitizedMessage,
+      validTier,
+      codeSnippet,
+      fileName,
+      lineNumber,
+      language,
+      errorType,
+      framework,
+      dependencies,
+      conversationHistory
+    });
+    
+    if (context.cachedResponse) {
+      return { ...context.cachedResponse, cached: true };
+    }
+    
+    const { cacheKey, features, providers } = context;
 
     // Try each provider in order
     for (let i = 0; i < providers.length; i++) {
@@ -1696,55 +2199,18 @@ Remember: Your goal is to help users understand their issues and learn from them
       const isLastProvider = i === providers.length - 1;
       
       try {
-        console.log(`🤖 Trying ${config.provider.toUpperCase()} (${i === 0 ? 'primary' : i === 1 ? 'secondary' : i === 2 ? 'tertiary' : 'fallback'} for ${validTier} tier)`);
+        console.log(`🤖 Trying ${config.provider.toUpperCase()} ${config.model || ''} (${i + 1}/${providers.length} for ${validTier} tier)`);
         
-        let result;
-        
-        if (config.provider === 'gemini') {
-          result = await withTimeout(
-            callGemini(
-              prompt, 
-              config.model, 
-              detectedLanguage, 
-              detectedErrorType, 
-              stackTrace, 
-              features.conversationHistory ? conversationHistory : []
-            ),
-            CONFIG.REQUEST_TIMEOUT_MS
-          );
-        }
-        else if (config.provider === 'anthropic') {
-          result = await withTimeout(
-            callAnthropic(
-              prompt, 
-              systemMessage, 
-              config.model, 
-              config.maxTokens, 
-              detectedLanguage, 
-              detectedErrorType, 
-              stackTrace, 
-              features.conversationHistory ? conversationHistory : [],
-              config.temperature
-            ),
-            CONFIG.REQUEST_TIMEOUT_MS
-          );
-        } 
-        else if (config.provider === 'mock') {
-          console.log('🎯 Using enhanced mock response (fallback)');
-          result = getMockResponse(sanitizedMessage, detectedLanguage, detectedErrorType, stackTrace);
-        }
-        else {
-          continue; // Skip disabled providers
-        }
-        
-        // Validate AI response structure
-        if (result && !result.error) {
-          validateAIResponse(result);
-        }
+        const result = await providerRegistry.execute(
+          config.provider,
+          'analyze',
+          buildProviderRequest(context, config, sanitizedMessage, features.conversationHistory ? conversationHistory : []),
+          withValidatedTimeout
+        );
         
         // Cache successful response (except for conversations)
         if (conversationHistory.length === 0 && result && !result.error) {
-          cacheResponse(cacheKey, result);
+          await cacheResponse(cacheKey, result, validTier);
         }
         
         return result;
@@ -1755,22 +2221,7 @@ Remember: Your goal is to help users understand their issues and learn from them
         // If this is the last provider, return error response
         if (isLastProvider) {
           console.error('❌ All providers failed');
-          return {
-            explanation: 'AI analysis temporarily unavailable. Please try again in a moment.',
-            solution: 'If the issue persists, contact support with this error ID.',
-            codeExample: '',
-            category: detectedErrorType,
-            tags: [detectedLanguage, detectedErrorType],
-            confidence: 0.3,
-            provider: 'none',
-            language: detectedLanguage,
-            errorType: detectedErrorType,
-            stackTrace,
-            timestamp: new Date().toISOString(),
-            errorId: cacheKey.substring(0, 8),
-            note: 'Service temporarily unavailable.',
-            error: error?.message
-          };
+          return buildUnavailableResponse(context, error);
         }
         
         // Continue to next provider
@@ -1781,25 +2232,125 @@ Remember: Your goal is to help users understand their issues and learn from them
   } catch (error) {
     console.error('❌ Unexpected error in analyzeError:', error);
     cleanupRateLimit(); // Clean up rate limit tracking on error
-    return {
-      explanation: 'An unexpected error occurred while analyzing your request.',
-      solution: 'Please try again. If the problem persists, contact support.',
-      codeExample: '',
-      category: 'runtime',
-      tags: ['error', 'system'],
-      confidence: 0.2,
-      provider: 'error',
-      language: 'unknown',
-      errorType: 'unknown',
-      timestamp: new Date().toISOString(),
-      error: error?.message
-    };
+    return buildUnexpectedErrorResponse(error);
   } finally {
     // Always cleanup rate limit tracking (for successful requests)
     cleanupRateLimit();
   }
 }
 
+/**
+ * Streaming variant of analyzeError.
+ * Same tier, cache and fallback behaviour; onEvent(event, payload) receives
+ * explanation/solution/codeExample deltas and completed tips as the model
+ * generates them, and 'reset' if a provider fails mid-stream and the next
+ * provider starts over. Resolves with the same structured result as analyzeError.
+ */
+async function analyzeErrorStream({ 
+  errorMessage, 
+  codeSnippet, 
+  fileName, 
+  lineNumber, 
+  language, 
+  errorType, 
+  subscriptionTier = 'free', 
+  framework, 
+  dependencies, 
+  conversationHistory = [],
+  userId = null,
+  runbookUserId = userId
+}, onEvent = () => {}) {
+  let cleanupRateLimit = () => {};
+  
+  try {
+    const sanitizedMessage = validateAndSanitizeInput(errorMessage);
+    const validTier = ['free', 'pro', 'team'].includes(subscriptionTier) ? subscriptionTier : 'free';
+    
+    cleanupRateLimit = checkUserRateLimit(userId, validTier);
+    
+    const runbookAnswer = await findRunbookAnswer({
+      sanitizedMessage, validTier, userId: runbookUserId, codeSnippet, language, errorType, conversationHistory
+    });
+    if (runbookAnswer) {
+      createStreamingFieldParser(onEvent).flush(runbookAnswer);
+      return runbookAnswer;
+    }
+    
+    const context = await buildAnalysisContext({
+      sanitizedMessage,
+      validTier,
+      codeSnippet,
+      fileName,
+      lineNumber,
+      language,
+      errorType,
+      framework,
+      dependencies,
+      conversationHistory
+    });
+    
+    if (context.cachedResponse) {
+      createStreamingFieldParser(onEvent).flush(context.cachedResponse);
+      return { ...context.cachedResponse, cached: true };
+    }
+    
+    const { cacheKey, features, providers } = context;
+    const history = features.conversationHistory ? conversationHistory : [];
+    
+    for (let i = 0; i < providers.length; i++) {
+      const config = providers[i];
+      const isLastProvider = i === providers.length - 1;
+      
+      // Fresh parser per attempt so late chunks from a timed-out provider are dropped
+      const parser = createStreamingFieldParser(onEvent);
+      const onText = (text) => parser.push(text);
+      
+      try {
+        console.log(`🤖 Streaming ${config.provider.toUpperCase()} ${config.model || ''} (${i + 1}/${providers.length} for ${validTier} tier)`);
+        
+        const result = await providerRegistry.execute(
+          config.provider,
+          'stream',
+          buildProviderRequest(context, config, sanitizedMessage, history, onText),
+          withValidatedTimeout
+        );
+        
+        parser.flush(result);
+        parser.close();
+        
+        if (conversationHistory.length === 0 && result && !result.error) {
+          await cacheResponse(cacheKey, result, validTier);
+        }
+        
+        return result;
+        
+      } catch (error) {
+        const streamedPartial = parser.hasEmitted();
+        parser.close();
+        console.error(`❌ ${config.provider.toUpperCase()} stream error:`, error?.message || error);
+        
+        if (isLastProvider) {
+          console.error('❌ All providers failed');
+          return buildUnavailableResponse(context, error);
+        }
+        
+        // Tell the client to discard partial text before the next provider starts
+        if (streamedPartial) {
+          onEvent('reset', { reason: 'provider_failed', provider: config.provider });
+        }
+        
+        console.log(`🔄 Falling back to next provider...`);
+      }
+    }
+    
+  } catch (error) {
+    console.error('❌ Unexpected error in analyzeErrorStream:', error);
+    return buildUnexpectedErrorResponse(error);
+  } finally {
+    cleanupRateLimit();
+  }
+}
+
 // ============================================================================
 // BATCH ANALYSIS & STATISTICS
 // ============================================================================
@@ -1912,20 +2463,22 @@ function getErrorStatistics(errorHistory) {
 /**
  * Get service health status
  */
-function getServiceHealth() {
+async function getServiceHealth() {
+  const providers = providerRegistry.getProviderHealth();
+  const live = Object.entries(providers)
+    .filter(([name, health]) => name !== 'mock' && health.configured);
+  const healthy = live.filter(([, health]) => health.status !== 'down');
+  
+  let status = 'healthy';
+  if (healthy.length === 0) status = 'unavailable';
+  else if (healthy.length < live.length || healthy.some(([, health]) => health.status === 'degraded')) status = 'degraded';
+  
   return {
-    status: anthropic ? 'healthy' : 'degraded',
-    providers: {
-      anthropic: anthropic ? 'available' : 'unavailable',
-      mock: 'available',
-    },
-    cache: {
-      size: responseCache.size,
-      maxSize: 1000,
-    },
+    status,
+    providers,
+    cache: await analysisCache.getAnalysisCacheStats(),
     config: {
       maxRetries: CONFIG.MAX_RETRIES,
-      cacheTTL: CONFIG.CACHE_TTL_MS / 1000 + 's',
       timeout: CONFIG.REQUEST_TIMEOUT_MS / 1000 + 's',
     },
     timestamp: new Date().toISOString(),
@@ -1933,13 +2486,12 @@ function getServiceHealth() {
 }
 
 /**
- * Clear response cache
+ * Clear cached analyses, optionally only for a language and/or category
  */
-function clearCache() {
-  const size = responseCache.size;
-  responseCache.clear();
-  console.log(`🧹 Cleared ${size} cache entries`);
-  return { cleared: size, timestamp: new Date().toISOString() };
+async function clearCache(filters = {}) {
+  const cleared = await analysisCache.invalidateAnalyses(filters);
+  console.log(`🧹 Cleared ${cleared} cache entries`);
+  return { cleared, filters, timestamp: new Date().toISOString() };
 }
 
 // ============================================================================
@@ -1965,6 +2517,7 @@ async function explainError(errorMessage, subscriptionTier = 'free') {
 module.exports = { 
   // Main functions
   analyzeError,
+  analyzeErrorStream,
   analyzeBatchErrors,
   
   // Statistics & monitoring
@@ -0,0 +1,315 @@
+/**
+ * API Key Service
+ * Personal and team-scoped API keys for CI pipelines and scripts.
+ *
+ * Keys are shown once at creation and stored as SHA-256 hashes. A request
+ * made with a key acts as the key's owner, so analyses count against the
+ * owner's plan exactly like browser requests. Keys can only reach the
+ * endpoints listed in ROUTE_SCOPES; everything else (account settings,
+ * billing, key management itself) still needs a browser session.
+ *
+ * Team keys with the scim:provision scope are the bearer tokens for the
+ * team's SCIM 2.0 endpoints (/scim/v2) and are checked by scimAuth instead.
+ */
+
+const crypto = require('crypto');
+const { Op } = require('sequelize');
+const ApiKey = require('../models/ApiKey');
+const Team = require('../models/Team');
+const User = require('../models/User');
+const { redis } = require('../utils/redisClient');
+const { ValidationError } = require('../utils/errors');
+
+const API_KEY_CONFIG = {
+  PREFIX: 'ew_',
+  SECRET_BYTES: 30,              // 40 base64url characters after the prefix
+  DISPLAY_PREFIX_LENGTH: 11,     // "ew_" plus 8 characters
+  MAX_ACTIVE_KEYS: 20,           // Per user, and per team for team keys
+  MAX_EXPIRY_DAYS: 365,
+  LAST_USED_RESOLUTION_MS: 60 * 1000,   // Avoid a write on every request
+  USAGE_KEY_PREFIX: 'apikey:usage:',
+  USAGE_RETENTION_SECONDS: 8 * 24 * 60 * 60
+};
+
+const API_KEY_SCOPES = {
+  'errors:analyze': 'Analyze errors and read usage',
+  'history:read': 'Read error history and past analyses',
+  'teams:share': 'Share analyses with a team',
+  'scim:provision': 'Provision team members from an identity provider over SCIM'
+};
+
+// Only meaningful for a team, so personal keys can't request them
+const TEAM_ONLY_SCOPES = ['scim:provision'];
+
+// Endpoints reachable with an API key. The first matching entry decides the
+// required scope; a capture group marks the team id for team-scoped keys.
+const ROUTE_SCOPES = [
+  { method: 'POST', pattern: /^\/api\/errors\/analyze(\/stream)?$/, scope: 'errors:analyze' },
+  { method: 'POST', pattern: /^\/api\/errors\/analyze-file$/, scope: 'errors:analyze' },
+  { method: 'GET', pattern: /^\/api\/errors\/usage$/, scope: 'errors:analyze' },
+  { method: 'GET', pattern: /^\/api\/errors\/(history|recent|stats|search|export)$/, scope: 'history:read' },
+  { method: 'GET', pattern: /^\/api\/errors\/files\/[^/]+$/, scope: 'history:read' },
+  { method: 'GET', pattern: /^\/api\/errors\/(?!shares$)[^/]+(\/similar)?$/, scope: 'history:read' },
+  { method: 'GET', pattern: /^\/api\/history(\/[^/]+)?$/, scope: 'history:read' },
+  { method: 'POST', pattern: /^\/api\/teams\/(\d+)\/errors$/, scope: 'teams:share', teamScoped: true }
+];
+
+function hashKey(rawKey) {
+  return crypto.createHash('sha256').update(String(rawKey)).digest('hex');
+}
+
+function generateKey() {
+  return API_KEY_CONFIG.PREFIX + crypto.randomBytes(API_KEY_CONFIG.SECRET_BYTES).toString('base64url');
+}
+
+/**
+ * Safe representation for listings - never includes the key or its hash
+ */
+function toApiKeyResponse(apiKey) {
+  return {
+    id: apiKey.id,
+    name: apiKey.name,
+    prefix: apiKey.key_prefix,
+    scopes: apiKey.scopes,
+    teamId: apiKey.team_id,
+    expiresAt: apiKey.expires_at,
+    lastUsedAt: apiKey.last_used_at,
+    lastUsedIp: apiKey.last_used_ip,
+    revokedAt: apiKey.revoked_at,
+    createdAt: apiKey.created_at
+  };
+}
+
+/**
+ * Scopes offered when creating a personal key (teamId omitted) or a team key
+ */
+function availableScopes(teamId = null) {
+  return Object.fromEntries(
+    Object.entries(API_KEY_SCOPES).filter(([scope]) => teamId || !TEAM_ONLY_SCOPES.includes(scope))
+  );
+}
+
+function activeKeyWhere() {
+  return {
+    revoked_at: null,
+    [Op.or]: [{ expires_at: null }, { expires_at: { [Op.gt]: new Date() } }]
+  };
+}
+
+// ============================================================================
+// MANAGEMENT
+// ============================================================================
+
+function validateCreateInput({ name, scopes, expiresInDays }, teamId) {
+  const errors = [];
+  const trimmedName = typeof name === 'string' ? name.trim() : '';
+
+  if (!trimmedName || trimmedName.length > 100) {
+    errors.push({ field: 'name', message: 'Name is required (max 100 characters)' });
+  }
+
+  if (!Array.isArray(scopes) || scopes.length === 0) {
+    errors.push({ field: 'scopes', message: 'At least one scope is required' });
+  } else {
+    const unknown = scopes.filter(scope => !API_KEY_SCOPES[scope]);
+    if (unknown.length > 0) {
+      errors.push({ field: 'scopes', message: `Unknown scopes: ${unknown.join(', ')}` });
+    }
+    const teamOnly = scopes.filter(scope => TEAM_ONLY_SCOPES.includes(scope));
+    if (!teamId && teamOnly.length > 0) {
+      errors.push({ field: 'scopes', message: `Only team API keys can have: ${teamOnly.join(', ')}` });
+    }
+  }
+
+  let expiresAt = null;
+  if (expiresInDays !== undefined && expiresInDays !== null) {
+    const days = Number(expiresInDays);
+    if (!Number.isInteger(days) || days < 1 || days > API_KEY_CONFIG.MAX_EXPIRY_DAYS) {
+      errors.push({ field: 'expiresInDays', message: `Expiry must be between 1 and ${API_KEY_CONFIG.MAX_EXPIRY_DAYS} days` });
+    } else {
+      expiresAt = new Date(Date.now() + days * 24 * 60 * 60 * 1000);
+    }
+  }
+
+  if (errors.length > 0) {
+    throw new ValidationError('Invalid API key settings', errors);
+  }
+
+  return { name: trimmedName, scopes: [...new Set(scopes)], expiresAt };
+}
+
+/**
+ * Create a key. The plain key is returned once and never stored.
+ * @param {string} userId - Owner; requests made with the key act as this user
+ * @param {object} input - { name, scopes, expiresInDays }
+ * @param {object} options - { teamId } for team-scoped keys
+ * @returns {Promise<{apiKey: object, key: string}>}
+ * @throws {ValidationError} on bad input or too many active keys
+ */
+async function createKey(userId, input, { teamId = null } = {}) {
+  const { name, scopes, expiresAt } = validateCreateInput(input || {}, teamId);
+
+  const activeCount = await ApiKey.count({
+    where: { ...(teamId ? { team_id: teamId } : { user_id: userId, team_id: null }), ...activeKeyWhere() }
+  });
+  if (activeCount >= API_KEY_CONFIG.MAX_ACTIVE_KEYS) {
+    throw new ValidationError(`You can have at most ${API_KEY_CONFIG.MAX_ACTIVE_KEYS} active API keys`);
+  }
+
+  const key = generateKey();
+  const apiKey = await ApiKey.create({
+    user_id: userId,
+    team_id: teamId,
+    name,
+    key_prefix: key.substring(0, API_KEY_CONFIG.DISPLAY_PREFIX_LENGTH),
+    key_hash: hashKey(key),
+    scopes,
+    expires_at: expiresAt
+  });
+
+  return { apiKey, key };
+}
+
+/**
+ * Personal keys (teamId omitted) or a team's keys, newest first
+ */
+async function listKeys({ userId = null, teamId = null, includeRevoked = false } = {}) {
+  const where = teamId ? { team_id: teamId } : { user_id: userId, team_id: null };
+  if (!includeRevoked) {
+    where.revoked_at = null;
+  }
+  return ApiKey.findAll({ where, order: [['created_at', 'DESC']] });
+}
+
+/**
+ * Revoke a key. Revoked keys stop working immediately and stay listed with
+ * includeRevoked for auditing.
+ * @returns {Promise<object|null>} The key, or null when not found
+ */
+async function revokeKey(keyId, { userId = null, teamId = null } = {}) {
+  const where = teamId ? { id: keyId, team_id: teamId } : { id: keyId, user_id: userId, team_id: null };
+  const apiKey = await ApiKey.findOne({ where });
+  if (!apiKey) return null;
+
+  if (!apiKey.revoked_at) {
+    await apiKey.update({ revoked_at: new Date() });
+  }
+  return apiKey;
+}
+
+// ============================================================================
+// AUTHENTICATION
+// ============================================================================
+
+/**
+ * Resolve a key from the Authorization header
+ * @param {string} rawKey
+ * @returns {Promise<{apiKey: object, user: object}|null>} null when unknown,
+ * revoked, expired, or a team key whose creator no longer owns the team
+ */
+async function authenticate(rawKey) {
+  if (!rawKey || !String(rawKey).startsWith(API_KEY_CONFIG.PREFIX)) return null;
+
+  const apiKey = await ApiKey.findOne({ where: { key_hash: hashKey(rawKey) } });
+  if (!apiKey || apiKey.revoked_at) return null;
+  if (apiKey.expires_at && new Date(apiKey.expires_at) <= new Date()) return null;
+
+  const user = await User.findByPk(apiKey.user_id, {
+    attributes: ['id', 'email', 'username', 'isActive', 'role', 'subscriptionTier', 'subscriptionStatus']
+  });
+  if (!user) return null;
+
+  if (apiKey.team_id) {
+    const team = await Team.findOne({
+      where: { id: apiKey.team_id, owner_id: apiKey.user_id, is_active: true },
+      attributes: ['id']
+    });
+    if (!team) return null;
+  }
+
+  return { apiKey, user };
+}
+
+/**
+ * Decide whether a key may call an endpoint
+ * @param {object} apiKey
+ * @param {string} method - HTTP method
+ * @param {string} path - Full request path without the query string
+ * @returns {{allowed: boolean, scope?: string, reason?: string}}
+ */
+function checkAccess(apiKey, method, path) {
+  const normalizedPath = path.length > 1 ? path.replace(/\/+$/, '') : path;
+  const route = ROUTE_SCOPES.find(entry => entry.method === method && entry.pattern.test(normalizedPath));
+
+  if (!route) {
+    return { allowed: false, reason: 'This endpoint cannot be used with an API key' };
+  }
+  if (!(apiKey.scopes || []).includes(route.scope)) {
+    return { allowed: false, scope: route.scope, reason: `API key is missing the ${route.scope} scope` };
+  }
+  if (route.teamScoped && apiKey.team_id) {
+    const [, teamId] = normalizedPath.match(route.pattern);
+    if (Number(teamId) !== apiKey.team_id) {
+      return { allowed: false, scope: route.scope, reason: 'API key belongs to a different team' };
+    }
+  }
+  return { allowed: true, scope: route.scope };
+}
+
+function usageKey(keyId, date = new Date()) {
+  return `${API_KEY_CONFIG.USAGE_KEY_PREFIX}${keyId}:${date.toISOString().substring(0, 10)}`;
+}
+
+/**
+ * Track last use and today's request count. Never throws.
+ */
+async function recordUse(apiKey, ipAddress) {
+  try {
+    const lastUsed = apiKey.last_used_at ? new Date(apiKey.last_used_at).getTime() : 0;
+    if (Date.now() - lastUsed > API_KEY_CONFIG.LAST_USED_RESOLUTION_MS || apiKey.last_used_ip !== ipAddress) {
+      await apiKey.update({ last_used_at: new Date(), last_used_ip: ipAddress || null });
+    }
+
+    const key = usageKey(apiKey.id);
+    const count = await redis.incr(key);
+    if (count === 1) {
+      await redis.expire(key, API_KEY_CONFIG.USAGE_RETENTION_SECONDS);
+    }
+  } catch (error) {
+    console.error('Failed to record API key usage:', error.message);
+  }
+}
+
+/**
+ * Today's request counts for a user's active keys (personal and team keys they created)
+ * @returns {Promise<Array<{id, name, prefix, teamId, requestsToday, lastUsedAt}>>}
+ */
+async function getDailyUsage(userId) {
+  const keys = await ApiKey.findAll({
+    where: { user_id: userId, ...activeKeyWhere() },
+    order: [['created_at', 'ASC']]
+  });
+
+  return Promise.all(keys.map(async apiKey => ({
+    id: apiKey.id,
+    name: apiKey.name,
+    prefix: apiKey.key_prefix,
+    teamId: apiKey.team_id,
+    requestsToday: Number(await redis.get(usageKey(apiKey.id), false)) || 0,
+    lastUsedAt: apiKey.last_used_at
+  })));
+}
+
+module.exports = {
+  createKey,
+  listKeys,
+  revokeKey,
+  authenticate,
+  checkAccess,
+  recordUse,
+  getDailyUsage,
+  toApiKeyResponse,
+  availableScopes,
+  API_KEY_SCOPES,
+  API_KEY_CONFIG
+};
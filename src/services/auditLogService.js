@@ -0,0 +1,220 @@
+/**
+ * Audit Log Service
+ * Append-only record of who did what to whom.
+ *
+ * Events carry the actor (usually req.user), the target, the request's IP and
+ * user agent, and a before/after diff of the fields that changed. Writing an
+ * event never throws - a logging failure is reported but doesn't undo the
+ * action being logged.
+ */
+
+const { Op } = require('sequelize');
+const AuditEvent = require('../models/AuditEvent');
+const { getClientIP } = require('../middleware/ipThrottle');
+
+const AUDIT_CONFIG = {
+  LIST_LIMIT: 50,
+  MAX_LIST_LIMIT: 200,
+  EXPORT_LIMIT: 10000,
+  USER_AGENT_LENGTH: 512
+};
+
+// Never written to an event, even inside a diff
+const REDACTED_FIELDS = ['password', 'resetPasswordToken', 'emailVerificationToken', 'emailChangeToken', 'loginOTP', 'phoneVerificationToken', 'secret', 'token'];
+
+function redact(values) {
+  if (!values || typeof values !== 'object') return values;
+
+  const result = {};
+  for (const [key, value] of Object.entries(values)) {
+    result[key] = REDACTED_FIELDS.includes(key) ? '[redacted]' : value;
+  }
+  return result;
+}
+
+function comparable(value) {
+  return value instanceof Date ? value.toISOString() : JSON.stringify(value);
+}
+
+/**
+ * Changed fields between two plain objects
+ * @param {object} before
+ * @param {object} after
+ * @returns {{before: object, after: object}|null} null when nothing changed
+ */
+function diffChanges(before = {}, after = {}) {
+  const changedBefore = {};
+  const changedAfter = {};
+
+  for (const key of new Set([...Object.keys(before || {}), ...Object.keys(after || {})])) {
+    if (comparable(before?.[key]) !== comparable(after?.[key])) {
+      changedBefore[key] = before?.[key] ?? null;
+      changedAfter[key] = after?.[key] ?? null;
+    }
+  }
+
+  if (Object.keys(changedAfter).length === 0) return null;
+  return { before: redact(changedBefore), after: redact(changedAfter) };
+}
+
+/**
+ * Pick fields from a model instance (or plain object) for a diff
+ */
+function pick(source, fields) {
+  const values = {};
+  if (!source) return values;
+  for (const field of fields) {
+    values[field] = source[field] ?? null;
+  }
+  return values;
+}
+
+function requestContext(req) {
+  if (!req) return { ipAddress: null, userAgent: null };
+
+  const userAgent = req.headers['user-agent'];
+  return {
+    ipAddress: getClientIP(req),
+    userAgent: userAgent ? String(userAgent).substring(0, AUDIT_CONFIG.USER_AGENT_LENGTH) : null
+  };
+}
+
+/**
+ * Append an audit event
+ * @param {object} event
+ * @param {string} event.action - Dotted name, e.g. 'admin.user.comp_plan_granted'
+ * @param {object} [event.req] - Express request (actor, IP and user agent come from it)
+ * @param {object} [event.actor] - { id, email, role } when not taken from req.user
+ * @param {object} [event.target] - { type, id, label }
+ * @param {number} [event.teamId]
+ * @param {object} [event.before] - Values before the change
+ * @param {object} [event.after] - Values after the change
+ * @param {object} [event.metadata] - Anything else worth keeping (reason, counts, ...)
+ * @returns {Promise<object|null>} The stored event, or null if it couldn't be written
+ */
+async function recordEvent({ action, req, actor, target = {}, teamId = null, before, after, metadata = null }) {
+  try {
+    const who = actor || req?.user || {};
+
+    return await AuditEvent.create({
+      action,
+      actorId: who.id || null,
+      actorEmail: who.email || null,
+      actorRole: who.role || null,
+      targetType: target.type || null,
+      targetId: target.id !== undefined && target.id !== null ? String(target.id) : null,
+      targetLabel: target.label || null,
+      teamId,
+      ...requestContext(req),
+      changes: before || after ? diffChanges(before, after) : null,
+      metadata: metadata ? redact(metadata) : null
+    });
+  } catch (error) {
+    console.error(`❌ Failed to write audit event ${action}:`, error);
+    return null;
+  }
+}
+
+function buildWhere(filters = {}) {
+  const where = {};
+  if (filters.action) where.action = filters.action;
+  if (filters.actionPrefix) where.action = { [Op.startsWith]: filters.actionPrefix };
+  if (filters.actorId) where.actorId = filters.actorId;
+  if (filters.targetType) where.targetType = filters.targetType;
+  if (filters.targetId) where.targetId = String(filters.targetId);
+  if (filters.teamId) where.teamId = filters.teamId;
+  if (filters.involvingUserId) {
+    // Things the user did, and things done to the user's account
+    where[Op.or] = [
+      { actorId: filters.involvingUserId },
+      { targetType: 'user', targetId: String(filters.involvingUserId) }
+    ];
+  }
+  if (filters.from || filters.to) {
+    where.createdAt = {};
+    if (filters.from) where.createdAt[Op.gte] = new Date(filters.from);
+    if (filters.to) where.createdAt[Op.lte] = new Date(filters.to);
+  }
+  return where;
+}
+
+/**
+ * Query audit events, newest first
+ * @param {object} filters - { action, actionPrefix, actorId, targetType, targetId, teamId, involvingUserId, from, to }
+ * @param {object} options - { limit, offset }
+ */
+async function listEvents(filters = {}, { limit, offset = 0 } = {}) {
+  const pageSize = Math.min(parseInt(limit, 10) || AUDIT_CONFIG.LIST_LIMIT, AUDIT_CONFIG.MAX_LIST_LIMIT);
+  const start = Math.max(parseInt(offset, 10) || 0, 0);
+
+  const { rows, count } = await AuditEvent.findAndCountAll({
+    where: buildWhere(filters),
+    order: [['createdAt', 'DESC']],
+    limit: pageSize,
+    offset: start
+  });
+
+  return {
+    events: rows.map(row => row.toJSON()),
+    total: count,
+    limit: pageSize,
+    offset: start
+  };
+}
+
+/**
+ * Every matching event (up to EXPORT_LIMIT), newest first, for compliance exports
+ * @param {object} filters - Same as listEvents
+ * @returns {Promise<{events: object[], truncated: boolean}>}
+ */
+async function exportEvents(filters = {}) {
+  const rows = await AuditEvent.findAll({
+    where: buildWhere(filters),
+    order: [['createdAt', 'DESC']],
+    limit: AUDIT_CONFIG.EXPORT_LIMIT + 1
+  });
+
+  return {
+    events: rows.slice(0, AUDIT_CONFIG.EXPORT_LIMIT).map(row => row.toJSON()),
+    truncated: rows.length > AUDIT_CONFIG.EXPORT_LIMIT
+  };
+}
+
+const CSV_COLUMNS = [
+  'createdAt', 'action', 'actorId', 'actorEmail', 'actorRole', 'targetType', 'targetId',
+  'targetLabel', 'teamId', 'ipAddress', 'userAgent', 'changes', 'metadata'
+];
+
+function csvCell(value) {
+  if (value === null || value === undefined) return '';
+  let text = value instanceof Date ? value.toISOString()
+    : typeof value === 'object' ? JSON.stringify(value)
+      : String(value);
+
+  // Keep spreadsheet apps from evaluating cells as formulas
+  if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Render events as CSV (RFC 4180, JSON-encoded changes/metadata)
+ * @param {object[]} events
+ * @returns {string}
+ */
+function toCSV(events) {
+  const rows = [CSV_COLUMNS.join(',')];
+  for (const event of events) {
+    rows.push(CSV_COLUMNS.map(column => csvCell(event[column])).join(','));
+  }
+  return `${rows.join('\r\n')}\r\n`;
+}
+
+module.exports = {
+  recordEvent,
+  listEvents,
+  exportEvents,
+  toCSV,
+  diffChanges,
+  pick,
+  AUDIT_CONFIG
+};
@@ -1,19 +1,36 @@
 const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
+const refreshTokenService = require('./refreshTokenService');
 
 exports.hashPassword = async (plaintext) => bcrypt.hash(plaintext, 12);
-exports.comparePassword = async (plaintext, hash) => bcrypt.compare(plaintext, hash);
+// Accounts created through OAuth have no password hash
+exports.comparePassword = async (plaintext, hash) => !!hash && bcrypt.compare(plaintext, hash);
 
-exports.generateAccessToken = user => 
-  jwt.sign({ userId: user.id, email: user.email }, process.env.JWT_SECRET, { expiresIn: '1h' });
+// Pass the id from startSession (middleware/session.js) so the token can be revoked with its session
+exports.generateAccessToken = (user, sessionId = null) => 
+  jwt.sign({ userId: user.id, email: user.email, ...(sessionId && { sid: sessionId }) }, process.env.JWT_SECRET, { expiresIn: '1h' });
 
-exports.generateRefreshToken = user => 
-  jwt.sign({ userId: user.id }, process.env.JWT_REFRESH_SECRET, { expiresIn: '7d' });
+// Starts a rotating token family for the session; see refreshTokenService
+exports.generateRefreshToken = (user, sessionId, { ipAddress = null } = {}) => 
+  refreshTokenService.issueToken(user.id, sessionId, { ipAddress });
 
 exports.verifyRefreshToken = (token, callback) => {
   jwt.verify(token, process.env.JWT_REFRESH_SECRET, callback);
 };
 
+// Short-lived proof that the password (or email code) step passed for a user with 2FA.
+// Carries the id in `sub`, not `userId`, so it can never pass as an access token.
+exports.generateTwoFactorChallengeToken = user =>
+  jwt.sign({ sub: user.id, purpose: 'two_factor_login' }, process.env.JWT_SECRET, { expiresIn: '5m' });
+
+exports.verifyTwoFactorChallengeToken = token => {
+  const decoded = jwt.verify(token, process.env.JWT_SECRET);
+  if (decoded.purpose !== 'two_factor_login') {
+    throw new Error('Invalid two-factor challenge');
+  }
+  return decoded.sub;
+};
+
 exports.generateResetToken = user => 
   jwt.sign({ id: user.id, email: user.email }, process.env.JWT_SECRET, { expiresIn: '1h' });
 
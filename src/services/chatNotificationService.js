@@ -0,0 +1,341 @@
+/**
+ * Chat Notification Service
+ * Posts shared-error updates to a team's Slack and Microsoft Teams channels
+ * through incoming-webhook URLs stored in Team.settings:
+ *
+ *   settings.slack_webhook_url  - Slack incoming webhook (Block Kit message)
+ *   settings.teams_webhook_url  - Teams incoming webhook / workflow (Adaptive Card)
+ *
+ * Posting is best effort: failures are logged and never surface to the request
+ * that triggered them.
+ */
+
+const axios = require('axios');
+
+const CHAT_CONFIG = {
+  TIMEOUT_MS: 5000,
+  DESCRIPTION_LENGTH: 300
+};
+
+const CHAT_PROVIDERS = {
+  slack: {
+    settingKey: 'slack_webhook_url',
+    label: 'Slack',
+    hosts: [/^hooks\.slack\.com$/i]
+  },
+  teams: {
+    settingKey: 'teams_webhook_url',
+    label: 'Microsoft Teams',
+    hosts: [/\.webhook\.office\.com$/i, /^outlook\.office\.com$/i, /\.logic\.azure\.com$/i, /\.powerplatform\.com$/i]
+  }
+};
+
+// kind -> heading shown in the channel
+const NOTIFICATION_KINDS = {
+  created: { emoji: '🔍', heading: 'New shared error' },
+  critical: { emoji: '🚨', heading: 'Critical error' },
+  escalated: { emoji: '🚨', heading: 'Escalated to critical' },
+  resolved: { emoji: '✅', heading: 'Error resolved' }
+};
+
+const PRIORITY_EMOJI = {
+  low: '🟢',
+  medium: '🟡',
+  high: '🟠',
+  critical: '🔴'
+};
+
+// ============================================================================
+// SETTINGS
+// ============================================================================
+
+/**
+ * Validate an incoming-webhook URL for a provider.
+ * Outside production any http(s) URL is accepted so a local stand-in server can be used.
+ * @param {string} provider - 'slack' | 'teams'
+ * @param {string} url
+ * @returns {string|null} Error message, or null when valid
+ */
+function validateChatWebhookUrl(provider, url) {
+  const config = CHAT_PROVIDERS[provider];
+
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (error) {
+    return `${config.settingKey} is not a valid URL`;
+  }
+
+  if (process.env.NODE_ENV !== 'production') {
+    return ['http:', 'https:'].includes(parsed.protocol) ? null : `${config.settingKey} must be an http(s) URL`;
+  }
+
+  if (parsed.protocol !== 'https:' || !config.hosts.some(host => host.test(parsed.hostname))) {
+    return `${config.settingKey} must be a ${config.label} incoming webhook URL`;
+  }
+  return null;
+}
+
+// What members see instead of a webhook URL
+function maskWebhookUrl(url) {
+  return `${new URL(url).origin}/…`;
+}
+
+function isMaskedWebhookUrl(value) {
+  return typeof value === 'string' && value.endsWith('/…');
+}
+
+/**
+ * Validate the chat webhook keys present in a settings update
+ * @param {object} settings - Partial Team.settings from the request
+ * @returns {string|null} Error message, or null when valid
+ */
+function validateChatSettings(settings) {
+  for (const [provider, config] of Object.entries(CHAT_PROVIDERS)) {
+    const value = settings[config.settingKey];
+    if (value === undefined || value === null || value === '') continue;
+    if (typeof value !== 'string') return `${config.settingKey} must be a string`;
+    if (isMaskedWebhookUrl(value)) {
+      return `${config.settingKey} is masked - send the full webhook URL, or leave it out to keep the current one`;
+    }
+
+    const error = validateChatWebhookUrl(provider, value);
+    if (error) return error;
+  }
+  return null;
+}
+
+function hasChatSettings(settings) {
+  return Object.values(CHAT_PROVIDERS).some(config => settings[config.settingKey] !== undefined);
+}
+
+/**
+ * Drop chat webhook keys that don't change anything: the stored URL itself or
+ * the masked form members were shown, so settings fetched and saved back as a
+ * whole leave the webhooks alone
+ * @param {object} settings - Partial Team.settings from the request
+ * @param {object} current - Team.settings as stored
+ * @returns {object} The settings to apply
+ */
+function omitUnchangedChatWebhooks(settings, current = {}) {
+  const changes = { ...settings };
+  for (const config of Object.values(CHAT_PROVIDERS)) {
+    const value = changes[config.settingKey];
+    if (value === undefined) continue;
+
+    const stored = (current && current[config.settingKey]) || null;
+    const unchanged = stored
+      ? value === stored || value === maskWebhookUrl(stored)
+      : value === null || value === '';
+    if (unchanged) delete changes[config.settingKey];
+  }
+  return changes;
+}
+
+/**
+ * Team settings safe to return to members - webhook URLs are credentials
+ */
+function maskChatWebhooks(settings) {
+  if (!settings) return settings;
+
+  const masked = { ...settings };
+  for (const config of Object.values(CHAT_PROVIDERS)) {
+    if (masked[config.settingKey]) {
+      masked[config.settingKey] = maskWebhookUrl(masked[config.settingKey]);
+    }
+  }
+  return masked;
+}
+
+// ============================================================================
+// MESSAGE FORMATTING
+// ============================================================================
+
+function errorUrl(teamId, sharedErrorId) {
+  const baseUrl = (process.env.FRONTEND_URL || 'http://localhost:5173').replace(/\/$/, '');
+  return `${baseUrl}/teams/${teamId}/errors/${sharedErrorId}`;
+}
+
+function truncate(text, length) {
+  if (!text) return '';
+  const value = String(text).trim();
+  return value.length > length ? `${value.substring(0, length - 1)}…` : value;
+}
+
+// Slack mrkdwn control characters
+function escapeSlack(text) {
+  return String(text || '').replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+function isUrgent(kind) {
+  return kind === 'critical' || kind === 'escalated';
+}
+
+function summaryLine(kind, { team, sharedError, actor }) {
+  const who = actor.username || actor.email || 'Someone';
+  if (kind === 'resolved') return `${who} resolved "${sharedError.title}" in ${team.name}`;
+  if (kind === 'escalated') return `${who} escalated "${sharedError.title}" to critical in ${team.name}`;
+  return `${who} shared "${sharedError.title}" with ${team.name}`;
+}
+
+/**
+ * Slack Block Kit message
+ * @param {string} kind - created | critical | escalated | resolved
+ * @param {object} context - { team, sharedError, actor }
+ */
+function buildSlackMessage(kind, context) {
+  const { team, sharedError } = context;
+  const { emoji, heading } = NOTIFICATION_KINDS[kind];
+  const url = errorUrl(team.id, sharedError.id);
+  const fields = [
+    `*Priority*\n${PRIORITY_EMOJI[sharedError.priority] || ''} ${escapeSlack(sharedError.priority)}`,
+    `*Status*\n${escapeSlack(sharedError.status)}`
+  ];
+  if (sharedError.category) {
+    fields.push(`*Category*\n${escapeSlack(sharedError.category)}`);
+  }
+
+  const blocks = [
+    {
+      type: 'header',
+      text: { type: 'plain_text', text: `${emoji} ${heading}`, emoji: true }
+    },
+    {
+      type: 'section',
+      text: { type: 'mrkdwn', text: `*<${url}|${escapeSlack(sharedError.title)}>*\n${escapeSlack(summaryLine(kind, context))}` }
+    },
+    {
+      type: 'section',
+      fields: fields.map(text => ({ type: 'mrkdwn', text }))
+    }
+  ];
+
+  if (sharedError.description) {
+    blocks.push({
+      type: 'section',
+      text: { type: 'mrkdwn', text: `>${escapeSlack(truncate(sharedError.description, CHAT_CONFIG.DESCRIPTION_LENGTH)).replace(/\n/g, '\n>')}` }
+    });
+  }
+
+  blocks.push({
+    type: 'actions',
+    elements: [{
+      type: 'button',
+      text: { type: 'plain_text', text: 'View in ErrorWise' },
+      url,
+      style: kind === 'resolved' ? 'primary' : isUrgent(kind) ? 'danger' : undefined
+    }]
+  }, {
+    type: 'context',
+    elements: [{ type: 'mrkdwn', text: `ErrorWise · ${escapeSlack(team.name)}` }]
+  });
+
+  // Critical items ping whoever is active in the channel
+  const mention = isUrgent(kind) ? '<!here> ' : '';
+
+  return {
+    text: `${mention}${emoji} ${escapeSlack(summaryLine(kind, context))}`,
+    blocks
+  };
+}
+
+/**
+ * Microsoft Teams message carrying an Adaptive Card
+ * @param {string} kind - created | critical | escalated | resolved
+ * @param {object} context - { team, sharedError, actor }
+ */
+function buildTeamsMessage(kind, context) {
+  const { team, sharedError } = context;
+  const { emoji, heading } = NOTIFICATION_KINDS[kind];
+  const url = errorUrl(team.id, sharedError.id);
+  const facts = [
+    { title: 'Priority', value: `${PRIORITY_EMOJI[sharedError.priority] || ''} ${sharedError.priority}` },
+    { title: 'Status', value: sharedError.status }
+  ];
+  if (sharedError.category) {
+    facts.push({ title: 'Category', value: sharedError.category });
+  }
+
+  const body = [
+    {
+      type: 'TextBlock',
+      text: `${emoji} ${heading}`,
+      size: 'Large',
+      weight: 'Bolder',
+      color: isUrgent(kind) ? 'Attention' : kind === 'resolved' ? 'Good' : 'Default',
+      wrap: true
+    },
+    { type: 'TextBlock', text: sharedError.title, weight: 'Bolder', wrap: true },
+    { type: 'TextBlock', text: summaryLine(kind, context), isSubtle: true, wrap: true, spacing: 'None' },
+    { type: 'FactSet', facts }
+  ];
+
+  if (sharedError.description) {
+    body.push({ type: 'TextBlock', text: truncate(sharedError.description, CHAT_CONFIG.DESCRIPTION_LENGTH), wrap: true });
+  }
+
+  return {
+    type: 'message',
+    summary: summaryLine(kind, context),
+    attachments: [{
+      contentType: 'application/vnd.microsoft.card.adaptive',
+      contentUrl: null,
+      content: {
+        $schema: 'http://adaptivecards.io/schemas/adaptive-card.json',
+        type: 'AdaptiveCard',
+        version: '1.4',
+        body,
+        actions: [{ type: 'Action.OpenUrl', title: 'View in ErrorWise', url }]
+      }
+    }]
+  };
+}
+
+// ============================================================================
+// DELIVERY
+// ============================================================================
+
+/**
+ * Post a shared-error notification to every chat channel the team configured
+ * @param {object} team - Team row (needs id, name, settings)
+ * @param {string} kind - created | critical | escalated | resolved
+ * @param {object} context - { sharedError, actor }
+ * @returns {Promise<string[]>} Providers the message was delivered to
+ */
+async function postToTeamChannels(team, kind, { sharedError, actor }) {
+  const settings = team.settings || {};
+  const context = { team, sharedError, actor };
+  const builders = { slack: buildSlackMessage, teams: buildTeamsMessage };
+
+  const targets = Object.entries(CHAT_PROVIDERS).filter(([, config]) => settings[config.settingKey]);
+
+  const results = await Promise.allSettled(targets.map(async ([provider, config]) => {
+    await axios.post(settings[config.settingKey], builders[provider](kind, context), {
+      timeout: CHAT_CONFIG.TIMEOUT_MS,
+      headers: { 'Content-Type': 'application/json' }
+    });
+    return provider;
+  }));
+
+  const delivered = [];
+  results.forEach((result, index) => {
+    const provider = targets[index][0];
+    if (result.status === 'fulfilled') {
+      delivered.push(provider);
+    } else {
+      console.error(`${CHAT_PROVIDERS[provider].label} notification failed for team ${team.id}:`, result.reason.message);
+    }
+  });
+  return delivered;
+}
+
+module.exports = {
+  postToTeamChannels,
+  buildSlackMessage,
+  buildTeamsMessage,
+  validateChatSettings,
+  hasChatSettings,
+  omitUnchangedChatWebhooks,
+  maskChatWebhooks,
+  CHAT_PROVIDERS
+};
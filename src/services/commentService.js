@@ -0,0 +1,399 @@
+/**
+ * Comment Service
+ * Threaded discussion on team shared errors.
+ *
+ * Bodies are markdown and stored as written; clients render them with raw HTML
+ * disabled. @username mentions of active team members are resolved when a
+ * comment is written (mentions inside code blocks and inline code don't count).
+ * Edits keep the previous bodies in the comment's edit history.
+ *
+ * Deleting a comment clears its body, mentions, reactions and history but keeps
+ * the row so replies stay attached; deleted comments without live replies are
+ * left out of the thread. SharedError.discussion_count is recounted from the
+ * live comments in the same transaction as every create and delete, and the
+ * first comment moves an open shared error to "discussing".
+ */
+
+const { Op } = require('sequelize');
+const sequelize = require('../config/database');
+const SharedError = require('../models/SharedError');
+const SharedErrorComment = require('../models/SharedErrorComment');
+const TeamMember = require('../models/TeamMember');
+const User = require('../models/User');
+const tracking = require('./sharedErrorTrackingService');
+const { ValidationError, AuthorizationError, NotFoundError } = require('../utils/errors');
+
+const COMMENT_CONFIG = {
+  MAX_BODY_LENGTH: 10000,
+  MAX_DEPTH: 5,              // Replies nest at most this many levels below a top-level comment
+  MAX_COMMENTS: 1000,        // Per shared error, returned as one thread
+  MAX_MENTIONS: 20,
+  MAX_HISTORY: 50,           // Previous bodies kept per comment
+  MODERATOR_ROLES: ['owner', 'admin'],
+  REACTIONS: ['+1', '-1', 'laugh', 'hooray', 'confused', 'heart', 'rocket', 'eyes']
+};
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const FENCED_CODE = /(^|\n)[ \t]*(```|~~~)[\s\S]*?(\n[ \t]*\2|$)/g;
+const INLINE_CODE = /`[^`\n]*`/g;
+const MENTION = /(^|[^\w@.`])@([A-Za-z0-9_][A-Za-z0-9_.-]{0,49})/g;
+
+// ============================================================================
+// MARKDOWN
+// ============================================================================
+
+function validateBody(body) {
+  if (typeof body !== 'string' || !body.trim()) {
+    throw new ValidationError('Comment body is required', [{ field: 'body', message: 'Write something first' }], 'INVALID_COMMENT');
+  }
+  if (body.length > COMMENT_CONFIG.MAX_BODY_LENGTH) {
+    throw new ValidationError(
+      `Comments are limited to ${COMMENT_CONFIG.MAX_BODY_LENGTH} characters`,
+      [{ field: 'body', message: 'Too long' }],
+      'INVALID_COMMENT'
+    );
+  }
+  return body.trim();
+}
+
+/**
+ * Usernames @mentioned outside code blocks and inline code
+ * @param {string} markdown
+ * @returns {string[]} Lowercase usernames
+ */
+function extractMentions(markdown) {
+  const prose = String(markdown || '').replace(FENCED_CODE, '$1').replace(INLINE_CODE, '');
+  const usernames = new Set();
+
+  for (const match of prose.matchAll(MENTION)) {
+    // "@jane." at the end of a sentence mentions jane
+    usernames.add(match[2].replace(/[.-]+$/, '').toLowerCase());
+  }
+  return [...usernames];
+}
+
+/**
+ * Active team members mentioned in a body, never the author
+ * @returns {Promise<object[]>} Users: { id, username, email }
+ */
+async function resolveMentions(teamId, body, authorId) {
+  const usernames = extractMentions(body);
+  if (usernames.length === 0) return [];
+
+  const members = await TeamMember.findAll({
+    where: { team_id: teamId, status: 'active', user_id: { [Op.ne]: authorId } },
+    include: [{ model: User, as: 'user', attributes: ['id', 'username', 'email'] }]
+  });
+
+  return members
+    .map(member => member.user)
+    .filter(user => user && user.username && usernames.includes(user.username.toLowerCase()))
+    .slice(0, COMMENT_CONFIG.MAX_MENTIONS);
+}
+
+// ============================================================================
+// LOOKUPS
+// ============================================================================
+
+function findSharedError(teamId, errorId) {
+  if (!/^\d+$/.test(String(errorId))) return null;
+  return SharedError.findOne({ where: { id: errorId, team_id: teamId } });
+}
+
+function findComment(sharedError, commentId) {
+  if (!UUID_PATTERN.test(String(commentId))) return null;
+  return SharedErrorComment.findOne({ where: { id: commentId, shared_error_id: sharedError.id } });
+}
+
+/**
+ * Owners and admins moderate every comment; everyone else only their own
+ */
+function canModerate(membership, comment) {
+  return comment.author_id === membership.user_id || COMMENT_CONFIG.MODERATOR_ROLES.includes(membership.role);
+}
+
+// Recount live comments; the first one opens the discussion
+async function syncDiscussion(sharedError, transaction) {
+  const count = await SharedErrorComment.count({
+    where: { shared_error_id: sharedError.id, deleted_at: null },
+    transaction
+  });
+
+  const previousStatus = sharedError.status;
+  const updates = { discussion_count: count };
+  if (count > 0 && previousStatus === 'open') {
+    Object.assign(updates, tracking.statusTransition(sharedError, 'discussing'));
+  }
+
+  await sharedError.update(updates, { transaction });
+  return previousStatus;
+}
+
+// Lock the shared error row so concurrent writers recount one after another
+function lockSharedError(sharedError, transaction) {
+  return SharedError.findByPk(sharedError.id, { transaction, lock: transaction.LOCK.UPDATE });
+}
+
+// ============================================================================
+// THREAD
+// ============================================================================
+
+function toReactionResponse(reactions, viewerId) {
+  return COMMENT_CONFIG.REACTIONS
+    .filter(reaction => (reactions?.[reaction] || []).length > 0)
+    .map(reaction => ({
+      reaction,
+      count: reactions[reaction].length,
+      reacted: reactions[reaction].includes(viewerId)
+    }));
+}
+
+function toCommentResponse(comment, viewerId) {
+  const deleted = !!comment.deleted_at;
+  const author = comment.author || null;
+
+  return {
+    id: comment.id,
+    parentId: comment.parent_id,
+    depth: comment.depth,
+    author: author ? { id: author.id, username: author.username } : null,
+    body: deleted ? null : comment.body,
+    mentions: deleted ? [] : comment.mentions || [],
+    reactions: deleted ? [] : toReactionResponse(comment.reactions, viewerId),
+    edited: !!comment.edited_at,
+    editedAt: comment.edited_at,
+    revisionCount: (comment.edit_history || []).length,
+    deleted,
+    deletedAt: comment.deleted_at,
+    moderated: deleted && !!comment.deleted_by && comment.deleted_by !== comment.author_id,
+    createdAt: comment.created_at
+  };
+}
+
+/**
+ * Full discussion of a shared error as a tree, oldest first at every level
+ * @param {object} sharedError
+ * @param {string} viewerId - Marks the viewer's own reactions
+ * @returns {Promise<{comments: object[], total: number}>} total counts live comments
+ */
+async function listThread(sharedError, viewerId) {
+  const rows = await SharedErrorComment.findAll({
+    where: { shared_error_id: sharedError.id },
+    include: [{ model: User, as: 'author', attributes: ['id', 'username'] }],
+    order: [['created_at', 'ASC']],
+    limit: COMMENT_CONFIG.MAX_COMMENTS
+  });
+
+  const nodes = new Map(rows.map(row => [row.id, { ...toCommentResponse(row, viewerId), replies: [] }]));
+  const roots = [];
+  for (const node of nodes.values()) {
+    const parent = node.parentId ? nodes.get(node.parentId) : null;
+    (parent ? parent.replies : roots).push(node);
+  }
+
+  // A deleted comment stays only as a placeholder for live replies
+  const prune = list => list.filter(node => {
+    node.replies = prune(node.replies);
+    return !node.deleted || node.replies.length > 0;
+  });
+
+  return {
+    comments: prune(roots),
+    total: rows.filter(row => !row.deleted_at).length
+  };
+}
+
+// ============================================================================
+// WRITES
+// ============================================================================
+
+/**
+ * Post a comment or a reply
+ * @param {object} sharedError
+ * @param {object} author - req.user
+ * @param {object} input - { body, parentId }
+ * @returns {Promise<{comment: object, sharedError: object, mentioned: object[], previousStatus: string}>}
+ * sharedError is the reloaded row with the new count and status
+ */
+async function createComment(sharedError, author, input = {}) {
+  const body = validateBody(input.body);
+  const mentioned = await resolveMentions(sharedError.team_id, body, author.id);
+
+  let parent = null;
+  if (input.parentId) {
+    parent = await findComment(sharedError, input.parentId);
+    if (!parent || parent.deleted_at) {
+      throw new ValidationError('The comment you replied to no longer exists', [{ field: 'parentId', message: 'Not found' }], 'INVALID_PARENT');
+    }
+    if (parent.depth >= COMMENT_CONFIG.MAX_DEPTH) {
+      throw new ValidationError('This thread is nested too deeply - reply further up', [{ field: 'parentId', message: 'Too deep' }], 'THREAD_TOO_DEEP');
+    }
+  }
+
+  return sequelize.transaction(async (transaction) => {
+    const lockedError = await lockSharedError(sharedError, transaction);
+    const comment = await SharedErrorComment.create({
+      shared_error_id: sharedError.id,
+      team_id: sharedError.team_id,
+      author_id: author.id,
+      parent_id: parent ? parent.id : null,
+      depth: parent ? parent.depth + 1 : 0,
+      body,
+      mentions: mentioned.map(user => user.id)
+    }, { transaction });
+
+    const previousStatus = await syncDiscussion(lockedError, transaction);
+    comment.author = { id: author.id, username: author.username };
+
+    return { comment, sharedError: lockedError, mentioned, previousStatus };
+  });
+}
+
+/**
+ * Replace a comment's body, keeping the previous one in its history
+ * @returns {Promise<{comment: object, newlyMentioned: object[]}>} newlyMentioned
+ * holds members who weren't mentioned before this edit
+ */
+async function editComment(comment, editor, input = {}) {
+  if (comment.deleted_at) {
+    throw new NotFoundError('Comment', comment.id);
+  }
+  if (comment.author_id !== editor.id) {
+    throw new AuthorizationError('Only the author can edit a comment', 'COMMENT_EDIT_FORBIDDEN');
+  }
+
+  const body = validateBody(input.body);
+  if (body === comment.body) {
+    return { comment, newlyMentioned: [] };
+  }
+
+  const mentioned = await resolveMentions(comment.team_id, body, editor.id);
+  const previousMentions = comment.mentions || [];
+  const now = new Date();
+  const history = [
+    ...(comment.edit_history || []),
+    { body: comment.body, replaced_at: now, edited_by: editor.id }
+  ].slice(-COMMENT_CONFIG.MAX_HISTORY);
+
+  await comment.update({
+    body,
+    mentions: mentioned.map(user => user.id),
+    edit_history: history,
+    edited_at: now
+  });
+
+  return {
+    comment,
+    newlyMentioned: mentioned.filter(user => !previousMentions.includes(user.id))
+  };
+}
+
+/**
+ * Delete a comment as its author or as a team owner/admin
+ * @param {object} sharedError
+ * @param {object} comment
+ * @param {object} membership - The acting user's active TeamMember row
+ * @returns {Promise<{comment: object, moderated: boolean, before: object}>}
+ * moderated is true when someone other than the author removed it
+ */
+async function deleteComment(sharedError, comment, membership) {
+  if (comment.deleted_at) {
+    throw new NotFoundError('Comment', comment.id);
+  }
+  if (!canModerate(membership, comment)) {
+    throw new AuthorizationError('You can only delete your own comments', 'COMMENT_DELETE_FORBIDDEN');
+  }
+
+  const before = { body: comment.body, author_id: comment.author_id };
+
+  await sequelize.transaction(async (transaction) => {
+    const lockedError = await lockSharedError(sharedError, transaction);
+    await comment.update({
+      body: null,
+      mentions: [],
+      reactions: {},
+      edit_history: [],
+      deleted_at: new Date(),
+      deleted_by: membership.user_id
+    }, { transaction });
+    await syncDiscussion(lockedError, transaction);
+  });
+
+  return { comment, moderated: comment.author_id !== membership.user_id, before };
+}
+
+/**
+ * Add or remove the user's reaction
+ * @param {object} comment
+ * @param {string} userId
+ * @param {string} reaction - One of COMMENT_CONFIG.REACTIONS
+ * @param {boolean} active - true to add, false to remove
+ */
+async function setReaction(comment, userId, reaction, active) {
+  if (!COMMENT_CONFIG.REACTIONS.includes(reaction)) {
+    throw new ValidationError(
+      'Unknown reaction',
+      [{ field: 'reaction', message: `Use one of: ${COMMENT_CONFIG.REACTIONS.join(', ')}` }],
+      'INVALID_REACTION'
+    );
+  }
+
+  return sequelize.transaction(async (transaction) => {
+    const locked = await SharedErrorComment.findByPk(comment.id, { transaction, lock: transaction.LOCK.UPDATE });
+    if (!locked || locked.deleted_at) {
+      throw new NotFoundError('Comment', comment.id);
+    }
+
+    const reactions = { ...(locked.reactions || {}) };
+    const users = (reactions[reaction] || []).filter(id => id !== userId);
+    if (active) users.push(userId);
+
+    if (users.length > 0) {
+      reactions[reaction] = users;
+    } else {
+      delete reactions[reaction];
+    }
+
+    await locked.update({ reactions }, { transaction });
+    return locked;
+  });
+}
+
+/**
+ * Current body and previous revisions, newest first
+ */
+async function getEditHistory(comment) {
+  if (comment.deleted_at) {
+    throw new NotFoundError('Comment', comment.id);
+  }
+
+  const editorIds = [...new Set((comment.edit_history || []).map(entry => entry.edited_by))];
+  const editors = editorIds.length > 0
+    ? await User.findAll({ where: { id: editorIds }, attributes: ['id', 'username'] })
+    : [];
+  const usernames = new Map(editors.map(user => [user.id, user.username]));
+
+  return {
+    current: { body: comment.body, editedAt: comment.edited_at, createdAt: comment.created_at },
+    revisions: (comment.edit_history || []).slice().reverse().map(entry => ({
+      body: entry.body,
+      replacedAt: entry.replaced_at,
+      editedBy: entry.edited_by ? { id: entry.edited_by, username: usernames.get(entry.edited_by) || null } : null
+    }))
+  };
+}
+
+module.exports = {
+  extractMentions,
+  findSharedError,
+  findComment,
+  canModerate,
+  listThread,
+  createComment,
+  editComment,
+  deleteComment,
+  setReaction,
+  getEditHistory,
+  toCommentResponse,
+  COMMENT_CONFIG
+};
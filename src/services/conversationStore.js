@@ -0,0 +1,310 @@
+/**
+ * Conversation Store
+ * Durable conversations for /api/conversation.
+ *
+ * Conversations and messages live in Postgres. The "hot" context used to
+ * build prompts (extracted context + last few messages) is cached in Redis so
+ * every cluster worker sees the same state; when Redis is unavailable or the
+ * entry has expired it is rebuilt from the database.
+ */
+
+const { Op } = require('sequelize');
+const sequelize = require('../config/database');
+const { redis } = require('../utils/redisClient');
+const Conversation = require('../models/Conversation');
+const ConversationMessage = require('../models/ConversationMessage');
+
+const CONVERSATION_CONFIG = {
+  CONTEXT_TTL: 3600,          // Seconds the hot context stays in Redis
+  CONTEXT_MESSAGES: 10,       // Messages kept in the hot context
+  TITLE_LENGTH: 80,           // Auto-generated title length
+  LIST_LIMIT: 20,
+  MAX_LIST_LIMIT: 100
+};
+
+const CONTEXT_PREFIX = 'conversation:context:';
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+function isConversationId(value) {
+  return typeof value === 'string' && UUID_PATTERN.test(value);
+}
+
+function titleFromMessage(message) {
+  const text = String(message || '').replace(/\s+/g, ' ').trim();
+  if (text.length <= CONVERSATION_CONFIG.TITLE_LENGTH) return text || 'New conversation';
+  return `${text.substring(0, CONVERSATION_CONFIG.TITLE_LENGTH - 1).trim()}…`;
+}
+
+function toMessage(row) {
+  return {
+    id: row.id,
+    role: row.role,
+    content: row.content,
+    type: row.type,
+    metadata: row.metadata,
+    timestamp: row.createdAt
+  };
+}
+
+function toSummary(conversation) {
+  return {
+    id: conversation.id,
+    title: conversation.title,
+    pinned: conversation.pinned,
+    messageCount: conversation.messageCount,
+    lastMessageAt: conversation.lastMessageAt,
+    createdAt: conversation.createdAt,
+    updatedAt: conversation.updatedAt
+  };
+}
+
+// ============================================================================
+// HOT CONTEXT (Redis)
+// ============================================================================
+
+async function cacheContext(state) {
+  await redis.set(`${CONTEXT_PREFIX}${state.id}`, state, CONVERSATION_CONFIG.CONTEXT_TTL);
+}
+
+async function dropContext(conversationIds) {
+  const ids = Array.isArray(conversationIds) ? conversationIds : [conversationIds];
+  if (ids.length === 0) return;
+  await redis.del(ids.map(id => `${CONTEXT_PREFIX}${id}`));
+}
+
+/**
+ * Load the prompt context for a conversation owned by userId
+ * @param {string} conversationId
+ * @param {string} userId
+ * @returns {Promise<object|null>} { id, userId, title, context, messages, createdAt } or null
+ */
+async function loadContext(conversationId, userId) {
+  if (!isConversationId(conversationId)) return null;
+
+  const cached = await redis.get(`${CONTEXT_PREFIX}${conversationId}`);
+  if (cached && cached.id === conversationId) {
+    return cached.userId === userId ? cached : null;
+  }
+
+  const conversation = await Conversation.findOne({ where: { id: conversationId, userId } });
+  if (!conversation) return null;
+
+  const recent = await ConversationMessage.findAll({
+    where: { conversationId },
+    order: [['position', 'DESC']],
+    limit: CONVERSATION_CONFIG.CONTEXT_MESSAGES
+  });
+
+  const state = {
+    id: conversation.id,
+    userId: conversation.userId,
+    title: conversation.title,
+    context: conversation.context || {},
+    messages: recent.reverse().map(toMessage),
+    createdAt: conversation.createdAt
+  };
+
+  await cacheContext(state);
+  return state;
+}
+
+/**
+ * Start a new conversation titled after its first message
+ */
+async function createConversation(userId, firstMessage) {
+  const conversation = await Conversation.create({
+    userId,
+    title: titleFromMessage(firstMessage),
+    context: {}
+  });
+
+  return {
+    id: conversation.id,
+    userId,
+    title: conversation.title,
+    context: {},
+    messages: [],
+    createdAt: conversation.createdAt
+  };
+}
+
+/**
+ * Persist new messages and context, then refresh the hot context
+ * @param {object} state - From loadContext/createConversation (updated in place)
+ * @param {Array<{role: string, content: string, type?: string, metadata?: object}>} messages
+ */
+async function appendMessages(state, messages) {
+  const rows = await sequelize.transaction(async (transaction) => {
+    // Lock the conversation so concurrent appends can't take the same positions
+    const conversation = await Conversation.findByPk(state.id, {
+      attributes: ['id', 'messageCount'],
+      transaction,
+      lock: transaction.LOCK.UPDATE
+    });
+    if (!conversation) {
+      throw new Error(`Conversation ${state.id} no longer exists`);
+    }
+
+    const created = await ConversationMessage.bulkCreate(
+      messages.map((message, index) => ({
+        conversationId: state.id,
+        position: conversation.messageCount + index,
+        role: message.role,
+        content: message.content,
+        type: message.type || null,
+        metadata: message.metadata || null
+      })),
+      { transaction }
+    );
+
+    await Conversation.update({
+      context: state.context,
+      messageCount: sequelize.literal(`"messageCount" + ${created.length}`),
+      lastMessageAt: new Date()
+    }, {
+      where: { id: state.id },
+      transaction
+    });
+
+    return created;
+  });
+
+  state.messages = [...state.messages, ...rows.map(toMessage)].slice(-CONVERSATION_CONFIG.CONTEXT_MESSAGES);
+  await cacheContext(state);
+  return state;
+}
+
+// ============================================================================
+// MANAGEMENT
+// ============================================================================
+
+/**
+ * Full conversation with every message
+ * @returns {Promise<object|null>}
+ */
+async function getConversation(conversationId) {
+  if (!isConversationId(conversationId)) return null;
+
+  const conversation = await Conversation.findByPk(conversationId);
+  if (!conversation) return null;
+
+  const messages = await ConversationMessage.findAll({
+    where: { conversationId },
+    order: [['position', 'ASC']]
+  });
+
+  return {
+    ...toSummary(conversation),
+    userId: conversation.userId,
+    context: conversation.context,
+    messages: messages.map(toMessage)
+  };
+}
+
+/**
+ * A user's conversations, pinned first then most recently active
+ * @param {string} userId
+ * @param {object} options - { limit, offset, pinned, search }
+ */
+async function listConversations(userId, { limit, offset = 0, pinned, search } = {}) {
+  const where = { userId };
+  if (pinned !== undefined) {
+    where.pinned = pinned;
+  }
+  if (search) {
+    where.title = { [Op.iLike]: `%${search}%` };
+  }
+
+  const pageSize = Math.min(parseInt(limit, 10) || CONVERSATION_CONFIG.LIST_LIMIT, CONVERSATION_CONFIG.MAX_LIST_LIMIT);
+  const start = Math.max(parseInt(offset, 10) || 0, 0);
+
+  const { rows, count } = await Conversation.findAndCountAll({
+    where,
+    order: [['pinned', 'DESC'], [sequelize.fn('COALESCE', sequelize.col('lastMessageAt'), sequelize.col('createdAt')), 'DESC']],
+    limit: pageSize,
+    offset: start
+  });
+
+  return {
+    conversations: rows.map(toSummary),
+    total: count,
+    limit: pageSize,
+    offset: start
+  };
+}
+
+/**
+ * Rename and/or pin a conversation
+ * @returns {Promise<object|null>} Updated summary, or null when not found
+ */
+async function updateConversation(conversationId, userId, { title, pinned } = {}) {
+  if (!isConversationId(conversationId)) return null;
+
+  const conversation = await Conversation.findOne({ where: { id: conversationId, userId } });
+  if (!conversation) return null;
+
+  const updates = {};
+  if (title !== undefined) updates.title = title;
+  if (pinned !== undefined) updates.pinned = pinned;
+
+  await conversation.update(updates);
+
+  if (updates.title !== undefined) {
+    await dropContext(conversationId);
+  }
+
+  return toSummary(conversation);
+}
+
+/**
+ * Delete a conversation and its messages
+ * @returns {Promise<boolean>} false when not found
+ */
+async function deleteConversation(conversationId, userId) {
+  if (!isConversationId(conversationId)) return false;
+
+  const deleted = await sequelize.transaction(async (transaction) => {
+    const conversation = await Conversation.findOne({ where: { id: conversationId, userId }, transaction });
+    if (!conversation) return false;
+
+    await ConversationMessage.destroy({ where: { conversationId }, transaction });
+    await conversation.destroy({ transaction });
+    return true;
+  });
+
+  if (deleted) {
+    await dropContext(conversationId);
+  }
+  return deleted;
+}
+
+/**
+ * Delete every conversation a user owns (account deletion)
+ */
+async function deleteUserConversations(userId) {
+  const conversations = await Conversation.findAll({ where: { userId }, attributes: ['id'] });
+  const ids = conversations.map(conversation => conversation.id);
+  if (ids.length === 0) return 0;
+
+  await sequelize.transaction(async (transaction) => {
+    await ConversationMessage.destroy({ where: { conversationId: ids }, transaction });
+    await Conversation.destroy({ where: { id: ids }, transaction });
+  });
+
+  await dropContext(ids);
+  return ids.length;
+}
+
+module.exports = {
+  isConversationId,
+  loadContext,
+  createConversation,
+  appendMessages,
+  getConversation,
+  listConversations,
+  updateConversation,
+  deleteConversation,
+  deleteUserConversations,
+  CONVERSATION_CONFIG
+};
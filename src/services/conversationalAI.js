@@ -8,14 +8,12 @@ const axios = require('axios');
 const cheerio = require('cheerio');
 const Anthropic = require('@anthropic-ai/sdk');
 const { GoogleGenerativeAI } = require('@google/generative-ai');
+const conversationStore = require('./conversationStore');
 
 // Initialize AI clients
 const anthropic = process.env.ANTHROPIC_API_KEY ? new Anthropic({ apiKey: process.env.ANTHROPIC_API_KEY }) : null;
 const genAI = process.env.GEMINI_API_KEY ? new GoogleGenerativeAI(process.env.GEMINI_API_KEY) : null;
 
-// Conversation context store (use Redis in production)
-const conversationContexts = new Map();
-
 // Tier-based AI configuration (matching pricing page)
 const AI_CONFIG = {
   free: {
@@ -405,26 +403,37 @@ async function getConversationalResponse({
   includeWebSearch = true
 }) {
   try {
-    // Get or create conversation context
-    const contextKey = conversationId || `${userId}_${Date.now()}`;
-    let conversation = conversationContexts.get(contextKey) || {
-      id: contextKey,
-      userId,
-      messages: [],
-      context: {},
-      createdAt: new Date()
-    };
+    // Resume a stored conversation, or start a new one (created on first save)
+    let conversation = conversationId ? await conversationStore.loadContext(conversationId, userId) : null;
+    if (!conversation) {
+      conversation = {
+        id: null,
+        userId,
+        messages: [],
+        context: {},
+        createdAt: new Date()
+      };
+    }
     
     // Extract context from current message
     const newContext = extractContext(message);
     conversation.context = { ...conversation.context, ...newContext };
     
-    // Add user message to history
-    conversation.messages.push({
+    const userMessage = {
       role: 'user',
       content: message,
       timestamp: new Date()
-    });
+    };
+    
+    // Persist the user's message and the reply together
+    const saveTurn = async (reply) => {
+      if (!conversation.id) {
+        const created = await conversationStore.createConversation(userId, message);
+        conversation = { ...created, context: conversation.context };
+      }
+      await conversationStore.appendMessages(conversation, [userMessage, reply]);
+      return conversation.id;
+    };
     
     // Get tier configuration
     const config = AI_CONFIG[tier] || AI_CONFIG.free;
@@ -436,7 +445,6 @@ async function getConversationalResponse({
       const followUpQuestions = generateFollowUpQuestions(message, conversation.context);
       
       const response = {
-        conversationId: contextKey,
         type: 'follow_up',
         message: "I'd like to help you better! Could you provide some more details?",
         questions: followUpQuestions,
@@ -444,14 +452,14 @@ async function getConversationalResponse({
       };
       
       // Save conversation
-      conversation.messages.push({
+      const savedId = await saveTurn({
         role: 'assistant',
         content: response.message,
-        timestamp: new Date()
+        type: 'follow_up',
+        metadata: { questions: followUpQuestions }
       });
-      conversationContexts.set(contextKey, conversation);
       
-      return response;
+      return { conversationId: savedId, ...response };
     }
     
     // Web scraping for Pro/Team users
@@ -463,7 +471,7 @@ async function getConversationalResponse({
     // Build AI prompt with conversation history and web context
     const aiPrompt = buildConversationalPrompt({
       currentMessage: message,
-      conversationHistory: conversation.messages.slice(-5), // Last 5 messages
+      conversationHistory: [...conversation.messages, userMessage].slice(-5), // Last 5 messages
       context: conversation.context,
       webContext,
       tier,
@@ -482,25 +490,15 @@ async function getConversationalResponse({
     }
     
     // Save AI response to conversation
-    conversation.messages.push({
+    const savedId = await saveTurn({
       role: 'assistant',
       content: aiResponse,
-      timestamp: new Date()
+      type: 'answer',
+      metadata: { sources: webContext || [], model: config.model }
     });
     
-    // Clean up old conversations (keep last 1 hour)
-    const oneHourAgo = Date.now() - (60 * 60 * 1000);
-    for (const [key, conv] of conversationContexts.entries()) {
-      if (conv.createdAt < oneHourAgo) {
-        conversationContexts.delete(key);
-      }
-    }
-    
-    // Save updated conversation
-    conversationContexts.set(contextKey, conversation);
-    
     return {
-      conversationId: contextKey,
+      conversationId: savedId,
       type: 'answer',
       message: aiResponse,
       context: conversation.context,
@@ -640,17 +638,17 @@ Your current tier: ${tier}`;
 }
 
 /**
- * Get conversation history for a user
+ * Get a stored conversation with all of its messages
  */
-function getConversationHistory(conversationId) {
-  return conversationContexts.get(conversationId) || null;
+async function getConversationHistory(conversationId) {
+  return conversationStore.getConversation(conversationId);
 }
 
 /**
- * Clear conversation context
+ * Delete a conversation and its messages
  */
-function clearConversation(conversationId) {
-  conversationContexts.delete(conversationId);
+async function clearConversation(conversationId, userId) {
+  return conversationStore.deleteConversation(conversationId, userId);
 }
 
 module.exports = {
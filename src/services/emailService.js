@@ -149,6 +149,14 @@ class EmailService {
     return await this.sendEmail(email, subject, htmlContent);
   }
 
+  // Sign-in from a browser/device the user hasn't used before
+  async sendNewDeviceLogin(email, username, details) {
+    const subject = 'New sign-in to your ErrorWise account';
+    const htmlContent = this.generateNewDeviceLoginHtml({ email, username }, details);
+    
+    return await this.sendEmail(email, subject, htmlContent);
+  }
+
   // Email templates
   generateWelcomeEmailHtml(user) {
     return `
@@ -354,6 +362,37 @@ class EmailService {
     `;
   }
 
+  generateNewDeviceLoginHtml(user, details) {
+    return `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h1 style="color: #2563eb;">New Sign-in Detected</h1>
+        <p>Hello ${user.username || user.email},</p>
+        <p>Your ErrorWise account was just used to sign in from a new device.</p>
+        <div style="background: #f3f4f6; padding: 20px; border-radius: 6px; margin: 20px 0;">
+          <p><strong>Device:</strong> ${details.browser} on ${details.os}</p>
+          <p><strong>IP address:</strong> ${this.escapeHtml(details.ipAddress || 'Unknown')}</p>
+          <p><strong>Approximate location:</strong> ${this.escapeHtml(details.location || 'Unknown')}</p>
+          <p><strong>Time:</strong> ${details.time.toLocaleString()}</p>
+        </div>
+        <div style="background: #fff3cd; padding: 15px; border-radius: 6px; margin: 20px 0; border-left: 4px solid #ffc107;">
+          <p><strong>⚠️ Wasn't you?</strong> Sign out of the session and change your password right away.</p>
+        </div>
+        <div style="text-align: center; margin: 30px 0;">
+          <a href="${process.env.FRONTEND_URL}/settings/security" 
+             style="background: #2563eb; color: white; padding: 12px 24px; text-decoration: none; border-radius: 6px;">
+            Review Active Sessions
+          </a>
+        </div>
+        <p>Best regards,<br>The ErrorWise Team</p>
+      </div>
+    `;
+  }
+
+  // Location comes from request headers, so escape it before it goes into HTML
+  escapeHtml(value) {
+    return String(value).replace(/[&<>"']/g, char => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[char]);
+  }
+
   // Utility function to strip HTML tags for text version
   stripHtml(html) {
     return html.replace(/<[^>]*>/g, '').replace(/\s+/g, ' ').trim();
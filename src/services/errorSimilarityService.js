@@ -0,0 +1,202 @@
+/**
+ * Error Similarity Service
+ * Finds past analyses of similar errors using character trigram similarity
+ * over normalized error text (see utils/errorFingerprint).
+ */
+
+const { Op } = require('sequelize');
+const { normalizeErrorMessage, fingerprintError } = require('../utils/errorFingerprint');
+const ErrorQuery = require('../models/ErrorQuery');
+const SharedError = require('../models/SharedError');
+const TeamMember = require('../models/TeamMember');
+
+const SIMILARITY_CONFIG = {
+  CANDIDATE_LIMIT: 500,       // Most recent rows compared per lookup
+  MIN_SIMILARITY: 0.55,       // Below this a match is noise
+  STRONG_MATCH: 0.8,          // Threshold for "you solved this before" on analyze
+  MAX_COMPARE_LENGTH: 600,    // Only the head of long traces carries the signal
+};
+
+/**
+ * Character trigrams of normalized text
+ * @param {string} normalized
+ * @returns {Set<string>}
+ */
+function trigrams(normalized) {
+  const text = ` ${normalized.substring(0, SIMILARITY_CONFIG.MAX_COMPARE_LENGTH)} `;
+  const grams = new Set();
+  for (let i = 0; i < text.length - 2; i++) {
+    grams.add(text.substring(i, i + 3));
+  }
+  return grams;
+}
+
+/**
+ * Dice coefficient over trigram sets (0..1)
+ */
+function trigramSimilarity(a, b) {
+  if (a.size === 0 || b.size === 0) return 0;
+
+  let shared = 0;
+  const [smaller, larger] = a.size <= b.size ? [a, b] : [b, a];
+  for (const gram of smaller) {
+    if (larger.has(gram)) shared++;
+  }
+  return (2 * shared) / (a.size + b.size);
+}
+
+/**
+ * Score candidates against a target error
+ * @param {string} errorMessage - Error to match
+ * @param {Array<{text: string, fingerprint?: string}>} candidates
+ * @returns {Array<{candidate: object, similarity: number}>} sorted best first
+ */
+function rankBySimilarity(errorMessage, candidates) {
+  const targetFingerprint = fingerprintError(errorMessage);
+  const targetGrams = trigrams(normalizeErrorMessage(errorMessage));
+
+  return candidates
+    .map(candidate => {
+      const similarity = candidate.fingerprint && candidate.fingerprint === targetFingerprint
+        ? 1
+        : trigramSimilarity(targetGrams, trigrams(candidate.normalized || normalizeErrorMessage(candidate.text)));
+      return { candidate, similarity: Number(similarity.toFixed(3)) };
+    })
+    .filter(match => match.similarity >= SIMILARITY_CONFIG.MIN_SIMILARITY)
+    .sort((a, b) => b.similarity - a.similarity);
+}
+
+/**
+ * Find the user's past analyses most similar to an error
+ * @param {string} userId
+ * @param {string} errorMessage
+ * @param {object} options - { excludeId, limit }
+ */
+async function findSimilarForUser(userId, errorMessage, { excludeId = null, limit = 5 } = {}) {
+  const where = { userId };
+  if (excludeId) {
+    where.id = { [Op.ne]: excludeId };
+  }
+
+  const rows = await ErrorQuery.findAll({
+    where,
+    attributes: ['id', 'errorMessage', 'normalizedMessage', 'fingerprint', 'explanation', 'solution', 'errorCategory', 'createdAt'],
+    order: [['createdAt', 'DESC']],
+    limit: SIMILARITY_CONFIG.CANDIDATE_LIMIT
+  });
+
+  const candidates = rows.map(row => ({
+    row,
+    text: row.errorMessage,
+    normalized: row.normalizedMessage,
+    fingerprint: row.fingerprint
+  }));
+
+  return rankBySimilarity(errorMessage, candidates)
+    .slice(0, limit)
+    .map(({ candidate, similarity }) => ({
+      source: 'history',
+      id: candidate.row.id,
+      similarity,
+      errorMessage: candidate.row.errorMessage,
+      explanation: candidate.row.explanation,
+      solution: candidate.row.solution,
+      category: candidate.row.errorCategory,
+      createdAt: candidate.row.createdAt,
+      solvedAgo: formatTimeAgo(candidate.row.createdAt)
+    }));
+}
+
+/**
+ * Find shared errors from the user's active teams similar to an error
+ * @param {string} userId
+ * @param {string} errorMessage
+ * @param {object} options - { excludeErrorQueryId, limit }
+ */
+async function findSimilarForTeams(userId, errorMessage, { excludeErrorQueryId = null, limit = 5 } = {}) {
+  const memberships = await TeamMember.findAll({
+    where: { user_id: userId, status: 'active' },
+    attributes: ['team_id']
+  });
+
+  if (memberships.length === 0) return [];
+
+  const sharedErrors = await SharedError.findAll({
+    where: { team_id: memberships.map(m => m.team_id) },
+    order: [['created_at', 'DESC']],
+    limit: SIMILARITY_CONFIG.CANDIDATE_LIMIT
+  });
+
+  const queryIds = sharedErrors
+    .map(shared => shared.error_query_id)
+    .filter(id => id && id !== excludeErrorQueryId);
+
+  const linkedQueries = await ErrorQuery.findAll({
+    where: { id: queryIds },
+    attributes: ['id', 'errorMessage', 'normalizedMessage', 'fingerprint', 'solution']
+  });
+  const queriesById = new Map(linkedQueries.map(query => [query.id, query]));
+
+  const candidates = sharedErrors
+    .filter(shared => shared.error_query_id !== excludeErrorQueryId)
+    .map(shared => {
+      const query = queriesById.get(shared.error_query_id);
+      return {
+        shared,
+        query,
+        // Fall back to the title/description when the linked analysis is gone
+        text: query ? query.errorMessage : `${shared.title}\n${shared.description || ''}`,
+        normalized: query?.normalizedMessage,
+        fingerprint: query?.fingerprint
+      };
+    });
+
+  return rankBySimilarity(errorMessage, candidates)
+    .slice(0, limit)
+    .map(({ candidate, similarity }) => ({
+      source: 'team',
+      id: candidate.shared.id,
+      teamId: candidate.shared.team_id,
+      errorQueryId: candidate.shared.error_query_id,
+      similarity,
+      title: candidate.shared.title,
+      status: candidate.shared.status,
+      priority: candidate.shared.priority,
+      solution: candidate.query?.solution || null,
+      sharedBy: candidate.shared.shared_by,
+      createdAt: candidate.shared.created_at,
+      solvedAgo: formatTimeAgo(candidate.shared.created_at)
+    }));
+}
+
+/**
+ * Human readable relative time ("3 weeks ago")
+ * @param {Date|string} date
+ */
+function formatTimeAgo(date) {
+  const seconds = Math.max(0, Math.floor((Date.now() - new Date(date).getTime()) / 1000));
+  const units = [
+    ['year', 31536000],
+    ['month', 2592000],
+    ['week', 604800],
+    ['day', 86400],
+    ['hour', 3600],
+    ['minute', 60]
+  ];
+
+  for (const [unit, size] of units) {
+    const count = Math.floor(seconds / size);
+    if (count >= 1) {
+      return `${count} ${unit}${count > 1 ? 's' : ''} ago`;
+    }
+  }
+  return 'just now';
+}
+
+module.exports = {
+  rankBySimilarity,
+  findSimilarForUser,
+  findSimilarForTeams,
+  formatTimeAgo,
+  SIMILARITY_CONFIG
+};
@@ -2,6 +2,8 @@ const { Op } = require('sequelize');
 const emailService = require('../utils/emailService');
 const User = require('../models/User');
 const TeamMember = require('../models/TeamMember');
+const Team = require('../models/Team');
+const chatNotifications = require('./chatNotificationService');
 
 class NotificationService {
   
@@ -94,8 +96,14 @@ class NotificationService {
 
   /**
    * Send shared error notification to team members
+   * (email, plus the team's Slack/Teams channels when a shared error is given)
    */
-  async sendSharedErrorNotification(sharedBy, teamId, errorTitle) {
+  async sendSharedErrorNotification(sharedBy, teamId, errorTitle, sharedError = null) {
+    if (sharedError) {
+      const kind = sharedError.priority === 'critical' ? 'critical' : 'created';
+      this.sendTeamChatNotification(teamId, kind, sharedError, sharedBy);
+    }
+
     try {
       // Get all active team members except the person who shared
       const teamMembers = await TeamMember.findAll({
@@ -127,6 +135,101 @@ class NotificationService {
     }
   }
 
+  /**
+   * Post shared error updates worth a channel message: resolution and
+   * escalation to critical priority
+   */
+  async sendSharedErrorUpdateNotification(actor, teamId, sharedError, previous) {
+    if (sharedError.status === 'resolved' && previous.status !== 'resolved') {
+      await this.sendTeamChatNotification(teamId, 'resolved', sharedError, actor);
+    } else if (sharedError.priority === 'critical' && previous.priority !== 'critical') {
+      await this.sendTeamChatNotification(teamId, 'escalated', sharedError, actor);
+    }
+  }
+
+  /**
+   * Email team members @mentioned in a shared error comment
+   */
+  async sendCommentMentionNotification(author, recipients, teamId, sharedError, comment) {
+    if (recipients.length === 0) return;
+
+    try {
+      const emailPromises = recipients.map(recipient =>
+        emailService.sendEmail({
+          to: recipient.email,
+          subject: `💬 ${author.username} mentioned you on "${sharedError.title}"`,
+          html: this.generateCommentMentionHtml(author, recipient, teamId, sharedError, comment)
+        })
+      );
+
+      await Promise.all(emailPromises);
+      console.log(`Mention notifications sent to ${recipients.length} team members`);
+    } catch (error) {
+      console.error('Failed to send mention notifications:', error);
+    }
+  }
+
+  /**
+   * Email team members newly assigned to a shared error
+   */
+  async sendAssignmentNotification(assignedBy, recipients, teamId, sharedError) {
+    if (recipients.length === 0) return;
+
+    try {
+      const emailPromises = recipients.map(recipient =>
+        emailService.sendEmail({
+          to: recipient.email,
+          subject: `📌 ${assignedBy.username} assigned you "${sharedError.title}"`,
+          html: this.generateAssignmentHtml(assignedBy, recipient, teamId, sharedError)
+        })
+      );
+
+      await Promise.all(emailPromises);
+      console.log(`Assignment notifications sent to ${recipients.length} team members`);
+    } catch (error) {
+      console.error('Failed to send assignment notifications:', error);
+    }
+  }
+
+  /**
+   * Remind assignees (or owners/admins) that a shared error is past its due date or SLA
+   */
+  async sendOverdueReminderNotification(recipients, team, sharedError) {
+    if (recipients.length === 0) return;
+
+    try {
+      const emailPromises = recipients.map(recipient =>
+        emailService.sendEmail({
+          to: recipient.email,
+          subject: `⏰ Overdue in ${team.name}: "${sharedError.title}"`,
+          html: this.generateOverdueReminderHtml(recipient, team, sharedError)
+        })
+      );
+
+      await Promise.all(emailPromises);
+      console.log(`Overdue reminders for shared error ${sharedError.id} sent to ${recipients.length} team members`);
+    } catch (error) {
+      console.error('Failed to send overdue reminders:', error);
+    }
+  }
+
+  /**
+   * Post to the Slack / Microsoft Teams webhooks configured in Team.settings
+   */
+  async sendTeamChatNotification(teamId, kind, sharedError, actor) {
+    try {
+      const team = await Team.findByPk(teamId, { attributes: ['id', 'name', 'settings'] });
+      if (!team) return;
+
+      const delivered = await chatNotifications.postToTeamChannels(team, kind, { sharedError, actor });
+      if (delivered.length > 0) {
+        console.log(`Team chat notification (${kind}) sent to ${delivered.join(', ')} for team ${teamId}`);
+      }
+    } catch (error) {
+      console.error('Failed to send team chat notification:', error);
+    }
+  }
+
   /**
    * Check and send trial ending notifications (to be run daily via cron)
    */
@@ -375,6 +478,103 @@ class NotificationService {
       </div>
     `;
   }
+
+  generateCommentMentionHtml(author, recipient, teamId, sharedError, comment) {
+    const viewUrl = `${process.env.FRONTEND_URL}/teams/${teamId}/errors/${sharedError.id}#comment-${comment.id}`;
+    const excerpt = comment.body.length > 500 ? `${comment.body.substring(0, 499)}…` : comment.body;
+
+    return `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px;">
+        <div style="text-align: center; margin-bottom: 30px;">
+          <h1 style="color: #2563eb; margin: 0;">💬 You were mentioned</h1>
+        </div>
+        
+        <p>Hi ${this.escapeHtml(recipient.username || recipient.email.split('@')[0])},</p>
+        
+        <p><strong>${this.escapeHtml(author.username)}</strong> mentioned you in the discussion on "<strong>${this.escapeHtml(sharedError.title)}</strong>":</p>
+        
+        <div style="background: #f8fafc; padding: 20px; border-radius: 8px; margin: 20px 0; border-left: 4px solid #2563eb; white-space: pre-wrap; font-family: monospace; font-size: 13px;">${this.escapeHtml(excerpt)}</div>
+        
+        <div style="text-align: center; margin: 30px 0;">
+          <a href="${viewUrl}" 
+             style="background: #2563eb; color: white; padding: 12px 30px; text-decoration: none; border-radius: 6px; display: inline-block;">
+            Reply →
+          </a>
+        </div>
+      </div>
+    `;
+  }
+
+  generateAssignmentHtml(assignedBy, recipient, teamId, sharedError) {
+    const viewUrl = `${process.env.FRONTEND_URL}/teams/${teamId}/errors/${sharedError.id}`;
+    const dueAt = sharedError.due_at || sharedError.sla_due_at;
+
+    return `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px;">
+        <div style="text-align: center; margin-bottom: 30px;">
+          <h1 style="color: #2563eb; margin: 0;">📌 New Assignment</h1>
+        </div>
+        
+        <p>Hi ${this.escapeHtml(recipient.username || recipient.email.split('@')[0])},</p>
+        
+        <p><strong>${this.escapeHtml(assignedBy.username)}</strong> assigned you a shared error:</p>
+        
+        <div style="background: #f8fafc; padding: 20px; border-radius: 8px; margin: 20px 0; border-left: 4px solid #2563eb;">
+          <h3 style="color: #1e40af; margin-top: 0;">"${this.escapeHtml(sharedError.title)}"</h3>
+          <p><strong>Priority:</strong> ${sharedError.priority}</p>
+          ${dueAt ? `<p><strong>Due:</strong> ${new Date(dueAt).toUTCString()}</p>` : ''}
+        </div>
+        
+        <div style="text-align: center; margin: 30px 0;">
+          <a href="${viewUrl}" 
+             style="background: #2563eb; color: white; padding: 12px 30px; text-decoration: none; border-radius: 6px; display: inline-block;">
+            View Error →
+          </a>
+        </div>
+      </div>
+    `;
+  }
+
+  generateOverdueReminderHtml(recipient, team, sharedError) {
+    const viewUrl = `${process.env.FRONTEND_URL}/teams/${team.id}/errors/${sharedError.id}`;
+    const deadlines = [
+      sharedError.due_at && `<p><strong>Due date:</strong> ${new Date(sharedError.due_at).toUTCString()}</p>`,
+      sharedError.sla_due_at && `<p><strong>SLA deadline (${sharedError.priority}):</strong> ${new Date(sharedError.sla_due_at).toUTCString()}</p>`
+    ].filter(Boolean).join('');
+
+    return `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px;">
+        <div style="text-align: center; margin-bottom: 30px;">
+          <h1 style="color: #dc2626; margin: 0;">⏰ Shared Error Overdue</h1>
+        </div>
+        
+        <p>Hi ${this.escapeHtml(recipient.username || recipient.email.split('@')[0])},</p>
+        
+        <p>This shared error in <strong>${this.escapeHtml(team.name)}</strong> is still ${sharedError.status} and past its deadline:</p>
+        
+        <div style="background: #fef2f2; padding: 20px; border-radius: 8px; margin: 20px 0; border-left: 4px solid #dc2626;">
+          <h3 style="color: #991b1b; margin-top: 0;">"${this.escapeHtml(sharedError.title)}"</h3>
+          ${deadlines}
+        </div>
+        
+        <div style="text-align: center; margin: 30px 0;">
+          <a href="${viewUrl}" 
+             style="background: #dc2626; color: white; padding: 12px 30px; text-decoration: none; border-radius: 6px; display: inline-block;">
+            View Error →
+          </a>
+        </div>
+        
+        <p style="color: #6b7280; font-size: 14px;">
+          You'll get this reminder once a day until the error is resolved or its deadline changes.
+        </p>
+      </div>
+    `;
+  }
+
+  // Comment bodies and titles are user content, so escape them before they go into HTML
+  escapeHtml(value) {
+    return String(value).replace(/[&<>"']/g, char => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[char]);
+  }
 }
 
 module.exports = new NotificationService();
\ No newline at end of file
@@ -0,0 +1,481 @@
+/**
+ * OAuth Sign-in Service
+ * GitHub and Google sign-in using the authorization-code flow with PKCE,
+ * plus linking and unlinking providers on an existing account.
+ *
+ * The browser is sent to the provider with a random state and an S256 code
+ * challenge; both live in Redis until the callback. A successful login hands
+ * the SPA a short-lived one-time code that it exchanges for the usual
+ * access/refresh tokens, so tokens never appear in a redirect URL.
+ *
+ * Every provider endpoint can be overridden through the environment, which is
+ * how a local mock OAuth server is plugged in for testing.
+ */
+
+const crypto = require('crypto');
+const axios = require('axios');
+const { Op, fn, col, where } = require('sequelize');
+const User = require('../models/User');
+const OAuthAccount = require('../models/OAuthAccount');
+const userTrackingService = require('./userTrackingService');
+const { redisClient } = require('../utils/redisClient');
+const { ValidationError } = require('../utils/errors');
+
+const OAUTH_CONFIG = {
+  STATE_TTL: 10 * 60,            // 10 minutes to complete the provider round trip
+  LOGIN_CODE_TTL: 60,            // One-time code the SPA exchanges for tokens
+  REQUEST_TIMEOUT: 10000,
+  STATE_PREFIX: 'oauth:state:',
+  LOGIN_CODE_PREFIX: 'oauth:login:'
+};
+
+const PROVIDERS = {
+  github: {
+    name: 'GitHub',
+    clientId: () => process.env.GITHUB_CLIENT_ID,
+    clientSecret: () => process.env.GITHUB_CLIENT_SECRET,
+    authorizeUrl: () => process.env.OAUTH_GITHUB_AUTHORIZE_URL || 'https://github.com/login/oauth/authorize',
+    tokenUrl: () => process.env.OAUTH_GITHUB_TOKEN_URL || 'https://github.com/login/oauth/access_token',
+    userUrl: () => process.env.OAUTH_GITHUB_USER_URL || 'https://api.github.com/user',
+    emailsUrl: () => process.env.OAUTH_GITHUB_EMAILS_URL || 'https://api.github.com/user/emails',
+    scope: 'read:user user:email'
+  },
+  google: {
+    name: 'Google',
+    clientId: () => process.env.GOOGLE_CLIENT_ID,
+    clientSecret: () => process.env.GOOGLE_CLIENT_SECRET,
+    authorizeUrl: () => process.env.OAUTH_GOOGLE_AUTHORIZE_URL || 'https://accounts.google.com/o/oauth2/v2/auth',
+    tokenUrl: () => process.env.OAUTH_GOOGLE_TOKEN_URL || 'https://oauth2.googleapis.com/token',
+    userUrl: () => process.env.OAUTH_GOOGLE_USERINFO_URL || 'https://openidconnect.googleapis.com/v1/userinfo',
+    scope: 'openid email profile'
+  }
+};
+
+// ============================================================================
+// PROVIDERS
+// ============================================================================
+
+function getProvider(provider) {
+  const config = PROVIDERS[provider];
+  if (!config) {
+    throw new ValidationError('Unsupported sign-in provider', [], 'OAUTH_UNKNOWN_PROVIDER');
+  }
+  if (!config.clientId() || !config.clientSecret()) {
+    throw new ValidationError(`${config.name} sign-in is not configured`, [], 'OAUTH_NOT_CONFIGURED');
+  }
+  return config;
+}
+
+/**
+ * Providers with client credentials set, for the login page
+ * @returns {Array<{id: string, name: string}>}
+ */
+function listEnabledProviders() {
+  return Object.entries(PROVIDERS)
+    .filter(([, config]) => config.clientId() && config.clientSecret())
+    .map(([id, config]) => ({ id, name: config.name }));
+}
+
+function callbackUrl(provider) {
+  const base = process.env.BACKEND_URL || 'http://localhost:3001';
+  return `${base}/api/auth/oauth/${provider}/callback`;
+}
+
+// Only same-site paths are accepted as the post-login destination
+function sanitizeRedirectPath(path) {
+  if (typeof path !== 'string' || !path.startsWith('/') || path.startsWith('//') || path.includes('\\')) {
+    return null;
+  }
+  return path.substring(0, 512);
+}
+
+// ============================================================================
+// ONE-TIME REDIS VALUES
+// ============================================================================
+
+function requireRedis() {
+  if (!redisClient.isOpen) {
+    const error = new Error('OAuth sign-in is temporarily unavailable');
+    error.statusCode = 503;
+    throw error;
+  }
+}
+
+async function storeOnce(key, value, ttl) {
+  requireRedis();
+  await redisClient.setEx(key, ttl, JSON.stringify(value));
+}
+
+// Read and delete in one step so states and login codes can't be replayed
+async function takeOnce(key) {
+  requireRedis();
+  const raw = await redisClient.getDel(key);
+  return raw ? JSON.parse(raw) : null;
+}
+
+function randomToken() {
+  return crypto.randomBytes(32).toString('base64url');
+}
+
+// ============================================================================
+// AUTHORIZATION
+// ============================================================================
+
+/**
+ * Build the provider authorization URL and remember the PKCE verifier
+ * @param {string} provider - 'github' | 'google'
+ * @param {object} options - { mode: 'login'|'link', userId (link only), redirectPath }
+ * @returns {Promise<string>} URL to send the browser to
+ */
+async function createAuthorizationUrl(provider, { mode = 'login', userId = null, redirectPath = null } = {}) {
+  const config = getProvider(provider);
+
+  const state = randomToken();
+  const codeVerifier = randomToken();
+  const codeChallenge = crypto.createHash('sha256').update(codeVerifier).digest('base64url');
+
+  await storeOnce(OAUTH_CONFIG.STATE_PREFIX + state, {
+    provider,
+    codeVerifier,
+    mode,
+    userId,
+    redirectPath: sanitizeRedirectPath(redirectPath)
+  }, OAUTH_CONFIG.STATE_TTL);
+
+  const params = new URLSearchParams({
+    client_id: config.clientId(),
+    redirect_uri: callbackUrl(provider),
+    response_type: 'code',
+    scope: config.scope,
+    state,
+    code_challenge: codeChallenge,
+    code_challenge_method: 'S256'
+  });
+  if (provider === 'google') {
+    params.set('prompt', 'select_account');
+  }
+
+  return `${config.authorizeUrl()}?${params.toString()}`;
+}
+
+/**
+ * Consume the state returned to the callback
+ * @returns {Promise<object>} { provider, codeVerifier, mode, userId, redirectPath }
+ * @throws {ValidationError} when the state is unknown, expired or for another provider
+ */
+async function consumeState(provider, state) {
+  const stored = state ? await takeOnce(OAUTH_CONFIG.STATE_PREFIX + state) : null;
+  if (!stored || stored.provider !== provider) {
+    throw new ValidationError('Sign-in session expired. Please try again.', [], 'OAUTH_INVALID_STATE');
+  }
+  return stored;
+}
+
+// ============================================================================
+// PROVIDER API
+// ============================================================================
+
+async function exchangeCode(provider, code, codeVerifier) {
+  const config = getProvider(provider);
+  const body = new URLSearchParams({
+    client_id: config.clientId(),
+    client_secret: config.clientSecret(),
+    code,
+    code_verifier: codeVerifier,
+    redirect_uri: callbackUrl(provider),
+    grant_type: 'authorization_code'
+  });
+
+  const response = await axios.post(config.tokenUrl(), body.toString(), {
+    headers: {
+      'Content-Type': 'application/x-www-form-urlencoded',
+      Accept: 'application/json'
+    },
+    timeout: OAUTH_CONFIG.REQUEST_TIMEOUT
+  });
+
+  // GitHub reports bad codes with a 200 and an error field
+  if (!response.data || !response.data.access_token) {
+    throw new ValidationError(`${config.name} rejected the sign-in request`, [], 'OAUTH_EXCHANGE_FAILED');
+  }
+  return response.data.access_token;
+}
+
+async function fetchGithubProfile(config, accessToken) {
+  const headers = {
+    Authorization: `Bearer ${accessToken}`,
+    Accept: 'application/vnd.github+json',
+    'User-Agent': 'ErrorWise'
+  };
+  const [{ data: profile }, { data: emails }] = await Promise.all([
+    axios.get(config.userUrl(), { headers, timeout: OAUTH_CONFIG.REQUEST_TIMEOUT }),
+    axios.get(config.emailsUrl(), { headers, timeout: OAUTH_CONFIG.REQUEST_TIMEOUT })
+  ]);
+
+  const primary = (emails || []).find(entry => entry.primary && entry.verified);
+
+  return {
+    providerUserId: String(profile.id),
+    email: primary ? primary.email.toLowerCase() : null,
+    emailVerified: !!primary,
+    username: profile.login || null,
+    displayName: profile.name || profile.login || null,
+    avatarUrl: profile.avatar_url || null
+  };
+}
+
+async function fetchGoogleProfile(config, accessToken) {
+  const { data: profile } = await axios.get(config.userUrl(), {
+    headers: { Authorization: `Bearer ${accessToken}` },
+    timeout: OAUTH_CONFIG.REQUEST_TIMEOUT
+  });
+
+  return {
+    providerUserId: String(profile.sub),
+    email: profile.email ? profile.email.toLowerCase() : null,
+    emailVerified: profile.email_verified === true || profile.email_verified === 'true',
+    username: profile.email ? profile.email.split('@')[0] : null,
+    displayName: profile.name || null,
+    avatarUrl: profile.picture || null
+  };
+}
+
+/**
+ * Trade the callback code for the provider profile
+ * @returns {Promise<object>} { providerUserId, email, emailVerified, username, displayName, avatarUrl }
+ */
+async function fetchProfile(provider, code, codeVerifier) {
+  const config = getProvider(provider);
+  const accessToken = await exchangeCode(provider, code, codeVerifier);
+  const profile = provider === 'github'
+    ? await fetchGithubProfile(config, accessToken)
+    : await fetchGoogleProfile(config, accessToken);
+
+  if (!profile.providerUserId || profile.providerUserId === 'undefined') {
+    throw new ValidationError(`${config.name} did not return an account id`, [], 'OAUTH_PROFILE_FAILED');
+  }
+  return profile;
+}
+
+// ============================================================================
+// ACCOUNTS
+// ============================================================================
+
+function profileFields(profile) {
+  return {
+    email: profile.email,
+    username: profile.username,
+    display_name: profile.displayName,
+    avatar_url: profile.avatarUrl
+  };
+}
+
+async function createLink(user, provider, profile) {
+  const account = await OAuthAccount.create({
+    user_id: user.id,
+    provider,
+    provider_user_id: profile.providerUserId,
+    ...profileFields(profile),
+    last_login_at: new Date()
+  });
+
+  // Keep the legacy column in sync so deleted-account history still matches
+  if (provider === 'google' && !user.googleId) {
+    await user.update({ googleId: profile.providerUserId });
+  }
+  return account;
+}
+
+function findByIdentity(provider, providerUserId) {
+  return OAuthAccount.findOne({ where: { provider, provider_user_id: providerUserId } });
+}
+
+/**
+ * Find or create the user behind a provider identity.
+ * Known identities sign straight in; otherwise the identity is linked to the
+ * account with the same verified email, or a new account is created.
+ * @returns {Promise<{user: object, created: boolean, linked: boolean}>}
+ */
+async function resolveLoginUser(provider, profile) {
+  const existing = await findByIdentity(provider, profile.providerUserId);
+  if (existing) {
+    const user = await User.findByPk(existing.user_id);
+    if (!user) {
+      throw new ValidationError('This account no longer exists', [], 'OAUTH_ACCOUNT_MISSING');
+    }
+    await existing.update({ ...profileFields(profile), last_login_at: new Date() });
+    return { user, created: false, linked: false };
+  }
+
+  if (!profile.email || !profile.emailVerified) {
+    throw new ValidationError(
+      `Your ${PROVIDERS[provider].name} account has no verified email address`,
+      [],
+      'OAUTH_EMAIL_NOT_VERIFIED'
+    );
+  }
+
+  const user = await User.findOne({
+    where: where(fn('lower', col('email')), profile.email)
+  });
+
+  if (user) {
+    // An unverified local account could have been registered by someone else
+    // with this address, so it has to be linked from settings after a password login
+    if (!user.isEmailVerified) {
+      throw new ValidationError(
+        'An account with this email exists but is not verified. Sign in with your password and link the provider from settings.',
+        [],
+        'OAUTH_LINK_REQUIRES_LOGIN'
+      );
+    }
+    const otherIdentity = await OAuthAccount.findOne({ where: { user_id: user.id, provider } });
+    if (otherIdentity) {
+      throw new ValidationError(
+        `A different ${PROVIDERS[provider].name} account is already linked to this email`,
+        [],
+        'OAUTH_PROVIDER_ALREADY_LINKED'
+      );
+    }
+    await createLink(user, provider, profile);
+    return { user, created: false, linked: true };
+  }
+
+  const result = await userTrackingService.registerUser({
+    username: profile.username || profile.email.split('@')[0],
+    email: profile.email,
+    password: null,
+    googleId: provider === 'google' ? profile.providerUserId : null,
+    emailVerified: true,
+    signupMethod: provider
+  });
+  await createLink(result.user, provider, profile);
+  return { user: result.user, created: true, linked: true };
+}
+
+/**
+ * Link a provider identity to a signed-in user
+ * @throws {ValidationError} when the identity belongs to someone else or the
+ * user already has a different identity for this provider
+ */
+async function linkAccount(userId, provider, profile) {
+  const user = await User.findByPk(userId);
+  if (!user) {
+    throw new ValidationError('User not found', [], 'OAUTH_ACCOUNT_MISSING');
+  }
+
+  const existing = await findByIdentity(provider, profile.providerUserId);
+  if (existing) {
+    if (existing.user_id !== user.id) {
+      throw new ValidationError(
+        `This ${PROVIDERS[provider].name} account is already linked to another user`,
+        [],
+        'OAUTH_IDENTITY_IN_USE'
+      );
+    }
+    await existing.update(profileFields(profile));
+    return { user, account: existing };
+  }
+
+  const current = await OAuthAccount.findOne({ where: { user_id: user.id, provider } });
+  if (current) {
+    throw new ValidationError(
+      `Unlink your current ${PROVIDERS[provider].name} account first`,
+      [],
+      'OAUTH_PROVIDER_ALREADY_LINKED'
+    );
+  }
+
+  const account = await createLink(user, provider, profile);
+  return { user, account };
+}
+
+/**
+ * Remove a linked provider. Refused when it is the only way left to sign in.
+ * @returns {Promise<object>} The removed account
+ */
+async function unlinkAccount(user, provider) {
+  if (!PROVIDERS[provider]) {
+    throw new ValidationError('Unsupported sign-in provider', [], 'OAUTH_UNKNOWN_PROVIDER');
+  }
+
+  const account = await OAuthAccount.findOne({ where: { user_id: user.id, provider } });
+  if (!account) {
+    throw new ValidationError(`${PROVIDERS[provider].name} is not linked`, [], 'OAUTH_NOT_LINKED');
+  }
+
+  const otherLinks = await OAuthAccount.count({
+    where: { user_id: user.id, provider: { [Op.ne]: provider } }
+  });
+  if (!user.password && otherLinks === 0) {
+    throw new ValidationError(
+      'Set a password before unlinking your only sign-in method',
+      [],
+      'OAUTH_LAST_SIGN_IN_METHOD'
+    );
+  }
+
+  await account.destroy();
+  if (provider === 'google' && user.googleId === account.provider_user_id) {
+    await user.update({ googleId: null });
+  }
+  return account;
+}
+
+/**
+ * Linked providers for the settings page
+ */
+async function listLinkedAccounts(userId) {
+  const accounts = await OAuthAccount.findAll({
+    where: { user_id: userId },
+    order: [['created_at', 'ASC']]
+  });
+  return accounts.map(account => ({
+    provider: account.provider,
+    email: account.email,
+    username: account.username,
+    displayName: account.display_name,
+    avatarUrl: account.avatar_url,
+    linkedAt: account.created_at,
+    lastLoginAt: account.last_login_at
+  }));
+}
+
+// ============================================================================
+// LOGIN CODES
+// ============================================================================
+
+/**
+ * Short-lived single-use code the SPA exchanges for tokens.
+ * Team SSO logins reuse it with their own method ('sso_saml' / 'sso_oidc').
+ * @returns {Promise<string>}
+ */
+async function createLoginCode(userId, provider, method = `oauth_${provider}`) {
+  const code = randomToken();
+  await storeOnce(OAUTH_CONFIG.LOGIN_CODE_PREFIX + code, { userId, provider, method }, OAUTH_CONFIG.LOGIN_CODE_TTL);
+  return code;
+}
+
+/**
+ * @returns {Promise<{userId: string, provider: string, method: string}|null>} null when unknown or used
+ */
+async function consumeLoginCode(code) {
+  if (!code || typeof code !== 'string') return null;
+  return takeOnce(OAUTH_CONFIG.LOGIN_CODE_PREFIX + code);
+}
+
+module.exports = {
+  listEnabledProviders,
+  createAuthorizationUrl,
+  consumeState,
+  fetchProfile,
+  resolveLoginUser,
+  linkAccount,
+  unlinkAccount,
+  listLinkedAccounts,
+  createLoginCode,
+  consumeLoginCode,
+  sanitizeRedirectPath,
+  PROVIDERS,
+  OAUTH_CONFIG
+};
@@ -1,5 +1,6 @@
 const axios = require('axios');
 const crypto = require('crypto');
+const metrics = require('../utils/metrics');
 
 class DodoPaymentService {
   constructor() {
@@ -268,6 +269,7 @@ class DodoPaymentService {
         }, { where: { id: userId } });
       }
 
+      metrics.increment('subscription_upgrades_total', { tier: planId || 'pro', source: 'checkout' });
       console.log(`Subscription activated for user ${userId}, plan: ${planName}`);
       
       return {
@@ -444,6 +446,7 @@ class DodoPaymentService {
           },
           { where: { id: parseInt(userId) } }
         );
+        metrics.increment('subscription_upgrades_total', { tier: planId || 'pro', source: 'subscription_active' });
       }
 
       console.log(`✅ Subscription activated for user ${userId}`);
@@ -531,6 +534,7 @@ class DodoPaymentService {
         );
       }
 
+      metrics.increment('subscription_upgrades_total', { tier: newPlanId || 'unknown', source: 'plan_change' });
       console.log(`✅ Subscription plan changed: ${subscriptionId} -> ${newPlanId}`);
       return { success: true, message: 'Subscription plan updated' };
     } catch (error) {
@@ -0,0 +1,432 @@
+/**
+ * Realtime Gateway
+ * WebSocket endpoint (/ws) that pushes team activity to connected members.
+ *
+ * Connections authenticate with the same access token as the REST API: an
+ * "Authorization: Bearer" header, the accessToken cookie, or ?token= for
+ * browser clients that can't set headers. Like the team routes they need the
+ * Team plan. A socket follows all of the user's active teams; member.joined
+ * and member.removed events add and drop teams on the fly. Teams that require
+ * 2FA are skipped for users without it, as on the REST routes. Sockets close
+ * with 4401 when the token expires or its session is revoked, so clients
+ * reconnect with a fresh token.
+ *
+ * Server -> client:
+ *   { type: 'ready', connection_id, user, teams: [{ team_id, online }] }
+ *   { type: 'event', event: { id, type, team_id, data, actor, at } }
+ *   { type: 'presence', team_id, online }
+ *   { type: 'pong' } | { type: 'error', error }
+ * Client -> server:
+ *   { type: 'ping' } | { type: 'presence', teamId }
+ */
+
+const { WebSocketServer, WebSocket } = require('ws');
+const { v4: uuidv4 } = require('uuid');
+const jwt = require('jsonwebtoken');
+const User = require('../models/User');
+const Team = require('../models/Team');
+const TeamMember = require('../models/TeamMember');
+const { resolveAccessToken } = require('../middleware/auth');
+const { touchSession } = require('../middleware/session');
+const teamEvents = require('./teamEventBus');
+const { teamRequiresTwoFactor } = require('./twoFactorService');
+
+const GATEWAY_CONFIG = {
+  PATH: '/ws',
+  HEARTBEAT_INTERVAL_MS: 30 * 1000,         // Ping sockets and refresh presence
+  SESSION_CHECK_INTERVAL_MS: 5 * 60 * 1000, // Re-check sessions and 2FA policy this often
+  MAX_PAYLOAD_BYTES: 16 * 1024,
+  MAX_CONNECTIONS_PER_USER: 10              // Per worker
+};
+
+const CLOSE_CODES = {
+  GOING_AWAY: 1001,
+  INTERNAL_ERROR: 1011,
+  UNAUTHORIZED: 4401
+};
+
+// setTimeout can't wait longer than this
+const MAX_TIMER_MS = 2 ** 31 - 1;
+
+let wss = null;
+let heartbeat = null;
+let unsubscribe = null;
+const connections = new Set();
+
+// ============================================================================
+// HANDSHAKE
+// ============================================================================
+
+function parseCookies(header) {
+  const cookies = {};
+  for (const part of String(header || '').split(';')) {
+    const index = part.indexOf('=');
+    if (index === -1) continue;
+    const name = part.slice(0, index).trim();
+    try {
+      cookies[name] = decodeURIComponent(part.slice(index + 1).trim());
+    } catch (error) {
+      cookies[name] = part.slice(index + 1).trim();
+    }
+  }
+  return cookies;
+}
+
+function tokenFromRequest(req, url) {
+  const authHeader = req.headers['authorization'];
+  if (authHeader && /^Bearer\s/i.test(authHeader)) {
+    return authHeader.replace(/^Bearer\s+/i, '').trim();
+  }
+  return parseCookies(req.headers.cookie).accessToken || url.searchParams.get('token');
+}
+
+function rejectUpgrade(socket, status, reason) {
+  if (socket.destroyed) return;
+  socket.write(`HTTP/1.1 ${status} ${reason}\r\nConnection: close\r\nContent-Length: 0\r\n\r\n`);
+  socket.destroy();
+}
+
+/**
+ * Authenticate an upgrade request and hand the socket to the gateway
+ */
+async function handleUpgrade(req, socket, head, isOriginAllowed) {
+  const url = new URL(req.url, 'http://localhost');
+  if (url.pathname !== GATEWAY_CONFIG.PATH) {
+    return rejectUpgrade(socket, 404, 'Not Found');
+  }
+
+  // Browsers always send Origin; cookie auth must not work from other sites
+  if (req.headers.origin && !isOriginAllowed(req.headers.origin)) {
+    return rejectUpgrade(socket, 403, 'Forbidden');
+  }
+
+  const token = tokenFromRequest(req, url);
+  if (!token) {
+    return rejectUpgrade(socket, 401, 'Unauthorized');
+  }
+
+  let auth;
+  try {
+    auth = await resolveAccessToken(token, req.socket.remoteAddress);
+  } catch (error) {
+    if (error instanceof jwt.JsonWebTokenError) {
+      return rejectUpgrade(socket, 401, 'Unauthorized');
+    }
+    throw error;
+  }
+  if (auth.error) {
+    return rejectUpgrade(socket, 401, 'Unauthorized');
+  }
+
+  const account = await User.findByPk(auth.user.id, { attributes: ['id', 'subscriptionTier', 'twoFactorEnabled'] });
+  if (!account || account.subscriptionTier !== 'team') {
+    return rejectUpgrade(socket, 403, 'Forbidden');
+  }
+
+  const open = [...connections].filter(connection => connection.user.id === auth.user.id).length;
+  if (open >= GATEWAY_CONFIG.MAX_CONNECTIONS_PER_USER) {
+    return rejectUpgrade(socket, 429, 'Too Many Requests');
+  }
+
+  wss.handleUpgrade(req, socket, head, (ws) => {
+    onConnection(ws, { ...auth, twoFactorEnabled: account.twoFactorEnabled }, req.socket.remoteAddress);
+  });
+}
+
+// ============================================================================
+// CONNECTIONS
+// ============================================================================
+
+function send(connection, message) {
+  if (connection.ws.readyState === WebSocket.OPEN) {
+    connection.ws.send(JSON.stringify(message));
+  }
+}
+
+async function joinTeam(connection, teamId) {
+  if (connection.closed || connection.teams.has(teamId)) return;
+  connection.teams.add(teamId);
+
+  const cameOnline = await teamEvents.markOnline(teamId, connection.user.id, connection.id);
+  if (cameOnline) {
+    teamEvents.publishTeamEvent(teamId, 'presence.online', {
+      user_id: connection.user.id,
+      username: connection.user.username
+    }, connection.user);
+  }
+}
+
+/**
+ * The subset of teamIds this connection may follow - teams that require 2FA
+ * are left out for users without it (see requireTeamTwoFactor)
+ */
+async function allowedTeamIds(connection, teamIds) {
+  if (teamIds.length === 0 || connection.twoFactorEnabled) return teamIds;
+
+  const teams = await Team.findAll({ where: { id: teamIds }, attributes: ['id', 'settings'] });
+  const restricted = new Set(teams.filter(teamRequiresTwoFactor).map(team => team.id));
+  return teamIds.filter(teamId => !restricted.has(teamId));
+}
+
+async function leaveTeam(connection, teamId) {
+  if (!connection.teams.delete(teamId)) return;
+
+  const wentOffline = await teamEvents.markOffline(teamId, connection.user.id, connection.id);
+  if (wentOffline) {
+    teamEvents.publishTeamEvent(teamId, 'presence.offline', {
+      user_id: connection.user.id,
+      username: connection.user.username
+    }, connection.user);
+  }
+}
+
+async function onConnection(ws, { user, sessionId, expiresAt, twoFactorEnabled }, ipAddress) {
+  const connection = {
+    id: uuidv4(),
+    ws,
+    user,
+    sessionId,
+    ipAddress,
+    twoFactorEnabled: !!twoFactorEnabled,
+    teams: new Set(),
+    alive: true,
+    closed: false,
+    sessionCheckedAt: Date.now(),
+    expiryTimer: null
+  };
+  connections.add(connection);
+
+  ws.on('pong', () => {
+    connection.alive = true;
+  });
+  ws.on('message', (raw) => handleMessage(connection, raw).catch(error => {
+    console.error('Realtime message error:', error);
+    send(connection, { type: 'error', error: 'Failed to handle message' });
+  }));
+  ws.on('close', () => disconnect(connection));
+  ws.on('error', (error) => console.error('WebSocket error:', error.message));
+
+  if (expiresAt) {
+    connection.expiryTimer = setTimeout(() => {
+      ws.close(CLOSE_CODES.UNAUTHORIZED, 'Token expired');
+    }, Math.min(Math.max(expiresAt - Date.now(), 0), MAX_TIMER_MS));
+    connection.expiryTimer.unref();
+  }
+
+  try {
+    const memberships = await TeamMember.findAll({
+      where: { user_id: user.id, status: 'active' },
+      attributes: ['team_id']
+    });
+    const teamIds = await allowedTeamIds(connection, memberships.map(membership => membership.team_id));
+    for (const teamId of teamIds) {
+      await joinTeam(connection, teamId);
+    }
+
+    const teams = await Promise.all([...connection.teams].map(async (teamId) => ({
+      team_id: teamId,
+      online: await teamEvents.onlineUserIds(teamId)
+    })));
+
+    send(connection, {
+      type: 'ready',
+      connection_id: connection.id,
+      user: { id: user.id, username: user.username },
+      teams
+    });
+  } catch (error) {
+    console.error('Realtime connection setup failed:', error);
+    ws.close(CLOSE_CODES.INTERNAL_ERROR, 'Setup failed');
+  }
+}
+
+async function disconnect(connection) {
+  if (connection.closed) return;
+  connection.closed = true;
+  connections.delete(connection);
+  clearTimeout(connection.expiryTimer);
+
+  try {
+    await Promise.all([...connection.teams].map(teamId => leaveTeam(connection, teamId)));
+  } catch (error) {
+    console.error('Realtime disconnect cleanup failed:', error);
+  }
+}
+
+async function handleMessage(connection, raw) {
+  let message;
+  try {
+    message = JSON.parse(raw.toString());
+  } catch (error) {
+    return send(connection, { type: 'error', error: 'Messages must be JSON' });
+  }
+
+  switch (message && message.type) {
+    case 'ping':
+      return send(connection, { type: 'pong' });
+
+    case 'presence': {
+      const teamId = Number(message.teamId);
+      if (!connection.teams.has(teamId)) {
+        return send(connection, { type: 'error', error: 'Not a member of this team' });
+      }
+      return send(connection, {
+        type: 'presence',
+        team_id: teamId,
+        online: await teamEvents.onlineUserIds(teamId)
+      });
+    }
+
+    default:
+      return send(connection, { type: 'error', error: 'Unknown message type' });
+  }
+}
+
+/**
+ * Hand a team event to this worker's sockets in that team
+ */
+function deliver(envelope) {
+  const { type, team_id: teamId, data = {} } = envelope;
+
+  // Add a new member's sockets first so they see their own arrival
+  if (type === 'member.joined') {
+    for (const connection of connections) {
+      if (connection.user.id !== data.user_id) continue;
+      if (connection.twoFactorEnabled) {
+        joinTeam(connection, teamId).catch(() => {});
+        continue;
+      }
+
+      // The team's 2FA policy has to be looked up first, so send the
+      // arrival once the socket has joined
+      allowedTeamIds(connection, [teamId])
+        .then(([allowed]) => {
+          if (!allowed || connection.teams.has(teamId)) return;
+          const joined = joinTeam(connection, teamId);
+          send(connection, { type: 'event', event: envelope });
+          return joined;
+        })
+        .catch(() => {});
+    }
+  }
+
+  for (const connection of connections) {
+    if (connection.teams.has(teamId)) {
+      send(connection, { type: 'event', event: envelope });
+    }
+  }
+
+  // ...and drop a removed member's after they've been told
+  if (type === 'member.removed') {
+    for (const connection of connections) {
+      if (connection.user.id === data.user_id) leaveTeam(connection, teamId).catch(() => {});
+    }
+  }
+}
+
+/**
+ * Leave teams the user may no longer follow - 2FA was turned off or a team
+ * started requiring it after the socket connected
+ */
+async function recheckTwoFactorPolicy(connection) {
+  const account = await User.findByPk(connection.user.id, { attributes: ['id', 'twoFactorEnabled'] });
+  connection.twoFactorEnabled = !!(account && account.twoFactorEnabled);
+
+  const teamIds = [...connection.teams];
+  const allowed = new Set(await allowedTeamIds(connection, teamIds));
+  for (const teamId of teamIds) {
+    if (!allowed.has(teamId)) await leaveTeam(connection, teamId);
+  }
+}
+
+/**
+ * Drop dead sockets, refresh presence, close sockets whose session was revoked
+ * and re-apply team 2FA policies
+ */
+function runHeartbeat() {
+  const now = Date.now();
+
+  for (const connection of connections) {
+    if (!connection.alive) {
+      connection.ws.terminate();
+      continue;
+    }
+    connection.alive = false;
+    connection.ws.ping();
+
+    for (const teamId of connection.teams) {
+      teamEvents.touchPresence(teamId, connection.user.id, connection.id);
+    }
+
+    if (now - connection.sessionCheckedAt >= GATEWAY_CONFIG.SESSION_CHECK_INTERVAL_MS) {
+      connection.sessionCheckedAt = now;
+      if (connection.sessionId) {
+        touchSession(connection.sessionId, connection.ipAddress).then(active => {
+          if (!active) connection.ws.close(CLOSE_CODES.UNAUTHORIZED, 'Session revoked');
+        });
+      }
+      recheckTwoFactorPolicy(connection).catch(error => {
+        console.error('Realtime 2FA policy check failed:', error.message);
+      });
+    }
+  }
+}
+
+// ============================================================================
+// LIFECYCLE
+// ============================================================================
+
+/**
+ * Serve the gateway on an HTTP server's upgrade requests
+ * @param {object} server - http.Server returned by app.listen
+ * @param {object} options - { isOriginAllowed(origin) } same check as CORS
+ */
+function attach(server, { isOriginAllowed = () => true } = {}) {
+  if (wss) return wss;
+
+  wss = new WebSocketServer({ noServer: true, maxPayload: GATEWAY_CONFIG.MAX_PAYLOAD_BYTES });
+
+  server.on('upgrade', (req, socket, head) => {
+    socket.on('error', (error) => console.error('WebSocket upgrade socket error:', error.message));
+    handleUpgrade(req, socket, head, isOriginAllowed).catch(error => {
+      console.error('WebSocket upgrade failed:', error);
+      rejectUpgrade(socket, 500, 'Internal Server Error');
+    });
+  });
+
+  teamEvents.subscribe(deliver).then(stop => {
+    unsubscribe = stop;
+  });
+
+  heartbeat = setInterval(runHeartbeat, GATEWAY_CONFIG.HEARTBEAT_INTERVAL_MS);
+  heartbeat.unref();
+
+  console.log(`🔌 Realtime gateway listening on ${GATEWAY_CONFIG.PATH}`);
+  return wss;
+}
+
+/**
+ * Close every socket and stop listening for team events (graceful shutdown)
+ */
+async function close() {
+  if (!wss) return;
+
+  clearInterval(heartbeat);
+  heartbeat = null;
+  if (unsubscribe) unsubscribe();
+  unsubscribe = null;
+
+  for (const connection of connections) {
+    connection.ws.close(CLOSE_CODES.GOING_AWAY, 'Server shutting down');
+  }
+  await teamEvents.close();
+
+  wss.close();
+  wss = null;
+}
+
+module.exports = {
+  attach,
+  close,
+  GATEWAY_CONFIG
+};
@@ -0,0 +1,228 @@
+/**
+ * Refresh Token Service
+ * Rotating refresh tokens stored server-side as token families.
+ *
+ * A login starts a family whose id is the session id from startSession. Every
+ * refresh marks the presented token as rotated and issues the next token in
+ * the family. A rotated token presented again means it was copied, so the
+ * whole family (and its session) is revoked and a security event is logged.
+ * Within a few seconds of its rotation it gets the token that replaced it
+ * instead, since two tabs or a retried request can refresh at the same time.
+ */
+
+const jwt = require('jsonwebtoken');
+const { Op } = require('sequelize');
+const sequelize = require('../config/database');
+const RefreshToken = require('../models/RefreshToken');
+const User = require('../models/User');
+const { deleteSession, deleteOtherUserSessions, deleteAllUserSessions, extendSession, touchSession } = require('../middleware/session');
+const auditLog = require('./auditLogService');
+const logger = require('../utils/logger');
+const { AuthenticationError } = require('../utils/errors');
+
+const REFRESH_TOKEN_CONFIG = {
+  TTL_SECONDS: 7 * 24 * 60 * 60,  // Sliding: each rotation gets a fresh 7 days
+  REUSE_GRACE_SECONDS: 10         // A rotated token still gets its replacement this long
+};
+
+function signToken(userId, familyId, tokenId) {
+  return jwt.sign(
+    { userId, sid: familyId, jti: tokenId },
+    process.env.JWT_REFRESH_SECRET,
+    { expiresIn: REFRESH_TOKEN_CONFIG.TTL_SECONDS }
+  );
+}
+
+function sessionExpired() {
+  return new AuthenticationError('Session has been signed out. Please log in again.', 'SESSION_REVOKED');
+}
+
+/**
+ * Issue the first token of a family (at login)
+ * @param {string} userId
+ * @param {string} familyId - Session id from startSession
+ * @param {object} options - { ipAddress }
+ * @returns {Promise<string>} Signed refresh token
+ */
+async function issueToken(userId, familyId, { ipAddress = null } = {}) {
+  // Housekeeping: the user's expired tokens are no longer needed for reuse detection
+  await RefreshToken.destroy({
+    where: { user_id: userId, expires_at: { [Op.lt]: new Date() } }
+  });
+
+  const record = await RefreshToken.create({
+    family_id: familyId,
+    user_id: userId,
+    expires_at: new Date(Date.now() + REFRESH_TOKEN_CONFIG.TTL_SECONDS * 1000),
+    created_ip: ipAddress
+  });
+
+  return signToken(userId, familyId, record.id);
+}
+
+/**
+ * Revoke every token in a family and sign its session out
+ * @returns {Promise<number>} Tokens revoked
+ */
+async function revokeFamily(familyId, reason, userId = null) {
+  const [revoked] = await RefreshToken.update(
+    { revoked_at: new Date(), revoked_reason: reason },
+    { where: { family_id: familyId, revoked_at: null } }
+  );
+  await deleteSession(familyId, userId);
+  return revoked;
+}
+
+/**
+ * Revoke all of a user's families, optionally keeping the caller's
+ * @param {string} userId
+ * @param {object} options - { exceptFamilyId, reason }
+ * @returns {Promise<number>} Sessions signed out
+ */
+async function revokeUserFamilies(userId, { exceptFamilyId = null, reason = 'signed_out' } = {}) {
+  const where = { user_id: userId, revoked_at: null, expires_at: { [Op.gt]: new Date() } };
+  if (exceptFamilyId) {
+    where.family_id = { [Op.ne]: exceptFamilyId };
+  }
+
+  const families = await RefreshToken.count({ where, distinct: true, col: 'family_id' });
+  await RefreshToken.update({ revoked_at: new Date(), revoked_reason: reason }, { where });
+
+  const sessions = exceptFamilyId
+    ? await deleteOtherUserSessions(userId, exceptFamilyId)
+    : await deleteAllUserSessions(userId);
+
+  return Math.max(families, sessions);
+}
+
+async function handleReuse(record, req) {
+  logger.warn('🚨 Refresh token reuse detected - revoking token family', {
+    userId: record.user_id,
+    familyId: record.family_id,
+    tokenId: record.id,
+    ip: req?.ip
+  });
+
+  await revokeFamily(record.family_id, 'reuse_detected', record.user_id);
+
+  const user = await User.findByPk(record.user_id, { attributes: ['id', 'email', 'role'] });
+  await auditLog.recordEvent({
+    action: 'auth.refresh_token.reuse_detected',
+    req,
+    actor: user || { id: record.user_id },
+    target: { type: 'user', id: record.user_id, label: user ? user.email : null },
+    metadata: {
+      familyId: record.family_id,
+      tokenId: record.id,
+      rotatedAt: record.rotated_at
+    }
+  });
+}
+
+/**
+ * Exchange a refresh token for the next one in its family
+ * @param {string} token - Refresh token from the cookie or body
+ * @param {object} req - Express request (IP and audit context)
+ * @returns {Promise<{user: object, familyId: string, refreshToken: string}>}
+ * @throws {AuthenticationError} for invalid, expired, revoked or reused tokens
+ */
+async function rotateToken(token, req) {
+  let decoded;
+  try {
+    decoded = jwt.verify(token, process.env.JWT_REFRESH_SECRET);
+  } catch (error) {
+    throw new AuthenticationError('Invalid or expired refresh token', 'INVALID_REFRESH_TOKEN');
+  }
+
+  // Tokens issued before rotation existed carry no jti and can't be tracked
+  if (!decoded.jti || !decoded.sid) {
+    throw sessionExpired();
+  }
+
+  // The session may have been signed out from the sessions page
+  if (!(await touchSession(decoded.sid, req?.ip))) {
+    throw sessionExpired();
+  }
+
+  let reused = null;
+
+  const result = await sequelize.transaction(async (transaction) => {
+    const record = await RefreshToken.findByPk(decoded.jti, {
+      transaction,
+      lock: transaction.LOCK.UPDATE
+    });
+
+    if (!record || record.user_id !== decoded.userId || record.family_id !== decoded.sid || record.revoked_at) {
+      throw sessionExpired();
+    }
+
+    // A concurrent refresh that lost the race gets the replacement its
+    // twin was issued; only a later replay counts as reuse
+    let replacement = null;
+    if (record.rotated_at) {
+      if (Date.now() - record.rotated_at.getTime() <= REFRESH_TOKEN_CONFIG.REUSE_GRACE_SECONDS * 1000 && record.replaced_by) {
+        replacement = await RefreshToken.findByPk(record.replaced_by, { transaction });
+      }
+      if (!replacement || replacement.revoked_at || replacement.rotated_at) {
+        reused = record;
+        return null;
+      }
+    }
+
+    const user = await User.findByPk(record.user_id, { transaction });
+    if (!user || !user.isActive) {
+      throw new AuthenticationError('User not found or inactive', 'USER_INACTIVE');
+    }
+
+    if (replacement) {
+      return { user, familyId: record.family_id, refreshToken: signToken(user.id, record.family_id, replacement.id) };
+    }
+
+    const next = await RefreshToken.create({
+      family_id: record.family_id,
+      user_id: record.user_id,
+      expires_at: new Date(Date.now() + REFRESH_TOKEN_CONFIG.TTL_SECONDS * 1000),
+      created_ip: req?.ip || null
+    }, { transaction });
+
+    await record.update({ rotated_at: new Date(), replaced_by: next.id }, { transaction });
+
+    return { user, familyId: record.family_id, refreshToken: signToken(user.id, record.family_id, next.id) };
+  });
+
+  // Revoke outside the transaction so the rotation lock isn't held while signing the session out
+  if (reused) {
+    await handleReuse(reused, req);
+    throw new AuthenticationError('Refresh token was already used. Please log in again.', 'REFRESH_TOKEN_REUSED');
+  }
+
+  await extendSession(result.familyId, result.user.id, REFRESH_TOKEN_CONFIG.TTL_SECONDS);
+  return result;
+}
+
+/**
+ * Revoke the family a refresh token belongs to (logout). Expired tokens are
+ * accepted as long as the signature is valid.
+ * @returns {Promise<boolean>} True when a family was found
+ */
+async function revokeByToken(token, reason = 'logout') {
+  let decoded;
+  try {
+    decoded = jwt.verify(token, process.env.JWT_REFRESH_SECRET, { ignoreExpiration: true });
+  } catch (error) {
+    return false;
+  }
+  if (!decoded.sid) return false;
+
+  await revokeFamily(decoded.sid, reason, decoded.userId);
+  return true;
+}
+
+module.exports = {
+  issueToken,
+  rotateToken,
+  revokeFamily,
+  revokeUserFamilies,
+  revokeByToken,
+  REFRESH_TOKEN_CONFIG
+};
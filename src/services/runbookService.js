@@ -0,0 +1,487 @@
+/**
+ * Runbook Service
+ * The team knowledge base: curated runbook entries (title, symptoms, root
+ * cause, fix steps, tags) usually written when a shared error is resolved.
+ *
+ * Entries are searched with Postgres full-text search over the generated
+ * search_vector column (see migration 023). Analyze looks for a matching entry
+ * in the member's teams before calling an AI provider: candidates are ranked
+ * with the same trigram similarity as "you solved this before", against both
+ * the linked analysis' error message and the written symptoms.
+ */
+
+const { Op, UniqueConstraintError } = require('sequelize');
+const sequelize = require('../config/database');
+const TeamRunbook = require('../models/TeamRunbook');
+const SharedError = require('../models/SharedError');
+const ErrorQuery = require('../models/ErrorQuery');
+const TeamMember = require('../models/TeamMember');
+const User = require('../models/User');
+const { rankBySimilarity, SIMILARITY_CONFIG } = require('./errorSimilarityService');
+const { ValidationError, AlreadyExistsError } = require('../utils/errors');
+
+const RUNBOOK_CONFIG = {
+  MAX_TEXT_LENGTH: 10000,     // symptoms and root cause
+  MAX_STEPS: 50,
+  MAX_STEP_LENGTH: 2000,
+  MAX_TAGS: 20,
+  MAX_TAG_LENGTH: 50,
+  DEFAULT_PAGE_SIZE: 20,
+  MAX_PAGE_SIZE: 50,
+  CANDIDATE_LIMIT: 200,       // Most recently updated entries compared on analyze
+  MATCH_THRESHOLD: SIMILARITY_CONFIG.STRONG_MATCH
+};
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const LIST_MARKER = /^\s*(?:[-*+]|\d+[.)])\s+/;
+
+// ============================================================================
+// VALIDATION
+// ============================================================================
+
+/**
+ * Fix steps from an array or from text with one step per line ("1. ..." or "- ...")
+ */
+function splitSteps(steps) {
+  const list = Array.isArray(steps) ? steps : String(steps || '').split('\n');
+  return list
+    .filter(step => typeof step === 'string')
+    .map(step => step.replace(LIST_MARKER, '').trim())
+    .filter(Boolean);
+}
+
+function normalizeTags(tags) {
+  return [...new Set(tags
+    .filter(tag => typeof tag === 'string')
+    .map(tag => tag.trim().toLowerCase())
+    .filter(Boolean))];
+}
+
+/**
+ * Validate runbook input into model attributes
+ * @param {object} input - { title, symptoms, rootCause, fixSteps, tags, errorQueryId }
+ * @param {object} options - { partial } to only check the fields present (updates)
+ * @returns {object} Attributes to save
+ * @throws {ValidationError} listing every invalid field
+ */
+function normalizeInput(input = {}, { partial = false } = {}) {
+  const errors = [];
+  const fields = {};
+  const has = (key) => input[key] !== undefined || !partial;
+
+  if (has('title')) {
+    const title = typeof input.title === 'string' ? input.title.trim() : '';
+    if (title.length < 5 || title.length > 200) {
+      errors.push({ field: 'title', message: 'Title must be 5-200 characters' });
+    }
+    fields.title = title;
+  }
+
+  if (has('symptoms')) {
+    const symptoms = typeof input.symptoms === 'string' ? input.symptoms.trim() : '';
+    if (!symptoms) {
+      errors.push({ field: 'symptoms', message: 'Describe what the error looks like' });
+    } else if (symptoms.length > RUNBOOK_CONFIG.MAX_TEXT_LENGTH) {
+      errors.push({ field: 'symptoms', message: `Limited to ${RUNBOOK_CONFIG.MAX_TEXT_LENGTH} characters` });
+    }
+    fields.symptoms = symptoms;
+  }
+
+  if (input.rootCause !== undefined) {
+    if (input.rootCause !== null && typeof input.rootCause !== 'string') {
+      errors.push({ field: 'rootCause', message: 'Root cause must be text' });
+    } else if (input.rootCause && input.rootCause.length > RUNBOOK_CONFIG.MAX_TEXT_LENGTH) {
+      errors.push({ field: 'rootCause', message: `Limited to ${RUNBOOK_CONFIG.MAX_TEXT_LENGTH} characters` });
+    }
+    fields.root_cause = (typeof input.rootCause === 'string' && input.rootCause.trim()) || null;
+  }
+
+  if (input.fixSteps !== undefined) {
+    const steps = splitSteps(input.fixSteps);
+    if (steps.length > RUNBOOK_CONFIG.MAX_STEPS) {
+      errors.push({ field: 'fixSteps', message: `At most ${RUNBOOK_CONFIG.MAX_STEPS} steps` });
+    } else if (steps.some(step => step.length > RUNBOOK_CONFIG.MAX_STEP_LENGTH)) {
+      errors.push({ field: 'fixSteps', message: `Steps are limited to ${RUNBOOK_CONFIG.MAX_STEP_LENGTH} characters` });
+    }
+    fields.fix_steps = steps;
+  }
+
+  if (input.tags !== undefined) {
+    if (!Array.isArray(input.tags)) {
+      errors.push({ field: 'tags', message: 'Tags must be an array of strings' });
+    } else {
+      const tags = normalizeTags(input.tags);
+      if (tags.length > RUNBOOK_CONFIG.MAX_TAGS) {
+        errors.push({ field: 'tags', message: `At most ${RUNBOOK_CONFIG.MAX_TAGS} tags` });
+      } else if (tags.some(tag => tag.length > RUNBOOK_CONFIG.MAX_TAG_LENGTH)) {
+        errors.push({ field: 'tags', message: `Tags are limited to ${RUNBOOK_CONFIG.MAX_TAG_LENGTH} characters` });
+      }
+      fields.tags = tags;
+    }
+  }
+
+  if (input.errorQueryId !== undefined) {
+    if (input.errorQueryId !== null && !UUID_PATTERN.test(String(input.errorQueryId))) {
+      errors.push({ field: 'errorQueryId', message: 'Invalid analysis id' });
+    }
+    fields.error_query_id = input.errorQueryId || null;
+  }
+
+  if (errors.length > 0) {
+    throw new ValidationError('Invalid runbook', errors, 'INVALID_RUNBOOK');
+  }
+  return fields;
+}
+
+/**
+ * A linked analysis must be the member's own or one shared with the team
+ */
+async function assertLinkableQuery(teamId, userId, errorQueryId) {
+  if (!errorQueryId) return;
+
+  const [ownQuery, sharedQuery] = await Promise.all([
+    ErrorQuery.count({ where: { id: errorQueryId, userId } }),
+    SharedError.count({ where: { team_id: teamId, error_query_id: errorQueryId } })
+  ]);
+
+  if (ownQuery === 0 && sharedQuery === 0) {
+    throw new ValidationError(
+      'Analysis not found',
+      [{ field: 'errorQueryId', message: 'Link one of your analyses or one shared with the team' }],
+      'INVALID_RUNBOOK'
+    );
+  }
+}
+
+// ============================================================================
+// WRITES
+// ============================================================================
+
+function findRunbook(teamId, runbookId) {
+  if (!UUID_PATTERN.test(String(runbookId))) return null;
+  return TeamRunbook.findOne({
+    where: { id: runbookId, team_id: teamId },
+    include: [
+      { model: ErrorQuery, as: 'errorQuery', required: false, attributes: ['id', 'errorMessage', 'explanation', 'solution', 'errorCategory', 'createdAt'] },
+      { model: User, as: 'author', required: false, attributes: ['id', 'username'] }
+    ]
+  });
+}
+
+function clip(text, length) {
+  return typeof text === 'string' && text.length > length ? text.substring(0, length) : text;
+}
+
+/**
+ * Starting point for a runbook written from a shared error: its title and
+ * tags, and the linked analysis' error message, explanation and solution
+ * as symptoms, root cause and fix steps. Drafted values are cut to the
+ * runbook limits - a long AI solution shouldn't stop the write-up.
+ */
+async function draftFromSharedError(sharedError) {
+  const errorQuery = await ErrorQuery.findByPk(sharedError.error_query_id, {
+    attributes: ['id', 'errorMessage', 'explanation', 'solution']
+  });
+
+  const steps = splitSteps(errorQuery?.solution || [])
+    .slice(0, RUNBOOK_CONFIG.MAX_STEPS)
+    .map(step => clip(step, RUNBOOK_CONFIG.MAX_STEP_LENGTH));
+  const tags = Array.isArray(sharedError.tags)
+    ? normalizeTags(sharedError.tags)
+      .slice(0, RUNBOOK_CONFIG.MAX_TAGS)
+      .map(tag => clip(tag, RUNBOOK_CONFIG.MAX_TAG_LENGTH))
+    : [];
+
+  return {
+    title: clip(sharedError.title, 200),
+    symptoms: clip(errorQuery?.errorMessage || sharedError.description || sharedError.title, RUNBOOK_CONFIG.MAX_TEXT_LENGTH),
+    rootCause: clip(errorQuery?.explanation || null, RUNBOOK_CONFIG.MAX_TEXT_LENGTH),
+    fixSteps: steps,
+    tags,
+    errorQueryId: errorQuery?.id || null
+  };
+}
+
+/**
+ * Build and validate the runbook entry for a shared error without saving it,
+ * so callers resolving the error can reject a bad write-up before any write.
+ * Fields left out of the input are filled in from the shared error and its
+ * analysis.
+ * @param {object} sharedError
+ * @param {object} author - req.user
+ * @param {object} input - Same fields as createRunbook
+ * @returns {Promise<object>} Attributes for saveWriteUp
+ * @throws {ValidationError|AlreadyExistsError}
+ */
+async function prepareWriteUp(sharedError, author, input = {}) {
+  const existing = await TeamRunbook.count({ where: { shared_error_id: sharedError.id } });
+  if (existing > 0) {
+    throw new AlreadyExistsError('Runbook', `shared error ${sharedError.id}`);
+  }
+
+  const draft = await draftFromSharedError(sharedError);
+  const fields = normalizeInput({ ...draft, ...input });
+  if (fields.error_query_id !== draft.errorQueryId) {
+    await assertLinkableQuery(sharedError.team_id, author.id, fields.error_query_id);
+  }
+
+  return {
+    ...fields,
+    team_id: sharedError.team_id,
+    shared_error_id: sharedError.id,
+    created_by: author.id,
+    updated_by: author.id
+  };
+}
+
+/**
+ * Save an entry prepared by prepareWriteUp
+ * @param {object} fields - From prepareWriteUp
+ * @param {object} options - { transaction }
+ * @throws {AlreadyExistsError} when another request wrote it up first
+ */
+async function saveWriteUp(fields, { transaction } = {}) {
+  try {
+    return await TeamRunbook.create(fields, { transaction });
+  } catch (error) {
+    if (error instanceof UniqueConstraintError) {
+      throw new AlreadyExistsError('Runbook', `shared error ${fields.shared_error_id}`);
+    }
+    throw error;
+  }
+}
+
+/**
+ * Turn a resolved shared error into a runbook entry
+ * @param {object} sharedError
+ * @param {object} author - req.user
+ * @param {object} input - Same fields as createRunbook
+ */
+async function createFromSharedError(sharedError, author, input = {}) {
+  if (sharedError.status !== 'resolved') {
+    throw new ValidationError(
+      'Only resolved errors can become runbooks',
+      [{ field: 'sharedErrorId', message: 'Resolve the shared error first' }],
+      'INVALID_RUNBOOK'
+    );
+  }
+
+  return saveWriteUp(await prepareWriteUp(sharedError, author, input));
+}
+
+/**
+ * Create a runbook entry, from scratch or from a resolved shared error
+ * @param {number} teamId
+ * @param {object} author - req.user
+ * @param {object} input - { title, symptoms, rootCause?, fixSteps?, tags?, errorQueryId?, sharedErrorId? }
+ */
+async function createRunbook(teamId, author, input = {}) {
+  if (input.sharedErrorId !== undefined && input.sharedErrorId !== null) {
+    const sharedError = /^\d+$/.test(String(input.sharedErrorId))
+      ? await SharedError.findOne({ where: { id: input.sharedErrorId, team_id: teamId } })
+      : null;
+    if (!sharedError) {
+      throw new ValidationError(
+        'Shared error not found',
+        [{ field: 'sharedErrorId', message: 'Not a shared error of this team' }],
+        'INVALID_RUNBOOK'
+      );
+    }
+    const { sharedErrorId, ...fields } = input;
+    return createFromSharedError(sharedError, author, fields);
+  }
+
+  const fields = normalizeInput(input);
+  await assertLinkableQuery(teamId, author.id, fields.error_query_id);
+
+  return TeamRunbook.create({
+    ...fields,
+    team_id: teamId,
+    created_by: author.id,
+    updated_by: author.id
+  });
+}
+
+/**
+ * Update the fields present in the input
+ */
+async function updateRunbook(runbook, editor, input = {}) {
+  const fields = normalizeInput(input, { partial: true });
+  if (fields.error_query_id && fields.error_query_id !== runbook.error_query_id) {
+    await assertLinkableQuery(runbook.team_id, editor.id, fields.error_query_id);
+  }
+
+  await runbook.update({ ...fields, updated_by: editor.id });
+  return runbook;
+}
+
+// ============================================================================
+// SEARCH
+// ============================================================================
+
+/**
+ * List or full-text search a team's runbook
+ * @param {number} teamId
+ * @param {object} options - { q, tag, page, limit }; q uses web search syntax
+ *   ("quoted phrase", -excluded, or)
+ * @returns {Promise<{runbooks: object[], total: number, page: number, limit: number}>}
+ */
+async function searchRunbooks(teamId, { q, tag, page = 1, limit = RUNBOOK_CONFIG.DEFAULT_PAGE_SIZE } = {}) {
+  const pageSize = Math.min(Math.max(parseInt(limit) || RUNBOOK_CONFIG.DEFAULT_PAGE_SIZE, 1), RUNBOOK_CONFIG.MAX_PAGE_SIZE);
+  const pageNumber = Math.max(parseInt(page) || 1, 1);
+  const query = typeof q === 'string' ? q.trim() : '';
+
+  const conditions = [{ team_id: teamId }];
+  const extraAttributes = [];
+  let order = [['updated_at', 'DESC']];
+
+  if (tag) {
+    conditions.push(sequelize.literal(
+      `"TeamRunbook"."tags"::jsonb @> ${sequelize.escape(JSON.stringify([String(tag).trim().toLowerCase()]))}::jsonb`
+    ));
+  }
+
+  if (query) {
+    const tsQuery = `websearch_to_tsquery('english', ${sequelize.escape(query)})`;
+    conditions.push(sequelize.literal(`"TeamRunbook"."search_vector" @@ ${tsQuery}`));
+    extraAttributes.push(
+      [sequelize.literal(`ts_rank("TeamRunbook"."search_vector", ${tsQuery})`), 'rank'],
+      [sequelize.literal(
+        `ts_headline('english', "TeamRunbook"."symptoms", ${tsQuery}, 'StartSel=**, StopSel=**, MaxFragments=2, MaxWords=20, MinWords=5')`
+      ), 'snippet']
+    );
+    order = [[sequelize.literal('rank'), 'DESC'], ['updated_at', 'DESC']];
+  }
+
+  const { count, rows } = await TeamRunbook.findAndCountAll({
+    where: { [Op.and]: conditions },
+    attributes: { include: extraAttributes },
+    include: [{ model: User, as: 'author', required: false, attributes: ['id', 'username'] }],
+    order,
+    limit: pageSize,
+    offset: (pageNumber - 1) * pageSize
+  });
+
+  return {
+    runbooks: rows.map(runbook => {
+      const response = toRunbookResponse(runbook);
+      if (query) {
+        response.rank = Number(Number(runbook.get('rank')).toFixed(4));
+        response.snippet = runbook.get('snippet');
+      }
+      return response;
+    }),
+    total: count,
+    page: pageNumber,
+    limit: pageSize
+  };
+}
+
+/**
+ * Best runbook entry in the user's active teams for an error, if any is a
+ * strong enough match to answer from
+ * @param {string} userId
+ * @param {string} errorMessage
+ * @returns {Promise<{runbook: object, similarity: number}|null>}
+ */
+async function findMatchingRunbook(userId, errorMessage) {
+  const memberships = await TeamMember.findAll({
+    where: { user_id: userId, status: 'active' },
+    attributes: ['team_id']
+  });
+  if (memberships.length === 0) return null;
+
+  const runbooks = await TeamRunbook.findAll({
+    where: { team_id: memberships.map(m => m.team_id) },
+    include: [{ model: ErrorQuery, as: 'errorQuery', required: false, attributes: ['id', 'errorMessage', 'normalizedMessage', 'fingerprint', 'errorCategory'] }],
+    order: [['updated_at', 'DESC']],
+    limit: RUNBOOK_CONFIG.CANDIDATE_LIMIT
+  });
+
+  // Compare against the original error and the written symptoms; either may match
+  const candidates = runbooks.flatMap(runbook => {
+    const entries = [{ runbook, text: runbook.symptoms }];
+    if (runbook.errorQuery) {
+      entries.push({
+        runbook,
+        text: runbook.errorQuery.errorMessage,
+        normalized: runbook.errorQuery.normalizedMessage,
+        fingerprint: runbook.errorQuery.fingerprint
+      });
+    }
+    return entries;
+  });
+
+  const [best] = rankBySimilarity(errorMessage, candidates)
+    .filter(match => match.similarity >= RUNBOOK_CONFIG.MATCH_THRESHOLD);
+
+  return best ? { runbook: best.candidate.runbook, similarity: best.similarity } : null;
+}
+
+/**
+ * Count an analysis answered from the entry (fire-and-forget)
+ */
+function recordCitation(runbook) {
+  TeamRunbook.update(
+    { citation_count: sequelize.literal('citation_count + 1'), last_cited_at: new Date() },
+    { where: { id: runbook.id }, silent: true }
+  ).catch(error => console.error('Runbook citation update failed:', error.message));
+}
+
+// ============================================================================
+// RESPONSES
+// ============================================================================
+
+function toRunbookResponse(runbook) {
+  const { rank, snippet, ...fields } = runbook.toJSON();
+  return fields;
+}
+
+/**
+ * Analysis result citing a matched runbook entry, shaped like an AI provider
+ * response so analyze can save and return it the same way
+ * @param {{runbook: object, similarity: number}} match
+ * @param {object} context - { language, errorType, stackTrace }
+ */
+function toAnalysisResponse({ runbook, similarity }, { language, errorType, stackTrace = null }) {
+  const steps = runbook.fix_steps || [];
+  const explanation = runbook.root_cause || runbook.symptoms;
+
+  return {
+    explanation: `Your team's runbook "${runbook.title}" covers this error.\n\n${explanation}`,
+    solution: steps.length > 0
+      ? steps.map((step, index) => `${index + 1}. ${step}`).join('\n')
+      : 'See the linked runbook entry for how your team fixed this.',
+    codeExample: '',
+    category: runbook.errorQuery?.errorCategory || errorType,
+    tags: runbook.tags || [],
+    confidence: similarity,
+    provider: 'runbook',
+    language,
+    errorType,
+    stackTrace,
+    timestamp: new Date().toISOString(),
+    runbook: {
+      id: runbook.id,
+      teamId: runbook.team_id,
+      sharedErrorId: runbook.shared_error_id,
+      title: runbook.title,
+      similarity
+    }
+  };
+}
+
+module.exports = {
+  findRunbook,
+  prepareWriteUp,
+  saveWriteUp,
+  createRunbook,
+  createFromSharedError,
+  updateRunbook,
+  searchRunbooks,
+  findMatchingRunbook,
+  recordCitation,
+  toRunbookResponse,
+  toAnalysisResponse,
+  RUNBOOK_CONFIG
+};
@@ -0,0 +1,694 @@
+/**
+ * SCIM 2.0 Provisioning Service
+ * Users and Groups resources (RFC 7643/7644) for a team's identity provider.
+ *
+ * A SCIM User is a membership of the token's team: its id is the ErrorWise
+ * user id, `active` maps to the TeamMember status (active / suspended) and its
+ * only group is the member's role. Groups are fixed, one per role; adding a
+ * user to a group sets their role. Groups pushed by the IdP resolve to a role
+ * by the last word of their name, so "ErrorWise Admins" is the admin group.
+ *
+ * Users can only be provisioned on the team's verified SSO domains, accounts
+ * are created as needed, and Team.max_members is respected. Deactivating or
+ * removing a member signs them out of every session.
+ */
+
+const { fn, col, where } = require('sequelize');
+const TeamMember = require('../models/TeamMember');
+const TeamSsoDomain = require('../models/TeamSsoDomain');
+const User = require('../models/User');
+const userTrackingService = require('./userTrackingService');
+const refreshTokenService = require('./refreshTokenService');
+const auditLog = require('./auditLogService');
+const webhookService = require('./webhookService');
+const teamEvents = require('./teamEventBus');
+const { ValidationError, AuthorizationError, NotFoundError, AlreadyExistsError } = require('../utils/errors');
+
+const SCIM_SCHEMAS = {
+  USER: 'urn:ietf:params:scim:schemas:core:2.0:User',
+  GROUP: 'urn:ietf:params:scim:schemas:core:2.0:Group',
+  LIST_RESPONSE: 'urn:ietf:params:scim:api:messages:2.0:ListResponse',
+  PATCH_OP: 'urn:ietf:params:scim:api:messages:2.0:PatchOp',
+  ERROR: 'urn:ietf:params:scim:api:messages:2.0:Error',
+  SERVICE_PROVIDER_CONFIG: 'urn:ietf:params:scim:schemas:core:2.0:ServiceProviderConfig',
+  RESOURCE_TYPE: 'urn:ietf:params:scim:schemas:core:2.0:ResourceType'
+};
+
+const SCIM_CONFIG = {
+  DEFAULT_COUNT: 100,
+  MAX_COUNT: 200,
+  USER_FILTERS: ['userName', 'emails.value', 'externalId', 'id'],
+  GROUP_FILTERS: ['displayName', 'id']
+};
+
+// One group per team role. Owner membership follows Team.owner_id and is read-only.
+const ROLE_GROUPS = {
+  owner: { displayName: 'Owners', aliases: ['owner', 'owners'] },
+  admin: { displayName: 'Admins', aliases: ['admin', 'admins', 'administrator', 'administrators'] },
+  member: { displayName: 'Members', aliases: ['member', 'members', 'user', 'users'] }
+};
+
+// Repo error codes -> SCIM scimType
+const SCIM_TYPES = {
+  SCIM_INVALID_FILTER: 'invalidFilter',
+  SCIM_INVALID_VALUE: 'invalidValue',
+  SCIM_INVALID_PATH: 'invalidPath',
+  SCIM_MUTABILITY: 'mutability',
+  ALREADY_EXISTS: 'uniqueness'
+};
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const FILTER_PATTERN = /^\s*([\w.]+)\s+eq\s+"((?:[^"\\]|\\.)*)"\s*$/i;
+const MEMBER_PATH_PATTERN = /^members\[value eq "([^"]+)"\]$/i;
+
+const USER_ATTRIBUTES = ['id', 'email', 'username', 'isEmailVerified'];
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+function baseUrl() {
+  return `${process.env.BACKEND_URL || 'http://localhost:3001'}/scim/v2`;
+}
+
+/**
+ * SCIM error response body
+ */
+function scimError(status, detail, scimType = null) {
+  const body = {
+    schemas: [SCIM_SCHEMAS.ERROR],
+    status: String(status),
+    detail
+  };
+  if (scimType) body.scimType = scimType;
+  return body;
+}
+
+/**
+ * Map a thrown error to { status, body }; unexpected errors become a 500
+ */
+function toScimError(error) {
+  if (!error.isOperational) {
+    return { status: 500, body: scimError(500, 'Internal server error') };
+  }
+  return {
+    status: error.statusCode,
+    body: scimError(error.statusCode, error.message, SCIM_TYPES[error.code] || null)
+  };
+}
+
+function invalidValue(message) {
+  return new ValidationError(message, [], 'SCIM_INVALID_VALUE');
+}
+
+function normalizeEmail(value) {
+  return typeof value === 'string' && value.includes('@') ? value.trim().toLowerCase() : null;
+}
+
+function parseBoolean(value, field) {
+  if (typeof value === 'boolean') return value;
+  if (typeof value === 'string' && /^(true|false)$/i.test(value)) return value.toLowerCase() === 'true';
+  throw invalidValue(`${field} must be a boolean`);
+}
+
+function parseFilter(filter, attributes) {
+  if (!filter) return null;
+
+  const match = String(filter).match(FILTER_PATTERN);
+  const attribute = match && attributes.find(name => name.toLowerCase() === match[1].toLowerCase());
+  if (!attribute) {
+    throw new ValidationError(
+      `Only 'eq' filters on ${attributes.join(', ')} are supported`,
+      [],
+      'SCIM_INVALID_FILTER'
+    );
+  }
+  return { attribute, value: match[2].replace(/\\(.)/g, '$1') };
+}
+
+function readPagination(query) {
+  const startIndex = Math.max(parseInt(query.startIndex, 10) || 1, 1);
+  const requested = parseInt(query.count, 10);
+  const count = Math.min(Math.max(Number.isNaN(requested) ? SCIM_CONFIG.DEFAULT_COUNT : requested, 0), SCIM_CONFIG.MAX_COUNT);
+  return { startIndex, count };
+}
+
+function listResponse(resources, totalResults, startIndex) {
+  return {
+    schemas: [SCIM_SCHEMAS.LIST_RESPONSE],
+    totalResults,
+    startIndex,
+    itemsPerPage: resources.length,
+    Resources: resources
+  };
+}
+
+function audit({ team, req }, action, membership, user, metadata = {}) {
+  return auditLog.recordEvent({
+    action,
+    req,
+    target: { type: 'user', id: membership.user_id, label: user ? user.email : null },
+    teamId: team.id,
+    metadata: { ...metadata, apiKeyId: req.apiKey ? req.apiKey.id : null }
+  });
+}
+
+// Same member.joined / member.removed events as the team routes, so webhooks
+// and open sockets follow changes made by the IdP
+function emitMemberJoined(team, membership, user) {
+  const joined = {
+    user_id: membership.user_id,
+    role: membership.role,
+    joined_at: membership.joined_at
+  };
+  webhookService.emitTeamEvent(team.id, 'member.joined', joined);
+  teamEvents.publishTeamEvent(team.id, 'member.joined', { ...joined, username: user.username });
+}
+
+function emitMemberRemoved(team, membership, reason) {
+  const removed = {
+    user_id: membership.user_id,
+    role: membership.role,
+    removed_by: null,
+    left_voluntarily: false,
+    reason
+  };
+  webhookService.emitTeamEvent(team.id, 'member.removed', removed);
+  teamEvents.publishTeamEvent(team.id, 'member.removed', removed);
+}
+
+// ============================================================================
+// RESOURCES
+// ============================================================================
+
+function toUserResource(membership, user) {
+  const group = ROLE_GROUPS[membership.role];
+  return {
+    schemas: [SCIM_SCHEMAS.USER],
+    id: user.id,
+    externalId: membership.scim_external_id || undefined,
+    userName: user.email,
+    displayName: user.username,
+    emails: [{ value: user.email, type: 'work', primary: true }],
+    active: membership.status === 'active',
+    groups: [{ value: membership.role, display: group.displayName, $ref: `${baseUrl()}/Groups/${membership.role}` }],
+    meta: {
+      resourceType: 'User',
+      created: membership.created_at,
+      lastModified: membership.updated_at,
+      location: `${baseUrl()}/Users/${user.id}`
+    }
+  };
+}
+
+async function toGroupResource(team, role, { includeMembers = true } = {}) {
+  const resource = {
+    schemas: [SCIM_SCHEMAS.GROUP],
+    id: role,
+    displayName: ROLE_GROUPS[role].displayName,
+    meta: {
+      resourceType: 'Group',
+      location: `${baseUrl()}/Groups/${role}`
+    }
+  };
+
+  if (includeMembers) {
+    const memberships = await TeamMember.findAll({
+      where: { team_id: team.id, role },
+      include: [{ model: User, as: 'user', attributes: ['id', 'email'] }],
+      order: [['id', 'ASC']]
+    });
+    resource.members = memberships.map(membership => ({
+      value: membership.user_id,
+      display: membership.user ? membership.user.email : undefined,
+      $ref: `${baseUrl()}/Users/${membership.user_id}`
+    }));
+  }
+  return resource;
+}
+
+/**
+ * GET /ServiceProviderConfig
+ */
+function serviceProviderConfig() {
+  return {
+    schemas: [SCIM_SCHEMAS.SERVICE_PROVIDER_CONFIG],
+    patch: { supported: true },
+    bulk: { supported: false, maxOperations: 0, maxPayloadSize: 0 },
+    filter: { supported: true, maxResults: SCIM_CONFIG.MAX_COUNT },
+    changePassword: { supported: false },
+    sort: { supported: false },
+    etag: { supported: false },
+    authenticationSchemes: [{
+      type: 'oauthbearertoken',
+      name: 'Bearer token',
+      description: 'Team API key with the scim:provision scope',
+      primary: true
+    }],
+    meta: {
+      resourceType: 'ServiceProviderConfig',
+      location: `${baseUrl()}/ServiceProviderConfig`
+    }
+  };
+}
+
+/**
+ * GET /ResourceTypes
+ */
+function resourceTypes() {
+  const types = [
+    { id: 'User', name: 'User', endpoint: '/Users', schema: SCIM_SCHEMAS.USER },
+    { id: 'Group', name: 'Group', endpoint: '/Groups', schema: SCIM_SCHEMAS.GROUP }
+  ].map(type => ({
+    schemas: [SCIM_SCHEMAS.RESOURCE_TYPE],
+    ...type,
+    meta: { resourceType: 'ResourceType', location: `${baseUrl()}/ResourceTypes/${type.id}` }
+  }));
+  return listResponse(types, types.length, 1);
+}
+
+// ============================================================================
+// MEMBERSHIP RULES
+// ============================================================================
+
+// Same rule as invitations: pending and active members take a seat
+async function assertFreeSeat(team) {
+  if (team.max_members > 0) {
+    const members = await TeamMember.count({ where: { team_id: team.id, status: ['pending', 'active'] } });
+    if (members >= team.max_members) {
+      throw new AuthorizationError(`Team has reached its limit of ${team.max_members} members`, 'SCIM_TEAM_FULL');
+    }
+  }
+}
+
+// The IdP only manages addresses on domains the team has proven it owns
+async function assertVerifiedDomain(team, email) {
+  const domain = email.substring(email.lastIndexOf('@') + 1);
+  const claimed = await TeamSsoDomain.findOne({ where: { team_id: team.id, domain } });
+  if (!claimed || !claimed.verified_at) {
+    throw invalidValue(`${domain} is not a verified domain for this team`);
+  }
+}
+
+function assertNotOwner(membership, action) {
+  if (membership.role === 'owner') {
+    throw new ValidationError(`The team owner can't be ${action} over SCIM`, [], 'SCIM_MUTABILITY');
+  }
+}
+
+async function findMembership(team, userId) {
+  const membership = UUID_PATTERN.test(String(userId))
+    ? await TeamMember.findOne({
+      where: { team_id: team.id, user_id: userId },
+      include: [{ model: User, as: 'user', attributes: USER_ATTRIBUTES }]
+    })
+    : null;
+  if (!membership || !membership.user) {
+    throw new NotFoundError('User', userId);
+  }
+  return membership;
+}
+
+/**
+ * Activate or suspend a membership. Suspending signs the user out everywhere.
+ */
+async function setActive(context, membership, active) {
+  const isActive = membership.status === 'active';
+  if (active === isActive) return;
+
+  if (active) {
+    // Pending invitations already hold a seat
+    if (membership.status !== 'pending') {
+      await assertFreeSeat(context.team);
+    }
+    await membership.update({ status: 'active', joined_at: membership.joined_at || new Date() });
+    await audit(context, 'team.scim.member_activated', membership, membership.user);
+    emitMemberJoined(context.team, membership, membership.user);
+    return;
+  }
+
+  assertNotOwner(membership, 'deactivated');
+  await membership.update({ status: 'suspended' });
+  emitMemberRemoved(context.team, membership, 'scim_deactivated');
+  const sessions = await refreshTokenService.revokeUserFamilies(membership.user_id, { reason: 'scim_deactivated' });
+  await audit(context, 'team.scim.member_deactivated', membership, membership.user, { sessionsRevoked: sessions });
+}
+
+// ============================================================================
+// USERS
+// ============================================================================
+
+/**
+ * GET /Users
+ */
+async function listUsers(context, query = {}) {
+  const filter = parseFilter(query.filter, SCIM_CONFIG.USER_FILTERS);
+  const { startIndex, count } = readPagination(query);
+
+  const memberWhere = { team_id: context.team.id };
+  let userWhere;
+
+  if (filter) {
+    if (filter.attribute === 'externalId') {
+      memberWhere.scim_external_id = filter.value;
+    } else if (filter.attribute === 'id') {
+      if (!UUID_PATTERN.test(filter.value)) return listResponse([], 0, startIndex);
+      memberWhere.user_id = filter.value;
+    } else {
+      userWhere = where(fn('lower', col('user.email')), filter.value.toLowerCase());
+    }
+  }
+
+  const { rows, count: total } = await TeamMember.findAndCountAll({
+    where: memberWhere,
+    include: [{ model: User, as: 'user', attributes: USER_ATTRIBUTES, where: userWhere, required: true }],
+    order: [['id', 'ASC']],
+    offset: startIndex - 1,
+    limit: count
+  });
+
+  return listResponse(rows.map(membership => toUserResource(membership, membership.user)), total, startIndex);
+}
+
+/**
+ * GET /Users/:id
+ */
+async function getUser(context, userId) {
+  const membership = await findMembership(context.team, userId);
+  return toUserResource(membership, membership.user);
+}
+
+/**
+ * POST /Users - add a user to the team, creating their account if needed
+ */
+async function createUser(context, body = {}) {
+  const { team } = context;
+  const primary = Array.isArray(body.emails) ? (body.emails.find(entry => entry.primary) || body.emails[0]) : null;
+  const email = normalizeEmail(body.userName) || normalizeEmail(primary && primary.value);
+  if (!email) {
+    throw invalidValue('userName must be an email address');
+  }
+  await assertVerifiedDomain(team, email);
+
+  const active = body.active === undefined ? true : parseBoolean(body.active, 'active');
+
+  let user = await User.findOne({
+    where: where(fn('lower', col('email')), email),
+    attributes: USER_ATTRIBUTES
+  });
+
+  if (user) {
+    // An unverified account may have been registered by someone else
+    if (!user.isEmailVerified) {
+      throw invalidValue('An unverified account already uses this email address');
+    }
+    if (await TeamMember.findOne({ where: { team_id: team.id, user_id: user.id } })) {
+      throw new AlreadyExistsError('User', `userName ${email}`);
+    }
+  }
+
+  if (active) {
+    await assertFreeSeat(team);
+  }
+
+  let created = false;
+  if (!user) {
+    const result = await userTrackingService.registerUser({
+      username: email.split('@')[0],
+      email,
+      password: null,
+      emailVerified: true,
+      signupMethod: 'scim'
+    });
+    user = result.user;
+    created = true;
+  }
+
+  const membership = await TeamMember.create({
+    team_id: team.id,
+    user_id: user.id,
+    role: 'member',
+    status: active ? 'active' : 'suspended',
+    joined_at: active ? new Date() : null,
+    scim_external_id: body.externalId ? String(body.externalId).substring(0, 255) : null
+  });
+
+  await audit(context, 'team.scim.member_provisioned', membership, user, { accountCreated: created, active });
+  if (active) {
+    emitMemberJoined(team, membership, user);
+  }
+  return toUserResource(membership, user);
+}
+
+/**
+ * PUT /Users/:id - only externalId and active are writable; other attributes
+ * come from the user's own account and are ignored
+ */
+async function replaceUser(context, userId, body = {}) {
+  const membership = await findMembership(context.team, userId);
+
+  if (body.externalId !== undefined) {
+    await membership.update({ scim_external_id: body.externalId ? String(body.externalId).substring(0, 255) : null });
+  }
+  if (body.active !== undefined) {
+    await setActive(context, membership, parseBoolean(body.active, 'active'));
+  }
+
+  return toUserResource(membership, membership.user);
+}
+
+/**
+ * PATCH /Users/:id
+ * Handles both { path: 'active', value: false } and { value: { active: false } }
+ * operation styles. Unsupported attributes are ignored.
+ */
+async function patchUser(context, userId, body = {}) {
+  const membership = await findMembership(context.team, userId);
+  const operations = Array.isArray(body.Operations) ? body.Operations : [];
+
+  const changes = {};
+  for (const operation of operations) {
+    const op = String(operation.op || '').toLowerCase();
+    const path = operation.path ? String(operation.path) : null;
+
+    if (!['add', 'replace', 'remove'].includes(op)) {
+      throw new ValidationError(`Unsupported patch operation: ${operation.op}`, [], 'SCIM_INVALID_VALUE');
+    }
+
+    if (!path && operation.value && typeof operation.value === 'object') {
+      if (operation.value.active !== undefined) changes.active = operation.value.active;
+      if (operation.value.externalId !== undefined) changes.externalId = operation.value.externalId;
+    } else if (path === 'active') {
+      changes.active = op === 'remove' ? false : operation.value;
+    } else if (path === 'externalId') {
+      changes.externalId = op === 'remove' ? null : operation.value;
+    }
+  }
+
+  return replaceUser(context, membership.user_id, changes);
+}
+
+/**
+ * DELETE /Users/:id - remove the user from the team; their account stays
+ */
+async function deleteUser(context, userId) {
+  const membership = await findMembership(context.team, userId);
+  assertNotOwner(membership, 'removed');
+
+  await membership.destroy();
+  // A suspended member was already announced as removed
+  if (membership.status !== 'suspended') {
+    emitMemberRemoved(context.team, membership, 'scim_removed');
+  }
+  const sessions = await refreshTokenService.revokeUserFamilies(membership.user_id, { reason: 'scim_removed' });
+  await audit(context, 'team.scim.member_removed', membership, membership.user, { sessionsRevoked: sessions });
+}
+
+// ============================================================================
+// GROUPS
+// ============================================================================
+
+function roleForGroupName(displayName) {
+  const words = String(displayName || '').toLowerCase().match(/[a-z]+/g) || [];
+  const last = words[words.length - 1];
+  return Object.keys(ROLE_GROUPS).find(role => ROLE_GROUPS[role].aliases.includes(last)) || null;
+}
+
+// ?excludedAttributes=members skips loading the member list
+function includesMembers(query) {
+  return !String(query.excludedAttributes || '').split(',').map(name => name.trim()).includes('members');
+}
+
+function findGroupRole(groupId) {
+  if (!ROLE_GROUPS[groupId]) {
+    throw new NotFoundError('Group', groupId);
+  }
+  return groupId;
+}
+
+function memberIds(value) {
+  const entries = Array.isArray(value) ? value : (value ? [value] : []);
+  return entries
+    .map(entry => (entry && typeof entry === 'object' ? entry.value : entry))
+    .filter(id => UUID_PATTERN.test(String(id)))
+    .map(id => String(id).toLowerCase());
+}
+
+async function setRole(context, userIds, role) {
+  if (userIds.length === 0) return;
+
+  const memberships = await TeamMember.findAll({
+    where: { team_id: context.team.id, user_id: userIds },
+    include: [{ model: User, as: 'user', attributes: ['id', 'email'] }]
+  });
+
+  for (const membership of memberships) {
+    if (membership.role === role || membership.role === 'owner') continue;
+
+    const previousRole = membership.role;
+    await membership.update({ role });
+    await audit(context, 'team.scim.role_changed', membership, membership.user, { from: previousRole, to: role });
+  }
+}
+
+/**
+ * Apply membership changes to a role group. Users removed from the admin
+ * group drop back to member; leaving the member group changes nothing, since
+ * team membership itself is managed through /Users.
+ */
+async function changeGroupMembers(context, role, { add = [], remove = [], replace = null }) {
+  if (role === 'owner') {
+    const owner = String(context.team.owner_id).toLowerCase();
+    const touchesOwnership = [...add, ...(replace || [])].some(id => id !== owner) || remove.includes(owner);
+    if (touchesOwnership) {
+      throw new ValidationError('The owner group is managed by ErrorWise and is read-only', [], 'SCIM_MUTABILITY');
+    }
+    return;
+  }
+
+  let removed = remove;
+  if (replace) {
+    const current = await TeamMember.findAll({ where: { team_id: context.team.id, role }, attributes: ['user_id'] });
+    removed = current.map(membership => membership.user_id).filter(id => !replace.includes(id));
+    add = [...add, ...replace];
+  }
+
+  await setRole(context, add, role);
+  if (role === 'admin') {
+    await setRole(context, removed, 'member');
+  }
+}
+
+/**
+ * GET /Groups
+ */
+async function listGroups(context, query = {}) {
+  const filter = parseFilter(query.filter, SCIM_CONFIG.GROUP_FILTERS);
+  const { startIndex, count } = readPagination(query);
+  const includeMembers = includesMembers(query);
+
+  let roles = Object.keys(ROLE_GROUPS);
+  if (filter && filter.attribute === 'id') {
+    roles = roles.filter(role => role === filter.value);
+  } else if (filter) {
+    roles = roles.filter(role => role === roleForGroupName(filter.value));
+  }
+
+  const page = roles.slice(startIndex - 1, startIndex - 1 + count);
+  const resources = await Promise.all(page.map(role => toGroupResource(context.team, role, { includeMembers })));
+  return listResponse(resources, roles.length, startIndex);
+}
+
+/**
+ * GET /Groups/:id
+ */
+async function getGroup(context, groupId, query = {}) {
+  return toGroupResource(context.team, findGroupRole(groupId), { includeMembers: includesMembers(query) });
+}
+
+/**
+ * POST /Groups - groups can't be created, but an IdP group named after a
+ * role is linked to that role's group
+ */
+async function createGroup(context, body = {}) {
+  const role = roleForGroupName(body.displayName);
+  if (!role) {
+    throw invalidValue('Group names must end in Owners, Admins or Members');
+  }
+
+  if (body.members !== undefined) {
+    await changeGroupMembers(context, role, { add: memberIds(body.members) });
+  }
+  return toGroupResource(context.team, role);
+}
+
+/**
+ * PUT /Groups/:id - replaces the group's members
+ */
+async function replaceGroup(context, groupId, body = {}) {
+  const role = findGroupRole(groupId);
+  await changeGroupMembers(context, role, { replace: memberIds(body.members) });
+  return toGroupResource(context.team, role);
+}
+
+/**
+ * PATCH /Groups/:id
+ */
+async function patchGroup(context, groupId, body = {}) {
+  const role = findGroupRole(groupId);
+  const operations = Array.isArray(body.Operations) ? body.Operations : [];
+
+  for (const operation of operations) {
+    const op = String(operation.op || '').toLowerCase();
+    const path = operation.path ? String(operation.path) : null;
+    const filtered = path && path.match(MEMBER_PATH_PATTERN);
+
+    if (filtered && op === 'remove') {
+      await changeGroupMembers(context, role, { remove: memberIds(filtered[1]) });
+    } else if (path === 'members' && op === 'add') {
+      await changeGroupMembers(context, role, { add: memberIds(operation.value) });
+    } else if (path === 'members' && op === 'remove') {
+      await changeGroupMembers(context, role, operation.value ? { remove: memberIds(operation.value) } : { replace: [] });
+    } else if ((path === 'members' && op === 'replace') || (!path && op === 'replace' && operation.value && operation.value.members)) {
+      await changeGroupMembers(context, role, { replace: memberIds(path ? operation.value : operation.value.members) });
+    } else if (path === 'displayName' || path === 'externalId' || (!path && op === 'replace')) {
+      // Group names are fixed
+    } else {
+      throw new ValidationError(`Unsupported patch path: ${path || '(none)'}`, [], 'SCIM_INVALID_PATH');
+    }
+  }
+
+  return toGroupResource(context.team, role);
+}
+
+/**
+ * DELETE /Groups/:id - unlinking the admin group demotes its members
+ */
+async function deleteGroup(context, groupId) {
+  const role = findGroupRole(groupId);
+  if (role !== 'admin') {
+    throw new ValidationError(`The ${ROLE_GROUPS[role].displayName} group can't be deleted`, [], 'SCIM_MUTABILITY');
+  }
+  await changeGroupMembers(context, role, { replace: [] });
+}
+
+module.exports = {
+  scimError,
+  toScimError,
+  serviceProviderConfig,
+  resourceTypes,
+  listUsers,
+  getUser,
+  createUser,
+  replaceUser,
+  patchUser,
+  deleteUser,
+  listGroups,
+  getGroup,
+  createGroup,
+  replaceGroup,
+  patchGroup,
+  deleteGroup,
+  SCIM_SCHEMAS,
+  SCIM_CONFIG
+};
@@ -0,0 +1,269 @@
+/**
+ * Share Link Service
+ * Revocable public permalinks to a read-only rendering of an ErrorQuery.
+ *
+ * Links carry a random 256-bit token; anyone holding the URL can view the
+ * analysis until it expires or the owner revokes it. The public rendering
+ * never includes owner details, and secrets are scrubbed from the text.
+ */
+
+const crypto = require('crypto');
+const { Op } = require('sequelize');
+const sequelize = require('../config/database');
+const AnalysisShareLink = require('../models/AnalysisShareLink');
+const ErrorQuery = require('../models/ErrorQuery');
+const { ValidationError } = require('../utils/errors');
+
+const SHARE_CONFIG = {
+  TOKEN_BYTES: 32,
+  MAX_EXPIRY_DAYS: 365,
+  MAX_ACTIVE_LINKS_PER_ANALYSIS: 10
+};
+
+// Always scrubbed from shared text (credentials, personal data)
+const SECRET_PATTERNS = [
+  [/\b(?:sk|pk|rk)[-_](?:live|test|proj|ant)?[-_]?[A-Za-z0-9_-]{16,}\b/g, '[redacted-key]'],
+  [/\bAKIA[0-9A-Z]{16}\b/g, '[redacted-key]'],
+  [/\bgh[pousr]_[A-Za-z0-9]{30,}\b/g, '[redacted-token]'],
+  [/\bxox[abposr]-[A-Za-z0-9-]{10,}\b/g, '[redacted-token]'],
+  [/\beyJ[A-Za-z0-9_-]+\.[A-Za-z0-9_-]+\.[A-Za-z0-9_-]+\b/g, '[redacted-jwt]'],
+  [/\b(Bearer|Basic)\s+[A-Za-z0-9._~+/=-]{8,}/gi, '$1 [redacted]'],
+  [/\b(password|passwd|pwd|secret|api[_-]?key|access[_-]?token|auth[_-]?token|client[_-]?secret)(["']?\s*[:=]\s*["']?)[^\s"',;]+/gi, '$1$2[redacted]'],
+  [/\b([a-z][a-z0-9+.-]*:\/\/)[^/\s:@]+:[^/\s@]+@/gi, '$1[redacted]@'],
+  [/[\w.+-]+@[\w-]+\.[\w.-]+/g, '[email]']
+];
+
+const CODE_BLOCK = /```[\s\S]*?(?:```|$)/g;
+const INLINE_CODE = /`[^`\n]+`/g;
+
+function generateToken() {
+  return crypto.randomBytes(SHARE_CONFIG.TOKEN_BYTES).toString('base64url');
+}
+
+function buildShareUrl(token) {
+  const baseUrl = process.env.FRONTEND_URL || 'http://localhost:5173';
+  return `${baseUrl.replace(/\/$/, '')}/share/${token}`;
+}
+
+function isActive(link, now = new Date()) {
+  return !link.revokedAt && (!link.expiresAt || new Date(link.expiresAt) > now);
+}
+
+/**
+ * Scrub secrets (and optionally code) from text shown publicly
+ * @param {string} text
+ * @param {boolean} redactCode - Replace fenced and inline code
+ */
+function sanitizeText(text, redactCode = false) {
+  if (!text) return text;
+
+  let sanitized = String(text);
+  if (redactCode) {
+    sanitized = sanitized.replace(CODE_BLOCK, '[code redacted]').replace(INLINE_CODE, '[code]');
+  }
+  for (const [pattern, replacement] of SECRET_PATTERNS) {
+    sanitized = sanitized.replace(pattern, replacement);
+  }
+  return sanitized;
+}
+
+function sanitizeStackTrace(stackTrace, redactCode) {
+  if (!stackTrace) return null;
+
+  const exception = (entry) => entry && { type: entry.type, message: sanitizeText(entry.message, redactCode) };
+  const publicTrace = {
+    format: stackTrace.format,
+    exception: exception(stackTrace.exception),
+    causes: (stackTrace.causes || []).map(exception),
+    rootCause: exception(stackTrace.rootCause)
+  };
+
+  // Frames point into the owner's source tree - only shown when code isn't redacted
+  if (!redactCode) {
+    publicTrace.frames = (stackTrace.frames || []).map(frame => ({
+      function: frame.function,
+      file: frame.file,
+      line: frame.line,
+      column: frame.column,
+      isApp: frame.isApp
+    }));
+  }
+
+  return publicTrace;
+}
+
+/**
+ * Read-only public rendering of an analysis
+ * @param {object} errorQuery
+ * @param {object} link
+ */
+function buildPublicAnalysis(errorQuery, link) {
+  return {
+    errorMessage: sanitizeText(errorQuery.errorMessage, link.redactCode),
+    explanation: sanitizeText(errorQuery.explanation, link.redactCode),
+    solution: sanitizeText(errorQuery.solution, link.redactCode),
+    category: errorQuery.errorCategory,
+    tags: errorQuery.tags || [],
+    stackTrace: sanitizeStackTrace(errorQuery.stackTrace, link.redactCode),
+    codeRedacted: link.redactCode,
+    analyzedAt: errorQuery.createdAt,
+    sharedAt: link.createdAt,
+    expiresAt: link.expiresAt,
+    views: link.viewCount
+  };
+}
+
+function toLinkSummary(link) {
+  return {
+    id: link.id,
+    errorQueryId: link.errorQueryId,
+    url: buildShareUrl(link.token),
+    token: link.token,
+    redactCode: link.redactCode,
+    expiresAt: link.expiresAt,
+    revokedAt: link.revokedAt,
+    active: isActive(link),
+    viewCount: link.viewCount,
+    lastViewedAt: link.lastViewedAt,
+    createdAt: link.createdAt
+  };
+}
+
+/**
+ * Resolve expiry from either an absolute date or a number of days
+ * @returns {Date|null}
+ * @throws {ValidationError} for invalid input
+ */
+function resolveExpiry({ expiresAt, expiresInDays } = {}) {
+  const invalid = (message) => new ValidationError(message);
+  const maxExpiry = Date.now() + SHARE_CONFIG.MAX_EXPIRY_DAYS * 24 * 60 * 60 * 1000;
+
+  if (expiresAt !== undefined && expiresAt !== null) {
+    const date = new Date(expiresAt);
+    if (Number.isNaN(date.getTime())) throw invalid('expiresAt must be a valid date');
+    if (date.getTime() <= Date.now()) throw invalid('expiresAt must be in the future');
+    if (date.getTime() > maxExpiry) throw invalid(`Links can expire at most ${SHARE_CONFIG.MAX_EXPIRY_DAYS} days from now`);
+    return date;
+  }
+
+  if (expiresInDays !== undefined && expiresInDays !== null) {
+    const days = Number(expiresInDays);
+    if (!Number.isFinite(days) || days <= 0 || days > SHARE_CONFIG.MAX_EXPIRY_DAYS) {
+      throw invalid(`expiresInDays must be between 1 and ${SHARE_CONFIG.MAX_EXPIRY_DAYS}`);
+    }
+    return new Date(Date.now() + days * 24 * 60 * 60 * 1000);
+  }
+
+  return null;
+}
+
+// ============================================================================
+// PUBLIC API
+// ============================================================================
+
+/**
+ * Create a share link for an analysis the user owns
+ * @param {string} errorQueryId
+ * @param {string} userId
+ * @param {object} options - { expiresAt, expiresInDays, redactCode }
+ * @returns {Promise<object|null>} Link summary, or null when the analysis isn't found
+ */
+async function createShareLink(errorQueryId, userId, { expiresAt, expiresInDays, redactCode = false } = {}) {
+  const expiry = resolveExpiry({ expiresAt, expiresInDays });
+
+  const errorQuery = await ErrorQuery.findOne({ where: { id: errorQueryId, userId }, attributes: ['id'] });
+  if (!errorQuery) return null;
+
+  const activeLinks = await AnalysisShareLink.count({
+    where: {
+      errorQueryId,
+      revokedAt: null,
+      [Op.or]: [{ expiresAt: null }, { expiresAt: { [Op.gt]: new Date() } }]
+    }
+  });
+  if (activeLinks >= SHARE_CONFIG.MAX_ACTIVE_LINKS_PER_ANALYSIS) {
+    throw new ValidationError(`An analysis can have at most ${SHARE_CONFIG.MAX_ACTIVE_LINKS_PER_ANALYSIS} active share links`);
+  }
+
+  const link = await AnalysisShareLink.create({
+    errorQueryId,
+    userId,
+    token: generateToken(),
+    redactCode: !!redactCode,
+    expiresAt: expiry
+  });
+
+  return toLinkSummary(link);
+}
+
+/**
+ * Look up an active link and its analysis, counting the view
+ * @param {string} token
+ * @returns {Promise<object|null>} Public analysis, or null if missing/expired/revoked
+ */
+async function viewSharedAnalysis(token) {
+  if (!token || typeof token !== 'string' || token.length > 64) return null;
+
+  const link = await AnalysisShareLink.findOne({ where: { token } });
+  if (!link || !isActive(link)) return null;
+
+  const errorQuery = await ErrorQuery.findByPk(link.errorQueryId, {
+    attributes: ['id', 'errorMessage', 'explanation', 'solution', 'errorCategory', 'tags', 'stackTrace', 'createdAt']
+  });
+  if (!errorQuery) return null;
+
+  // Atomic increment - concurrent views must not overwrite each other
+  await AnalysisShareLink.update(
+    { viewCount: sequelize.literal('"viewCount" + 1'), lastViewedAt: new Date() },
+    { where: { id: link.id } }
+  );
+  link.viewCount += 1;
+
+  return buildPublicAnalysis(errorQuery, link);
+}
+
+/**
+ * A user's share links (active only unless includeInactive)
+ * @param {string} userId
+ * @param {object} options - { errorQueryId, includeInactive }
+ */
+async function listShareLinks(userId, { errorQueryId, includeInactive = false } = {}) {
+  const where = { userId };
+  if (errorQueryId) {
+    where.errorQueryId = errorQueryId;
+  }
+  if (!includeInactive) {
+    where.revokedAt = null;
+    where[Op.or] = [{ expiresAt: null }, { expiresAt: { [Op.gt]: new Date() } }];
+  }
+
+  const links = await AnalysisShareLink.findAll({
+    where,
+    order: [['createdAt', 'DESC']]
+  });
+
+  return links.map(toLinkSummary);
+}
+
+/**
+ * Revoke a link the user owns
+ * @returns {Promise<object|null>} Updated summary, or null when not found
+ */
+async function revokeShareLink(linkId, userId) {
+  const link = await AnalysisShareLink.findOne({ where: { id: linkId, userId } });
+  if (!link) return null;
+
+  if (!link.revokedAt) {
+    await link.update({ revokedAt: new Date() });
+  }
+  return toLinkSummary(link);
+}
+
+module.exports = {
+  createShareLink,
+  viewSharedAnalysis,
+  listShareLinks,
+  revokeShareLink,
+  sanitizeText,
+  SHARE_CONFIG
+};
@@ -0,0 +1,462 @@
+/**
+ * Shared Error Tracking Service
+ * Ownership, deadlines and SLA figures for team shared errors.
+ *
+ * A shared error can have several assignees and an explicit due date. Teams
+ * can also set per-priority SLA targets, in hours to resolution:
+ *
+ *   settings.sla_targets = { critical: 4, high: 24, medium: 72, low: null }
+ *
+ * Each shared error gets sla_due_at = created_at + target for its priority,
+ * recomputed when the priority or the targets change. An open or discussing
+ * error is overdue once either deadline has passed; a background worker
+ * emails its assignees (or the team's owners and admins when nobody is
+ * assigned) at most once a day until it is resolved or the deadline moves.
+ *
+ * Every status change adds the time spent in the previous status to
+ * status_durations, and resolving sets resolved_at, which MTTR is based on.
+ */
+
+const { Op } = require('sequelize');
+const sequelize = require('../config/database');
+const SharedError = require('../models/SharedError');
+const SharedErrorAssignee = require('../models/SharedErrorAssignee');
+const TeamMember = require('../models/TeamMember');
+const Team = require('../models/Team');
+const User = require('../models/User');
+const notificationService = require('./notificationService');
+const { ValidationError } = require('../utils/errors');
+
+const TRACKING_CONFIG = {
+  SLA_SETTING: 'sla_targets',
+  PRIORITIES: ['low', 'medium', 'high', 'critical'],
+  ACTIVE_STATUSES: ['open', 'discussing'],
+  MAX_SLA_HOURS: 24 * 365,
+  MAX_ASSIGNEES: 10,
+  REMINDER_POLL_MS: 15 * 60 * 1000,
+  REMINDER_INTERVAL_MS: 24 * 60 * 60 * 1000,   // Between reminders for the same error
+  REMINDER_BATCH_SIZE: 100
+};
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const HOUR_MS = 60 * 60 * 1000;
+
+let reminderTimer = null;
+
+// ============================================================================
+// SLA TARGETS
+// ============================================================================
+
+function hasSlaSettings(settings) {
+  return !!settings && settings[TRACKING_CONFIG.SLA_SETTING] !== undefined;
+}
+
+/**
+ * Validate settings.sla_targets from a team settings update
+ * @param {object} settings - Partial Team.settings from the request
+ * @returns {string|null} Error message, or null when valid
+ */
+function validateSlaSettings(settings) {
+  const targets = settings[TRACKING_CONFIG.SLA_SETTING];
+  if (targets === null) return null;
+  if (typeof targets !== 'object' || Array.isArray(targets)) {
+    return `${TRACKING_CONFIG.SLA_SETTING} must be an object of hours per priority`;
+  }
+
+  for (const [priority, hours] of Object.entries(targets)) {
+    if (!TRACKING_CONFIG.PRIORITIES.includes(priority)) {
+      return `Unknown priority "${priority}" in ${TRACKING_CONFIG.SLA_SETTING}`;
+    }
+    if (hours === null) continue;
+    if (typeof hours !== 'number' || !(hours > 0) || hours > TRACKING_CONFIG.MAX_SLA_HOURS) {
+      return `SLA target for ${priority} must be between 0 and ${TRACKING_CONFIG.MAX_SLA_HOURS} hours, or null`;
+    }
+  }
+  return null;
+}
+
+/**
+ * Hours to resolution per priority; priorities without a target are left out
+ */
+function slaTargets(team) {
+  const configured = (team && team.settings && team.settings[TRACKING_CONFIG.SLA_SETTING]) || {};
+  const targets = {};
+  for (const priority of TRACKING_CONFIG.PRIORITIES) {
+    if (typeof configured[priority] === 'number' && configured[priority] > 0) {
+      targets[priority] = configured[priority];
+    }
+  }
+  return targets;
+}
+
+function slaDueAt(team, priority, createdAt) {
+  const hours = slaTargets(team)[priority];
+  return hours ? new Date(new Date(createdAt).getTime() + hours * HOUR_MS) : null;
+}
+
+/**
+ * Recompute SLA deadlines of a team's unresolved errors after its targets change.
+ * Resolved and archived errors keep the deadline they were measured against.
+ * @returns {Promise<number>} Errors whose deadline moved
+ */
+async function applySlaTargets(team) {
+  const active = await SharedError.findAll({
+    where: { team_id: team.id, status: TRACKING_CONFIG.ACTIVE_STATUSES },
+    attributes: ['id', 'priority', 'created_at', 'sla_due_at']
+  });
+
+  let changed = 0;
+  for (const sharedError of active) {
+    const deadline = slaDueAt(team, sharedError.priority, sharedError.created_at);
+    const current = sharedError.sla_due_at ? new Date(sharedError.sla_due_at).getTime() : null;
+    if ((deadline ? deadline.getTime() : null) === current) continue;
+
+    await sharedError.update({ sla_due_at: deadline, reminded_at: null });
+    changed++;
+  }
+  return changed;
+}
+
+// ============================================================================
+// STATUS & DEADLINES
+// ============================================================================
+
+/**
+ * Parse a due date from a request
+ * @returns {Date|null|undefined} undefined when not given, null to clear
+ */
+function parseDueAt(value) {
+  if (value === undefined) return undefined;
+  if (value === null || value === '') return null;
+
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw new ValidationError('Invalid due date', [{ field: 'dueAt', message: 'Use an ISO 8601 date' }], 'INVALID_DUE_DATE');
+  }
+  return date;
+}
+
+/**
+ * Fields to update when a shared error moves to another status
+ * @param {object} sharedError
+ * @param {string} nextStatus
+ * @param {Date} [now]
+ * @returns {object} Empty when the status doesn't change
+ */
+function statusTransition(sharedError, nextStatus, now = new Date()) {
+  const currentStatus = sharedError.status;
+  if (!nextStatus || nextStatus === currentStatus) return {};
+
+  const since = new Date(sharedError.status_changed_at || sharedError.created_at);
+  const durations = { ...(sharedError.status_durations || {}) };
+  durations[currentStatus] = (durations[currentStatus] || 0) + Math.max(0, Math.round((now - since) / 1000));
+
+  const updates = { status: nextStatus, status_durations: durations, status_changed_at: now };
+  if (nextStatus === 'resolved') {
+    updates.resolved_at = now;
+  } else if (TRACKING_CONFIG.ACTIVE_STATUSES.includes(nextStatus)) {
+    // Reopened - the clock runs again
+    updates.resolved_at = null;
+    updates.reminded_at = null;
+  }
+  return updates;
+}
+
+/**
+ * Seconds spent in each status, including the time so far in the current one
+ */
+function timeInStatus(sharedError, now = new Date()) {
+  const durations = { ...(sharedError.status_durations || {}) };
+  const since = new Date(sharedError.status_changed_at || sharedError.created_at);
+  durations[sharedError.status] = (durations[sharedError.status] || 0) + Math.max(0, Math.round((now - since) / 1000));
+  return durations;
+}
+
+function isOverdue(sharedError, now = new Date()) {
+  if (!TRACKING_CONFIG.ACTIVE_STATUSES.includes(sharedError.status)) return false;
+  return [sharedError.due_at, sharedError.sla_due_at].some(deadline => deadline && new Date(deadline) < now);
+}
+
+/**
+ * Where clause for unresolved errors past either deadline
+ */
+function overdueCondition(now = new Date()) {
+  return {
+    status: TRACKING_CONFIG.ACTIVE_STATUSES,
+    [Op.or]: [
+      { due_at: { [Op.lt]: now } },
+      { sla_due_at: { [Op.lt]: now } }
+    ]
+  };
+}
+
+// ============================================================================
+// ASSIGNEES
+// ============================================================================
+
+/**
+ * Check that every id belongs to an active member of the team
+ * @param {number} teamId
+ * @param {string[]} userIds
+ * @returns {Promise<string[]>} Deduplicated ids
+ */
+async function validateAssignees(teamId, userIds) {
+  if (!Array.isArray(userIds)) {
+    throw new ValidationError('assigneeIds must be an array of user ids', [{ field: 'assigneeIds', message: 'Expected an array' }], 'INVALID_ASSIGNEES');
+  }
+
+  const ids = [...new Set(userIds.map(id => String(id).toLowerCase()))];
+  if (ids.length > TRACKING_CONFIG.MAX_ASSIGNEES) {
+    throw new ValidationError(
+      `A shared error can have at most ${TRACKING_CONFIG.MAX_ASSIGNEES} assignees`,
+      [{ field: 'assigneeIds', message: 'Too many assignees' }],
+      'INVALID_ASSIGNEES'
+    );
+  }
+  if (ids.length === 0) return ids;
+
+  const members = ids.every(id => UUID_PATTERN.test(id))
+    ? await TeamMember.findAll({ where: { team_id: teamId, user_id: ids, status: 'active' }, attributes: ['user_id'] })
+    : [];
+  if (members.length !== ids.length) {
+    throw new ValidationError('Assignees must be active team members', [{ field: 'assigneeIds', message: 'Unknown team member' }], 'INVALID_ASSIGNEES');
+  }
+  return ids;
+}
+
+/**
+ * Replace a shared error's assignees
+ * @param {object} sharedError
+ * @param {string[]} userIds - Already validated with validateAssignees
+ * @param {string} assignedBy
+ * @returns {Promise<{added: string[], removed: string[]}>}
+ */
+async function setAssignees(sharedError, userIds, assignedBy) {
+  const existing = await SharedErrorAssignee.findAll({ where: { shared_error_id: sharedError.id } });
+  const current = existing.map(row => row.user_id);
+  const added = userIds.filter(id => !current.includes(id));
+  const removed = current.filter(id => !userIds.includes(id));
+
+  await sequelize.transaction(async (transaction) => {
+    if (removed.length > 0) {
+      await SharedErrorAssignee.destroy({ where: { shared_error_id: sharedError.id, user_id: removed }, transaction });
+    }
+    if (added.length > 0) {
+      await SharedErrorAssignee.bulkCreate(
+        added.map(userId => ({ shared_error_id: sharedError.id, user_id: userId, assigned_by: assignedBy })),
+        { transaction, ignoreDuplicates: true }
+      );
+    }
+  });
+
+  return { added, removed };
+}
+
+/**
+ * Where clause for ?assignee= - a user id, or 'none' for unassigned errors
+ * @returns {object|null} null when the value is not valid
+ */
+function assigneeCondition(assignee) {
+  if (assignee === 'none') {
+    return { id: { [Op.notIn]: sequelize.literal('(SELECT shared_error_id FROM shared_error_assignees)') } };
+  }
+  if (!UUID_PATTERN.test(String(assignee))) return null;
+
+  return {
+    id: {
+      [Op.in]: sequelize.literal(`(SELECT shared_error_id FROM shared_error_assignees WHERE user_id = ${sequelize.escape(String(assignee).toLowerCase())})`)
+    }
+  };
+}
+
+function assigneeInclude() {
+  return {
+    model: User,
+    as: 'assignees',
+    attributes: ['id', 'username'],
+    through: { attributes: [] }
+  };
+}
+
+/**
+ * Shared error with its computed tracking fields
+ */
+function toTrackedResponse(sharedError, now = new Date()) {
+  return {
+    ...sharedError.toJSON(),
+    overdue: isOverdue(sharedError, now),
+    time_in_status: timeInStatus(sharedError, now)
+  };
+}
+
+// ============================================================================
+// ANALYTICS
+// ============================================================================
+
+function averageHours(durationsMs) {
+  if (durationsMs.length === 0) return null;
+  const total = durationsMs.reduce((sum, value) => sum + value, 0);
+  return Math.round((total / durationsMs.length / HOUR_MS) * 100) / 100;
+}
+
+/**
+ * Mean time to resolution and SLA outcomes
+ * @param {number} teamId
+ * @param {Date} since - Start of the reporting period
+ * @returns {Promise<object>}
+ */
+async function trackingAnalytics(teamId, since, now = new Date()) {
+  const [resolved, withSla, currentlyOverdue] = await Promise.all([
+    SharedError.findAll({
+      where: { team_id: teamId, resolved_at: { [Op.gte]: since } },
+      attributes: ['priority', 'created_at', 'resolved_at']
+    }),
+    SharedError.findAll({
+      where: { team_id: teamId, created_at: { [Op.gte]: since }, sla_due_at: { [Op.ne]: null } },
+      attributes: ['priority', 'status', 'sla_due_at', 'resolved_at', 'status_changed_at']
+    }),
+    SharedError.count({ where: { team_id: teamId, ...overdueCondition(now) } })
+  ]);
+
+  const resolutionTimes = {};
+  for (const sharedError of resolved) {
+    const duration = new Date(sharedError.resolved_at) - new Date(sharedError.created_at);
+    (resolutionTimes[sharedError.priority] = resolutionTimes[sharedError.priority] || []).push(duration);
+  }
+
+  const mttrByPriority = {};
+  for (const priority of TRACKING_CONFIG.PRIORITIES) {
+    mttrByPriority[priority] = averageHours(resolutionTimes[priority] || []);
+  }
+
+  const sla = { tracked: withSla.length, met: 0, breached: 0, pending: 0 };
+  for (const sharedError of withSla) {
+    // Archiving without resolving stops the clock but doesn't meet the SLA
+    const end = sharedError.resolved_at
+      || (sharedError.status === 'archived' ? sharedError.status_changed_at : now);
+    if (new Date(end) > new Date(sharedError.sla_due_at)) {
+      sla.breached++;
+    } else if (sharedError.resolved_at) {
+      sla.met++;
+    } else {
+      sla.pending++;
+    }
+  }
+  const decided = sla.met + sla.breached;
+
+  return {
+    mttr_hours: averageHours(Object.values(resolutionTimes).flat()),
+    mttr_by_priority: mttrByPriority,
+    resolved_count: resolved.length,
+    sla: {
+      ...sla,
+      breach_rate: decided > 0 ? Math.round((sla.breached / decided) * 1000) / 1000 : null,
+      currently_overdue: currentlyOverdue
+    }
+  };
+}
+
+// ============================================================================
+// OVERDUE REMINDERS
+// ============================================================================
+
+async function reminderRecipients(sharedError) {
+  const assignees = await SharedErrorAssignee.findAll({
+    where: { shared_error_id: sharedError.id },
+    attributes: ['user_id']
+  });
+
+  const where = { team_id: sharedError.team_id, status: 'active' };
+  if (assignees.length > 0) {
+    where.user_id = assignees.map(row => row.user_id);
+  } else {
+    where.role = ['owner', 'admin'];
+  }
+
+  const members = await TeamMember.findAll({
+    where,
+    include: [{ model: User, as: 'user', attributes: ['id', 'email', 'username'] }]
+  });
+  return members.map(member => member.user).filter(Boolean);
+}
+
+/**
+ * Email the people responsible for overdue errors. Each error is claimed with a
+ * conditional update, so only one worker reminds about it per interval.
+ * @returns {Promise<number>} Errors reminded about
+ */
+async function sendOverdueReminders(now = new Date()) {
+  const remindBefore = new Date(now.getTime() - TRACKING_CONFIG.REMINDER_INTERVAL_MS);
+  const notRecentlyReminded = {
+    [Op.or]: [{ reminded_at: null }, { reminded_at: { [Op.lt]: remindBefore } }]
+  };
+
+  const due = await SharedError.findAll({
+    where: { [Op.and]: [overdueCondition(now), notRecentlyReminded] },
+    order: [['sla_due_at', 'ASC']],
+    limit: TRACKING_CONFIG.REMINDER_BATCH_SIZE
+  });
+
+  let reminded = 0;
+  for (const sharedError of due) {
+    const [claimed] = await SharedError.update(
+      { reminded_at: now },
+      { where: { id: sharedError.id, ...notRecentlyReminded }, silent: true }
+    );
+    if (claimed === 0) continue;
+
+    const team = await Team.findByPk(sharedError.team_id, { attributes: ['id', 'name', 'is_active'] });
+    if (!team || !team.is_active) continue;
+
+    const recipients = await reminderRecipients(sharedError);
+    await notificationService.sendOverdueReminderNotification(recipients, team, sharedError);
+    reminded++;
+  }
+
+  return reminded;
+}
+
+function startReminderWorker() {
+  if (reminderTimer) return;
+
+  reminderTimer = setInterval(async () => {
+    try {
+      await sendOverdueReminders();
+    } catch (error) {
+      console.error('Overdue reminder worker error:', error);
+    }
+  }, TRACKING_CONFIG.REMINDER_POLL_MS);
+  reminderTimer.unref();
+
+  console.log('✅ Overdue reminder worker started');
+}
+
+function stopReminderWorker() {
+  if (reminderTimer) {
+    clearInterval(reminderTimer);
+    reminderTimer = null;
+  }
+}
+
+module.exports = {
+  hasSlaSettings,
+  validateSlaSettings,
+  slaTargets,
+  slaDueAt,
+  applySlaTargets,
+  parseDueAt,
+  statusTransition,
+  timeInStatus,
+  isOverdue,
+  overdueCondition,
+  validateAssignees,
+  setAssignees,
+  assigneeCondition,
+  assigneeInclude,
+  toTrackedResponse,
+  trackingAnalytics,
+  sendOverdueReminders,
+  startReminderWorker,
+  stopReminderWorker,
+  TRACKING_CONFIG
+};
@@ -0,0 +1,977 @@
+/**
+ * Team SSO Service
+ * SAML 2.0 and OpenID Connect sign-in for Team plan teams.
+ *
+ * A team owner configures one identity provider and claims email domains,
+ * proving ownership with a DNS TXT record. The IdP is only trusted for
+ * addresses on the team's verified domains. Users without an account are
+ * created on their first login and added to the team with the configured
+ * default role (just-in-time provisioning). With enforcement on, password and
+ * social logins are refused for addresses on those domains.
+ *
+ * The IdP round trip keeps its state in Redis and ends with the same one-time
+ * login code as OAuth sign-in, exchanged at POST /api/auth/oauth/exchange.
+ * SAML responses are validated by @node-saml/node-saml; OIDC ID tokens are
+ * verified against the issuer's published signing keys.
+ *
+ * Domain checks can be pointed at a local DNS server (SSO_DNS_SERVERS) and
+ * http:// IdP URLs are accepted outside production, so a local test IdP is
+ * enough to exercise both flows.
+ */
+
+const crypto = require('crypto');
+const { Resolver } = require('dns').promises;
+const axios = require('axios');
+const jwt = require('jsonwebtoken');
+const { SAML } = require('@node-saml/node-saml');
+const { Op, fn, col, where } = require('sequelize');
+const Team = require('../models/Team');
+const TeamMember = require('../models/TeamMember');
+const TeamSsoConnection = require('../models/TeamSsoConnection');
+const TeamSsoDomain = require('../models/TeamSsoDomain');
+const User = require('../models/User');
+const userTrackingService = require('./userTrackingService');
+const webhookService = require('./webhookService');
+const teamEvents = require('./teamEventBus');
+const { sanitizeRedirectPath } = require('./oauthService');
+const { redisClient } = require('../utils/redisClient');
+const { isPrivateHost, publicAgents } = require('../utils/privateHosts');
+const logger = require('../utils/logger');
+const { ValidationError } = require('../utils/errors');
+
+const SSO_CONFIG = {
+  STATE_TTL: 10 * 60,                  // 10 minutes to complete the IdP round trip
+  REQUEST_TIMEOUT: 10000,
+  CLOCK_SKEW_SECONDS: 60,
+  DISCOVERY_CACHE_MS: 60 * 60 * 1000,  // OIDC discovery documents and signing keys
+  STATE_PREFIX: 'sso:state:',
+  SAML_REQUEST_PREFIX: 'sso:saml:request:',
+  DNS_RECORD_PREFIX: '_errorwise-verification',
+  DNS_VALUE_PREFIX: 'errorwise-domain-verification=',
+  PROTOCOLS: ['saml', 'oidc'],
+  DEFAULT_ROLES: ['member', 'admin'],
+  ID_TOKEN_ALGORITHMS: ['RS256', 'RS384', 'RS512', 'PS256', 'PS384', 'PS512', 'ES256', 'ES384', 'ES512']
+};
+
+const DOMAIN_PATTERN = /^(?=.{4,253}$)(?:[a-z0-9](?:[a-z0-9-]{0,61}[a-z0-9])?\.)+[a-z]{2,63}$/;
+
+// Where IdPs put the email address in a SAML assertion
+const SAML_EMAIL_ATTRIBUTES = [
+  'email',
+  'mail',
+  'http://schemas.xmlsoap.org/ws/2005/05/identity/claims/emailaddress',
+  'urn:oid:0.9.2342.19200300.100.1.3'
+];
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+function backendUrl() {
+  return process.env.BACKEND_URL || 'http://localhost:3001';
+}
+
+/**
+ * URLs the team owner registers with their identity provider
+ */
+function serviceProviderUrls(teamId) {
+  const base = `${backendUrl()}/api/auth/sso/${teamId}`;
+  return {
+    entityId: `${base}/saml/metadata`,
+    metadataUrl: `${base}/saml/metadata`,
+    acsUrl: `${base}/saml/acs`,
+    oidcRedirectUri: `${base}/oidc/callback`,
+    loginUrl: `${base}/login`
+  };
+}
+
+function normalizeEmail(value) {
+  return typeof value === 'string' && value.includes('@') ? value.trim().toLowerCase() : null;
+}
+
+function emailDomain(email) {
+  return email ? email.substring(email.lastIndexOf('@') + 1) : null;
+}
+
+function normalizeDomain(value) {
+  return String(value || '').trim().toLowerCase().replace(/^@/, '').replace(/\.$/, '');
+}
+
+function randomToken() {
+  return crypto.randomBytes(32).toString('base64url');
+}
+
+function maskSecret(secret) {
+  return secret ? `${secret.substring(0, 4)}…${secret.slice(-4)}` : null;
+}
+
+function unavailable() {
+  return new ValidationError('Single sign-on is not available for this team', [], 'SSO_NOT_AVAILABLE');
+}
+
+function requireRedis() {
+  if (!redisClient.isOpen) {
+    const error = new Error('Single sign-on is temporarily unavailable');
+    error.statusCode = 503;
+    throw error;
+  }
+}
+
+async function storeOnce(key, value, ttl) {
+  requireRedis();
+  await redisClient.setEx(key, ttl, JSON.stringify(value));
+}
+
+async function takeOnce(key) {
+  requireRedis();
+  const raw = await redisClient.getDel(key);
+  return raw ? JSON.parse(raw) : null;
+}
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+// IdP URLs must be https in production; http is allowed for a local test IdP.
+// URLs the server fetches itself (OIDC) must also not reach internal services.
+function isAllowedIdpUrl(value, { fetched = false } = {}) {
+  let url;
+  try {
+    url = new URL(String(value).trim());
+  } catch (error) {
+    return false;
+  }
+
+  if (process.env.NODE_ENV !== 'production') {
+    return url.protocol === 'https:' || url.protocol === 'http:';
+  }
+  return url.protocol === 'https:' && !(fetched && isPrivateHost(url.hostname));
+}
+
+// ...and must not resolve to one when the request is made
+function fetchAgents() {
+  return process.env.NODE_ENV === 'production' ? publicAgents : {};
+}
+
+function parseIdpUrl(value, field, errors, options) {
+  if (isAllowedIdpUrl(value, options)) {
+    return String(value).trim();
+  }
+  errors.push({
+    field,
+    message: options && options.fetched ? 'Must be a valid https:// URL on a public host' : 'Must be a valid https:// URL'
+  });
+  return null;
+}
+
+// Accepts PEM or the bare base64 body IdPs often display; stored as PEM
+function normalizeCertificate(value, errors) {
+  const body = String(value || '').replace(/-----(BEGIN|END) CERTIFICATE-----/g, '').replace(/\s+/g, '');
+  if (body) {
+    const pem = `-----BEGIN CERTIFICATE-----\n${body.match(/.{1,64}/g).join('\n')}\n-----END CERTIFICATE-----`;
+    try {
+      new crypto.X509Certificate(pem);
+      return pem;
+    } catch (error) {
+      // Reported below
+    }
+  }
+  errors.push({ field: 'saml.idpCert', message: 'Must be the identity provider\'s X.509 signing certificate' });
+  return null;
+}
+
+function describeCertificate(pem) {
+  try {
+    const cert = new crypto.X509Certificate(pem);
+    return {
+      fingerprint: cert.fingerprint256,
+      subject: cert.subject,
+      expiresAt: new Date(cert.validTo).toISOString()
+    };
+  } catch (error) {
+    return null;
+  }
+}
+
+function isComplete(values) {
+  if (values.protocol === 'saml') {
+    return !!(values.saml_entry_point && values.saml_idp_cert);
+  }
+  return !!(values.oidc_issuer && values.oidc_client_id && values.oidc_client_secret);
+}
+
+function readConnectionInput(input, existing, errors) {
+  const values = {};
+
+  const protocol = input.protocol ?? existing?.protocol;
+  if (!SSO_CONFIG.PROTOCOLS.includes(protocol)) {
+    errors.push({ field: 'protocol', message: 'Must be "saml" or "oidc"' });
+  } else {
+    values.protocol = protocol;
+  }
+
+  for (const [field, column] of [['enabled', 'enabled'], ['enforced', 'enforced'], ['jitProvisioning', 'jit_provisioning']]) {
+    if (input[field] === undefined) continue;
+    if (typeof input[field] !== 'boolean') {
+      errors.push({ field, message: 'Must be true or false' });
+    } else {
+      values[column] = input[field];
+    }
+  }
+
+  if (input.defaultRole !== undefined) {
+    if (!SSO_CONFIG.DEFAULT_ROLES.includes(input.defaultRole)) {
+      errors.push({ field: 'defaultRole', message: `Must be one of: ${SSO_CONFIG.DEFAULT_ROLES.join(', ')}` });
+    } else {
+      values.default_role = input.defaultRole;
+    }
+  }
+
+  const saml = input.saml || {};
+  if (saml.entryPoint !== undefined) {
+    values.saml_entry_point = saml.entryPoint ? parseIdpUrl(saml.entryPoint, 'saml.entryPoint', errors) : null;
+  }
+  if (saml.idpIssuer !== undefined) {
+    values.saml_idp_issuer = saml.idpIssuer ? String(saml.idpIssuer).trim().substring(0, 512) : null;
+  }
+  if (saml.idpCert !== undefined) {
+    values.saml_idp_cert = saml.idpCert ? normalizeCertificate(saml.idpCert, errors) : null;
+  }
+
+  const oidc = input.oidc || {};
+  if (oidc.issuer !== undefined) {
+    values.oidc_issuer = oidc.issuer ? parseIdpUrl(oidc.issuer, 'oidc.issuer', errors, { fetched: true }) : null;
+  }
+  if (oidc.clientId !== undefined) {
+    values.oidc_client_id = oidc.clientId ? String(oidc.clientId).trim().substring(0, 255) : null;
+  }
+  // Left out of updates unless it is being replaced - responses only show it masked
+  if (oidc.clientSecret) {
+    values.oidc_client_secret = String(oidc.clientSecret).trim();
+  }
+
+  return values;
+}
+
+/**
+ * @returns {Promise<object|null>} The team's connection
+ */
+async function getConnection(teamId) {
+  return TeamSsoConnection.findOne({ where: { team_id: teamId } });
+}
+
+async function countVerifiedDomains(teamId) {
+  return TeamSsoDomain.count({ where: { team_id: teamId, verified_at: { [Op.ne]: null } } });
+}
+
+/**
+ * Create or update a team's identity provider settings
+ * @param {number} teamId
+ * @param {string} userId - Owner making the change
+ * @param {object} input - { protocol, enabled, enforced, jitProvisioning, defaultRole,
+ *   saml: { entryPoint, idpIssuer, idpCert }, oidc: { issuer, clientId, clientSecret } }
+ * @returns {Promise<{connection: object, before: object|null}>}
+ * @throws {ValidationError} for invalid or incomplete settings
+ */
+async function saveConnection(teamId, userId, input = {}) {
+  const existing = await getConnection(teamId);
+  const before = existing ? existing.get({ plain: true }) : null;
+
+  const errors = [];
+  const values = readConnectionInput(input, existing, errors);
+  if (errors.length > 0) {
+    throw new ValidationError('Invalid SSO configuration', errors, 'SSO_INVALID_CONFIG');
+  }
+
+  const merged = {
+    enabled: false,
+    enforced: false,
+    ...(before || {}),
+    ...values
+  };
+
+  if (merged.enabled && !isComplete(merged)) {
+    throw new ValidationError('Complete the identity provider settings before enabling SSO', [], 'SSO_INCOMPLETE_CONFIG');
+  }
+  if (merged.enforced && !merged.enabled) {
+    throw new ValidationError('SSO must be enabled before it can be enforced', [], 'SSO_ENFORCE_REQUIRES_ENABLED');
+  }
+  if (merged.enforced && await countVerifiedDomains(teamId) === 0) {
+    throw new ValidationError('Verify at least one domain before enforcing SSO', [], 'SSO_ENFORCE_REQUIRES_DOMAIN');
+  }
+
+  // Catch a wrong issuer now rather than on the first login
+  if (merged.enabled && merged.protocol === 'oidc') {
+    await discover(merged.oidc_issuer, { refresh: true });
+  }
+
+  const connection = existing
+    ? await existing.update(values)
+    : await TeamSsoConnection.create({ ...values, team_id: teamId, created_by: userId });
+
+  return { connection, before };
+}
+
+/**
+ * Remove a team's SSO connection (verified domains are kept)
+ * @returns {Promise<object|null>} The removed connection
+ */
+async function deleteConnection(teamId) {
+  const connection = await getConnection(teamId);
+  if (!connection) return null;
+  await connection.destroy();
+  return connection;
+}
+
+function toConnectionResponse(connection) {
+  if (!connection) return null;
+  return {
+    id: connection.id,
+    protocol: connection.protocol,
+    enabled: connection.enabled,
+    enforced: connection.enforced,
+    jitProvisioning: connection.jit_provisioning,
+    defaultRole: connection.default_role,
+    saml: {
+      entryPoint: connection.saml_entry_point,
+      idpIssuer: connection.saml_idp_issuer,
+      certificate: connection.saml_idp_cert ? describeCertificate(connection.saml_idp_cert) : null
+    },
+    oidc: {
+      issuer: connection.oidc_issuer,
+      clientId: connection.oidc_client_id,
+      clientSecret: maskSecret(connection.oidc_client_secret)
+    },
+    lastLoginAt: connection.last_login_at,
+    createdAt: connection.created_at,
+    updatedAt: connection.updated_at
+  };
+}
+
+// ============================================================================
+// DOMAINS
+// ============================================================================
+
+function verificationRecord(domain) {
+  return {
+    type: 'TXT',
+    name: `${SSO_CONFIG.DNS_RECORD_PREFIX}.${domain.domain}`,
+    value: `${SSO_CONFIG.DNS_VALUE_PREFIX}${domain.verification_token}`
+  };
+}
+
+function toDomainResponse(domain) {
+  return {
+    id: domain.id,
+    domain: domain.domain,
+    verified: !!domain.verified_at,
+    verifiedAt: domain.verified_at,
+    lastCheckedAt: domain.last_checked_at,
+    verificationRecord: verificationRecord(domain),
+    createdAt: domain.created_at
+  };
+}
+
+function findVerifiedDomain(domain) {
+  return TeamSsoDomain.findOne({ where: { domain, verified_at: { [Op.ne]: null } } });
+}
+
+async function listDomains(teamId) {
+  return TeamSsoDomain.findAll({
+    where: { team_id: teamId },
+    order: [['created_at', 'ASC']]
+  });
+}
+
+/**
+ * Start claiming an email domain. It counts once verifyDomain finds the TXT record.
+ * @throws {ValidationError} for malformed domains or domains another team owns
+ */
+async function addDomain(teamId, value) {
+  const domain = normalizeDomain(value);
+  if (!DOMAIN_PATTERN.test(domain)) {
+    throw new ValidationError('Enter a domain such as example.com', [], 'SSO_INVALID_DOMAIN');
+  }
+
+  if (await TeamSsoDomain.findOne({ where: { team_id: teamId, domain } })) {
+    throw new ValidationError('This domain has already been added', [], 'SSO_DOMAIN_EXISTS');
+  }
+  if (await findVerifiedDomain(domain)) {
+    throw new ValidationError('This domain is already verified by another team', [], 'SSO_DOMAIN_CLAIMED');
+  }
+
+  return TeamSsoDomain.create({
+    team_id: teamId,
+    domain,
+    verification_token: crypto.randomBytes(16).toString('hex')
+  });
+}
+
+async function lookupTxtRecords(name) {
+  const resolver = new Resolver({ timeout: SSO_CONFIG.REQUEST_TIMEOUT, tries: 2 });
+  if (process.env.SSO_DNS_SERVERS) {
+    resolver.setServers(process.env.SSO_DNS_SERVERS.split(',').map(server => server.trim()).filter(Boolean));
+  }
+
+  try {
+    const records = await resolver.resolveTxt(name);
+    return records.map(chunks => chunks.join(''));
+  } catch (error) {
+    if (error.code !== 'ENOTFOUND' && error.code !== 'ENODATA') {
+      logger.warn('SSO domain TXT lookup failed', { name, code: error.code });
+    }
+    return [];
+  }
+}
+
+/**
+ * Check the domain's TXT record and mark it verified
+ * @returns {Promise<object|null>} The domain, or null when it isn't the team's
+ * @throws {ValidationError} when the record is missing or another team verified first
+ */
+async function verifyDomain(teamId, domainId) {
+  const domain = await TeamSsoDomain.findOne({ where: { id: domainId, team_id: teamId } });
+  if (!domain || domain.verified_at) return domain;
+
+  const record = verificationRecord(domain);
+  const values = await lookupTxtRecords(record.name);
+  await domain.update({ last_checked_at: new Date() });
+
+  if (!values.includes(record.value)) {
+    throw new ValidationError(
+      `No matching TXT record found at ${record.name} yet. DNS changes can take a while to propagate.`,
+      [],
+      'SSO_DOMAIN_NOT_VERIFIED'
+    );
+  }
+
+  const claimed = await findVerifiedDomain(domain.domain);
+  if (claimed && claimed.team_id !== domain.team_id) {
+    throw new ValidationError('This domain is already verified by another team', [], 'SSO_DOMAIN_CLAIMED');
+  }
+
+  return domain.update({ verified_at: new Date() });
+}
+
+/**
+ * Remove a claimed domain. Enforcement is switched off when no verified domain is left.
+ * @returns {Promise<{domain: object, enforcementDisabled: boolean}|null>}
+ */
+async function removeDomain(teamId, domainId) {
+  const domain = await TeamSsoDomain.findOne({ where: { id: domainId, team_id: teamId } });
+  if (!domain) return null;
+
+  await domain.destroy();
+
+  let enforcementDisabled = false;
+  if (domain.verified_at && await countVerifiedDomains(teamId) === 0) {
+    const [updated] = await TeamSsoConnection.update(
+      { enforced: false },
+      { where: { team_id: teamId, enforced: true } }
+    );
+    enforcementDisabled = updated > 0;
+  }
+
+  return { domain, enforcementDisabled };
+}
+
+// ============================================================================
+// LOOKUP AND ENFORCEMENT
+// ============================================================================
+
+// An enabled connection on an active team whose owner is still on the Team plan
+async function findActiveConnection(teamId) {
+  if (!/^\d+$/.test(String(teamId))) return null;
+
+  const connection = await TeamSsoConnection.findOne({ where: { team_id: teamId, enabled: true } });
+  if (!connection) return null;
+
+  const team = await Team.findByPk(teamId, { attributes: ['id', 'name', 'owner_id', 'is_active'] });
+  if (!team || !team.is_active) return null;
+
+  const owner = await User.findByPk(team.owner_id, { attributes: ['id', 'email', 'subscriptionTier'] });
+  if (!owner || owner.subscriptionTier !== 'team') return null;
+
+  return { connection, team, owner };
+}
+
+async function findConnectionForEmail(email) {
+  const domain = emailDomain(normalizeEmail(email));
+  if (!domain) return null;
+
+  const claimed = await findVerifiedDomain(domain);
+  return claimed ? findActiveConnection(claimed.team_id) : null;
+}
+
+function toDiscoveryResponse({ connection, team }) {
+  return {
+    teamId: team.id,
+    teamName: team.name,
+    protocol: connection.protocol,
+    enforced: connection.enforced,
+    loginUrl: serviceProviderUrls(team.id).loginUrl
+  };
+}
+
+/**
+ * SSO sign-in details for an email address, for the login page
+ * @returns {Promise<object|null>} { teamId, teamName, protocol, enforced, loginUrl }
+ */
+async function discoverForEmail(email) {
+  const active = await findConnectionForEmail(email);
+  return active ? toDiscoveryResponse(active) : null;
+}
+
+/**
+ * The SSO connection a user must sign in through, if their email domain is
+ * claimed by a team that enforces SSO. The team owner is exempt so a broken
+ * IdP can't lock them out of the settings that fix it.
+ * @returns {Promise<object|null>} Same shape as discoverForEmail
+ */
+async function getEnforcedSso(email) {
+  const active = await findConnectionForEmail(email);
+  if (!active || !active.connection.enforced) return null;
+  if (active.owner.email.toLowerCase() === normalizeEmail(email)) return null;
+  return toDiscoveryResponse(active);
+}
+
+// ============================================================================
+// SAML 2.0
+// ============================================================================
+
+// node-saml's InResponseTo cache, in Redis so any cluster worker can take the response
+const samlRequestCache = {
+  async saveAsync(key, value) {
+    requireRedis();
+    const saved = await redisClient.set(SSO_CONFIG.SAML_REQUEST_PREFIX + key, value, {
+      EX: SSO_CONFIG.STATE_TTL,
+      NX: true
+    });
+    return saved ? { value, createdAt: Date.now() } : null;
+  },
+  async getAsync(key) {
+    requireRedis();
+    return redisClient.get(SSO_CONFIG.SAML_REQUEST_PREFIX + key);
+  },
+  async removeAsync(key) {
+    if (!key) return null;
+    requireRedis();
+    return redisClient.getDel(SSO_CONFIG.SAML_REQUEST_PREFIX + key);
+  }
+};
+
+function createSamlClient(connection) {
+  const urls = serviceProviderUrls(connection.team_id);
+  return new SAML({
+    entryPoint: connection.saml_entry_point,
+    issuer: urls.entityId,
+    audience: urls.entityId,
+    callbackUrl: urls.acsUrl,
+    idpCert: connection.saml_idp_cert,
+    idpIssuer: connection.saml_idp_issuer || undefined,
+    identifierFormat: null,
+    wantAssertionsSigned: true,
+    wantAuthnResponseSigned: false,
+    disableRequestedAuthnContext: true,
+    // Only responses to our own requests - no IdP-initiated logins
+    validateInResponseTo: 'always',
+    requestIdExpirationPeriodMs: SSO_CONFIG.STATE_TTL * 1000,
+    acceptedClockSkewMs: SSO_CONFIG.CLOCK_SKEW_SECONDS * 1000,
+    cacheProvider: samlRequestCache
+  });
+}
+
+function samlIdentity(profile) {
+  const attribute = SAML_EMAIL_ATTRIBUTES.map(name => profile[name]).find(Boolean);
+  const email = Array.isArray(attribute) ? attribute[0] : attribute;
+
+  return {
+    subject: profile.nameID,
+    email: normalizeEmail(email) || normalizeEmail(profile.nameID)
+  };
+}
+
+/**
+ * SP metadata XML for the team, to upload to the IdP
+ * @returns {Promise<string|null>} null until a SAML IdP certificate is saved
+ */
+async function getServiceProviderMetadata(teamId) {
+  if (!/^\d+$/.test(String(teamId))) return null;
+
+  const connection = await TeamSsoConnection.findOne({ where: { team_id: teamId, protocol: 'saml' } });
+  if (!connection || !connection.saml_idp_cert) return null;
+
+  return createSamlClient(connection).generateServiceProviderMetadata(null);
+}
+
+// ============================================================================
+// OPENID CONNECT
+// ============================================================================
+
+const discoveryCache = new Map();
+const jwksCache = new Map();
+
+async function fetchCached(cache, url, { refresh = false } = {}) {
+  const cached = cache.get(url);
+  if (!refresh && cached && cached.expiresAt > Date.now()) {
+    return cached.data;
+  }
+
+  // Discovery documents name further URLs - check each one before fetching
+  if (!isAllowedIdpUrl(url, { fetched: true })) {
+    throw new Error(`Refusing to fetch ${url}`);
+  }
+
+  const { data } = await axios.get(url, {
+    headers: { Accept: 'application/json' },
+    timeout: SSO_CONFIG.REQUEST_TIMEOUT,
+    maxRedirects: 0,
+    ...fetchAgents()
+  });
+  cache.set(url, { data, expiresAt: Date.now() + SSO_CONFIG.DISCOVERY_CACHE_MS });
+  return data;
+}
+
+/**
+ * The issuer's OpenID Provider configuration
+ * @throws {ValidationError} when it can't be loaded or is for a different issuer
+ */
+async function discover(issuer, options = {}) {
+  const trimmed = issuer.replace(/\/+$/, '');
+
+  let document;
+  try {
+    document = await fetchCached(discoveryCache, `${trimmed}/.well-known/openid-configuration`, options);
+  } catch (error) {
+    logger.warn('OIDC discovery failed', { issuer, error: error.message });
+  }
+
+  if (!document || typeof document.issuer !== 'string' || document.issuer.replace(/\/+$/, '') !== trimmed ||
+      !document.authorization_endpoint || !isAllowedIdpUrl(document.token_endpoint, { fetched: true }) ||
+      !isAllowedIdpUrl(document.jwks_uri, { fetched: true })) {
+    throw new ValidationError(
+      'Could not load a valid OpenID Connect configuration from the issuer',
+      [],
+      'SSO_OIDC_DISCOVERY_FAILED'
+    );
+  }
+  return document;
+}
+
+function invalidIdToken() {
+  return new ValidationError('The identity provider response could not be verified', [], 'SSO_INVALID_RESPONSE');
+}
+
+async function getSigningKey(jwksUri, kid) {
+  const findKey = jwks => (jwks?.keys || []).find(key => (!kid || key.kid === kid) && (!key.use || key.use === 'sig'));
+
+  let jwk = findKey(await fetchCached(jwksCache, jwksUri));
+  if (!jwk) {
+    // The IdP may have rotated its keys since we cached them
+    jwk = findKey(await fetchCached(jwksCache, jwksUri, { refresh: true }));
+  }
+  if (!jwk) throw invalidIdToken();
+
+  return crypto.createPublicKey({ key: jwk, format: 'jwk' });
+}
+
+async function exchangeOidcCode(connection, document, code, codeVerifier) {
+  const body = new URLSearchParams({
+    grant_type: 'authorization_code',
+    code,
+    code_verifier: codeVerifier,
+    redirect_uri: serviceProviderUrls(connection.team_id).oidcRedirectUri
+  });
+  const headers = {
+    'Content-Type': 'application/x-www-form-urlencoded',
+    Accept: 'application/json'
+  };
+
+  // client_secret_basic is the spec default when the IdP doesn't list its methods
+  const authMethods = document.token_endpoint_auth_methods_supported || ['client_secret_basic'];
+  if (authMethods.includes('client_secret_basic')) {
+    const credentials = `${encodeURIComponent(connection.oidc_client_id)}:${encodeURIComponent(connection.oidc_client_secret)}`;
+    headers.Authorization = `Basic ${Buffer.from(credentials).toString('base64')}`;
+  } else {
+    body.set('client_id', connection.oidc_client_id);
+    body.set('client_secret', connection.oidc_client_secret);
+  }
+
+  let response;
+  try {
+    response = await axios.post(document.token_endpoint, body.toString(), {
+      headers,
+      timeout: SSO_CONFIG.REQUEST_TIMEOUT,
+      maxRedirects: 0,
+      ...fetchAgents()
+    });
+  } catch (error) {
+    logger.warn('OIDC code exchange failed', { teamId: connection.team_id, status: error.response?.status });
+  }
+
+  if (!response?.data?.id_token) {
+    throw new ValidationError('The identity provider rejected the sign-in request', [], 'SSO_EXCHANGE_FAILED');
+  }
+  return response.data.id_token;
+}
+
+async function verifyIdToken(connection, document, idToken, nonce) {
+  const decoded = jwt.decode(idToken, { complete: true });
+  if (!decoded || !SSO_CONFIG.ID_TOKEN_ALGORITHMS.includes(decoded.header.alg)) {
+    throw invalidIdToken();
+  }
+
+  const key = await getSigningKey(document.jwks_uri, decoded.header.kid);
+
+  let claims;
+  try {
+    claims = jwt.verify(idToken, key, {
+      algorithms: SSO_CONFIG.ID_TOKEN_ALGORITHMS,
+      issuer: document.issuer,
+      audience: connection.oidc_client_id,
+      clockTolerance: SSO_CONFIG.CLOCK_SKEW_SECONDS
+    });
+  } catch (error) {
+    logger.warn('OIDC ID token rejected', { teamId: connection.team_id, reason: error.message });
+    throw invalidIdToken();
+  }
+
+  if (!claims.nonce || claims.nonce !== nonce) {
+    throw invalidIdToken();
+  }
+  if (claims.email_verified === false || claims.email_verified === 'false') {
+    throw new ValidationError('Your identity provider has not verified your email address', [], 'SSO_EMAIL_NOT_VERIFIED');
+  }
+
+  return {
+    subject: claims.sub,
+    email: normalizeEmail(claims.email)
+  };
+}
+
+// ============================================================================
+// SIGN-IN
+// ============================================================================
+
+async function loadLoginConnection(teamId, protocol = null) {
+  const active = await findActiveConnection(teamId);
+  if (!active || (protocol && active.connection.protocol !== protocol)) {
+    throw unavailable();
+  }
+  return active;
+}
+
+/**
+ * Build the IdP sign-in URL for a team
+ * @param {number|string} teamId
+ * @param {object} options - { redirectPath }
+ * @returns {Promise<string>} URL to send the browser to
+ */
+async function createLoginUrl(teamId, { redirectPath = null } = {}) {
+  const { connection } = await loadLoginConnection(teamId);
+
+  const state = randomToken();
+  const pending = {
+    teamId: connection.team_id,
+    protocol: connection.protocol,
+    redirectPath: sanitizeRedirectPath(redirectPath)
+  };
+
+  if (connection.protocol === 'saml') {
+    await storeOnce(SSO_CONFIG.STATE_PREFIX + state, pending, SSO_CONFIG.STATE_TTL);
+    return createSamlClient(connection).getAuthorizeUrlAsync(state, undefined, {});
+  }
+
+  const document = await discover(connection.oidc_issuer);
+  const codeVerifier = randomToken();
+  const nonce = randomToken();
+  await storeOnce(SSO_CONFIG.STATE_PREFIX + state, { ...pending, codeVerifier, nonce }, SSO_CONFIG.STATE_TTL);
+
+  const url = new URL(document.authorization_endpoint);
+  url.searchParams.set('client_id', connection.oidc_client_id);
+  url.searchParams.set('redirect_uri', serviceProviderUrls(connection.team_id).oidcRedirectUri);
+  url.searchParams.set('response_type', 'code');
+  url.searchParams.set('scope', 'openid email profile');
+  url.searchParams.set('state', state);
+  url.searchParams.set('nonce', nonce);
+  url.searchParams.set('code_challenge', crypto.createHash('sha256').update(codeVerifier).digest('base64url'));
+  url.searchParams.set('code_challenge_method', 'S256');
+  return url.toString();
+}
+
+async function consumeState(teamId, protocol, state) {
+  const stored = state && typeof state === 'string' ? await takeOnce(SSO_CONFIG.STATE_PREFIX + state) : null;
+  if (!stored || String(stored.teamId) !== String(teamId) || stored.protocol !== protocol) {
+    throw new ValidationError('Sign-in session expired. Please try again.', [], 'SSO_INVALID_STATE');
+  }
+  return stored;
+}
+
+// Add the user to the team (or accept their pending invitation)
+async function provisionMembership(connection, user) {
+  const membership = await TeamMember.findOne({ where: { team_id: connection.team_id, user_id: user.id } });
+
+  if (membership) {
+    if (membership.status !== 'pending') {
+      return { membership, provisioned: false };
+    }
+    await membership.update({ status: 'active', joined_at: new Date() });
+    return { membership, provisioned: true };
+  }
+
+  if (!connection.jit_provisioning) {
+    return { membership: null, provisioned: false };
+  }
+
+  const team = await Team.findByPk(connection.team_id, { attributes: ['id', 'max_members'] });
+  if (team.max_members > 0) {
+    const members = await TeamMember.count({ where: { team_id: team.id, status: ['pending', 'active'] } });
+    if (members >= team.max_members) {
+      logger.warn('SSO provisioning skipped - team is full', { teamId: team.id, userId: user.id });
+      return { membership: null, provisioned: false };
+    }
+  }
+
+  const [created, isNew] = await TeamMember.findOrCreate({
+    where: { team_id: connection.team_id, user_id: user.id },
+    defaults: {
+      role: connection.default_role,
+      status: 'active',
+      joined_at: new Date()
+    }
+  });
+  return { membership: created, provisioned: isNew };
+}
+
+/**
+ * Find or create the user behind an IdP identity and make them a team member
+ * @returns {Promise<{user: object, created: boolean, membership: object|null, provisioned: boolean}>}
+ */
+async function resolveSsoUser(connection, identity) {
+  if (!identity.email) {
+    throw new ValidationError('Your identity provider did not send an email address', [], 'SSO_EMAIL_MISSING');
+  }
+
+  // The IdP only speaks for addresses on domains the team has proven it owns
+  const domain = emailDomain(identity.email);
+  const claimed = await findVerifiedDomain(domain);
+  if (!claimed || claimed.team_id !== connection.team_id) {
+    throw new ValidationError(`${domain} is not a verified domain for this team`, [], 'SSO_DOMAIN_NOT_VERIFIED');
+  }
+
+  let user = await User.findOne({
+    where: where(fn('lower', col('email')), identity.email)
+  });
+  let created = false;
+
+  if (user) {
+    // Same rule as OAuth: an unverified account may have been registered by someone else
+    if (!user.isEmailVerified) {
+      throw new ValidationError(
+        'An account with this email exists but is not verified. Verify your email first, then sign in with SSO.',
+        [],
+        'SSO_ACCOUNT_UNVERIFIED'
+      );
+    }
+  } else {
+    if (!connection.jit_provisioning) {
+      throw new ValidationError('You don\'t have an account yet. Ask your team owner for an invitation.', [], 'SSO_NOT_PROVISIONED');
+    }
+    const result = await userTrackingService.registerUser({
+      username: identity.email.split('@')[0],
+      email: identity.email,
+      password: null,
+      emailVerified: true,
+      signupMethod: `sso_${connection.protocol}`
+    });
+    user = result.user;
+    created = true;
+  }
+
+  const { membership, provisioned } = await provisionMembership(connection, user);
+  await connection.update({ last_login_at: new Date() });
+
+  // Same events as accepting an invitation
+  if (provisioned) {
+    const joined = {
+      user_id: user.id,
+      role: membership.role,
+      joined_at: membership.joined_at
+    };
+    webhookService.emitTeamEvent(connection.team_id, 'member.joined', joined);
+    teamEvents.publishTeamEvent(connection.team_id, 'member.joined', { ...joined, username: user.username }, user);
+  }
+
+  return { user, created, membership, provisioned };
+}
+
+/**
+ * Validate a SAML response posted to the ACS endpoint
+ * @param {number|string} teamId
+ * @param {object} body - { SAMLResponse, RelayState }
+ * @returns {Promise<object>} resolveSsoUser's result plus { connection, redirectPath }
+ */
+async function completeSamlLogin(teamId, body = {}) {
+  const stored = await consumeState(teamId, 'saml', body.RelayState);
+  const { connection } = await loadLoginConnection(teamId, 'saml');
+
+  let profile;
+  try {
+    ({ profile } = await createSamlClient(connection).validatePostResponseAsync({ SAMLResponse: body.SAMLResponse }));
+  } catch (error) {
+    logger.warn('SAML response rejected', { teamId: connection.team_id, reason: error.message });
+  }
+  if (!profile) {
+    throw new ValidationError('The identity provider response could not be verified', [], 'SSO_INVALID_RESPONSE');
+  }
+
+  const result = await resolveSsoUser(connection, samlIdentity(profile));
+  return { ...result, connection, redirectPath: stored.redirectPath };
+}
+
+/**
+ * Finish an OIDC authorization-code login
+ * @param {number|string} teamId
+ * @param {object} query - Callback query string { code, state, error }
+ * @returns {Promise<object>} resolveSsoUser's result plus { connection, redirectPath }
+ */
+async function completeOidcLogin(teamId, query = {}) {
+  if (query.error) {
+    // Cancelled at the IdP; still consume the state
+    await consumeState(teamId, 'oidc', query.state).catch(() => null);
+    throw new ValidationError('Sign-in was cancelled', [], 'SSO_CANCELLED');
+  }
+
+  const stored = await consumeState(teamId, 'oidc', query.state);
+  if (!query.code) {
+    throw new ValidationError('Missing authorization code', [], 'SSO_EXCHANGE_FAILED');
+  }
+
+  const { connection } = await loadLoginConnection(teamId, 'oidc');
+  const document = await discover(connection.oidc_issuer);
+  const idToken = await exchangeOidcCode(connection, document, query.code, stored.codeVerifier);
+  const identity = await verifyIdToken(connection, document, idToken, stored.nonce);
+
+  const result = await resolveSsoUser(connection, identity);
+  return { ...result, connection, redirectPath: stored.redirectPath };
+}
+
+module.exports = {
+  serviceProviderUrls,
+  getConnection,
+  saveConnection,
+  deleteConnection,
+  toConnectionResponse,
+  listDomains,
+  addDomain,
+  verifyDomain,
+  removeDomain,
+  toDomainResponse,
+  discoverForEmail,
+  getEnforcedSso,
+  getServiceProviderMetadata,
+  createLoginUrl,
+  completeSamlLogin,
+  completeOidcLogin,
+  SSO_CONFIG
+};
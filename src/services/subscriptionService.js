@@ -8,6 +8,10 @@ const Subscription = require('../models/Subscription');
 const logger = require('../utils/logger');
 const emailService = require('../utils/emailService');
 const { redisClient } = require('../utils/redisClient');
+const auditLog = require('./auditLogService');
+
+// User fields captured before/after plan changes for the audit log
+const PLAN_AUDIT_FIELDS = ['subscriptionTier', 'subscriptionStatus', 'subscriptionStartDate', 'subscriptionEndDate'];
 
 // Tier pricing configuration
 const TIER_PRICES = {
@@ -243,10 +247,12 @@ exports.schedulePaymentRetry = async (subscriptionId, delayDays) => {
 
 /**
  * Process upgrade with proration
+ * @param {object} options - { req } of the request that asked for it, for the audit log
  */
-exports.processUpgrade = async (user, currentTier, newTier, paymentMethod) => {
+exports.processUpgrade = async (user, currentTier, newTier, paymentMethod, { req = null } = {}) => {
   const sequelize = require('../config/database');
   const transaction = await sequelize.transaction();
+  const before = auditLog.pick(user, PLAN_AUDIT_FIELDS);
   
   try {
     // Get current subscription
@@ -304,6 +310,16 @@ exports.processUpgrade = async (user, currentTier, newTier, paymentMethod) => {
     
     await transaction.commit();
     
+    await auditLog.recordEvent({
+      action: 'subscription.upgraded',
+      req,
+      actor: req?.user || user,
+      target: { type: 'user', id: user.id, label: user.email },
+      before,
+      after: auditLog.pick(user, PLAN_AUDIT_FIELDS),
+      metadata: { fromTier: currentTier, toTier: newTier, charge: proration.newCharge, paymentMethod: paymentMethod || null }
+    });
+    
     // Send confirmation email
     await emailService.sendEmail({
       to: user.email,
@@ -342,10 +358,12 @@ exports.processUpgrade = async (user, currentTier, newTier, paymentMethod) => {
 
 /**
  * Process downgrade (immediate or end-of-period)
+ * @param {object} options - { req } of the request that asked for it, for the audit log
  */
-exports.processDowngrade = async (user, currentTier, newTier, immediate = false, reason = null) => {
+exports.processDowngrade = async (user, currentTier, newTier, immediate = false, reason = null, { req = null } = {}) => {
   const sequelize = require('../config/database');
   const transaction = await sequelize.transaction();
+  const before = auditLog.pick(user, PLAN_AUDIT_FIELDS);
   
   try {
     const subscription = await Subscription.findOne({
@@ -416,6 +434,16 @@ exports.processDowngrade = async (user, currentTier, newTier, immediate = false,
       });
     }
     
+    await auditLog.recordEvent({
+      action: immediate ? 'subscription.downgraded' : 'subscription.downgrade_scheduled',
+      req,
+      actor: req?.user || user,
+      target: { type: 'user', id: user.id, label: user.email },
+      before,
+      after: auditLog.pick(user, PLAN_AUDIT_FIELDS),
+      metadata: { fromTier: currentTier, toTier: newTier, immediate, reason }
+    });
+    
     logger.info(`Subscription ${immediate ? 'downgraded' : 'downgrade scheduled'}`, {
       userId: user.id,
       fromTier: currentTier,
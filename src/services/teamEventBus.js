@@ -0,0 +1,245 @@
+/**
+ * Team Event Bus
+ * Real-time team activity for the WebSocket gateway: shared errors, status
+ * changes, comments, members joining and leaving, and who's online.
+ *
+ * Events travel over one Redis pub/sub channel so every cluster worker
+ * receives them and hands each to its own connected members. Presence is a
+ * Redis sorted set per team with one entry per open connection, scored by its
+ * last heartbeat, so connections of a worker that died without cleaning up
+ * age out on their own. Without Redis (local development) both stay in this
+ * process.
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const { redisClient } = require('../utils/redisClient');
+
+const EVENT_BUS_CONFIG = {
+  CHANNEL: 'errorwise:team-events',
+  PRESENCE_PREFIX: 'errorwise:presence:team:',
+  PRESENCE_TTL_MS: 90 * 1000   // Connections not refreshed for this long are gone
+};
+
+const TEAM_EVENTS = [
+  'shared_error.created',
+  'shared_error.status_changed',
+  'comment.created',
+  'comment.updated',
+  'comment.deleted',
+  'member.joined',
+  'member.removed',
+  'presence.online',
+  'presence.offline',
+  'video.started',
+  'video.ended'
+];
+
+const listeners = new Set();
+const localPresence = new Map();  // teamId -> Map(entry -> last heartbeat), when Redis is down
+let subscriber = null;
+
+function dispatch(envelope) {
+  for (const listener of listeners) {
+    try {
+      listener(envelope);
+    } catch (error) {
+      console.error(`Team event listener failed (${envelope.type}):`, error);
+    }
+  }
+}
+
+// ============================================================================
+// EVENTS
+// ============================================================================
+
+/**
+ * Send an event to the team's connected members on every worker.
+ * Never throws - real-time delivery must not fail the request that caused it.
+ * @param {number|string} teamId
+ * @param {string} type - One of TEAM_EVENTS
+ * @param {object} data - Event-specific payload
+ * @param {object} [actor] - User who caused it ({ id, username })
+ * @returns {Promise<object>} The published envelope
+ */
+async function publishTeamEvent(teamId, type, data = {}, actor = null) {
+  const envelope = {
+    id: uuidv4(),
+    type,
+    team_id: Number(teamId),
+    data,
+    actor: actor ? { id: actor.id, username: actor.username } : null,
+    at: new Date().toISOString()
+  };
+
+  try {
+    if (redisClient.isReady) {
+      await redisClient.publish(EVENT_BUS_CONFIG.CHANNEL, JSON.stringify(envelope));
+      if (subscriber && subscriber.isReady) return envelope;
+    }
+  } catch (error) {
+    console.error(`Team event publish failed for team ${teamId} (${type}):`, error.message);
+  }
+
+  // Not on the channel - this worker's members still get it
+  dispatch(envelope);
+  return envelope;
+}
+
+/**
+ * Receive every team event, from all workers. The first subscriber connects
+ * a dedicated Redis connection for the channel.
+ * @param {function} listener - (envelope) => void
+ * @returns {Promise<function>} Call to unsubscribe
+ */
+async function subscribe(listener) {
+  listeners.add(listener);
+
+  if (!subscriber && redisClient.isOpen) {
+    const client = redisClient.duplicate();
+    client.on('error', (error) => console.error('❌ Team event subscriber error:', error.message));
+    subscriber = client;
+
+    try {
+      await client.connect();
+      await client.subscribe(EVENT_BUS_CONFIG.CHANNEL, (message) => {
+        let envelope;
+        try {
+          envelope = JSON.parse(message);
+        } catch (error) {
+          return;
+        }
+        dispatch(envelope);
+      });
+      console.log('✅ Team events subscribed over Redis');
+    } catch (error) {
+      console.warn('⚠️  Team event subscriber unavailable - events stay on this worker:', error.message);
+      subscriber = null;
+      client.disconnect().catch(() => {});
+    }
+  }
+
+  return () => listeners.delete(listener);
+}
+
+/**
+ * Drop all listeners and the subscriber connection (graceful shutdown)
+ */
+async function close() {
+  listeners.clear();
+  if (!subscriber) return;
+
+  const client = subscriber;
+  subscriber = null;
+  try {
+    await client.quit();
+  } catch (error) {
+    console.error('Error closing team event subscriber:', error.message);
+  }
+}
+
+// ============================================================================
+// PRESENCE
+// ============================================================================
+
+function presenceKey(teamId) {
+  return `${EVENT_BUS_CONFIG.PRESENCE_PREFIX}${teamId}`;
+}
+
+function localEntries(teamId) {
+  const key = String(teamId);
+  if (!localPresence.has(key)) localPresence.set(key, new Map());
+  return localPresence.get(key);
+}
+
+/**
+ * Record or refresh an open connection in a team's presence
+ */
+async function touchPresence(teamId, userId, connectionId) {
+  const entry = `${userId}|${connectionId}`;
+
+  if (redisClient.isReady) {
+    try {
+      await redisClient.zAdd(presenceKey(teamId), { score: Date.now(), value: entry });
+      // The whole set goes away once nobody in the team is connected
+      await redisClient.pExpire(presenceKey(teamId), EVENT_BUS_CONFIG.PRESENCE_TTL_MS * 2);
+      return;
+    } catch (error) {
+      console.error(`Presence update failed for team ${teamId}:`, error.message);
+    }
+  }
+  localEntries(teamId).set(entry, Date.now());
+}
+
+async function removePresence(teamId, userId, connectionId) {
+  const entry = `${userId}|${connectionId}`;
+  localEntries(teamId).delete(entry);
+
+  if (redisClient.isReady) {
+    try {
+      await redisClient.zRem(presenceKey(teamId), entry);
+    } catch (error) {
+      console.error(`Presence removal failed for team ${teamId}:`, error.message);
+    }
+  }
+}
+
+/**
+ * Ids of the team members with at least one live connection on any worker
+ * @param {number|string} teamId
+ * @returns {Promise<string[]>}
+ */
+async function onlineUserIds(teamId) {
+  const since = Date.now() - EVENT_BUS_CONFIG.PRESENCE_TTL_MS;
+  let entries = [];
+
+  if (redisClient.isReady) {
+    try {
+      await redisClient.zRemRangeByScore(presenceKey(teamId), '-inf', since);
+      entries = await redisClient.zRangeByScore(presenceKey(teamId), since, '+inf');
+    } catch (error) {
+      console.error(`Presence lookup failed for team ${teamId}:`, error.message);
+    }
+  }
+
+  const local = localEntries(teamId);
+  for (const [entry, seenAt] of local) {
+    if (seenAt < since) {
+      local.delete(entry);
+    } else {
+      entries.push(entry);
+    }
+  }
+
+  return [...new Set(entries.map(entry => entry.split('|')[0]))];
+}
+
+/**
+ * Add a connection to a team's presence
+ * @returns {Promise<boolean>} true when the user just came online
+ */
+async function markOnline(teamId, userId, connectionId) {
+  const wasOnline = (await onlineUserIds(teamId)).includes(String(userId));
+  await touchPresence(teamId, userId, connectionId);
+  return !wasOnline;
+}
+
+/**
+ * Remove a connection from a team's presence
+ * @returns {Promise<boolean>} true when it was the user's last connection
+ */
+async function markOffline(teamId, userId, connectionId) {
+  await removePresence(teamId, userId, connectionId);
+  return !(await onlineUserIds(teamId)).includes(String(userId));
+}
+
+module.exports = {
+  publishTeamEvent,
+  subscribe,
+  close,
+  touchPresence,
+  onlineUserIds,
+  markOnline,
+  markOffline,
+  TEAM_EVENTS,
+  EVENT_BUS_CONFIG
+};
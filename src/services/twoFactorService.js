@@ -0,0 +1,286 @@
+/**
+ * Two-Factor Authentication Service
+ * Authenticator-app (TOTP) enrollment, recovery codes, the login step and the
+ * team "require 2FA" policy.
+ *
+ * Enrollment is two-phase: startEnrollment stores an encrypted pending secret
+ * and returns the otpauth URI for the QR code; enableTwoFactor switches 2FA on
+ * once the user proves their app produces valid codes. Recovery codes are only
+ * shown at that point (and on regeneration) and are stored as SHA-256 hashes.
+ */
+
+const crypto = require('crypto');
+const { Op } = require('sequelize');
+const Team = require('../models/Team');
+const TeamMember = require('../models/TeamMember');
+const totp = require('../utils/totp');
+const { ValidationError } = require('../utils/errors');
+
+const TWO_FACTOR_CONFIG = {
+  ISSUER: process.env.TWO_FACTOR_ISSUER || 'ErrorWise',
+  RECOVERY_CODE_COUNT: 10,
+  RECOVERY_CODE_BYTES: 5,        // 8 base32 characters, shown as xxxx-xxxx
+  TEAM_SETTING: 'require_2fa'
+};
+
+// ============================================================================
+// SECRET STORAGE
+// ============================================================================
+
+// AES-256-GCM key for secrets at rest; falls back to JWT_SECRET so existing
+// deployments work without a new variable
+function encryptionKey() {
+  const source = process.env.TWO_FACTOR_ENCRYPTION_KEY || process.env.JWT_SECRET;
+  if (!source) {
+    throw new Error('TWO_FACTOR_ENCRYPTION_KEY or JWT_SECRET must be set');
+  }
+  return crypto.createHash('sha256').update(source).digest();
+}
+
+function encryptSecret(secret) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', encryptionKey(), iv);
+  const encrypted = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+  return ['v1', iv.toString('base64'), cipher.getAuthTag().toString('base64'), encrypted.toString('base64')].join(':');
+}
+
+function decryptSecret(stored) {
+  const [version, iv, tag, encrypted] = String(stored).split(':');
+  if (version !== 'v1') {
+    throw new Error('Unsupported two-factor secret format');
+  }
+  const decipher = crypto.createDecipheriv('aes-256-gcm', encryptionKey(), Buffer.from(iv, 'base64'));
+  decipher.setAuthTag(Buffer.from(tag, 'base64'));
+  return Buffer.concat([decipher.update(Buffer.from(encrypted, 'base64')), decipher.final()]).toString('utf8');
+}
+
+// ============================================================================
+// RECOVERY CODES
+// ============================================================================
+
+function normalizeRecoveryCode(code) {
+  return String(code || '').toLowerCase().replace(/[^a-z2-7]/g, '');
+}
+
+function hashRecoveryCode(code) {
+  return crypto.createHash('sha256').update(normalizeRecoveryCode(code)).digest('hex');
+}
+
+/**
+ * Fresh set of recovery codes
+ * @returns {{codes: string[], hashes: string[]}} Plain codes for the user, hashes to store
+ */
+function generateRecoveryCodes() {
+  const codes = [];
+  for (let i = 0; i < TWO_FACTOR_CONFIG.RECOVERY_CODE_COUNT; i++) {
+    const raw = totp.base32Encode(crypto.randomBytes(TWO_FACTOR_CONFIG.RECOVERY_CODE_BYTES)).toLowerCase();
+    codes.push(`${raw.substring(0, 4)}-${raw.substring(4)}`);
+  }
+  return { codes, hashes: codes.map(hashRecoveryCode) };
+}
+
+// ============================================================================
+// VERIFICATION
+// ============================================================================
+
+/**
+ * Check a TOTP code or a recovery code for a user with 2FA enabled.
+ * Successful TOTP steps are remembered so a code can't be replayed, and
+ * recovery codes are removed once used.
+ * @param {object} user - User instance
+ * @param {object} input - { code } or { recoveryCode }
+ * @returns {Promise<{method: string, remainingRecoveryCodes: number}|null>} null when invalid
+ */
+async function verifySecondFactor(user, { code, recoveryCode } = {}) {
+  if (!user.twoFactorEnabled || !user.twoFactorSecret) return null;
+
+  if (code) {
+    const step = totp.verifyCode(decryptSecret(user.twoFactorSecret), code);
+    const lastStep = user.twoFactorLastUsedStep ? Number(user.twoFactorLastUsedStep) : -1;
+    if (step === null || step <= lastStep) return null;
+
+    await user.update({ twoFactorLastUsedStep: step });
+    return { method: 'totp', remainingRecoveryCodes: (user.twoFactorRecoveryCodes || []).length };
+  }
+
+  if (recoveryCode) {
+    const hash = hashRecoveryCode(recoveryCode);
+    const stored = user.twoFactorRecoveryCodes || [];
+    const index = stored.findIndex(candidate =>
+      candidate.length === hash.length && crypto.timingSafeEqual(Buffer.from(candidate), Buffer.from(hash))
+    );
+    if (index === -1) return null;
+
+    const remaining = stored.filter((_, i) => i !== index);
+    await user.update({ twoFactorRecoveryCodes: remaining });
+    return { method: 'recovery_code', remainingRecoveryCodes: remaining.length };
+  }
+
+  return null;
+}
+
+// ============================================================================
+// ENROLLMENT
+// ============================================================================
+
+/**
+ * Start (or restart) enrollment with a new pending secret
+ * @param {object} user - User instance
+ * @returns {Promise<{secret: string, otpauthUri: string}>}
+ * @throws {ValidationError} when 2FA is already enabled
+ */
+async function startEnrollment(user) {
+  if (user.twoFactorEnabled) {
+    throw new ValidationError('Two-factor authentication is already enabled');
+  }
+
+  const secret = totp.generateSecret();
+  await user.update({
+    twoFactorSecret: encryptSecret(secret),
+    twoFactorRecoveryCodes: null,
+    twoFactorLastUsedStep: null
+  });
+
+  return {
+    secret,
+    otpauthUri: totp.buildOtpauthUri({
+      secret,
+      accountName: user.email,
+      issuer: TWO_FACTOR_CONFIG.ISSUER
+    })
+  };
+}
+
+/**
+ * Confirm enrollment with a code from the authenticator app
+ * @param {object} user - User instance
+ * @param {string} code
+ * @returns {Promise<string[]>} Recovery codes - shown once
+ * @throws {ValidationError} when there is no pending enrollment or the code is wrong
+ */
+async function enableTwoFactor(user, code) {
+  if (user.twoFactorEnabled) {
+    throw new ValidationError('Two-factor authentication is already enabled');
+  }
+  if (!user.twoFactorSecret) {
+    throw new ValidationError('Start two-factor setup first');
+  }
+
+  const step = totp.verifyCode(decryptSecret(user.twoFactorSecret), code);
+  if (step === null) {
+    throw new ValidationError('Invalid authentication code', [], 'INVALID_TWO_FACTOR_CODE');
+  }
+
+  const { codes, hashes } = generateRecoveryCodes();
+  await user.update({
+    twoFactorEnabled: true,
+    twoFactorEnabledAt: new Date(),
+    twoFactorRecoveryCodes: hashes,
+    twoFactorLastUsedStep: step
+  });
+
+  return codes;
+}
+
+/**
+ * Turn 2FA off. Not allowed while a team the user belongs to requires it.
+ * @param {object} user - User instance
+ * @param {object} input - { code } or { recoveryCode }
+ * @throws {ValidationError} when the code is wrong or a team requires 2FA
+ */
+async function disableTwoFactor(user, input) {
+  if (!user.twoFactorEnabled) {
+    throw new ValidationError('Two-factor authentication is not enabled');
+  }
+
+  const teams = await getTeamsRequiringTwoFactor(user.id);
+  if (teams.length > 0) {
+    throw new ValidationError(
+      `Two-factor authentication is required by ${teams.map(team => team.name).join(', ')}`,
+      [],
+      'TWO_FACTOR_REQUIRED_BY_TEAM'
+    );
+  }
+
+  if (!(await verifySecondFactor(user, input))) {
+    throw new ValidationError('Invalid authentication code', [], 'INVALID_TWO_FACTOR_CODE');
+  }
+
+  await user.update({
+    twoFactorEnabled: false,
+    twoFactorEnabledAt: null,
+    twoFactorSecret: null,
+    twoFactorRecoveryCodes: null,
+    twoFactorLastUsedStep: null
+  });
+}
+
+/**
+ * Replace all recovery codes after checking a current TOTP code
+ * @param {object} user - User instance
+ * @param {string} code
+ * @returns {Promise<string[]>} New recovery codes - shown once
+ */
+async function regenerateRecoveryCodes(user, code) {
+  if (!user.twoFactorEnabled) {
+    throw new ValidationError('Two-factor authentication is not enabled');
+  }
+  if (!(await verifySecondFactor(user, { code }))) {
+    throw new ValidationError('Invalid authentication code', [], 'INVALID_TWO_FACTOR_CODE');
+  }
+
+  const { codes, hashes } = generateRecoveryCodes();
+  await user.update({ twoFactorRecoveryCodes: hashes });
+  return codes;
+}
+
+/**
+ * 2FA state safe to return to the user
+ */
+function getStatus(user) {
+  return {
+    enabled: !!user.twoFactorEnabled,
+    enabledAt: user.twoFactorEnabledAt || null,
+    pendingSetup: !user.twoFactorEnabled && !!user.twoFactorSecret,
+    recoveryCodesRemaining: user.twoFactorEnabled ? (user.twoFactorRecoveryCodes || []).length : 0
+  };
+}
+
+// ============================================================================
+// TEAM POLICY
+// ============================================================================
+
+function teamRequiresTwoFactor(team) {
+  return !!(team && team.settings && team.settings[TWO_FACTOR_CONFIG.TEAM_SETTING]);
+}
+
+/**
+ * Active teams the user belongs to that require 2FA
+ * @param {string} userId
+ * @returns {Promise<object[]>}
+ */
+async function getTeamsRequiringTwoFactor(userId) {
+  const memberships = await TeamMember.findAll({
+    where: { user_id: userId, status: 'active' },
+    attributes: ['team_id']
+  });
+  if (memberships.length === 0) return [];
+
+  const teams = await Team.findAll({
+    where: { id: { [Op.in]: memberships.map(m => m.team_id) }, is_active: true },
+    attributes: ['id', 'name', 'settings']
+  });
+  return teams.filter(teamRequiresTwoFactor);
+}
+
+module.exports = {
+  startEnrollment,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes,
+  verifySecondFactor,
+  getStatus,
+  teamRequiresTwoFactor,
+  getTeamsRequiringTwoFactor,
+  TWO_FACTOR_CONFIG
+};
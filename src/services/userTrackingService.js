@@ -4,6 +4,8 @@ const User = require('../models/User');
 const DeletedUserTracking = require('../models/DeletedUserTracking');
 const ErrorQuery = require('../models/ErrorQuery');
 const emailService = require('../utils/emailService');
+const metrics = require('../utils/metrics');
+const auditLog = require('./auditLogService');
 
 /**
  * Hash sensitive data for tracking
@@ -40,9 +42,12 @@ const checkDeletedUserHistory = async (email, phoneNumber = null, googleId = nul
 
 /**
  * Register new user with abuse prevention
+ * OAuth sign-ups pass emailVerified (the provider verified it) and signupMethod.
  */
 const registerUser = async (userData) => {
   const { username, email, password, phoneNumber = null, googleId = null } = userData;
+  const emailVerified = userData.emailVerified ?? !!googleId;
+  const signupMethod = userData.signupMethod || (googleId ? 'google' : 'password');
   
   // Check if email already exists (including soft-deleted)
   const existingUser = await User.findOne({
@@ -122,12 +127,13 @@ const registerUser = async (userData) => {
     isActive: !isAbuser,
     emailVerificationToken,
     emailVerificationExpires,
-    isEmailVerified: !!googleId, // Auto-verify if Google signup
+    isEmailVerified: emailVerified, // Auto-verify when the OAuth provider verified it
     subscriptionStatus: isAbuser ? 'free' : 'free'
   });
+  metrics.increment('user_signups_total', { method: signupMethod });
   
   // Send verification email
-  if (!googleId) {
+  if (!emailVerified) {
     await emailService.sendVerificationEmail(user.email, user.username, user.emailVerificationToken);
   }
   
@@ -136,7 +142,7 @@ const registerUser = async (userData) => {
     isReturningUser: !!deletedHistory,
     accountRecreationCount,
     hasFreeTierAccess: !isAbuser,
-    requiresEmailVerification: !googleId,
+    requiresEmailVerification: !emailVerified,
     message: isAbuser 
       ? 'Account created but free tier access restricted. Please contact support.'
       : 'Account created successfully. Please verify your email.'
@@ -246,7 +252,7 @@ const verifyPhoneOTP = async (userId, otp) => {
 /**
  * Delete user account (soft delete + track)
  */
-const deleteUserAccount = async (userId, reason = null, ipAddress = null) => {
+const deleteUserAccount = async (userId, reason = null, ipAddress = null, { req = null } = {}) => {
   const user = await User.findByPk(userId);
   
   if (!user) throw new Error('User not found');
@@ -298,6 +304,19 @@ const deleteUserAccount = async (userId, reason = null, ipAddress = null) => {
   // Soft delete the user
   await user.destroy();
   
+  await auditLog.recordEvent({
+    action: 'account.deleted',
+    req,
+    actor: req?.user || user,
+    target: { type: 'user', id: user.id, label: user.email },
+    metadata: {
+      reason,
+      totalQueries,
+      deletionCount: deletedTracking ? deletedTracking.deletionCount : 1,
+      subscriptionTier: user.subscriptionTier
+    }
+  });
+  
   return {
     message: 'Account deleted successfully',
     canRecreate: true,
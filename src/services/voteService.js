@@ -0,0 +1,171 @@
+/**
+ * Vote Service
+ * Voting and ranking for team shared errors.
+ *
+ * A member has at most one shared_error_votes row per shared error (unique
+ * index) holding an up or down vote and a "me too, I hit this" mark. Every
+ * write locks the shared error row and recounts its counters from the vote
+ * rows in the same transaction, so concurrent requests can't count a vote
+ * twice or leave the counters behind.
+ *
+ * Sort modes for the team's error list:
+ *   newest   - most recently shared first (default)
+ *   top      - highest score (upvotes - downvotes), then most hits
+ *   trending - (score + hits) / (age in hours + 2)^1.5, so fresh activity wins
+ *   most_hit - most members who hit it, most recent hit first
+ */
+
+const { Op } = require('sequelize');
+const sequelize = require('../config/database');
+const SharedError = require('../models/SharedError');
+const SharedErrorVote = require('../models/SharedErrorVote');
+const { ValidationError } = require('../utils/errors');
+
+const VOTE_CONFIG = {
+  CAST_TYPES: ['up', 'down', 'hit'],
+  REMOVE_TYPES: ['vote', 'hit'],
+  SORT_MODES: ['newest', 'top', 'trending', 'most_hit'],
+  TRENDING_GRAVITY: 1.5,
+  TRENDING_OFFSET_HOURS: 2
+};
+
+function invalidType(allowed) {
+  return new ValidationError(
+    'Invalid vote type',
+    [{ field: 'type', message: `Use one of: ${allowed.join(', ')}` }],
+    'INVALID_VOTE'
+  );
+}
+
+async function recount(sharedError, transaction) {
+  const where = { shared_error_id: sharedError.id };
+  const upvotes = await SharedErrorVote.count({ where: { ...where, value: 1 }, transaction });
+  const downvotes = await SharedErrorVote.count({ where: { ...where, value: -1 }, transaction });
+  const hits = await SharedErrorVote.count({ where: { ...where, hit_at: { [Op.ne]: null } }, transaction });
+  const lastHitAt = await SharedErrorVote.max('hit_at', { where, transaction });
+
+  await sharedError.update({
+    upvote_count: upvotes,
+    downvote_count: downvotes,
+    score: upvotes - downvotes,
+    hit_count: hits,
+    last_hit_at: lastHitAt || null
+  }, { transaction, silent: true });
+}
+
+async function applyVote(sharedError, userId, change) {
+  return sequelize.transaction(async (transaction) => {
+    const locked = await SharedError.findByPk(sharedError.id, { transaction, lock: transaction.LOCK.UPDATE });
+
+    let vote = await SharedErrorVote.findOne({
+      where: { shared_error_id: sharedError.id, user_id: userId },
+      transaction
+    });
+    if (!vote) {
+      vote = SharedErrorVote.build({ shared_error_id: sharedError.id, user_id: userId, value: null, hit_at: null });
+    }
+
+    change(vote);
+
+    if (vote.value === null && vote.hit_at === null) {
+      if (!vote.isNewRecord) await vote.destroy({ transaction });
+      vote = null;
+    } else {
+      await vote.save({ transaction });
+    }
+
+    await recount(locked, transaction);
+    return { sharedError: locked, vote };
+  });
+}
+
+/**
+ * Upvote, downvote or mark "hit this too". Voting the other way replaces the
+ * member's vote; hitting again refreshes when they last hit it.
+ * @param {object} sharedError
+ * @param {string} userId
+ * @param {string} type - up | down | hit
+ * @returns {Promise<{sharedError: object, vote: object|null}>}
+ */
+function castVote(sharedError, userId, type) {
+  if (!VOTE_CONFIG.CAST_TYPES.includes(type)) throw invalidType(VOTE_CONFIG.CAST_TYPES);
+
+  return applyVote(sharedError, userId, (vote) => {
+    if (type === 'hit') {
+      vote.hit_at = new Date();
+    } else {
+      vote.value = type === 'up' ? 1 : -1;
+    }
+  });
+}
+
+/**
+ * Take back the member's up/down vote ('vote') or their hit ('hit')
+ */
+function removeVote(sharedError, userId, type = 'vote') {
+  if (!VOTE_CONFIG.REMOVE_TYPES.includes(type)) throw invalidType(VOTE_CONFIG.REMOVE_TYPES);
+
+  return applyVote(sharedError, userId, (vote) => {
+    if (type === 'hit') {
+      vote.hit_at = null;
+    } else {
+      vote.value = null;
+    }
+  });
+}
+
+/**
+ * The member's own vote, for list and vote responses
+ */
+function viewerVoteFields(vote) {
+  return {
+    my_vote: vote && vote.value === 1 ? 'up' : vote && vote.value === -1 ? 'down' : null,
+    my_hit: !!(vote && vote.hit_at)
+  };
+}
+
+function toVoteSummary(sharedError, vote) {
+  return {
+    upvotes: sharedError.upvote_count,
+    downvotes: sharedError.downvote_count,
+    score: sharedError.score,
+    hits: sharedError.hit_count,
+    last_hit_at: sharedError.last_hit_at,
+    ...viewerVoteFields(vote)
+  };
+}
+
+/**
+ * ORDER BY for a sort mode
+ * @param {string} [sort] - newest | top | trending | most_hit
+ * @returns {Array|null} null for an unknown mode
+ */
+function sortOrder(sort = 'newest') {
+  switch (sort) {
+    case 'newest':
+      return [['created_at', 'DESC']];
+    case 'top':
+      return [['score', 'DESC'], ['hit_count', 'DESC'], ['created_at', 'DESC']];
+    case 'most_hit':
+      return [['hit_count', 'DESC'], ['last_hit_at', 'DESC NULLS LAST'], ['created_at', 'DESC']];
+    case 'trending':
+      return [
+        [sequelize.literal(
+          '("SharedError"."score" + "SharedError"."hit_count") / ' +
+          `POWER(EXTRACT(EPOCH FROM (NOW() - "SharedError"."created_at")) / 3600 + ${VOTE_CONFIG.TRENDING_OFFSET_HOURS}, ${VOTE_CONFIG.TRENDING_GRAVITY})`
+        ), 'DESC'],
+        ['created_at', 'DESC']
+      ];
+    default:
+      return null;
+  }
+}
+
+module.exports = {
+  castVote,
+  removeVote,
+  viewerVoteFields,
+  toVoteSummary,
+  sortOrder,
+  VOTE_CONFIG
+};
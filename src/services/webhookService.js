@@ -0,0 +1,416 @@
+/**
+ * Webhook Service
+ * Outbound webhooks for team events.
+ *
+ * Every delivery is recorded in webhook_deliveries before it is attempted, so
+ * the delivery log survives restarts and retries can be picked up by any
+ * worker. Requests are signed with HMAC-SHA256 over "<timestamp>.<body>":
+ *
+ *   X-ErrorWise-Signature: t=<unix seconds>,v1=<hex hmac>
+ *
+ * Failed deliveries are retried with exponential backoff; an endpoint that
+ * keeps failing is disabled until the team re-enables it.
+ */
+
+const crypto = require('crypto');
+const axios = require('axios');
+const { Op } = require('sequelize');
+const TeamWebhook = require('../models/TeamWebhook');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const TeamMember = require('../models/TeamMember');
+const metrics = require('../utils/metrics');
+const { isPrivateHost, publicAgents } = require('../utils/privateHosts');
+
+const WEBHOOK_EVENTS = [
+  'shared_error.created',
+  'shared_error.status_changed',
+  'member.joined',
+  'member.removed',
+  'analysis.completed'
+];
+
+const TEST_EVENT = 'webhook.test';
+
+const DELIVERY_STATUSES = WebhookDelivery.getAttributes().status.values;
+
+const WEBHOOK_CONFIG = {
+  TIMEOUT_MS: 10000,
+  MAX_ATTEMPTS: 6,
+  BACKOFF_MS: [30 * 1000, 2 * 60 * 1000, 10 * 60 * 1000, 30 * 60 * 1000, 2 * 60 * 60 * 1000],
+  RETRY_POLL_MS: 30 * 1000,
+  RETRY_BATCH_SIZE: 50,
+  STALE_AFTER_MS: 2 * 60 * 1000,   // Pending/delivering rows untouched this long (well past TIMEOUT_MS) lost their worker
+  DISABLE_AFTER_FAILURES: 15,      // Consecutive deliveries that exhausted retries
+  MAX_WEBHOOKS_PER_TEAM: 10,
+  RESPONSE_BODY_LIMIT: 2000,
+  DELIVERY_RETENTION_DAYS: 30,
+  SIGNATURE_HEADER: 'X-ErrorWise-Signature'
+};
+
+let retryTimer = null;
+let lastPruneAt = 0;
+
+// ============================================================================
+// SIGNING & VALIDATION
+// ============================================================================
+
+function generateSecret() {
+  return `whsec_${crypto.randomBytes(24).toString('base64url')}`;
+}
+
+/**
+ * HMAC signature header value for a payload
+ * @param {string} secret
+ * @param {string} body - Exact JSON string that is sent
+ * @param {number} timestamp - Unix seconds
+ */
+function signPayload(secret, body, timestamp = Math.floor(Date.now() / 1000)) {
+  const signature = crypto
+    .createHmac('sha256', secret)
+    .update(`${timestamp}.${body}`)
+    .digest('hex');
+  return `t=${timestamp},v1=${signature}`;
+}
+
+/**
+ * Validate a webhook endpoint URL
+ * @returns {string|null} Error message, or null when valid
+ */
+function validateWebhookUrl(url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (error) {
+    return 'URL is not valid';
+  }
+
+  const isProduction = process.env.NODE_ENV === 'production';
+  if (parsed.protocol !== 'https:' && (isProduction || parsed.protocol !== 'http:')) {
+    return isProduction ? 'Webhook URLs must use https' : 'Webhook URLs must use http or https';
+  }
+
+  if (isProduction && isPrivateHost(parsed.hostname)) {
+    return 'Webhook URLs cannot point to private or local addresses';
+  }
+
+  if (parsed.username || parsed.password) {
+    return 'Webhook URLs cannot contain credentials';
+  }
+
+  return null;
+}
+
+/**
+ * Validate an event filter
+ * @returns {string|null} Error message, or null when valid
+ */
+function validateEvents(events) {
+  if (!Array.isArray(events) || events.length === 0) {
+    return 'events must be a non-empty array';
+  }
+  const unknown = events.filter(event => event !== '*' && !WEBHOOK_EVENTS.includes(event));
+  if (unknown.length > 0) {
+    return `Unknown events: ${unknown.join(', ')}`;
+  }
+  return null;
+}
+
+function subscribesTo(webhook, event) {
+  const events = Array.isArray(webhook.events) ? webhook.events : [];
+  return events.includes('*') || events.includes(event);
+}
+
+// ============================================================================
+// DELIVERY
+// ============================================================================
+
+function nextBackoff(attempts) {
+  const schedule = WEBHOOK_CONFIG.BACKOFF_MS;
+  const base = schedule[Math.min(attempts - 1, schedule.length - 1)];
+  // ±10% jitter so retries from a burst don't land together
+  return Math.round(base * (0.9 + Math.random() * 0.2));
+}
+
+/**
+ * POST one delivery and record the outcome
+ * @param {object} delivery - WebhookDelivery row
+ * @param {object} webhook - TeamWebhook row
+ * @param {object} options - { retry: false to record a single attempt (test events) }
+ */
+async function attemptDelivery(delivery, webhook, { retry = true } = {}) {
+  const body = JSON.stringify(delivery.payload);
+  const startTime = Date.now();
+  const attempts = delivery.attempts + 1;
+
+  let responseStatus = null;
+  let responseBody = null;
+  let errorMessage = null;
+
+  // Checked on every attempt, not just when the URL was saved: its DNS can
+  // later point at an internal address, which publicAgents refuse to connect to
+  const isProduction = process.env.NODE_ENV === 'production';
+
+  try {
+    if (isProduction && isPrivateHost(new URL(webhook.url).hostname)) {
+      const refused = new Error('Webhook URL points to a private or local address');
+      refused.code = 'EPRIVATEHOST';
+      throw refused;
+    }
+
+    const response = await axios.post(webhook.url, body, {
+      timeout: WEBHOOK_CONFIG.TIMEOUT_MS,
+      maxRedirects: 0,
+      ...(isProduction ? publicAgents : {}),
+      responseType: 'text',
+      transformResponse: [(data) => data],
+      validateStatus: () => true,
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'ErrorWise-Webhooks/1.0',
+        'X-ErrorWise-Event': delivery.event,
+        'X-ErrorWise-Delivery': delivery.id,
+        [WEBHOOK_CONFIG.SIGNATURE_HEADER]: signPayload(webhook.secret, body)
+      }
+    });
+    responseStatus = response.status;
+    responseBody = typeof response.data === 'string'
+      ? response.data.substring(0, WEBHOOK_CONFIG.RESPONSE_BODY_LIMIT)
+      : null;
+    if (response.status < 200 || response.status >= 300) {
+      errorMessage = `Endpoint responded with HTTP ${response.status}`;
+    }
+  } catch (error) {
+    errorMessage = error.code ? `${error.code}: ${error.message}` : error.message;
+  }
+
+  const succeeded = !errorMessage;
+  const canRetry = retry && !succeeded && attempts < WEBHOOK_CONFIG.MAX_ATTEMPTS;
+  const status = succeeded ? 'success' : canRetry ? 'retrying' : 'failed';
+
+  await delivery.update({
+    status,
+    attempts,
+    response_status: responseStatus,
+    response_body: responseBody,
+    error: errorMessage,
+    duration_ms: Date.now() - startTime,
+    next_attempt_at: canRetry ? new Date(Date.now() + nextBackoff(attempts)) : null,
+    delivered_at: succeeded ? new Date() : null
+  });
+
+  metrics.increment('team_webhook_deliveries_total', { event: delivery.event, outcome: status });
+
+  // Only final outcomes count towards the endpoint's health
+  if (status !== 'retrying' && delivery.event !== TEST_EVENT) {
+    await recordWebhookOutcome(webhook, succeeded);
+  }
+
+  if (!succeeded) {
+    console.warn(`⚠️ Webhook delivery ${delivery.id} (${delivery.event}) failed [attempt ${attempts}]: ${errorMessage}`);
+  }
+
+  return delivery;
+}
+
+async function recordWebhookOutcome(webhook, succeeded) {
+  const updates = {
+    last_delivery_at: new Date(),
+    last_delivery_status: succeeded ? 'success' : 'failed',
+    failure_count: succeeded ? 0 : (webhook.failure_count || 0) + 1
+  };
+
+  if (!succeeded && updates.failure_count >= WEBHOOK_CONFIG.DISABLE_AFTER_FAILURES) {
+    updates.is_active = false;
+    updates.disabled_reason = `Disabled after ${updates.failure_count} consecutive failed deliveries`;
+    console.warn(`🚫 Webhook ${webhook.id} disabled after ${updates.failure_count} consecutive failures`);
+  }
+
+  await webhook.update(updates);
+}
+
+function buildPayload(deliveryId, event, teamId, data) {
+  return {
+    id: deliveryId,
+    event,
+    team_id: teamId,
+    created_at: new Date().toISOString(),
+    data
+  };
+}
+
+async function queueDelivery(webhook, event, data) {
+  const id = crypto.randomUUID();
+  return WebhookDelivery.create({
+    id,
+    webhook_id: webhook.id,
+    event,
+    payload: buildPayload(id, event, webhook.team_id, data),
+    status: 'pending'
+  });
+}
+
+// ============================================================================
+// EVENTS
+// ============================================================================
+
+/**
+ * Send an event to every active webhook of a team that subscribes to it.
+ * Never throws - webhook problems must not fail the request that caused them.
+ * @param {number|string} teamId
+ * @param {string} event - One of WEBHOOK_EVENTS
+ * @param {object} data - Event-specific payload
+ */
+async function emitTeamEvent(teamId, event, data) {
+  try {
+    const webhooks = await TeamWebhook.findAll({
+      where: { team_id: teamId, is_active: true }
+    });
+
+    const targets = webhooks.filter(webhook => subscribesTo(webhook, event));
+    if (targets.length === 0) return;
+
+    const deliveries = await Promise.all(targets.map(webhook => queueDelivery(webhook, event, data)));
+
+    await Promise.allSettled(deliveries.map((delivery, index) => attemptDelivery(delivery, targets[index])));
+  } catch (error) {
+    console.error(`Webhook emit failed for team ${teamId} (${event}):`, error);
+  }
+}
+
+/**
+ * Send an event to every team the user is an active member of
+ * @param {string} userId
+ * @param {string} event
+ * @param {object} data
+ */
+async function emitUserEvent(userId, event, data) {
+  try {
+    const memberships = await TeamMember.findAll({
+      where: { user_id: userId, status: 'active' },
+      attributes: ['team_id']
+    });
+
+    await Promise.all(memberships.map(membership => emitTeamEvent(membership.team_id, event, data)));
+  } catch (error) {
+    console.error(`Webhook emit failed for user ${userId} (${event}):`, error);
+  }
+}
+
+/**
+ * Deliver a test event immediately (single attempt, no retries)
+ * @param {object} webhook - TeamWebhook row
+ * @returns {Promise<object>} The recorded delivery
+ */
+async function sendTestEvent(webhook, triggeredBy) {
+  const delivery = await queueDelivery(webhook, TEST_EVENT, {
+    message: 'This is a test event from ErrorWise',
+    webhook_id: webhook.id,
+    triggered_by: triggeredBy
+  });
+  return attemptDelivery(delivery, webhook, { retry: false });
+}
+
+// ============================================================================
+// RETRY WORKER
+// ============================================================================
+
+/**
+ * Attempt deliveries whose backoff has elapsed, and recover deliveries whose
+ * worker went away mid-send: left 'pending' before the first attempt or
+ * 'delivering' during one. Each delivery is claimed with a conditional update
+ * so only one worker sends it.
+ */
+async function processDueRetries() {
+  const now = new Date();
+  const staleBefore = new Date(now.getTime() - WEBHOOK_CONFIG.STALE_AFTER_MS);
+
+  const due = await WebhookDelivery.findAll({
+    where: {
+      [Op.or]: [
+        { status: 'retrying', next_attempt_at: { [Op.lte]: now } },
+        { status: ['pending', 'delivering'], updated_at: { [Op.lt]: staleBefore } }
+      ]
+    },
+    order: [['next_attempt_at', 'ASC'], ['created_at', 'ASC']],
+    limit: WEBHOOK_CONFIG.RETRY_BATCH_SIZE
+  });
+
+  let processed = 0;
+  for (const delivery of due) {
+    try {
+      // Claiming bumps updated_at, so a stale row can only be claimed once
+      const claimWhere = delivery.status === 'retrying'
+        ? { id: delivery.id, status: 'retrying' }
+        : { id: delivery.id, status: delivery.status, updated_at: { [Op.lt]: staleBefore } };
+      const [claimed] = await WebhookDelivery.update({ status: 'delivering' }, { where: claimWhere });
+      if (claimed === 0) continue;
+
+      const webhook = await TeamWebhook.findByPk(delivery.webhook_id);
+      if (!webhook || !webhook.is_active) {
+        await delivery.update({ status: 'failed', error: 'Webhook was disabled or removed', next_attempt_at: null });
+        continue;
+      }
+
+      await attemptDelivery(delivery, webhook, { retry: delivery.event !== TEST_EVENT });
+      processed++;
+    } catch (error) {
+      // Left 'delivering', it is picked up again once stale
+      console.error(`Webhook delivery ${delivery.id} retry failed:`, error);
+    }
+  }
+
+  return processed;
+}
+
+async function pruneDeliveries() {
+  const cutoff = new Date(Date.now() - WEBHOOK_CONFIG.DELIVERY_RETENTION_DAYS * 24 * 60 * 60 * 1000);
+  return WebhookDelivery.destroy({
+    where: {
+      created_at: { [Op.lt]: cutoff },
+      status: ['success', 'failed']
+    }
+  });
+}
+
+function startRetryWorker() {
+  if (retryTimer) return;
+
+  retryTimer = setInterval(async () => {
+    try {
+      await processDueRetries();
+
+      if (Date.now() - lastPruneAt > 60 * 60 * 1000) {
+        lastPruneAt = Date.now();
+        await pruneDeliveries();
+      }
+    } catch (error) {
+      console.error('Webhook retry worker error:', error);
+    }
+  }, WEBHOOK_CONFIG.RETRY_POLL_MS);
+  retryTimer.unref();
+
+  console.log('✅ Webhook retry worker started');
+}
+
+function stopRetryWorker() {
+  if (retryTimer) {
+    clearInterval(retryTimer);
+    retryTimer = null;
+  }
+}
+
+module.exports = {
+  emitTeamEvent,
+  emitUserEvent,
+  sendTestEvent,
+  processDueRetries,
+  startRetryWorker,
+  stopRetryWorker,
+  generateSecret,
+  signPayload,
+  validateWebhookUrl,
+  validateEvents,
+  WEBHOOK_EVENTS,
+  DELIVERY_STATUSES,
+  WEBHOOK_CONFIG
+};
@@ -1,5 +1,6 @@
-const { redis } = require('../utils/redisClient');
+const { redis, redisClient } = require('../utils/redisClient');
 const logger = require('../utils/logger');
+const metrics = require('./metrics');
 
 // Cache key prefixes
 const CACHE_PREFIXES = {
@@ -7,7 +8,10 @@ const CACHE_PREFIXES = {
   SUBSCRIPTION: 'cache:subscription:',
   ERROR_QUERY: 'cache:error_query:',
   STATS: 'cache:stats:',
-  PLAN: 'cache:plan:'
+  PLAN: 'cache:plan:',
+  ANALYSIS: 'cache:analysis:',
+  ANALYSIS_INDEX: 'cache:analysis_index',
+  ANALYSIS_TAG: 'cache:analysis_tag:'
 };
 
 // Default TTL values (in seconds)
@@ -16,9 +20,39 @@ const DEFAULT_TTL = {
   SUBSCRIPTION: 60 * 60, // 1 hour
   ERROR_QUERY: 5 * 60, // 5 minutes
   STATS: 15 * 60, // 15 minutes
-  PLAN: 24 * 60 * 60 // 24 hours
+  PLAN: 24 * 60 * 60, // 24 hours
+  // AI analyses - higher tiers get fresher answers from better models
+  ANALYSIS: {
+    free: 4 * 60 * 60, // 4 hours
+    pro: 2 * 60 * 60, // 2 hours
+    team: 60 * 60 // 1 hour
+  }
+};
+
+// Size budget for cached AI analyses (shared across all workers)
+const ANALYSIS_CACHE_BUDGET = {
+  MAX_ENTRIES: parseInt(process.env.ANALYSIS_CACHE_MAX_ENTRIES, 10) || 5000,
+  MAX_ENTRY_BYTES: 64 * 1024,
+  MEMORY_MAX_ENTRIES: 1000 // per-process fallback while Redis is down
+};
+
+// Hit/miss counters shared across workers (kept outside cache:* so clearing caches keeps history)
+const ANALYSIS_STATS_KEY = 'cache_stats:analysis';
+
+// localAnalysisStats field -> /metrics operation label
+const ANALYSIS_STAT_OPERATIONS = {
+  hits: 'hit',
+  misses: 'miss',
+  memoryHits: 'memory_hit',
+  writes: 'write',
+  evictions: 'eviction',
+  skipped: 'skipped'
 };
 
+// In-memory fallback used when Redis is unavailable
+const memoryAnalysisCache = new Map();
+const localAnalysisStats = { hits: 0, misses: 0, memoryHits: 0, writes: 0, evictions: 0, skipped: 0 };
+
 /**
  * Generic cache wrapper
  * @param {string} key - Cache key
@@ -153,6 +187,233 @@ async function cachePlan(planId, fetchFunction) {
   return cacheWrapper(key, fetchFunction, DEFAULT_TTL.PLAN);
 }
 
+/**
+ * Record an analysis cache event locally and in Redis
+ * @param {string} field - hits | misses | memoryHits | writes | evictions | skipped
+ * @param {number} count 
+ */
+function recordAnalysisStat(field, count = 1) {
+  localAnalysisStats[field] += count;
+  metrics.increment('cache_operations_total', { cache: 'analysis', operation: ANALYSIS_STAT_OPERATIONS[field] }, count);
+  redis.hIncrBy(ANALYSIS_STATS_KEY, field, count).catch(() => {});
+}
+
+function analysisTagKey(type, value) {
+  return `${CACHE_PREFIXES.ANALYSIS_TAG}${type}:${String(value).toLowerCase()}`;
+}
+
+function getMemoryAnalysis(cacheKey) {
+  const entry = memoryAnalysisCache.get(cacheKey);
+  if (!entry) return null;
+
+  if (entry.expiresAt < Date.now()) {
+    memoryAnalysisCache.delete(cacheKey);
+    return null;
+  }
+  return entry.value;
+}
+
+function setMemoryAnalysis(cacheKey, value, ttl, meta) {
+  memoryAnalysisCache.delete(cacheKey);
+  memoryAnalysisCache.set(cacheKey, {
+    value,
+    expiresAt: Date.now() + ttl * 1000,
+    language: meta.language,
+    category: meta.category
+  });
+
+  // Map keeps insertion order, so the first key is the oldest
+  while (memoryAnalysisCache.size > ANALYSIS_CACHE_BUDGET.MEMORY_MAX_ENTRIES) {
+    memoryAnalysisCache.delete(memoryAnalysisCache.keys().next().value);
+    recordAnalysisStat('evictions');
+  }
+}
+
+/**
+ * Get a cached AI analysis (Redis first, in-memory fallback)
+ * @param {string} cacheKey - Hash from aiService.generateCacheKey
+ * @returns {Promise<object|null>}
+ */
+async function getCachedAnalysis(cacheKey) {
+  try {
+    if (redisClient.isOpen) {
+      const cached = await redis.get(`${CACHE_PREFIXES.ANALYSIS}${cacheKey}`);
+      if (cached && cached.response) {
+        recordAnalysisStat('hits');
+        return cached.response;
+      }
+    }
+
+    const memoryHit = getMemoryAnalysis(cacheKey);
+    if (memoryHit) {
+      recordAnalysisStat('hits');
+      recordAnalysisStat('memoryHits');
+      return memoryHit;
+    }
+
+    recordAnalysisStat('misses');
+    return null;
+  } catch (error) {
+    logger.error(`Analysis cache read error for ${cacheKey}:`, error);
+    recordAnalysisStat('misses');
+    return null;
+  }
+}
+
+/**
+ * Cache an AI analysis with a per-tier TTL
+ * @param {string} cacheKey 
+ * @param {object} response - Structured analysis from aiService
+ * @param {object} meta - { tier, language, category } used for TTL and invalidation
+ */
+async function cacheAnalysis(cacheKey, response, { tier = 'free', language, category } = {}) {
+  try {
+    const ttl = DEFAULT_TTL.ANALYSIS[tier] || DEFAULT_TTL.ANALYSIS.free;
+    const payload = JSON.stringify({ response, tier, language, category, cachedAt: Date.now() });
+
+    if (Buffer.byteLength(payload) > ANALYSIS_CACHE_BUDGET.MAX_ENTRY_BYTES) {
+      recordAnalysisStat('skipped');
+      return false;
+    }
+
+    if (!redisClient.isOpen) {
+      setMemoryAnalysis(cacheKey, response, ttl, { language, category });
+      recordAnalysisStat('writes');
+      return true;
+    }
+
+    const key = `${CACHE_PREFIXES.ANALYSIS}${cacheKey}`;
+    const now = Date.now();
+    const maxTTL = Math.max(...Object.values(DEFAULT_TTL.ANALYSIS));
+
+    // redis.set returns false when the write fails mid-outage
+    if (!(await redis.set(key, payload, ttl))) {
+      setMemoryAnalysis(cacheKey, response, ttl, { language, category });
+      recordAnalysisStat('writes');
+      return true;
+    }
+    await redis.zAdd(CACHE_PREFIXES.ANALYSIS_INDEX, now, key);
+
+    // Tag sets allow invalidation by language/category
+    const tagKeys = [];
+    if (language) tagKeys.push(analysisTagKey('language', language));
+    if (category) tagKeys.push(analysisTagKey('category', category));
+    for (const tagKey of tagKeys) {
+      await redis.sAdd(tagKey, key);
+      await redis.expire(tagKey, maxTTL);
+    }
+
+    recordAnalysisStat('writes');
+    await enforceAnalysisBudget(now - maxTTL * 1000);
+    return true;
+  } catch (error) {
+    logger.error(`Analysis cache write error for ${cacheKey}:`, error);
+    return false;
+  }
+}
+
+/**
+ * Drop index entries that have certainly expired, then evict the oldest
+ * entries until the cache fits ANALYSIS_CACHE_BUDGET.MAX_ENTRIES
+ * @param {number} expiredBefore - Timestamp (ms) older than the longest TTL
+ */
+async function enforceAnalysisBudget(expiredBefore) {
+  await redis.zRemRangeByScore(CACHE_PREFIXES.ANALYSIS_INDEX, 0, expiredBefore);
+
+  const count = await redis.zCard(CACHE_PREFIXES.ANALYSIS_INDEX);
+  const overBudget = count - ANALYSIS_CACHE_BUDGET.MAX_ENTRIES;
+  if (overBudget <= 0) return;
+
+  const evicted = await redis.zPopMin(CACHE_PREFIXES.ANALYSIS_INDEX, overBudget);
+  if (evicted.length === 0) return;
+
+  // Clean tag sets so invalidation stays cheap
+  for (const key of evicted) {
+    const entry = await redis.get(key);
+    if (entry?.language) await redis.sRem(analysisTagKey('language', entry.language), key);
+    if (entry?.category) await redis.sRem(analysisTagKey('category', entry.category), key);
+  }
+
+  await redis.del(evicted);
+  recordAnalysisStat('evictions', evicted.length);
+  logger.info(`Analysis cache evicted ${evicted.length} entries (budget ${ANALYSIS_CACHE_BUDGET.MAX_ENTRIES})`);
+}
+
+/**
+ * Invalidate cached analyses by language and/or category.
+ * With both filters only entries matching both are removed; with neither, all analyses are cleared.
+ * @param {object} filters - { language, category }
+ * @returns {Promise<number>} number of entries removed
+ */
+async function invalidateAnalyses({ language, category } = {}) {
+  let removed = 0;
+
+  // In-memory fallback entries
+  for (const [cacheKey, entry] of memoryAnalysisCache) {
+    const languageMatch = !language || String(entry.language).toLowerCase() === String(language).toLowerCase();
+    const categoryMatch = !category || String(entry.category).toLowerCase() === String(category).toLowerCase();
+    if (languageMatch && categoryMatch) {
+      memoryAnalysisCache.delete(cacheKey);
+      removed++;
+    }
+  }
+
+  try {
+    if (!language && !category) {
+      removed += await invalidateByPrefix(CACHE_PREFIXES.ANALYSIS);
+      await redis.deleteByPattern(`${CACHE_PREFIXES.ANALYSIS_TAG}*`);
+      await redis.del(CACHE_PREFIXES.ANALYSIS_INDEX);
+      return removed;
+    }
+
+    const tagKeys = [];
+    if (language) tagKeys.push(analysisTagKey('language', language));
+    if (category) tagKeys.push(analysisTagKey('category', category));
+
+    const keys = tagKeys.length === 1
+      ? await redis.sMembers(tagKeys[0])
+      : await redis.sInter(tagKeys);
+
+    if (keys.length > 0) {
+      removed += await redis.del(keys);
+      await redis.zRem(CACHE_PREFIXES.ANALYSIS_INDEX, keys);
+      for (const tagKey of tagKeys) {
+        await redis.sRem(tagKey, keys);
+      }
+    }
+
+    logger.info(`Invalidated ${removed} cached analyses (language: ${language || '*'}, category: ${category || '*'})`);
+    return removed;
+  } catch (error) {
+    logger.error('Error invalidating cached analyses:', error);
+    return removed;
+  }
+}
+
+/**
+ * Analysis cache hit/miss counters and size
+ */
+async function getAnalysisCacheStats() {
+  const redisAvailable = redisClient.isOpen;
+  const shared = redisAvailable ? await redis.hGetAll(ANALYSIS_STATS_KEY) : {};
+  const counters = redisAvailable && Object.keys(shared).length > 0
+    ? Object.fromEntries(Object.keys(localAnalysisStats).map(field => [field, parseInt(shared[field], 10) || 0]))
+    : { ...localAnalysisStats };
+
+  const lookups = counters.hits + counters.misses;
+
+  return {
+    backend: redisAvailable ? 'redis' : 'memory',
+    ...counters,
+    hitRate: lookups > 0 ? Number((counters.hits / lookups).toFixed(4)) : 0,
+    entries: redisAvailable ? await redis.zCard(CACHE_PREFIXES.ANALYSIS_INDEX) : memoryAnalysisCache.size,
+    memoryEntries: memoryAnalysisCache.size,
+    maxEntries: ANALYSIS_CACHE_BUDGET.MAX_ENTRIES,
+    ttl: DEFAULT_TTL.ANALYSIS,
+    process: { ...localAnalysisStats }
+  };
+}
+
 /**
  * Invalidate all caches for a specific prefix
  * @param {string} prefix 
@@ -200,10 +461,12 @@ async function getCacheStats() {
       stats.byPrefix[prefix] = (stats.byPrefix[prefix] || 0) + 1;
     }
 
+    stats.analysis = await getAnalysisCacheStats();
+
     return stats;
   } catch (error) {
     logger.error('Error getting cache stats:', error);
-    return { totalKeys: 0, byPrefix: {} };
+    return { totalKeys: 0, byPrefix: {}, analysis: { backend: 'memory', ...localAnalysisStats } };
   }
 }
 
@@ -279,10 +542,15 @@ module.exports = {
   cacheErrorQuery,
   cachePlatformStats,
   cachePlan,
+  getCachedAnalysis,
+  cacheAnalysis,
+  invalidateAnalyses,
+  getAnalysisCacheStats,
   invalidateByPrefix,
   clearAllCaches,
   getCacheStats,
   cacheMiddleware,
   CACHE_PREFIXES,
-  DEFAULT_TTL
+  DEFAULT_TTL,
+  ANALYSIS_CACHE_BUDGET
 };
@@ -0,0 +1,122 @@
+/**
+ * Device and location hints for session listings and new-device alerts.
+ * User-Agent parsing is deliberately coarse (browser, OS, device type) -
+ * enough for "Chrome on macOS" without pulling in a UA database.
+ * Location comes from geolocation headers set by the edge/CDN when present.
+ */
+
+const crypto = require('crypto');
+
+// Order matters: Edge and Opera also announce Chrome, Chrome announces Safari
+const BROWSERS = [
+  { name: 'Edge', pattern: /Edg(?:e|A|iOS)?\/([\d.]+)/ },
+  { name: 'Opera', pattern: /(?:OPR|Opera)\/([\d.]+)/ },
+  { name: 'Samsung Internet', pattern: /SamsungBrowser\/([\d.]+)/ },
+  { name: 'Firefox', pattern: /(?:Firefox|FxiOS)\/([\d.]+)/ },
+  { name: 'Chrome', pattern: /(?:Chrome|CriOS)\/([\d.]+)/ },
+  { name: 'Safari', pattern: /Version\/([\d.]+).*Safari/ },
+  { name: 'curl', pattern: /curl\/([\d.]+)/ },
+  { name: 'Postman', pattern: /PostmanRuntime\/([\d.]+)/ },
+  { name: 'Node.js', pattern: /(?:node-fetch|axios|undici)\/?([\d.]*)/ }
+];
+
+const OPERATING_SYSTEMS = [
+  { name: 'iOS', pattern: /iPhone|iPad|iPod/ },
+  { name: 'Android', pattern: /Android/ },
+  { name: 'Windows', pattern: /Windows/ },
+  { name: 'macOS', pattern: /Mac OS X|Macintosh/ },
+  { name: 'ChromeOS', pattern: /CrOS/ },
+  { name: 'Linux', pattern: /Linux/ }
+];
+
+/**
+ * @param {string} userAgent
+ * @returns {{browser: string, browserVersion: string|null, os: string, deviceType: string}}
+ */
+function parseUserAgent(userAgent) {
+  const ua = String(userAgent || '');
+
+  const browser = BROWSERS.find(entry => entry.pattern.test(ua));
+  const os = OPERATING_SYSTEMS.find(entry => entry.pattern.test(ua));
+
+  let deviceType = 'desktop';
+  if (/iPad|Tablet/.test(ua) || (/Android/.test(ua) && !/Mobile/.test(ua))) {
+    deviceType = 'tablet';
+  } else if (/Mobi|iPhone|iPod/.test(ua)) {
+    deviceType = 'mobile';
+  } else if (!browser && !os) {
+    deviceType = 'unknown';
+  }
+
+  const version = browser ? (ua.match(browser.pattern)[1] || null) : null;
+
+  return {
+    browser: browser ? browser.name : 'Unknown browser',
+    browserVersion: version ? version.split('.')[0] : null,
+    os: os ? os.name : 'Unknown OS',
+    deviceType
+  };
+}
+
+/**
+ * Approximate location from Cloudflare, Vercel or App Engine geolocation headers
+ * @param {object} req - Express request
+ * @returns {{city: string|null, region: string|null, country: string|null}|null}
+ */
+function getApproximateLocation(req) {
+  const header = name => {
+    const value = req.get(name);
+    if (!value) return null;
+    try {
+      return decodeURIComponent(value).substring(0, 100);
+    } catch {
+      return value.substring(0, 100);
+    }
+  };
+
+  const country = header('cf-ipcountry') || header('x-vercel-ip-country') || header('x-appengine-country');
+  if (!country || country === 'XX' || country === 'ZZ') return null;
+
+  return {
+    city: header('cf-ipcity') || header('x-vercel-ip-city') || header('x-appengine-city'),
+    region: header('cf-region') || header('x-vercel-ip-country-region') || header('x-appengine-region'),
+    country
+  };
+}
+
+function formatLocation(location) {
+  if (!location) return null;
+  return [location.city, location.region, location.country].filter(Boolean).join(', ');
+}
+
+/**
+ * Everything we record about the client for a new session
+ */
+function describeClient(req) {
+  const userAgent = req.get('user-agent') || '';
+  return {
+    ...parseUserAgent(userAgent),
+    userAgent: userAgent.substring(0, 512),
+    ipAddress: req.ip || req.connection?.remoteAddress || null,
+    location: getApproximateLocation(req)
+  };
+}
+
+/**
+ * Stable identifier for "the same device" - browser family, OS and device type.
+ * IPs change too often to be part of it.
+ */
+function deviceFingerprint(device) {
+  return crypto.createHash('sha256')
+    .update([device.browser, device.os, device.deviceType].join('|'))
+    .digest('hex')
+    .substring(0, 32);
+}
+
+module.exports = {
+  parseUserAgent,
+  getApproximateLocation,
+  formatLocation,
+  describeClient,
+  deviceFingerprint
+};
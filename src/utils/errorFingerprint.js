@@ -0,0 +1,69 @@
+/**
+ * Error Fingerprinting
+ * Normalizes error text into a stable fingerprint.
+ *
+ * Normalization strips the parts of an error that change between runs
+ * (file paths, line/column numbers, UUIDs, memory addresses, timestamps)
+ * so "the same" error from two machines compares equal.
+ */
+
+const crypto = require('crypto');
+
+// Ordered: specific patterns must run before generic number stripping
+const NORMALIZATION_RULES = [
+  [/https?:\/\/[^\s'"<>)]+/gi, '<url>'],
+  [/\b[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}\b/gi, '<uuid>'],
+  [/\b0x[0-9a-f]+\b/gi, '<addr>'],
+  [/\b\d{4}-\d{2}-\d{2}[t ]\d{2}:\d{2}:\d{2}(?:\.\d+)?(?:z|[+-]\d{2}:?\d{2})?\b/gi, '<time>'],
+  [/\b\d{1,3}(?:\.\d{1,3}){3}(?::\d+)?\b/g, '<ip>'],
+  [/[\w.+-]+@[\w-]+\.[\w.-]+/g, '<email>'],
+  // Windows paths (C:\foo\bar.js) and unix paths (/foo/bar.py, ./src/x.ts)
+  [/\b[a-z]:\\(?:[^\\\s:'"]+\\)*[^\\\s:'"]+/gi, '<path>'],
+  [/(?:\.{0,2}\/)?(?:[\w@.-]+\/)+[\w@.-]+/g, '<path>'],
+  // file.ext:line:col and "line 42"
+  [/(<path>|[\w.-]+\.\w+):\d+(?::\d+)?/g, '$1'],
+  [/\bline \d+/gi, 'line <n>'],
+  [/\b[0-9a-f]{16,}\b/gi, '<hash>'],
+  [/\b\d+\b/g, '<n>'],
+];
+
+/**
+ * Normalize error text so incidental details don't affect matching
+ * @param {string} errorMessage
+ * @returns {string}
+ */
+function normalizeErrorMessage(errorMessage) {
+  if (!errorMessage) return '';
+
+  let text = String(errorMessage);
+  for (const [pattern, replacement] of NORMALIZATION_RULES) {
+    text = text.replace(pattern, replacement);
+  }
+
+  return text
+    .toLowerCase()
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Stable fingerprint of the normalized error headline (first non-empty line)
+ * @param {string} errorMessage
+ * @returns {string} 40-char hex digest
+ */
+function fingerprintError(errorMessage) {
+  const headline = String(errorMessage || '')
+    .split('\n')
+    .map(line => line.trim())
+    .find(line => line.length > 0) || '';
+
+  return crypto
+    .createHash('sha1')
+    .update(normalizeErrorMessage(headline))
+    .digest('hex');
+}
+
+module.exports = {
+  normalizeErrorMessage,
+  fingerprintError
+};
@@ -0,0 +1,221 @@
+/**
+ * Log Error Extractor
+ * Splits an uploaded log file into distinct error blocks.
+ *
+ * A block is an error headline plus its stack trace / continuation lines.
+ * Blocks that describe the same error (same exception and top app frame,
+ * ignoring timestamps, ids and line numbers) are grouped and counted so a
+ * trace repeated 500 times in a log is analyzed once.
+ */
+
+const { normalizeErrorMessage, fingerprintError } = require('./errorFingerprint');
+const { parseStackTrace } = require('./stackTraceParser');
+
+const EXTRACTION_CONFIG = {
+  MAX_BLOCK_LINES: 80,        // Longer traces are truncated
+  MAX_BLOCK_LENGTH: 6000,     // Stays under aiService MAX_PROMPT_LENGTH with room for context
+  MIN_BLOCK_LENGTH: 10,       // aiService rejects shorter messages
+};
+
+// "2024-05-01 12:00:00,123 ERROR [main] com.acme.Foo - " / "[2024-05-01T12:00:00Z] [error] " / "ERROR: "
+const LOG_PREFIX = /^\s*\[?(\d{4}-\d{2}-\d{2}[T ]\d{2}:\d{2}:\d{2}(?:[.,]\d+)?(?:Z|[+-]\d{2}:?\d{2})?)?\]?\s*(?:\[?(ERROR|ERR|FATAL|CRITICAL|SEVERE|WARN|WARNING|INFO|DEBUG|TRACE|NOTICE)\]?:?\s+)?(?:\[[^\]]*\]\s*)?(?:[\w.$]+(?::\d+)?\s+-\s+)?/i;
+
+const ERROR_LEVELS = ['ERROR', 'ERR', 'FATAL', 'CRITICAL', 'SEVERE'];
+
+// Lines that start an error block on their own
+const ERROR_HEADLINE = /^(Traceback \(most recent call last\):|panic: |fatal error: |thread '.*' panicked at|Unhandled exception\.|Exception in thread |Uncaught |(?:[\w$]+\.)*[A-Z][\w$]*(?:Error|Exception|Panic|Fault)\b(?::|\s*$)|\S+\.rb:\d+:in )/;
+
+// Lines that continue the current block even though they are not indented
+const CONTINUATION = /^(Caused by:|\.\.\. \d+ more|\[cause\]|--- End of|During handling of the above exception|The above exception was the direct cause|goroutine \d+ \[|stack backtrace:|note: |created by |[\w./*-]+\(.*\)$)/;
+
+// After a blank line, only these keep the block open (chained tracebacks, goroutine dumps)
+const CONTINUATION_AFTER_BLANK = /^(Traceback \(most recent call last\):|During handling of the above exception|The above exception was the direct cause|goroutine \d+ \[|stack backtrace:|Caused by:)/;
+
+/**
+ * Strip a log prefix (timestamp, level, logger) from a line
+ * @param {string} line
+ * @returns {{content: string, timestamp: string|null, level: string|null, hasPrefix: boolean}}
+ */
+function stripLogPrefix(line) {
+  const match = line.match(LOG_PREFIX);
+  if (!match || (!match[1] && !match[2])) {
+    return { content: line, timestamp: null, level: null, hasPrefix: false };
+  }
+
+  return {
+    content: line.slice(match[0].length),
+    timestamp: match[1] || null,
+    level: match[2] ? match[2].toUpperCase() : null,
+    hasPrefix: true
+  };
+}
+
+function startsBlock(content, level) {
+  return ERROR_HEADLINE.test(content.trim()) || (level !== null && ERROR_LEVELS.includes(level));
+}
+
+/**
+ * Grouping key: exception + top application frame when the block parses as a
+ * stack trace, otherwise the normalized headline
+ */
+function groupKey(text, parsed) {
+  if (parsed && parsed.exception) {
+    const exception = parsed.rootCause || parsed.exception;
+    const topFrame = parsed.appFrames[0] || parsed.frames[0];
+    return fingerprintError(`${exception.type || ''}: ${normalizeErrorMessage(exception.message)} @ ${topFrame ? `${topFrame.function} ${topFrame.file || ''}` : ''}`);
+  }
+  return fingerprintError(text);
+}
+
+/**
+ * Split log content into raw error blocks in file order
+ * @param {string} content
+ * @returns {Array<{lines: string[], startLine: number, endLine: number, timestamp: string|null}>}
+ */
+function splitBlocks(content) {
+  const lines = content.replace(/\r\n/g, '\n').split('\n');
+  const blocks = [];
+  let current = null;
+  let pendingBlank = false;
+
+  const close = () => {
+    if (current) blocks.push(current);
+    current = null;
+    pendingBlank = false;
+  };
+
+  lines.forEach((line, index) => {
+    const lineNumber = index + 1;
+
+    if (line.trim().length === 0) {
+      if (current) pendingBlank = true;
+      return;
+    }
+
+    const { content: text, timestamp, level, hasPrefix } = stripLogPrefix(line);
+
+    if (current) {
+      const last = current.lines[current.lines.length - 1];
+      const awaitingPythonException = current.lines[0].startsWith('Traceback') && /^\s/.test(last);
+      const awaitingRustMessage = /panicked at .+:\d+:\d+:\s*$/.test(last);
+      // "ERROR ... - Request failed" followed by the exception it logged
+      const awaitingLoggedException = current.fromLogLevel && current.lines.length === 1;
+
+      let continues;
+      if (pendingBlank) {
+        continues = !hasPrefix && (CONTINUATION_AFTER_BLANK.test(text) || /^(During handling|The above exception)/.test(last));
+      } else {
+        continues = !hasPrefix && (/^\s+\S/.test(line) || CONTINUATION.test(text) || awaitingPythonException || awaitingRustMessage || awaitingLoggedException);
+      }
+
+      if (continues) {
+        pendingBlank = false;
+        if (current.lines.length < EXTRACTION_CONFIG.MAX_BLOCK_LINES) {
+          current.lines.push(line.replace(/\s+$/, ''));
+        }
+        current.endLine = lineNumber;
+        return;
+      }
+      close();
+    }
+
+    if (startsBlock(text, level)) {
+      current = {
+        lines: [text.trim()],
+        startLine: lineNumber,
+        endLine: lineNumber,
+        timestamp,
+        fromLogLevel: hasPrefix && !ERROR_HEADLINE.test(text.trim())
+      };
+    }
+  });
+
+  close();
+  return blocks;
+}
+
+/**
+ * Extract distinct error blocks from a log file
+ * @param {string} content - Log file contents
+ * @returns {{
+ *   totalBlocks: number,
+ *   errors: Array<{
+ *     key: string,
+ *     errorMessage: string,
+ *     occurrences: number,
+ *     lines: number[],
+ *     firstSeen: string|null,
+ *     lastSeen: string|null,
+ *     stackTrace: object|null
+ *   }>
+ * }} errors sorted by occurrences (most frequent first), then file order
+ */
+function extractErrorBlocks(content) {
+  if (!content || typeof content !== 'string') {
+    return { totalBlocks: 0, errors: [] };
+  }
+
+  const blocks = splitBlocks(content);
+  const groups = new Map();
+
+  blocks.forEach((block, order) => {
+    const errorMessage = block.lines.join('\n').slice(0, EXTRACTION_CONFIG.MAX_BLOCK_LENGTH).trim();
+    if (errorMessage.length < EXTRACTION_CONFIG.MIN_BLOCK_LENGTH) return;
+
+    const stackTrace = parseStackTrace(errorMessage);
+    const key = groupKey(errorMessage, stackTrace);
+
+    const group = groups.get(key);
+    if (group) {
+      group.occurrences++;
+      group.lines.push(block.startLine);
+      if (block.timestamp) {
+        group.firstSeen = group.firstSeen || block.timestamp;
+        group.lastSeen = block.timestamp;
+      }
+      return;
+    }
+
+    groups.set(key, {
+      key,
+      order,
+      errorMessage,
+      occurrences: 1,
+      lines: [block.startLine],
+      firstSeen: block.timestamp,
+      lastSeen: block.timestamp,
+      stackTrace
+    });
+  });
+
+  const errors = [...groups.values()]
+    .sort((a, b) => b.occurrences - a.occurrences || a.order - b.order)
+    .map(({ order, ...group }) => group);
+
+  return { totalBlocks: blocks.length, errors };
+}
+
+/**
+ * Map a parsed stack trace format to the language names aiService uses
+ * @param {object|null} stackTrace
+ * @returns {string|null}
+ */
+function languageFromStackTrace(stackTrace) {
+  const languages = {
+    javascript: 'javascript',
+    python: 'python',
+    java: 'java',
+    go: 'go',
+    rust: 'rust',
+    dotnet: 'csharp',
+    ruby: 'ruby'
+  };
+  return stackTrace ? languages[stackTrace.format] || null : null;
+}
+
+module.exports = {
+  extractErrorBlocks,
+  languageFromStackTrace,
+  stripLogPrefix,
+  EXTRACTION_CONFIG
+};
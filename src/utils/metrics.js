@@ -0,0 +1,355 @@
+/**
+ * Metrics
+ * In-process counters, gauges and histograms rendered in the Prometheus text
+ * exposition format for GET /metrics.
+ *
+ * Every worker records into its own registry. When running under cluster.js the
+ * worker serving /metrics asks the master for a snapshot from every worker over
+ * IPC and merges them, so counters cover the whole cluster rather than whichever
+ * worker happened to receive the scrape.
+ */
+
+const cluster = require('cluster');
+const crypto = require('crypto');
+
+const METRICS_CONFIG = {
+  PREFIX: 'errorwise_',
+  COLLECT_TIMEOUT_MS: 2000,        // Master waits this long for worker snapshots
+  HTTP_BUCKETS: [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10],
+  AI_BUCKETS: [0.25, 0.5, 1, 2, 5, 10, 20, 30, 60]
+};
+
+// name -> { type, help, buckets?, aggregate? } (gauges: sum | max | min across workers)
+const DEFINITIONS = {
+  http_requests_total: { type: 'counter', help: 'HTTP requests by route, method and status code' },
+  http_request_duration_seconds: { type: 'histogram', help: 'HTTP request latency', buckets: METRICS_CONFIG.HTTP_BUCKETS },
+  ai_requests_total: { type: 'counter', help: 'AI provider calls by provider, model and outcome' },
+  ai_request_duration_seconds: { type: 'histogram', help: 'AI provider call latency', buckets: METRICS_CONFIG.AI_BUCKETS },
+  ai_tokens_total: { type: 'counter', help: 'AI tokens used by provider, model and direction' },
+  ai_provider_up: { type: 'gauge', help: 'Whether an AI provider is accepting traffic (circuit not open)', aggregate: 'min' },
+  cache_operations_total: { type: 'counter', help: 'Cache operations by cache and operation (hit, miss, write, ...)' },
+  rate_limit_rejections_total: { type: 'counter', help: 'Requests rejected by a rate limiter' },
+  webhooks_received_total: { type: 'counter', help: 'Inbound webhooks by source, event and outcome' },
+  team_webhook_deliveries_total: { type: 'counter', help: 'Outbound team webhook delivery attempts by event and outcome' },
+  user_signups_total: { type: 'counter', help: 'New user registrations by method' },
+  subscription_upgrades_total: { type: 'counter', help: 'Paid subscription activations and plan changes by tier' },
+  process_resident_memory_bytes: { type: 'gauge', help: 'Resident memory of all workers', aggregate: 'sum' },
+  nodejs_heap_used_bytes: { type: 'gauge', help: 'V8 heap used by all workers', aggregate: 'sum' },
+  process_uptime_seconds: { type: 'gauge', help: 'Uptime of the longest running worker', aggregate: 'max' },
+  cluster_workers: { type: 'gauge', help: 'Workers that contributed to this scrape', aggregate: 'sum' }
+};
+
+const values = new Map();            // name -> Map(labelKey -> number | histogram)
+const collectors = [];               // Functions run before each snapshot (gauges)
+
+// ============================================================================
+// RECORDING
+// ============================================================================
+
+function labelKey(labels = {}) {
+  return JSON.stringify(Object.keys(labels).sort().map(key => [key, String(labels[key])]));
+}
+
+function series(name) {
+  if (!DEFINITIONS[name]) {
+    throw new Error(`Unknown metric: ${name}`);
+  }
+  if (!values.has(name)) values.set(name, new Map());
+  return values.get(name);
+}
+
+/**
+ * Increment a counter
+ * @param {string} name - Key of DEFINITIONS
+ * @param {object} labels
+ * @param {number} value
+ */
+function increment(name, labels = {}, value = 1) {
+  if (!(value > 0)) return;
+  const entries = series(name);
+  const key = labelKey(labels);
+  entries.set(key, (entries.get(key) || 0) + value);
+}
+
+/**
+ * Record a histogram observation
+ * @param {string} name
+ * @param {object} labels
+ * @param {number} value - Seconds for *_duration_seconds metrics
+ */
+function observe(name, labels, value) {
+  const entries = series(name);
+  const key = labelKey(labels);
+  const { buckets } = DEFINITIONS[name];
+
+  let histogram = entries.get(key);
+  if (!histogram) {
+    histogram = { buckets: buckets.map(() => 0), sum: 0, count: 0 };
+    entries.set(key, histogram);
+  }
+
+  buckets.forEach((bound, index) => {
+    if (value <= bound) histogram.buckets[index]++;
+  });
+  histogram.sum += value;
+  histogram.count++;
+}
+
+function setGauge(name, labels, value) {
+  series(name).set(labelKey(labels), value);
+}
+
+/**
+ * Register a function that sets gauges right before each snapshot
+ * @param {Function} collector - () => void, receives { setGauge }
+ */
+function registerCollector(collector) {
+  collectors.push(collector);
+}
+
+registerCollector(({ setGauge: set }) => {
+  const memory = process.memoryUsage();
+  set('process_resident_memory_bytes', {}, memory.rss);
+  set('nodejs_heap_used_bytes', {}, memory.heapUsed);
+  set('process_uptime_seconds', {}, Math.round(process.uptime()));
+  set('cluster_workers', {}, 1);
+});
+
+/**
+ * Serializable copy of this process's metrics
+ */
+function snapshot() {
+  for (const collector of collectors) {
+    try {
+      collector({ setGauge });
+    } catch (error) {
+      console.error('Metrics collector failed:', error.message);
+    }
+  }
+
+  const result = {};
+  for (const [name, entries] of values) {
+    result[name] = [...entries.entries()];
+  }
+  return result;
+}
+
+// ============================================================================
+// AGGREGATION & RENDERING
+// ============================================================================
+
+/**
+ * Merge worker snapshots: counters and histograms add up, gauges use their aggregate
+ * @param {object[]} snapshots
+ */
+function mergeSnapshots(snapshots) {
+  const merged = new Map();
+
+  for (const workerSnapshot of snapshots) {
+    for (const [name, entries] of Object.entries(workerSnapshot)) {
+      const definition = DEFINITIONS[name];
+      if (!definition) continue;
+      if (!merged.has(name)) merged.set(name, new Map());
+      const target = merged.get(name);
+
+      for (const [key, value] of entries) {
+        const current = target.get(key);
+
+        if (definition.type === 'histogram') {
+          if (!current) {
+            target.set(key, { buckets: [...value.buckets], sum: value.sum, count: value.count });
+          } else {
+            value.buckets.forEach((count, index) => { current.buckets[index] += count; });
+            current.sum += value.sum;
+            current.count += value.count;
+          }
+        } else if (current === undefined) {
+          target.set(key, value);
+        } else if (definition.type === 'gauge' && definition.aggregate === 'max') {
+          target.set(key, Math.max(current, value));
+        } else if (definition.type === 'gauge' && definition.aggregate === 'min') {
+          target.set(key, Math.min(current, value));
+        } else {
+          target.set(key, current + value);
+        }
+      }
+    }
+  }
+
+  return merged;
+}
+
+function escapeLabelValue(value) {
+  return value.replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+function formatLabels(key, extra = []) {
+  const pairs = [...JSON.parse(key), ...extra];
+  if (pairs.length === 0) return '';
+  return `{${pairs.map(([label, value]) => `${label}="${escapeLabelValue(value)}"`).join(',')}}`;
+}
+
+/**
+ * Prometheus text exposition (format 0.0.4)
+ * @param {Map} merged - From mergeSnapshots
+ * @returns {string}
+ */
+function render(merged) {
+  const lines = [];
+
+  for (const [name, definition] of Object.entries(DEFINITIONS)) {
+    const entries = merged.get(name);
+    if (!entries || entries.size === 0) continue;
+
+    const metricName = `${METRICS_CONFIG.PREFIX}${name}`;
+    lines.push(`# HELP ${metricName} ${definition.help}`);
+    lines.push(`# TYPE ${metricName} ${definition.type}`);
+
+    for (const [key, value] of entries) {
+      if (definition.type !== 'histogram') {
+        lines.push(`${metricName}${formatLabels(key)} ${value}`);
+        continue;
+      }
+
+      // Bucket counts are cumulative already - observe() increments every bucket a value fits
+      definition.buckets.forEach((bound, index) => {
+        lines.push(`${metricName}_bucket${formatLabels(key, [['le', String(bound)]])} ${value.buckets[index]}`);
+      });
+      lines.push(`${metricName}_bucket${formatLabels(key, [['le', '+Inf']])} ${value.count}`);
+      lines.push(`${metricName}_sum${formatLabels(key)} ${Number(value.sum.toFixed(6))}`);
+      lines.push(`${metricName}_count${formatLabels(key)} ${value.count}`);
+    }
+  }
+
+  return `${lines.join('\n')}\n`;
+}
+
+// ============================================================================
+// CLUSTER IPC
+// ============================================================================
+
+const pendingCollections = new Map();  // requestId -> resolve (worker side)
+
+if (cluster.isWorker) {
+  process.on('message', (message) => {
+    if (!message || typeof message !== 'object') return;
+
+    if (message.type === 'metrics:snapshot-request') {
+      process.send({ type: 'metrics:snapshot', requestId: message.requestId, snapshot: snapshot() });
+    } else if (message.type === 'metrics:result') {
+      const resolve = pendingCollections.get(message.requestId);
+      if (resolve) resolve(message.snapshots);
+    }
+  });
+}
+
+/**
+ * Master side: answer "metrics:collect" from any worker by gathering a
+ * snapshot from every live worker. Called once from cluster.js.
+ * @param {object} clusterModule - require('cluster') in the master
+ */
+function attachClusterMaster(clusterModule) {
+  const collections = new Map();  // requestId -> { requester, snapshots, expected, timer }
+
+  const finish = (requestId) => {
+    const collection = collections.get(requestId);
+    if (!collection) return;
+    collections.delete(requestId);
+    clearTimeout(collection.timer);
+    if (collection.requester.isConnected()) {
+      collection.requester.send({ type: 'metrics:result', requestId, snapshots: collection.snapshots });
+    }
+  };
+
+  clusterModule.on('message', (worker, message) => {
+    if (!message || typeof message !== 'object') return;
+
+    if (message.type === 'metrics:collect') {
+      const workers = Object.values(clusterModule.workers).filter(w => w && w.isConnected());
+      collections.set(message.requestId, {
+        requester: worker,
+        snapshots: [],
+        expected: workers.length,
+        timer: setTimeout(() => finish(message.requestId), METRICS_CONFIG.COLLECT_TIMEOUT_MS)
+      });
+      workers.forEach(w => w.send({ type: 'metrics:snapshot-request', requestId: message.requestId }));
+    } else if (message.type === 'metrics:snapshot') {
+      const collection = collections.get(message.requestId);
+      if (!collection) return;
+      collection.snapshots.push(message.snapshot);
+      if (collection.snapshots.length >= collection.expected) finish(message.requestId);
+    }
+  });
+}
+
+function collectFromCluster() {
+  return new Promise((resolve) => {
+    const requestId = crypto.randomUUID();
+    const timer = setTimeout(() => {
+      pendingCollections.delete(requestId);
+      resolve(null);
+    }, METRICS_CONFIG.COLLECT_TIMEOUT_MS + 1000);
+
+    pendingCollections.set(requestId, (snapshots) => {
+      clearTimeout(timer);
+      pendingCollections.delete(requestId);
+      resolve(snapshots);
+    });
+
+    process.send({ type: 'metrics:collect', requestId });
+  });
+}
+
+/**
+ * Render metrics for the whole cluster (or this process when not clustered)
+ * @returns {Promise<string>}
+ */
+async function collectMetrics() {
+  let snapshots = null;
+  if (cluster.isWorker && process.send) {
+    snapshots = await collectFromCluster();
+    if (!snapshots) {
+      console.warn('⚠️ Cluster metrics collection timed out - serving this worker only');
+    }
+  }
+
+  return render(mergeSnapshots(snapshots || [snapshot()]));
+}
+
+// ============================================================================
+// MIDDLEWARE
+// ============================================================================
+
+/**
+ * Express middleware recording request count and latency per matched route.
+ * Unmatched paths share one label so scanners can't explode cardinality.
+ */
+function httpMetricsMiddleware(req, res, next) {
+  const start = process.hrtime.bigint();
+
+  res.on('finish', () => {
+    const route = req.route
+      ? `${req.baseUrl}${req.route.path}`
+      : res.statusCode === 404 ? 'not_found' : 'unmatched';
+    const labels = { method: req.method, route, status_code: res.statusCode };
+
+    increment('http_requests_total', labels);
+    observe('http_request_duration_seconds', { method: req.method, route }, Number(process.hrtime.bigint() - start) / 1e9);
+  });
+
+  next();
+}
+
+module.exports = {
+  increment,
+  observe,
+  setGauge,
+  registerCollector,
+  snapshot,
+  mergeSnapshots,
+  render,
+  collectMetrics,
+  attachClusterMaster,
+  httpMetricsMiddleware,
+  METRICS_CONFIG
+};
@@ -0,0 +1,97 @@
+/**
+ * Private host check
+ * Outbound requests to user-supplied URLs (webhooks, SSO identity providers)
+ * must not reach the server itself or internal networks in production.
+ *
+ * Checking the URL only covers IP literals and well-known local names - a
+ * public DNS name can point anywhere. Requests made with publicAgents check
+ * the addresses the host resolves to when they connect.
+ */
+
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+
+const PRIVATE_NAMES = [
+  /^localhost$/i,
+  /\.localhost$/i,
+  /\.internal$/i
+];
+
+// BlockList also matches IPv4-mapped IPv6 (::ffff:127.0.0.1, ::ffff:7f00:1)
+// against the IPv4 ranges
+const PRIVATE_RANGES = new net.BlockList();
+PRIVATE_RANGES.addSubnet('0.0.0.0', 8, 'ipv4');
+PRIVATE_RANGES.addSubnet('10.0.0.0', 8, 'ipv4');
+PRIVATE_RANGES.addSubnet('100.64.0.0', 10, 'ipv4');   // Carrier-grade NAT
+PRIVATE_RANGES.addSubnet('127.0.0.0', 8, 'ipv4');
+PRIVATE_RANGES.addSubnet('169.254.0.0', 16, 'ipv4');  // Link-local, cloud metadata
+PRIVATE_RANGES.addSubnet('172.16.0.0', 12, 'ipv4');
+PRIVATE_RANGES.addSubnet('192.168.0.0', 16, 'ipv4');
+PRIVATE_RANGES.addSubnet('::', 96, 'ipv6');           // ::, ::1 and IPv4-compatible
+PRIVATE_RANGES.addSubnet('fc00::', 7, 'ipv6');        // Unique local
+PRIVATE_RANGES.addSubnet('fe80::', 10, 'ipv6');       // Link-local
+
+/**
+ * Whether an IP address is local or on a private network
+ * @param {string} address - IPv4 or IPv6 address, without brackets
+ * @returns {boolean}
+ */
+function isPrivateAddress(address) {
+  const version = net.isIP(address);
+  if (version === 0) return false;
+  return PRIVATE_RANGES.check(address, version === 6 ? 'ipv6' : 'ipv4');
+}
+
+/**
+ * Whether a hostname is local or on a private network, judged from the name
+ * alone - see publicAgents for names that resolve to private addresses
+ * @param {string} hostname - URL hostname (IPv6 addresses in brackets)
+ * @returns {boolean}
+ */
+function isPrivateHost(hostname) {
+  const host = String(hostname).replace(/^\[(.*)\]$/, '$1');
+  if (net.isIP(host)) return isPrivateAddress(host);
+  return PRIVATE_NAMES.some(pattern => pattern.test(host));
+}
+
+/**
+ * dns.lookup that fails when any address the host resolves to is private.
+ * Used as the agents' lookup, so the checked addresses are the ones connected to.
+ */
+function publicLookup(hostname, options, callback) {
+  if (typeof options === 'function') {
+    callback = options;
+    options = {};
+  } else if (typeof options === 'number') {
+    options = { family: options };
+  }
+
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) return callback(error);
+
+    if (addresses.length === 0 || addresses.some(({ address }) => isPrivateAddress(address))) {
+      const refused = new Error(`${hostname} resolves to a private address`);
+      refused.code = 'EPRIVATEHOST';
+      return callback(refused);
+    }
+
+    if (options.all) return callback(null, addresses);
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+// Spread into axios request options. IP literals are connected to without a
+// lookup, so the URL still needs isPrivateHost.
+const publicAgents = {
+  httpAgent: new http.Agent({ lookup: publicLookup }),
+  httpsAgent: new https.Agent({ lookup: publicLookup })
+};
+
+module.exports = {
+  isPrivateHost,
+  isPrivateAddress,
+  publicLookup,
+  publicAgents
+};
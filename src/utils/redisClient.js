@@ -282,6 +282,158 @@ const redisHelpers = {
       logger.error(`Redis HDEL error for key ${key}:`, error);
       return 0;
     }
+  },
+
+  /**
+   * Hash operations - increment numeric field
+   * @param {string} key 
+   * @param {string} field 
+   * @param {number} increment 
+   */
+  async hIncrBy(key, field, increment = 1) {
+    try {
+      if (!redisClient.isOpen) return 0;
+      return await redisClient.hIncrBy(key, field, increment);
+    } catch (error) {
+      logger.error(`Redis HINCRBY error for key ${key}, field ${field}:`, error);
+      return 0;
+    }
+  },
+
+  /**
+   * Set operations - add members to set
+   * @param {string} key 
+   * @param {string|string[]} members 
+   */
+  async sAdd(key, members) {
+    try {
+      if (!redisClient.isOpen) return 0;
+      return await redisClient.sAdd(key, members);
+    } catch (error) {
+      logger.error(`Redis SADD error for key ${key}:`, error);
+      return 0;
+    }
+  },
+
+  /**
+   * Set operations - remove members from set
+   * @param {string} key 
+   * @param {string|string[]} members 
+   */
+  async sRem(key, members) {
+    try {
+      if (!redisClient.isOpen) return 0;
+      return await redisClient.sRem(key, members);
+    } catch (error) {
+      logger.error(`Redis SREM error for key ${key}:`, error);
+      return 0;
+    }
+  },
+
+  /**
+   * Set operations - get all members of set
+   * @param {string} key 
+   */
+  async sMembers(key) {
+    try {
+      if (!redisClient.isOpen) return [];
+      return await redisClient.sMembers(key);
+    } catch (error) {
+      logger.error(`Redis SMEMBERS error for key ${key}:`, error);
+      return [];
+    }
+  },
+
+  /**
+   * Set operations - intersection of several sets
+   * @param {string[]} keys 
+   */
+  async sInter(keys) {
+    try {
+      if (!redisClient.isOpen) return [];
+      return await redisClient.sInter(keys);
+    } catch (error) {
+      logger.error(`Redis SINTER error:`, error);
+      return [];
+    }
+  },
+
+  /**
+   * Sorted set operations - add member with score
+   * @param {string} key 
+   * @param {number} score 
+   * @param {string} member 
+   */
+  async zAdd(key, score, member) {
+    try {
+      if (!redisClient.isOpen) return 0;
+      return await redisClient.zAdd(key, { score, value: member });
+    } catch (error) {
+      logger.error(`Redis ZADD error for key ${key}:`, error);
+      return 0;
+    }
+  },
+
+  /**
+   * Sorted set operations - remove members
+   * @param {string} key 
+   * @param {string|string[]} members 
+   */
+  async zRem(key, members) {
+    try {
+      if (!redisClient.isOpen) return 0;
+      return await redisClient.zRem(key, members);
+    } catch (error) {
+      logger.error(`Redis ZREM error for key ${key}:`, error);
+      return 0;
+    }
+  },
+
+  /**
+   * Sorted set operations - remove members scored within a range
+   * @param {string} key 
+   * @param {number} min 
+   * @param {number} max 
+   */
+  async zRemRangeByScore(key, min, max) {
+    try {
+      if (!redisClient.isOpen) return 0;
+      return await redisClient.zRemRangeByScore(key, min, max);
+    } catch (error) {
+      logger.error(`Redis ZREMRANGEBYSCORE error for key ${key}:`, error);
+      return 0;
+    }
+  },
+
+  /**
+   * Sorted set operations - number of members
+   * @param {string} key 
+   */
+  async zCard(key) {
+    try {
+      if (!redisClient.isOpen) return 0;
+      return await redisClient.zCard(key);
+    } catch (error) {
+      logger.error(`Redis ZCARD error for key ${key}:`, error);
+      return 0;
+    }
+  },
+
+  /**
+   * Sorted set operations - pop lowest-scored members
+   * @param {string} key 
+   * @param {number} count 
+   * @returns {Promise<string[]>} popped member names
+   */
+  async zPopMin(key, count = 1) {
+    try {
+      if (!redisClient.isOpen) return [];
+      const popped = await redisClient.zPopMinCount(key, count);
+      return popped.map(entry => entry.value);
+    } catch (error) {
+      logger.error(`Redis ZPOPMIN error for key ${key}:`, error);
+      return [];
+    }
   }
 };
 
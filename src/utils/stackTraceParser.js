@@ -0,0 +1,348 @@
+/**
+ * Stack Trace Parser
+ * Parses stack traces from JavaScript (V8), Python, Java/Kotlin, Go, Rust,
+ * .NET and Ruby into structured frames.
+ *
+ * Each frame is marked as application code or library/runtime code so
+ * prompts and the UI can focus on the frames the user can actually change.
+ * The exception chain is returned outermost first; rootCause is the
+ * innermost exception ("Caused by" / inner exception / chained traceback).
+ */
+
+const MAX_FRAMES = 50;
+
+// Paths/modules that are never the user's own code
+const LIBRARY_PATTERNS = {
+  javascript: [/node_modules[\\/]/, /^node:/, /^internal[\\/]/, /\(internal[\\/]/, /^<anonymous>$/, /webpack[\\/]bootstrap/],
+  python: [/site-packages[\\/]/, /dist-packages[\\/]/, /[\\/]lib[\\/]python\d(\.\d+)?[\\/]/i, /^<frozen /, /^<string>$/],
+  java: [/^(java|javax|jdk|sun|com\.sun|kotlin|kotlinx|scala|groovy)\./, /^(org\.springframework|org\.apache|org\.hibernate|org\.junit|io\.netty|io\.reactivex|reactor\.|okhttp3|retrofit2|com\.google|com\.fasterxml|android\.|androidx\.|dalvik\.)/],
+  go: [/^runtime\./, /[\\/]go[\\/]src[\\/]/, /[\\/]pkg[\\/]mod[\\/]/, /[\\/]vendor[\\/]/, /^(net\/http|reflect|sync|syscall|testing)\./],
+  rust: [/^\/rustc\//, /[\\/]\.cargo[\\/]registry[\\/]/, /^(std|core|alloc|tokio|futures|hyper)::/, /^rust_(begin_unwind|panic)/, /^__rust_/, /^_start$/, /^__libc_start/],
+  dotnet: [/^(System|Microsoft|Newtonsoft|NUnit|Xunit)\./],
+  ruby: [/[\\/]gems[\\/]/, /[\\/]rubygems[\\/]/, /[\\/]ruby[\\/]\d+\.\d+(\.\d+)?[\\/]/, /^<internal:/]
+};
+
+function isLibraryFrame(format, ...values) {
+  const patterns = LIBRARY_PATTERNS[format] || [];
+  return values.some(value => value && patterns.some(pattern => pattern.test(value)));
+}
+
+function toInt(value) {
+  const number = parseInt(value, 10);
+  return Number.isNaN(number) ? null : number;
+}
+
+function frame(format, { functionName, file, line, column, module, raw }) {
+  return {
+    function: functionName || '<anonymous>',
+    file: file || null,
+    line: toInt(line),
+    column: toInt(column),
+    module: module || null,
+    isApp: !isLibraryFrame(format, file, module, functionName),
+    raw: raw.trim()
+  };
+}
+
+// "Type: message" split used by most formats
+function splitException(text) {
+  const match = text.match(/^([\w$.:<>`+\[\]-]+?(?:Error|Exception|Throwable|Panic|Fault|Interrupt|Exit|Warning|Failure)?)\s*:\s*([\s\S]*)$/);
+  if (match && /^[\w$.:`+<>\[\]-]+$/.test(match[1])) {
+    return { type: match[1], message: match[2].trim() };
+  }
+  return { type: null, message: text.trim() };
+}
+
+// ============================================================================
+// FORMAT PARSERS
+// Each returns { frames, exceptions } or null when the format doesn't match
+// ============================================================================
+
+function parseJavaScript(lines) {
+  const frames = [];
+  const exceptions = [];
+
+  for (const raw of lines) {
+    // at fn (file:line:col) | at file:line:col | at async fn (file:line:col)
+    let match = raw.match(/^\s*at\s+(?:async\s+)?(.+?)\s+\((.+?):(\d+):(\d+)\)\s*$/);
+    if (match) {
+      frames.push(frame('javascript', { functionName: match[1], file: match[2], line: match[3], column: match[4], raw }));
+      continue;
+    }
+    match = raw.match(/^\s*at\s+(?:async\s+)?(.+?):(\d+):(\d+)\s*$/);
+    if (match) {
+      frames.push(frame('javascript', { file: match[1], line: match[2], column: match[3], raw }));
+      continue;
+    }
+    // [cause]: Error: ... (Node 16.9+ error.cause output)
+    match = raw.match(/^\s*(?:\[cause\]:\s*|Caused by:\s*)?([A-Z]\w*(?:Error|Exception)):\s*(.*)$/);
+    if (match) {
+      exceptions.push({ type: match[1], message: match[2].trim() });
+    }
+  }
+
+  return frames.length > 0 ? { frames, exceptions } : null;
+}
+
+function parsePython(lines) {
+  if (!lines.some(line => /^\s*Traceback \(most recent call last\):/.test(line))) return null;
+
+  const frames = [];
+  const chain = []; // printed order: innermost cause first, outermost last
+  let inTraceback = false;
+
+  for (let i = 0; i < lines.length; i++) {
+    const raw = lines[i];
+
+    if (/^\s*Traceback \(most recent call last\):/.test(raw)) {
+      inTraceback = true;
+      continue;
+    }
+
+    const match = raw.match(/^\s*File "(.+?)", line (\d+)(?:, in (.+))?/);
+    if (match) {
+      frames.push(frame('python', { functionName: match[3], file: match[1], line: match[2], raw }));
+      continue;
+    }
+
+    // Exception line closes a traceback block (not indented, not a code line)
+    if (inTraceback && /^\S/.test(raw) && !/^(During handling|The above exception)/.test(raw)) {
+      chain.push(splitException(raw));
+      inTraceback = false;
+    }
+  }
+
+  if (frames.length === 0) return null;
+  return { frames, exceptions: chain.reverse() };
+}
+
+function parseJava(lines) {
+  const frames = [];
+  const exceptions = [];
+
+  for (const raw of lines) {
+    const match = raw.match(/^\s*at\s+([\w$.<>/]+)\.([\w$<>-]+)\(([^)]*)\)\s*(?:~?\[.*\])?\s*$/);
+    if (match) {
+      const location = match[3];
+      const fileMatch = location.match(/^(.+?):(\d+)$/);
+      frames.push(frame('java', {
+        functionName: `${match[1]}.${match[2]}`,
+        module: match[1],
+        file: fileMatch ? fileMatch[1] : location,
+        line: fileMatch ? fileMatch[2] : null,
+        raw
+      }));
+      continue;
+    }
+
+    const exceptionMatch = raw.match(/^\s*(?:Exception in thread "[^"]*"\s+|Caused by:\s+)?((?:[a-z_][\w$]*\.)+[A-Z][\w$]*)(?::\s*(.*))?$/);
+    if (exceptionMatch && (frames.length === 0 || /Caused by:/.test(raw))) {
+      exceptions.push({ type: exceptionMatch[1], message: (exceptionMatch[2] || '').trim() });
+    }
+  }
+
+  return frames.length > 0 ? { frames, exceptions } : null;
+}
+
+function parseGo(lines) {
+  const panicIndex = lines.findIndex(line => /^(panic: |fatal error: )/.test(line));
+  if (panicIndex === -1 && !lines.some(line => /^goroutine \d+ \[/.test(line))) return null;
+
+  const frames = [];
+  const exceptions = [];
+
+  if (panicIndex !== -1) {
+    const text = lines[panicIndex].replace(/^(panic|fatal error): /, '');
+    const recovered = text.replace(/\s*\[recovered\]$/, '');
+    exceptions.push({ type: lines[panicIndex].startsWith('fatal') ? 'fatal error' : 'panic', message: recovered });
+  }
+
+  for (let i = 0; i < lines.length - 1; i++) {
+    const fnMatch = lines[i].match(/^([\w./*()-]+?)\(.*\)$/);
+    const locMatch = lines[i + 1].match(/^\s+(.+\.go):(\d+)(?:\s+\+0x[0-9a-f]+)?$/);
+    if (fnMatch && locMatch) {
+      const functionName = fnMatch[1];
+      frames.push(frame('go', {
+        functionName,
+        module: functionName.replace(/\.[^./]+$/, ''),
+        file: locMatch[1],
+        line: locMatch[2],
+        raw: `${lines[i]}\n${lines[i + 1]}`
+      }));
+      i++;
+    }
+  }
+
+  return frames.length > 0 ? { frames, exceptions } : null;
+}
+
+function parseRust(lines) {
+  const panicIndex = lines.findIndex(line => /^thread '.*' panicked at/.test(line));
+  if (panicIndex === -1 && !lines.some(line => /^stack backtrace:/.test(line))) return null;
+
+  const frames = [];
+  const exceptions = [];
+
+  if (panicIndex !== -1) {
+    const line = lines[panicIndex];
+    // Old: panicked at 'msg', src/main.rs:10:5   New (1.73+): panicked at src/main.rs:10:5:\nmsg
+    const oldStyle = line.match(/panicked at '(.*)', (.+?):(\d+):(\d+)/);
+    const newStyle = line.match(/panicked at (.+?):(\d+):(\d+):\s*$/);
+    if (oldStyle) {
+      exceptions.push({ type: 'panic', message: oldStyle[1] });
+      frames.push(frame('rust', { functionName: '<panic>', file: oldStyle[2], line: oldStyle[3], column: oldStyle[4], raw: line }));
+    } else if (newStyle) {
+      exceptions.push({ type: 'panic', message: (lines[panicIndex + 1] || '').trim() });
+      frames.push(frame('rust', { functionName: '<panic>', file: newStyle[1], line: newStyle[2], column: newStyle[3], raw: line }));
+    }
+  }
+
+  for (let i = 0; i < lines.length; i++) {
+    const fnMatch = lines[i].match(/^\s*\d+:\s+(?:0x[0-9a-f]+\s+-\s+)?(.+?)\s*$/);
+    if (!fnMatch || /^stack backtrace/.test(lines[i])) continue;
+
+    const locMatch = (lines[i + 1] || '').match(/^\s+at\s+(.+?):(\d+)(?::(\d+))?\s*$/);
+    const functionName = fnMatch[1].replace(/::h[0-9a-f]{16}$/, '');
+    frames.push(frame('rust', {
+      functionName,
+      module: functionName.includes('::') ? functionName.replace(/::[^:]+$/, '') : null,
+      file: locMatch ? locMatch[1] : null,
+      line: locMatch ? locMatch[2] : null,
+      column: locMatch ? locMatch[3] : null,
+      raw: locMatch ? `${lines[i]}\n${lines[i + 1]}` : lines[i]
+    }));
+    if (locMatch) i++;
+  }
+
+  return frames.length > 0 ? { frames, exceptions } : null;
+}
+
+function parseDotNet(lines) {
+  const frames = [];
+  const exceptions = [];
+
+  for (const raw of lines) {
+    const match = raw.match(/^\s*at\s+([\w.`<>\[\]+]+)\.([\w`<>|]+)\((.*?)\)(?:\s+in\s+(.+?):line\s+(\d+))?\s*$/);
+    if (match) {
+      frames.push(frame('dotnet', {
+        functionName: `${match[1]}.${match[2]}`,
+        module: match[1],
+        file: match[4],
+        line: match[5],
+        raw
+      }));
+      continue;
+    }
+
+    // Unhandled exception. System.X: msg ---> System.Y: inner
+    if (/^\s*(Unhandled exception\.\s*)?(?:--->\s*)?[A-Z][\w]*(\.[\w]+)+(Exception|Error)\b/.test(raw)) {
+      const parts = raw.replace(/^\s*Unhandled exception\.\s*/, '').split(/\s*--->\s*/).filter(Boolean);
+      parts.forEach(part => {
+        const exception = splitException(part.replace(/\s*--- End of inner exception stack trace ---\s*$/, ''));
+        if (exception.type) exceptions.push(exception);
+      });
+    }
+  }
+
+  return frames.length > 0 ? { frames, exceptions } : null;
+}
+
+function parseRuby(lines) {
+  const frames = [];
+  const exceptions = [];
+
+  for (const raw of lines) {
+    // file.rb:42:in `method': message (ExceptionClass)   |   from file.rb:10:in 'block in foo'
+    const match = raw.match(/^\s*(?:from\s+)?(.+?\.(?:rb|erb|rake|ru)):(\d+):in\s+[`']([^']+)'(?::\s*(.*?)\s*\(([\w:]+)\))?\s*$/);
+    if (!match) continue;
+
+    frames.push(frame('ruby', { functionName: match[3], file: match[1], line: match[2], raw }));
+    if (match[5]) {
+      exceptions.push({ type: match[5], message: match[4] || '' });
+    }
+  }
+
+  return frames.length > 0 ? { frames, exceptions } : null;
+}
+
+const PARSERS = [
+  ['python', parsePython],
+  ['go', parseGo],
+  ['rust', parseRust],
+  ['ruby', parseRuby],
+  // Java before .NET: a bare "at A.b(File.java:1)" frame matches both
+  ['java', parseJava],
+  ['dotnet', parseDotNet],
+  ['javascript', parseJavaScript]
+];
+
+// ============================================================================
+// PUBLIC API
+// ============================================================================
+
+/**
+ * Parse a stack trace in any supported format
+ * @param {string} text - Raw error output
+ * @returns {null|{
+ *   format: string,
+ *   exception: {type: string|null, message: string}|null,
+ *   causes: Array<{type: string|null, message: string}>,
+ *   rootCause: {type: string|null, message: string}|null,
+ *   frames: Array<{function: string, file: string|null, line: number|null, column: number|null, module: string|null, isApp: boolean, raw: string}>,
+ *   appFrames: Array<object>,
+ *   totalFrames: number
+ * }}
+ */
+function parseStackTrace(text) {
+  if (!text || typeof text !== 'string') return null;
+
+  const lines = text.replace(/\r\n/g, '\n').split('\n');
+
+  // Pick the format that explains the most frames
+  let best = null;
+  for (const [format, parser] of PARSERS) {
+    const result = parser(lines);
+    if (result && (!best || result.frames.length > best.frames.length)) {
+      best = { format, ...result };
+    }
+  }
+
+  if (!best) return null;
+
+  // Fall back to the first line as the exception headline
+  if (best.exceptions.length === 0) {
+    const headline = lines.find(line => line.trim().length > 0) || '';
+    best.exceptions.push(splitException(headline.trim()));
+  }
+
+  const frames = best.frames.slice(0, MAX_FRAMES);
+  const [exception, ...causes] = best.exceptions;
+
+  return {
+    format: best.format,
+    exception,
+    causes,
+    rootCause: causes.length > 0 ? causes[causes.length - 1] : exception,
+    frames,
+    appFrames: frames.filter(f => f.isApp),
+    totalFrames: best.frames.length
+  };
+}
+
+/**
+ * Frames worth showing to the model: app frames first, then the top library
+ * frames for context when there are no app frames at all
+ * @param {object} parsed - parseStackTrace result
+ * @param {number} limit
+ */
+function getFocusFrames(parsed, limit = 5) {
+  if (!parsed) return [];
+  if (parsed.appFrames.length > 0) return parsed.appFrames.slice(0, limit);
+  return parsed.frames.slice(0, Math.min(limit, 3));
+}
+
+module.exports = {
+  parseStackTrace,
+  getFocusFrames,
+  LIBRARY_PATTERNS
+};
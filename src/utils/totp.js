@@ -0,0 +1,159 @@
+/**
+ * TOTP (RFC 6238) helpers
+ * Time-based one-time passwords compatible with Google Authenticator, 1Password,
+ * Authy and friends: HMAC-SHA1, 6 digits, 30 second steps, base32 secrets.
+ */
+
+const crypto = require('crypto');
+
+const TOTP_CONFIG = {
+  DIGITS: 6,
+  STEP_SECONDS: 30,
+  SECRET_BYTES: 20,        // 160 bits, the RFC 4226 recommendation for SHA-1
+  WINDOW: 1                // Accept one step either side for clock drift
+};
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+/**
+ * RFC 4648 base32 without padding
+ * @param {Buffer} buffer
+ * @returns {string}
+ */
+function base32Encode(buffer) {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+  return output;
+}
+
+/**
+ * Decode base32, ignoring case, spaces and padding
+ * @param {string} input
+ * @returns {Buffer}
+ */
+function base32Decode(input) {
+  const cleaned = String(input).toUpperCase().replace(/[\s=]/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of cleaned) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error('Invalid base32 character');
+    }
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(bytes);
+}
+
+/**
+ * New random base32 secret
+ * @returns {string}
+ */
+function generateSecret() {
+  return base32Encode(crypto.randomBytes(TOTP_CONFIG.SECRET_BYTES));
+}
+
+function timeStep(timestamp = Date.now()) {
+  return Math.floor(timestamp / 1000 / TOTP_CONFIG.STEP_SECONDS);
+}
+
+/**
+ * HOTP value (RFC 4226) for a counter
+ * @param {string} secret - Base32 secret
+ * @param {number} counter
+ * @returns {string} Zero-padded code
+ */
+function generateHotp(secret, counter) {
+  const counterBuffer = Buffer.alloc(8);
+  counterBuffer.writeBigUInt64BE(BigInt(counter));
+
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counterBuffer).digest();
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const binary = ((hmac[offset] & 0x7f) << 24)
+    | (hmac[offset + 1] << 16)
+    | (hmac[offset + 2] << 8)
+    | hmac[offset + 3];
+
+  return String(binary % (10 ** TOTP_CONFIG.DIGITS)).padStart(TOTP_CONFIG.DIGITS, '0');
+}
+
+/**
+ * Current TOTP code
+ * @param {string} secret - Base32 secret
+ * @param {number} timestamp - Milliseconds, defaults to now
+ */
+function generateCode(secret, timestamp = Date.now()) {
+  return generateHotp(secret, timeStep(timestamp));
+}
+
+/**
+ * Check a code against the current step and WINDOW steps either side
+ * @param {string} secret - Base32 secret
+ * @param {string} code - Digits as typed (spaces allowed)
+ * @param {object} options - { timestamp, window }
+ * @returns {number|null} The matching time step (for replay protection), or null
+ */
+function verifyCode(secret, code, { timestamp = Date.now(), window = TOTP_CONFIG.WINDOW } = {}) {
+  const normalized = String(code || '').replace(/\s/g, '');
+  if (!new RegExp(`^\\d{${TOTP_CONFIG.DIGITS}}$`).test(normalized)) {
+    return null;
+  }
+
+  const current = timeStep(timestamp);
+  const provided = Buffer.from(normalized);
+
+  for (let offset = -window; offset <= window; offset++) {
+    const expected = Buffer.from(generateHotp(secret, current + offset));
+    if (crypto.timingSafeEqual(expected, provided)) {
+      return current + offset;
+    }
+  }
+  return null;
+}
+
+/**
+ * otpauth:// URI rendered as a QR code by the client
+ * @param {object} params - { secret, accountName, issuer }
+ * @returns {string}
+ */
+function buildOtpauthUri({ secret, accountName, issuer }) {
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: String(TOTP_CONFIG.DIGITS),
+    period: String(TOTP_CONFIG.STEP_SECONDS)
+  });
+  return `otpauth://totp/${label}?${params.toString()}`;
+}
+
+module.exports = {
+  generateSecret,
+  generateCode,
+  verifyCode,
+  buildOtpauthUri,
+  base32Encode,
+  base32Decode,
+  TOTP_CONFIG
+};
@@ -0,0 +1,112 @@
+/**
+ * Slack and Microsoft Teams notifications posted to a local server standing
+ * in for both incoming webhooks
+ */
+
+const { startLocalServer } = require('./helpers/localServer');
+const chatNotifications = require('../src/services/chatNotificationService');
+
+describe('chat notifications', () => {
+  let server;
+  let received;
+
+  const team = { id: 7, name: 'Platform', settings: {} };
+  const sharedError = {
+    id: 42,
+    title: 'TypeError: cannot read properties of undefined',
+    description: 'Checkout page crashes after login',
+    priority: 'critical',
+    status: 'open',
+    category: 'frontend'
+  };
+  const actor = { id: 'user-1', username: 'dana' };
+
+  beforeAll(async () => {
+    server = await startLocalServer((req, res, body) => {
+      received.push({ path: req.url, headers: req.headers, body: JSON.parse(body) });
+      if (req.url === '/broken') {
+        res.writeHead(500);
+        return res.end('no');
+      }
+      res.writeHead(200, { 'Content-Type': 'text/plain' });
+      res.end('ok');
+    });
+  });
+
+  afterAll(() => server.close());
+
+  beforeEach(() => {
+    received = [];
+  });
+
+  test('posts a Block Kit message to Slack and an Adaptive Card to Teams', async () => {
+    const settings = {
+      slack_webhook_url: `${server.url}/slack`,
+      teams_webhook_url: `${server.url}/teams`
+    };
+
+    const delivered = await chatNotifications.postToTeamChannels(
+      { ...team, settings },
+      'critical',
+      { sharedError, actor }
+    );
+
+    expect(delivered.sort()).toEqual(['slack', 'teams']);
+    expect(received).toHaveLength(2);
+
+    const slack = received.find(request => request.path === '/slack');
+    expect(slack.headers['content-type']).toMatch(/application\/json/);
+    expect(slack.body.text).toMatch(/^<!here> /);
+    expect(slack.body.blocks[0]).toMatchObject({ type: 'header' });
+    expect(slack.body.blocks.find(block => block.type === 'actions').elements[0]).toMatchObject({
+      style: 'danger',
+      url: expect.stringContaining('/teams/7/errors/42')
+    });
+
+    const teams = received.find(request => request.path === '/teams');
+    const card = teams.body.attachments[0];
+    expect(teams.body.type).toBe('message');
+    expect(card.contentType).toBe('application/vnd.microsoft.card.adaptive');
+    expect(card.content.type).toBe('AdaptiveCard');
+    expect(card.content.body.find(block => block.type === 'FactSet').facts).toEqual(
+      expect.arrayContaining([{ title: 'Category', value: 'frontend' }])
+    );
+  });
+
+  test('a failing channel does not stop the others or throw', async () => {
+    const settings = {
+      slack_webhook_url: `${server.url}/broken`,
+      teams_webhook_url: `${server.url}/teams`
+    };
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    const delivered = await chatNotifications.postToTeamChannels(
+      { ...team, settings },
+      'resolved',
+      { sharedError: { ...sharedError, status: 'resolved' }, actor }
+    );
+
+    expect(delivered).toEqual(['teams']);
+    expect(received.map(request => request.path).sort()).toEqual(['/broken', '/teams']);
+    console.error.mockRestore();
+  });
+
+  test('settings saved back with masked webhook URLs keep the stored ones', () => {
+    const stored = {
+      slack_webhook_url: `${server.url}/slack`,
+      teams_webhook_url: `${server.url}/teams`,
+      default_priority: 'medium'
+    };
+    const fetched = chatNotifications.maskChatWebhooks(stored);
+
+    expect(fetched.slack_webhook_url).toBe(`${server.url}/…`);
+
+    const changes = chatNotifications.omitUnchangedChatWebhooks({ ...fetched, default_priority: 'high' }, stored);
+    expect(changes).toEqual({ default_priority: 'high' });
+    expect(chatNotifications.hasChatSettings(changes)).toBe(false);
+
+    const replaced = chatNotifications.omitUnchangedChatWebhooks({ slack_webhook_url: `${server.url}/new` }, stored);
+    expect(replaced).toEqual({ slack_webhook_url: `${server.url}/new` });
+    expect(chatNotifications.validateChatSettings({ slack_webhook_url: `${server.url}/…` })).toMatch(/masked/);
+  });
+});
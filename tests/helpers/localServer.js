@@ -0,0 +1,40 @@
+/**
+ * Local HTTP servers standing in for third-party providers in tests
+ */
+
+const http = require('http');
+
+/**
+ * Start a server on a random local port
+ * @param {function} handler - (req, res, body) with the request body as a string
+ * @returns {Promise<{url: string, close: function}>}
+ */
+function startLocalServer(handler) {
+  const server = http.createServer((req, res) => {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => {
+      Promise.resolve(handler(req, res, Buffer.concat(chunks).toString())).catch((error) => {
+        res.writeHead(500, { 'Content-Type': 'text/plain' });
+        res.end(error.message);
+      });
+    });
+  });
+
+  return new Promise((resolve) => {
+    server.listen(0, '127.0.0.1', () => {
+      const { port } = server.address();
+      resolve({
+        url: `http://127.0.0.1:${port}`,
+        close: () => new Promise(done => server.close(done))
+      });
+    });
+  });
+}
+
+function sendJson(res, status, data) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(data));
+}
+
+module.exports = { startLocalServer, sendJson };
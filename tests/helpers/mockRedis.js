@@ -0,0 +1,39 @@
+/**
+ * In-memory stand-in for src/utils/redisClient covering the commands the
+ * sign-in flows use. Tests swap it in with:
+ *
+ *   jest.mock('../src/utils/redisClient', () => require('./helpers/mockRedis').createRedisModule());
+ */
+
+function createRedisModule() {
+  const store = new Map();
+
+  const redisClient = {
+    isOpen: true,
+    isReady: true,
+    async setEx(key, ttl, value) {
+      store.set(key, String(value));
+      return 'OK';
+    },
+    async set(key, value, options = {}) {
+      if (options.NX && store.has(key)) return null;
+      store.set(key, String(value));
+      return 'OK';
+    },
+    async get(key) {
+      return store.has(key) ? store.get(key) : null;
+    },
+    async getDel(key) {
+      const value = store.has(key) ? store.get(key) : null;
+      store.delete(key);
+      return value;
+    },
+    async del(key) {
+      return store.delete(key) ? 1 : 0;
+    }
+  };
+
+  return { redisClient, redis: {}, store };
+}
+
+module.exports = { createRedisModule };
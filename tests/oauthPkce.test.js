@@ -0,0 +1,212 @@
+/**
+ * GitHub and Google sign-in through the PKCE authorization-code flow against
+ * a local mock OAuth server. Provider endpoints are pointed at it through the
+ * OAUTH_* environment overrides.
+ */
+
+const crypto = require('crypto');
+const axios = require('axios');
+const { startLocalServer, sendJson } = require('./helpers/localServer');
+
+jest.mock('../src/utils/redisClient', () => require('./helpers/mockRedis').createRedisModule());
+jest.mock('../src/models/User', () => ({ findByPk: jest.fn(), findOne: jest.fn() }));
+jest.mock('../src/models/OAuthAccount', () => ({ findOne: jest.fn(), create: jest.fn(), count: jest.fn(), findAll: jest.fn() }));
+jest.mock('../src/services/userTrackingService', () => ({ registerUser: jest.fn() }));
+
+const User = require('../src/models/User');
+const OAuthAccount = require('../src/models/OAuthAccount');
+const userTrackingService = require('../src/services/userTrackingService');
+const oauthService = require('../src/services/oauthService');
+
+const CLIENT_ID = 'errorwise-test-client';
+const CLIENT_SECRET = 'errorwise-test-secret';
+
+/**
+ * Mock provider: remembers each code's challenge and only hands out an access
+ * token for the matching verifier, like GitHub and Google do
+ */
+function createMockProvider() {
+  const codes = new Map();
+  const tokens = new Set();
+
+  return async (req, res, body) => {
+    const url = new URL(req.url, 'http://localhost');
+
+    if (req.method === 'GET' && url.pathname.endsWith('/authorize')) {
+      const params = url.searchParams;
+      if (params.get('client_id') !== CLIENT_ID || params.get('code_challenge_method') !== 'S256' ||
+          !params.get('code_challenge') || !params.get('state')) {
+        return sendJson(res, 400, { error: 'invalid_request' });
+      }
+      const code = crypto.randomBytes(16).toString('hex');
+      codes.set(code, { challenge: params.get('code_challenge'), redirectUri: params.get('redirect_uri') });
+
+      const redirect = new URL(params.get('redirect_uri'));
+      redirect.searchParams.set('code', code);
+      redirect.searchParams.set('state', params.get('state'));
+      res.writeHead(302, { Location: redirect.toString() });
+      return res.end();
+    }
+
+    if (req.method === 'POST' && url.pathname.endsWith('/token')) {
+      const form = new URLSearchParams(body);
+      const grant = codes.get(form.get('code'));
+      codes.delete(form.get('code'));
+
+      const verifier = form.get('code_verifier') || '';
+      const challenge = crypto.createHash('sha256').update(verifier).digest('base64url');
+      if (!grant || form.get('client_id') !== CLIENT_ID || form.get('client_secret') !== CLIENT_SECRET ||
+          form.get('redirect_uri') !== grant.redirectUri || challenge !== grant.challenge) {
+        // GitHub answers bad codes with a 200 and an error field
+        return sendJson(res, 200, { error: 'bad_verification_code' });
+      }
+
+      const accessToken = crypto.randomBytes(16).toString('hex');
+      tokens.add(accessToken);
+      return sendJson(res, 200, { access_token: accessToken, token_type: 'bearer' });
+    }
+
+    const token = (req.headers.authorization || '').replace(/^Bearer /, '');
+    if (!tokens.has(token)) {
+      return sendJson(res, 401, { message: 'Bad credentials' });
+    }
+
+    switch (url.pathname) {
+      case '/github/user':
+        return sendJson(res, 200, { id: 583231, login: 'octocat', name: 'The Octocat', avatar_url: 'https://example.com/octo.png' });
+      case '/github/user/emails':
+        return sendJson(res, 200, [
+          { email: 'old@example.com', primary: false, verified: true },
+          { email: 'Octocat@Example.com', primary: true, verified: true }
+        ]);
+      case '/google/userinfo':
+        return sendJson(res, 200, { sub: '10769150350006150715', email: 'jane@example.com', email_verified: true, name: 'Jane' });
+      default:
+        return sendJson(res, 404, { error: 'not_found' });
+    }
+  };
+}
+
+// What the browser does: follow the authorization URL back to our callback
+async function authorize(authorizationUrl) {
+  const response = await axios.get(authorizationUrl, { maxRedirects: 0, validateStatus: status => status === 302 });
+  const callback = new URL(response.headers.location);
+  return { callback, code: callback.searchParams.get('code'), state: callback.searchParams.get('state') };
+}
+
+describe('OAuth sign-in with PKCE', () => {
+  let provider;
+  const savedEnv = { ...process.env };
+
+  beforeAll(async () => {
+    provider = await startLocalServer(createMockProvider());
+    Object.assign(process.env, {
+      BACKEND_URL: 'http://localhost:3001',
+      GITHUB_CLIENT_ID: CLIENT_ID,
+      GITHUB_CLIENT_SECRET: CLIENT_SECRET,
+      OAUTH_GITHUB_AUTHORIZE_URL: `${provider.url}/github/authorize`,
+      OAUTH_GITHUB_TOKEN_URL: `${provider.url}/github/token`,
+      OAUTH_GITHUB_USER_URL: `${provider.url}/github/user`,
+      OAUTH_GITHUB_EMAILS_URL: `${provider.url}/github/user/emails`,
+      GOOGLE_CLIENT_ID: CLIENT_ID,
+      GOOGLE_CLIENT_SECRET: CLIENT_SECRET,
+      OAUTH_GOOGLE_AUTHORIZE_URL: `${provider.url}/google/authorize`,
+      OAUTH_GOOGLE_TOKEN_URL: `${provider.url}/google/token`,
+      OAUTH_GOOGLE_USERINFO_URL: `${provider.url}/google/userinfo`
+    });
+  });
+
+  afterAll(async () => {
+    process.env = savedEnv;
+    await provider.close();
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  test('signs a new GitHub user in and links the identity', async () => {
+    const authorizationUrl = await oauthService.createAuthorizationUrl('github', { redirectPath: '/dashboard' });
+    const params = new URL(authorizationUrl).searchParams;
+    expect(authorizationUrl.startsWith(`${provider.url}/github/authorize?`)).toBe(true);
+    expect(params.get('code_challenge_method')).toBe('S256');
+    expect(params.get('redirect_uri')).toBe('http://localhost:3001/api/auth/oauth/github/callback');
+
+    const { callback, code, state } = await authorize(authorizationUrl);
+    expect(callback.pathname).toBe('/api/auth/oauth/github/callback');
+
+    const stored = await oauthService.consumeState('github', state);
+    expect(stored).toMatchObject({ provider: 'github', mode: 'login', redirectPath: '/dashboard' });
+
+    const profile = await oauthService.fetchProfile('github', code, stored.codeVerifier);
+    expect(profile).toEqual({
+      providerUserId: '583231',
+      email: 'octocat@example.com',
+      emailVerified: true,
+      username: 'octocat',
+      displayName: 'The Octocat',
+      avatarUrl: 'https://example.com/octo.png'
+    });
+
+    const newUser = { id: 'user-1', googleId: null, update: jest.fn() };
+    OAuthAccount.findOne.mockResolvedValue(null);
+    User.findOne.mockResolvedValue(null);
+    userTrackingService.registerUser.mockResolvedValue({ user: newUser });
+    OAuthAccount.create.mockResolvedValue({});
+
+    const result = await oauthService.resolveLoginUser('github', profile);
+
+    expect(result).toEqual({ user: newUser, created: true, linked: true });
+    expect(userTrackingService.registerUser).toHaveBeenCalledWith(expect.objectContaining({
+      email: 'octocat@example.com',
+      emailVerified: true,
+      signupMethod: 'github'
+    }));
+    expect(OAuthAccount.create).toHaveBeenCalledWith(expect.objectContaining({
+      user_id: 'user-1',
+      provider: 'github',
+      provider_user_id: '583231'
+    }));
+  });
+
+  test('signs a known Google identity straight in', async () => {
+    const { code, state } = await authorize(await oauthService.createAuthorizationUrl('google'));
+    const stored = await oauthService.consumeState('google', state);
+    const profile = await oauthService.fetchProfile('google', code, stored.codeVerifier);
+
+    const account = { user_id: 'user-2', update: jest.fn() };
+    const user = { id: 'user-2' };
+    OAuthAccount.findOne.mockResolvedValue(account);
+    User.findByPk.mockResolvedValue(user);
+
+    const result = await oauthService.resolveLoginUser('google', profile);
+
+    expect(result).toEqual({ user, created: false, linked: false });
+    expect(OAuthAccount.findOne).toHaveBeenCalledWith({
+      where: { provider: 'google', provider_user_id: '10769150350006150715' }
+    });
+    expect(account.update).toHaveBeenCalledWith(expect.objectContaining({ email: 'jane@example.com' }));
+  });
+
+  test('a state can only be used once', async () => {
+    const { state } = await authorize(await oauthService.createAuthorizationUrl('github'));
+
+    await oauthService.consumeState('github', state);
+    await expect(oauthService.consumeState('github', state)).rejects.toMatchObject({ code: 'OAUTH_INVALID_STATE' });
+  });
+
+  test('a state issued for one provider is refused by another', async () => {
+    const { state } = await authorize(await oauthService.createAuthorizationUrl('github'));
+
+    await expect(oauthService.consumeState('google', state)).rejects.toMatchObject({ code: 'OAUTH_INVALID_STATE' });
+  });
+
+  test('the provider refuses a code redeemed without its verifier', async () => {
+    const { code, state } = await authorize(await oauthService.createAuthorizationUrl('github'));
+    await oauthService.consumeState('github', state);
+
+    const wrongVerifier = crypto.randomBytes(32).toString('base64url');
+    await expect(oauthService.fetchProfile('github', code, wrongVerifier))
+      .rejects.toMatchObject({ code: 'OAUTH_EXCHANGE_FAILED' });
+  });
+});
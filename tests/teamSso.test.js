@@ -0,0 +1,410 @@
+/**
+ * Team SSO sign-in against a local test identity provider that speaks both
+ * SAML 2.0 (HTTP-Redirect request, signed assertion posted back) and OpenID
+ * Connect (discovery, PKCE code flow, RS256 ID tokens, JWKS).
+ */
+
+const crypto = require('crypto');
+const dns = require('dns');
+const zlib = require('zlib');
+const axios = require('axios');
+const jwt = require('jsonwebtoken');
+const { SignedXml } = require('xml-crypto');
+const { startLocalServer, sendJson } = require('./helpers/localServer');
+const samlIdp = require('./fixtures/samlIdpCredentials');
+
+jest.mock('../src/utils/redisClient', () => require('./helpers/mockRedis').createRedisModule());
+jest.mock('../src/utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }));
+jest.mock('../src/models/Team', () => ({ findByPk: jest.fn() }));
+jest.mock('../src/models/TeamMember', () => ({ findOne: jest.fn(), count: jest.fn(), findOrCreate: jest.fn() }));
+jest.mock('../src/models/TeamSsoConnection', () => ({ findOne: jest.fn() }));
+jest.mock('../src/models/TeamSsoDomain', () => ({ findOne: jest.fn() }));
+jest.mock('../src/models/User', () => ({ findByPk: jest.fn(), findOne: jest.fn() }));
+jest.mock('../src/models/OAuthAccount', () => ({}));
+jest.mock('../src/services/userTrackingService', () => ({ registerUser: jest.fn() }));
+jest.mock('../src/services/webhookService', () => ({ emitTeamEvent: jest.fn() }));
+jest.mock('../src/services/teamEventBus', () => ({ publishTeamEvent: jest.fn() }));
+
+const Team = require('../src/models/Team');
+const TeamMember = require('../src/models/TeamMember');
+const TeamSsoConnection = require('../src/models/TeamSsoConnection');
+const TeamSsoDomain = require('../src/models/TeamSsoDomain');
+const User = require('../src/models/User');
+const userTrackingService = require('../src/services/userTrackingService');
+const webhookService = require('../src/services/webhookService');
+const teamEvents = require('../src/services/teamEventBus');
+const logger = require('../src/utils/logger');
+const ssoService = require('../src/services/ssoService');
+
+const TEAM_ID = 5;
+const SAML_ISSUER = 'urn:errorwise:test-idp';
+const OIDC_CLIENT_ID = 'errorwise-sso-client';
+const OIDC_CLIENT_SECRET = 'errorwise-sso-secret';
+
+// ============================================================================
+// TEST IDENTITY PROVIDER
+// ============================================================================
+
+function escapeXml(value) {
+  return String(value).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+function samlResponse({ requestId, acsUrl, audience, email }) {
+  const now = new Date();
+  const later = new Date(now.getTime() + 5 * 60 * 1000);
+  const assertionId = `_${crypto.randomBytes(16).toString('hex')}`;
+
+  const xml = `<samlp:Response xmlns:samlp="urn:oasis:names:tc:SAML:2.0:protocol" xmlns:saml="urn:oasis:names:tc:SAML:2.0:assertion" ID="_${crypto.randomBytes(16).toString('hex')}" Version="2.0" IssueInstant="${now.toISOString()}" Destination="${escapeXml(acsUrl)}" InResponseTo="${escapeXml(requestId)}">` +
+    `<saml:Issuer>${SAML_ISSUER}</saml:Issuer>` +
+    '<samlp:Status><samlp:StatusCode Value="urn:oasis:names:tc:SAML:2.0:status:Success"/></samlp:Status>' +
+    `<saml:Assertion ID="${assertionId}" Version="2.0" IssueInstant="${now.toISOString()}">` +
+    `<saml:Issuer>${SAML_ISSUER}</saml:Issuer>` +
+    '<saml:Subject>' +
+    `<saml:NameID Format="urn:oasis:names:tc:SAML:1.1:nameid-format:emailAddress">${escapeXml(email)}</saml:NameID>` +
+    '<saml:SubjectConfirmation Method="urn:oasis:names:tc:SAML:2.0:cm:bearer">' +
+    `<saml:SubjectConfirmationData InResponseTo="${escapeXml(requestId)}" NotOnOrAfter="${later.toISOString()}" Recipient="${escapeXml(acsUrl)}"/>` +
+    '</saml:SubjectConfirmation>' +
+    '</saml:Subject>' +
+    `<saml:Conditions NotBefore="${now.toISOString()}" NotOnOrAfter="${later.toISOString()}">` +
+    `<saml:AudienceRestriction><saml:Audience>${escapeXml(audience)}</saml:Audience></saml:AudienceRestriction>` +
+    '</saml:Conditions>' +
+    `<saml:AuthnStatement AuthnInstant="${now.toISOString()}" SessionIndex="${assertionId}">` +
+    '<saml:AuthnContext><saml:AuthnContextClassRef>urn:oasis:names:tc:SAML:2.0:ac:classes:PasswordProtectedTransport</saml:AuthnContextClassRef></saml:AuthnContext>' +
+    '</saml:AuthnStatement>' +
+    '<saml:AttributeStatement>' +
+    `<saml:Attribute Name="email"><saml:AttributeValue>${escapeXml(email)}</saml:AttributeValue></saml:Attribute>` +
+    '</saml:AttributeStatement>' +
+    '</saml:Assertion>' +
+    '</samlp:Response>';
+
+  const signature = new SignedXml({
+    privateKey: samlIdp.privateKey,
+    publicCert: samlIdp.certificate,
+    signatureAlgorithm: 'http://www.w3.org/2001/04/xmldsig-more#rsa-sha256',
+    canonicalizationAlgorithm: 'http://www.w3.org/2001/10/xml-exc-c14n#'
+  });
+  signature.addReference({
+    xpath: "//*[local-name(.)='Assertion']",
+    transforms: ['http://www.w3.org/2000/09/xmldsig#enveloped-signature', 'http://www.w3.org/2001/10/xml-exc-c14n#'],
+    digestAlgorithm: 'http://www.w3.org/2001/04/xmlenc#sha256'
+  });
+  signature.computeSignature(xml, {
+    location: { reference: "//*[local-name(.)='Assertion']/*[local-name(.)='Issuer']", action: 'after' }
+  });
+  return signature.getSignedXml();
+}
+
+function createTestIdp() {
+  const state = {
+    email: 'ada@example.com',
+    requests: [],
+    codes: new Map(),
+    keys: crypto.generateKeyPairSync('rsa', { modulusLength: 2048 }),
+    url: null
+  };
+  const issuer = () => `${state.url}/oidc`;
+
+  state.handler = async (req, res, body) => {
+    const url = new URL(req.url, 'http://localhost');
+    state.requests.push(url.pathname);
+
+    // SAML: HTTP-Redirect AuthnRequest in, auto-posting form with the signed response out
+    if (url.pathname === '/saml/sso') {
+      const request = zlib.inflateRawSync(Buffer.from(url.searchParams.get('SAMLRequest'), 'base64')).toString();
+      const requestId = request.match(/\sID="([^"]+)"/)[1];
+      const acsUrl = request.match(/AssertionConsumerServiceURL="([^"]+)"/)[1];
+      const audience = request.match(/<saml:Issuer[^>]*>([^<]+)</)[1];
+
+      const response = Buffer.from(samlResponse({ requestId, acsUrl, audience, email: state.email })).toString('base64');
+      res.writeHead(200, { 'Content-Type': 'text/html' });
+      return res.end(
+        `<form method="post" action="${escapeXml(acsUrl)}">` +
+        `<input type="hidden" name="SAMLResponse" value="${response}"/>` +
+        `<input type="hidden" name="RelayState" value="${escapeXml(url.searchParams.get('RelayState'))}"/>` +
+        '</form>'
+      );
+    }
+
+    switch (url.pathname) {
+      case '/oidc/.well-known/openid-configuration':
+        return sendJson(res, 200, {
+          issuer: issuer(),
+          authorization_endpoint: `${issuer()}/authorize`,
+          token_endpoint: `${issuer()}/token`,
+          jwks_uri: `${issuer()}/jwks`,
+          token_endpoint_auth_methods_supported: ['client_secret_basic'],
+          id_token_signing_alg_values_supported: ['RS256']
+        });
+
+      case '/oidc/jwks':
+        return sendJson(res, 200, {
+          keys: [{ ...state.keys.publicKey.export({ format: 'jwk' }), kid: 'test-key', use: 'sig', alg: 'RS256' }]
+        });
+
+      case '/oidc/authorize': {
+        const params = url.searchParams;
+        if (params.get('client_id') !== OIDC_CLIENT_ID || params.get('code_challenge_method') !== 'S256') {
+          return sendJson(res, 400, { error: 'invalid_request' });
+        }
+        const code = crypto.randomBytes(16).toString('hex');
+        state.codes.set(code, {
+          challenge: params.get('code_challenge'),
+          nonce: params.get('nonce'),
+          redirectUri: params.get('redirect_uri')
+        });
+
+        const redirect = new URL(params.get('redirect_uri'));
+        redirect.searchParams.set('code', code);
+        redirect.searchParams.set('state', params.get('state'));
+        res.writeHead(302, { Location: redirect.toString() });
+        return res.end();
+      }
+
+      case '/oidc/token': {
+        const form = new URLSearchParams(body);
+        const grant = state.codes.get(form.get('code'));
+        state.codes.delete(form.get('code'));
+
+        const expectedAuth = `Basic ${Buffer.from(`${OIDC_CLIENT_ID}:${OIDC_CLIENT_SECRET}`).toString('base64')}`;
+        const challenge = crypto.createHash('sha256').update(form.get('code_verifier') || '').digest('base64url');
+        if (!grant || req.headers.authorization !== expectedAuth || challenge !== grant.challenge ||
+            form.get('redirect_uri') !== grant.redirectUri) {
+          return sendJson(res, 400, { error: 'invalid_grant' });
+        }
+
+        const idToken = jwt.sign({
+          sub: 'idp-user-1',
+          email: state.email,
+          email_verified: true,
+          nonce: grant.nonce
+        }, state.keys.privateKey, {
+          algorithm: 'RS256',
+          keyid: 'test-key',
+          issuer: issuer(),
+          audience: OIDC_CLIENT_ID,
+          expiresIn: '5m'
+        });
+        return sendJson(res, 200, { access_token: 'unused', token_type: 'Bearer', id_token: idToken });
+      }
+
+      default:
+        return sendJson(res, 404, { error: 'not_found' });
+    }
+  };
+
+  return state;
+}
+
+function formValue(html, name) {
+  return html.match(new RegExp(`name="${name}" value="([^"]*)"`))[1].replace(/&amp;/g, '&');
+}
+
+// ============================================================================
+// TESTS
+// ============================================================================
+
+describe('team SSO sign-in', () => {
+  let idp;
+  let server;
+  let connection;
+
+  beforeAll(async () => {
+    idp = createTestIdp();
+    server = await startLocalServer((req, res, body) => idp.handler(req, res, body));
+    idp.url = server.url;
+  });
+
+  afterAll(() => server.close());
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    idp.requests = [];
+
+    Team.findByPk.mockResolvedValue({ id: TEAM_ID, name: 'Platform', owner_id: 'owner-1', is_active: true, max_members: 0 });
+    User.findByPk.mockResolvedValue({ id: 'owner-1', email: 'owner@example.com', subscriptionTier: 'team' });
+    User.findOne.mockResolvedValue(null);
+    TeamSsoConnection.findOne.mockImplementation(async () => connection);
+    TeamSsoDomain.findOne.mockResolvedValue({ team_id: TEAM_ID, domain: 'example.com' });
+    TeamMember.findOne.mockResolvedValue(null);
+    TeamMember.findOrCreate.mockImplementation(async ({ defaults }) => [{ ...defaults, team_id: TEAM_ID }, true]);
+    userTrackingService.registerUser.mockImplementation(async ({ email }) => ({
+      user: { id: 'user-new', email, username: email.split('@')[0] }
+    }));
+  });
+
+  describe('SAML', () => {
+    beforeEach(() => {
+      connection = {
+        team_id: TEAM_ID,
+        protocol: 'saml',
+        enabled: true,
+        enforced: false,
+        jit_provisioning: true,
+        default_role: 'member',
+        saml_entry_point: `${server.url}/saml/sso`,
+        saml_idp_issuer: SAML_ISSUER,
+        saml_idp_cert: samlIdp.certificate,
+        update: jest.fn()
+      };
+    });
+
+    async function signInAtIdp() {
+      const loginUrl = await ssoService.createLoginUrl(TEAM_ID, { redirectPath: '/teams/5' });
+      expect(loginUrl.startsWith(`${server.url}/saml/sso?`)).toBe(true);
+
+      const { data: html } = await axios.get(loginUrl, { responseType: 'text' });
+      expect(html).toContain(`action="${ssoService.serviceProviderUrls(TEAM_ID).acsUrl}"`);
+      return { SAMLResponse: formValue(html, 'SAMLResponse'), RelayState: formValue(html, 'RelayState') };
+    }
+
+    test('provisions a new user from a signed assertion', async () => {
+      const result = await ssoService.completeSamlLogin(TEAM_ID, await signInAtIdp());
+
+      expect(result).toMatchObject({ created: true, provisioned: true, redirectPath: '/teams/5' });
+      expect(userTrackingService.registerUser).toHaveBeenCalledWith(expect.objectContaining({
+        email: 'ada@example.com',
+        signupMethod: 'sso_saml'
+      }));
+      expect(TeamMember.findOrCreate).toHaveBeenCalledWith(expect.objectContaining({
+        where: { team_id: TEAM_ID, user_id: 'user-new' }
+      }));
+      expect(connection.update).toHaveBeenCalledWith({ last_login_at: expect.any(Date) });
+
+      const joined = { user_id: 'user-new', role: 'member', joined_at: expect.any(Date) };
+      expect(webhookService.emitTeamEvent).toHaveBeenCalledWith(TEAM_ID, 'member.joined', joined);
+      expect(teamEvents.publishTeamEvent).toHaveBeenCalledWith(
+        TEAM_ID,
+        'member.joined',
+        { ...joined, username: 'ada' },
+        expect.objectContaining({ id: 'user-new' })
+      );
+    });
+
+    test('an existing member signing in is not announced again', async () => {
+      User.findOne.mockResolvedValue({ id: 'user-ada', email: 'ada@example.com', isEmailVerified: true });
+      TeamMember.findOne.mockResolvedValue({ team_id: TEAM_ID, user_id: 'user-ada', role: 'member', status: 'active' });
+
+      const result = await ssoService.completeSamlLogin(TEAM_ID, await signInAtIdp());
+
+      expect(result).toMatchObject({ created: false, provisioned: false });
+      expect(webhookService.emitTeamEvent).not.toHaveBeenCalled();
+      expect(teamEvents.publishTeamEvent).not.toHaveBeenCalled();
+    });
+
+    test('rejects an assertion altered after signing', async () => {
+      const body = await signInAtIdp();
+      const tampered = Buffer.from(body.SAMLResponse, 'base64').toString().replace(/ada@example\.com/g, 'mallory@example.com');
+
+      await expect(ssoService.completeSamlLogin(TEAM_ID, { ...body, SAMLResponse: Buffer.from(tampered).toString('base64') }))
+        .rejects.toMatchObject({ code: 'SSO_INVALID_RESPONSE' });
+      expect(userTrackingService.registerUser).not.toHaveBeenCalled();
+    });
+
+    test('a response cannot be replayed', async () => {
+      const body = await signInAtIdp();
+      await ssoService.completeSamlLogin(TEAM_ID, body);
+
+      await expect(ssoService.completeSamlLogin(TEAM_ID, body)).rejects.toMatchObject({ code: 'SSO_INVALID_STATE' });
+    });
+  });
+
+  describe('OpenID Connect', () => {
+    beforeEach(() => {
+      connection = {
+        team_id: TEAM_ID,
+        protocol: 'oidc',
+        enabled: true,
+        enforced: false,
+        jit_provisioning: true,
+        default_role: 'member',
+        oidc_issuer: `${server.url}/oidc`,
+        oidc_client_id: OIDC_CLIENT_ID,
+        oidc_client_secret: OIDC_CLIENT_SECRET,
+        update: jest.fn()
+      };
+    });
+
+    async function signInAtIdp() {
+      const loginUrl = await ssoService.createLoginUrl(TEAM_ID, { redirectPath: '/teams/5' });
+      expect(loginUrl.startsWith(`${server.url}/oidc/authorize?`)).toBe(true);
+
+      const response = await axios.get(loginUrl, { maxRedirects: 0, validateStatus: status => status === 302 });
+      const callback = new URL(response.headers.location);
+      expect(callback.pathname).toBe(`/api/auth/sso/${TEAM_ID}/oidc/callback`);
+      return Object.fromEntries(callback.searchParams);
+    }
+
+    test('signs in with a verified ID token and provisions the user', async () => {
+      const result = await ssoService.completeOidcLogin(TEAM_ID, await signInAtIdp());
+
+      expect(result).toMatchObject({ created: true, provisioned: true, redirectPath: '/teams/5' });
+      expect(userTrackingService.registerUser).toHaveBeenCalledWith(expect.objectContaining({
+        email: 'ada@example.com',
+        signupMethod: 'sso_oidc'
+      }));
+      expect(idp.requests).toEqual(expect.arrayContaining(['/oidc/token', '/oidc/jwks']));
+    });
+
+    test('refuses users whose domain the team has not verified', async () => {
+      TeamSsoDomain.findOne.mockResolvedValue(null);
+
+      await expect(ssoService.completeOidcLogin(TEAM_ID, await signInAtIdp()))
+        .rejects.toMatchObject({ code: 'SSO_DOMAIN_NOT_VERIFIED' });
+      expect(userTrackingService.registerUser).not.toHaveBeenCalled();
+    });
+
+    test('a cancelled sign-in consumes the state', async () => {
+      const { state } = await signInAtIdp();
+
+      await expect(ssoService.completeOidcLogin(TEAM_ID, { error: 'access_denied', state }))
+        .rejects.toMatchObject({ code: 'SSO_CANCELLED' });
+      await expect(ssoService.completeOidcLogin(TEAM_ID, { code: 'anything', state }))
+        .rejects.toMatchObject({ code: 'SSO_INVALID_STATE' });
+    });
+
+    test('in production an issuer on a private host is never fetched', async () => {
+      const previousEnv = process.env.NODE_ENV;
+      process.env.NODE_ENV = 'production';
+      connection.oidc_issuer = `${server.url}/internal`;
+
+      try {
+        await expect(ssoService.createLoginUrl(TEAM_ID)).rejects.toMatchObject({ code: 'SSO_OIDC_DISCOVERY_FAILED' });
+        expect(idp.requests).toEqual([]);
+      } finally {
+        process.env.NODE_ENV = previousEnv;
+      }
+    });
+
+    test('in production IPv4-mapped IPv6 issuers are private hosts too', async () => {
+      const previousEnv = process.env.NODE_ENV;
+      process.env.NODE_ENV = 'production';
+      connection.oidc_issuer = 'https://[::ffff:127.0.0.1]/internal';
+
+      try {
+        await expect(ssoService.createLoginUrl(TEAM_ID)).rejects.toMatchObject({ code: 'SSO_OIDC_DISCOVERY_FAILED' });
+      } finally {
+        process.env.NODE_ENV = previousEnv;
+      }
+    });
+
+    test('in production an issuer whose name resolves to a private address is not connected to', async () => {
+      const previousEnv = process.env.NODE_ENV;
+      process.env.NODE_ENV = 'production';
+      connection.oidc_issuer = 'https://idp.rebind.example';
+      const lookup = jest.spyOn(dns, 'lookup').mockImplementation((hostname, options, callback) => {
+        callback(null, [{ address: '10.0.0.8', family: 4 }, { address: '203.0.113.10', family: 4 }]);
+      });
+
+      try {
+        await expect(ssoService.createLoginUrl(TEAM_ID)).rejects.toMatchObject({ code: 'SSO_OIDC_DISCOVERY_FAILED' });
+        expect(lookup).toHaveBeenCalledWith('idp.rebind.example', expect.objectContaining({ all: true }), expect.any(Function));
+        expect(logger.warn).toHaveBeenCalledWith('OIDC discovery failed', expect.objectContaining({
+          error: 'idp.rebind.example resolves to a private address'
+        }));
+      } finally {
+        lookup.mockRestore();
+        process.env.NODE_ENV = previousEnv;
+      }
+    });
+  });
+});